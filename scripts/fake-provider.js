@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+/**
+ * Sheikh-CLI Fake Provider Script
+ * Starts the fake provider server for demos and manual testing, and prints
+ * the environment variables that point every provider at it
+ *
+ * Usage: node scripts/fake-provider.js [port] [replies.json]
+ *
+ * `replies.json` holds an array of scripted replies, as accepted by
+ * `FakeProviderServer#enqueue`. Without it, every request is echoed.
+ */
+
+const fs = require('fs-extra');
+const { FakeProviderServer } = require('../test/fake-provider');
+
+async function main() {
+  const [port = '8787', repliesFile] = process.argv.slice(2);
+  const replies = repliesFile ? await fs.readJson(repliesFile) : [];
+  const server = new FakeProviderServer({ replies });
+
+  const url = await server.start(parseInt(port, 10));
+  console.log(`🧪 Fake provider listening on ${url}`);
+  console.log('Point Sheikh at it with:\n');
+  for (const [name, value] of Object.entries(server.getEnvironment())) {
+    console.log(`export ${name}="${value}"`);
+  }
+
+  const shutdown = async () => {
+    await server.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+  console.error('❌ Fake provider failed to start:', error.message);
+  process.exit(1);
+});
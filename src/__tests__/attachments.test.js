@@ -0,0 +1,196 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {
+  AttachmentError,
+  loadAttachment,
+  findAttachmentPaths,
+  loadMessageAttachments,
+  buildMessageContent,
+  checkAttachments
+} = require('../utils/attachments');
+const { getModelLimits } = require('../providers/models');
+const { estimateMessageTokens } = require('../utils/tokens');
+const { getErrorHint } = require('../utils/error-hints');
+const { ChatClient } = require('../core/chat-client');
+const providerManager = require('../providers');
+const AnthropicProvider = require('../providers/anthropic');
+const OpenAIProvider = require('../providers/openai');
+const AWSProvider = require('../providers/aws');
+const GoogleProvider = require('../providers/google');
+const OllamaProvider = require('../providers/ollama');
+
+const PNG_BYTES = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PDF_SOURCE = '%PDF-1.4\n1 0 obj << /Type /Pages /Count 2 >> endobj\n' +
+  '2 0 obj << /Type /Page >> endobj\n3 0 obj << /Type/Page >> endobj\n%%EOF';
+
+const image = { type: 'image', mediaType: 'image/png', data: PNG_BYTES.toString('base64'), name: 'login-error.png' };
+const pdf = { type: 'document', mediaType: 'application/pdf', data: 'JVBERi0=', name: 'spec v2.pdf', pages: 2 };
+const withImage = [{ role: 'user', content: [image, { type: 'text', text: 'Why does login fail?' }] }];
+const withPdf = [{ role: 'user', content: [pdf, { type: 'text', text: 'Summarize this' }] }];
+
+describe('Attachments', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sheikh-attachments-'));
+    await fs.outputFile(path.join(dir, 'screenshots', 'login-error.png'), PNG_BYTES);
+    await fs.outputFile(path.join(dir, 'Screen Shot.png'), PNG_BYTES);
+    await fs.outputFile(path.join(dir, 'spec.pdf'), PDF_SOURCE);
+    await fs.outputFile(path.join(dir, 'notes.txt'), 'notes');
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(dir);
+  });
+
+  describe('loading', () => {
+    test('should load images and PDFs as base64 parts', async () => {
+      expect(await loadAttachment('screenshots/login-error.png', dir)).toEqual(image);
+      expect(await loadAttachment('spec.pdf', dir)).toMatchObject({
+        type: 'document',
+        mediaType: 'application/pdf',
+        data: Buffer.from(PDF_SOURCE).toString('base64'),
+        name: 'spec.pdf',
+        pages: 2
+      });
+    });
+
+    test('should reject missing and unsupported files', async () => {
+      await expect(loadAttachment('missing.png', dir)).rejects.toThrow('Cannot attach missing.png: file not found');
+      await expect(loadAttachment('notes.txt', dir)).rejects.toThrow(AttachmentError);
+      await expect(loadAttachment('notes.txt', dir)).rejects.toThrow('supported files are .png');
+    });
+
+    test('should find quoted, escaped and plain paths that exist', async () => {
+      const message = 'Compare screenshots/login-error.png, "Screen Shot.png" and Screen\\ Shot.png with ghost.png';
+
+      expect(await findAttachmentPaths(message, dir)).toEqual(['screenshots/login-error.png', 'Screen Shot.png']);
+      expect(await findAttachmentPaths('See spec.pdf.', dir)).toEqual(['spec.pdf']);
+      expect(await findAttachmentPaths('No files here', dir)).toEqual([]);
+    });
+
+    test('should load the files a message refers to', async () => {
+      const attachments = await loadMessageAttachments('What is wrong in screenshots/login-error.png?', dir);
+
+      expect(attachments).toEqual([image]);
+      expect(buildMessageContent('Hi', attachments)).toEqual([image, { type: 'text', text: 'Hi' }]);
+      expect(buildMessageContent('Hi')).toBe('Hi');
+    });
+  });
+
+  describe('provider encoding', () => {
+    test('should send Anthropic image and document blocks before the text', () => {
+      const { messages } = new AnthropicProvider().buildPayload([...withImage, ...withPdf]);
+
+      expect(messages[0].content).toEqual([
+        { type: 'image', source: { type: 'base64', media_type: 'image/png', data: image.data } },
+        { type: 'text', text: 'Why does login fail?' },
+        { type: 'document', source: { type: 'base64', media_type: 'application/pdf', data: pdf.data } },
+        { type: 'text', text: 'Summarize this' }
+      ]);
+    });
+
+    test('should send OpenAI data URLs', () => {
+      const { messages } = new OpenAIProvider({ apiKey: 'test' }).buildPayload([...withImage, { role: 'assistant', content: 'Hm' }, ...withPdf]);
+
+      expect(messages[0].content).toEqual([
+        { type: 'image_url', image_url: { url: `data:image/png;base64,${image.data}` } },
+        { type: 'text', text: 'Why does login fail?' }
+      ]);
+      expect(messages[2].content[0]).toEqual({
+        type: 'file',
+        file: { filename: 'spec v2.pdf', file_data: `data:application/pdf;base64,${pdf.data}` }
+      });
+    });
+
+    test('should send Bedrock Converse image and document blocks', () => {
+      const { messages } = new AWSProvider().buildPayload([...withImage, { role: 'assistant', content: 'Hm' }, ...withPdf]);
+
+      expect(messages[0].content[0]).toEqual({ image: { format: 'png', source: { bytes: image.data } } });
+      expect(messages[2].content[0]).toEqual({ document: { format: 'pdf', name: 'spec v2', source: { bytes: pdf.data } } });
+    });
+
+    test('should send Gemini inline data', () => {
+      const { contents } = new GoogleProvider().buildPayload(withPdf);
+
+      expect(contents[0].parts).toEqual([
+        { inlineData: { mimeType: 'application/pdf', data: pdf.data } },
+        { text: 'Summarize this' }
+      ]);
+    });
+
+    test('should send Ollama images and refuse documents', () => {
+      const provider = new OllamaProvider();
+
+      expect(provider.buildPayload(withImage).messages[0]).toEqual({ role: 'user', content: 'Why does login fail?', images: [image.data] });
+      expect(() => provider.buildPayload(withPdf)).toThrow('Ollama does not accept document attachments');
+    });
+  });
+
+  describe('model support', () => {
+    test('should know which models read images and PDFs', () => {
+      expect(getModelLimits('claude-3-5-sonnet-20241022').attachments).toEqual(['image', 'document']);
+      expect(getModelLimits('claude-3-haiku-20240307').attachments).toEqual(['image']);
+      expect(getModelLimits('llava:13b').attachments).toEqual(['image']);
+      expect(getModelLimits('mistral').attachments).toBeUndefined();
+      expect(getModelLimits('mistral', { mistral: { attachments: ['image'] } })).toMatchObject({
+        contextWindow: 32768,
+        attachments: ['image']
+      });
+    });
+
+    test('should reject attachments the model cannot read', () => {
+      expect(() => checkAttachments(withImage, 'gpt-4o', getModelLimits('gpt-4o'))).not.toThrow();
+
+      const error = (() => {
+        try {
+          checkAttachments(withPdf, 'claude-3-haiku-20240307', getModelLimits('claude-3-haiku-20240307'));
+        } catch (caught) {
+          return caught;
+        }
+      })();
+
+      expect(error).toBeInstanceOf(AttachmentError);
+      expect(error.message).toBe('claude-3-haiku-20240307 cannot read PDF attachments (spec v2.pdf)');
+      expect(getErrorHint(error)).toMatch(/Pick a model that reads PDFs with --model/);
+      expect(() => checkAttachments(withImage, 'mistral', getModelLimits('mistral'))).toThrow('mistral cannot read image attachments');
+    });
+
+    test('should count attachments by image and page rather than encoded size', () => {
+      const large = { ...image, data: 'A'.repeat(400000) };
+
+      expect(estimateMessageTokens({ role: 'user', content: [large, { type: 'text', text: 'Why?' }] })).toBeLessThan(2000);
+      expect(estimateMessageTokens(withPdf[0])).toBeGreaterThan(4000);
+    });
+  });
+
+  describe('chat turns', () => {
+    let sendMessage;
+
+    beforeEach(() => {
+      sendMessage = jest.fn().mockResolvedValue({ content: 'The password field is empty', usage: {}, model: 'test-model' });
+      jest.spyOn(providerManager.getProvider('anthropic'), 'sendMessage').mockImplementation(sendMessage);
+      jest.spyOn(providerManager.getProvider('ollama'), 'sendMessage').mockImplementation(sendMessage);
+    });
+
+    test('should resend earlier attachments with follow-up questions', async () => {
+      const client = new ChatClient({}, { provider: 'anthropic', model: 'claude-3-5-sonnet-20241022' });
+      const history = [{ user: 'Why does login fail?', assistant: 'The password field is empty', attachments: [image] }];
+
+      await client.send('How do I fix it?', history);
+
+      const [messages] = sendMessage.mock.calls[0];
+      expect(messages[1]).toEqual(withImage[0]);
+      expect(messages[3]).toEqual({ role: 'user', content: 'How do I fix it?' });
+    });
+
+    test('should refuse to send an image to a text-only model', async () => {
+      const client = new ChatClient({}, { provider: 'ollama', model: 'mistral' });
+
+      await expect(client.send(withImage[0].content)).rejects.toThrow('mistral cannot read image attachments (login-error.png)');
+      expect(sendMessage).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { signRequest, createCanonicalRequest } = require('../providers/aws-sigv4');
+const { parseIni, resolveAWSCredentials } = require('../providers/aws-credentials');
+const AWSProvider = require('../providers/aws');
+
+// Credentials, scope and expected values from the AWS SigV4 test suite
+const credentials = {
+  accessKeyId: 'AKIDEXAMPLE',
+  secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY'
+};
+const signingOptions = { region: 'us-east-1', service: 'service', date: new Date('2015-08-30T12:36:00Z') };
+const sessionToken = 'AQoDYXdzEPT//////////wEXAMPLEtc764bNrC9SAPBSM22wDOk4x4HIZ8j4FZTwdQWLWsKWHGBuFqwAeMicRXmxfpSPfIeoIYRqTflfKD8YUuwthAx7mSEI/qkPpKPi/kMcGdQrmGdeehM4IC1NtBmUpp2wUE8phUZampKsburEDy0KPkyQDYwT7WZ0wq5VSXDvp75YU9HFvlRd8Tx6q6fE8YQcHNVXAkiY9q6d+xo0rKwT38xVqr7ZD0u0iPPkUL64lIZbqBAz+scqKmlzm8FDrypNC9Yjc8fPOLn9FX9KSYvKTr4rvx3iSIlTJabIQwj2ICCR/oLxBA==';
+
+const signature = (headers) => headers.authorization.match(/Signature=([0-9a-f]+)$/)[1];
+
+describe('SigV4 test suite', () => {
+  test.each([
+    ['get-vanilla', 'GET', '/', '5fa00fa31553b73ebf1942676e86291e8372ff2a2260956d9b8aae1d763fbf31'],
+    ['get-vanilla-query', 'GET', '/?Param1=value1', 'a67d582fa61cc504c4bae71f336f98b97f1ea3c7a6bfe1b6e45aec72011b9aeb'],
+    ['get-vanilla-query-order-key-case', 'GET', '/?Param2=value2&Param1=value1', 'b97d918cfa904a5beff61c982a1b6f458b799221646efd99d3219ec94cdf2500'],
+    ['post-vanilla', 'POST', '/', '5da7c1a2acd57cee7505fc6676e4e544621c30862966e37dddb68e92efbe5d6b']
+  ])('%s', (name, method, requestPath, expected) => {
+    const headers = signRequest({ method, url: `https://example.amazonaws.com${requestPath}` }, credentials, signingOptions);
+
+    expect(headers.authorization).toBe(
+      `AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/service/aws4_request, SignedHeaders=host;x-amz-date, Signature=${expected}`
+    );
+    expect(headers['x-amz-date']).toBe('20150830T123600Z');
+  });
+
+  test('post-x-www-form-urlencoded', () => {
+    const headers = signRequest({
+      method: 'POST',
+      url: 'https://example.amazonaws.com/',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: 'Param1=value1'
+    }, credentials, signingOptions);
+
+    expect(headers.authorization).toContain('SignedHeaders=content-type;host;x-amz-date');
+    expect(signature(headers)).toBe('ff11897932ad3f4e8b18135d722051e5ac45fc38421b1da7b9d196a0fe09473a');
+  });
+
+  test('post-sts-header-before', () => {
+    const headers = signRequest({ method: 'POST', url: 'https://example.amazonaws.com/' }, { ...credentials, sessionToken }, signingOptions);
+
+    expect(headers['x-amz-security-token']).toBe(sessionToken);
+    expect(headers.authorization).toContain('SignedHeaders=host;x-amz-date;x-amz-security-token');
+    expect(signature(headers)).toBe('85d96828115b5dc0cfc3bd16ad9e210dd772bbebba041836c64533a82be05ead');
+  });
+
+  test('should encode path segments twice for non-S3 services', () => {
+    const { canonicalRequest } = createCanonicalRequest({
+      method: 'POST',
+      url: 'https://bedrock-runtime.us-east-1.amazonaws.com/model/anthropic.claude-v2%3A1/converse',
+      headers: { host: 'bedrock-runtime.us-east-1.amazonaws.com' }
+    }, 'hash');
+
+    expect(canonicalRequest.split('\n')[1]).toBe('/model/anthropic.claude-v2%253A1/converse');
+  });
+
+  test('should require credentials', () => {
+    expect(() => signRequest({ url: 'https://example.amazonaws.com/' }, {}, signingOptions)).toThrow('AWS credentials are required');
+  });
+});
+
+describe('AWS shared credentials', () => {
+  let dir;
+  let env;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sheikh-aws-'));
+    fs.writeFileSync(path.join(dir, 'credentials'), [
+      '[default]',
+      'aws_access_key_id = DEFAULTKEY',
+      'aws_secret_access_key = defaultsecret',
+      '',
+      '[work]',
+      'aws_access_key_id = WORKKEY',
+      'aws_secret_access_key = worksecret',
+      'aws_session_token = worktoken'
+    ].join('\n'));
+    fs.writeFileSync(path.join(dir, 'config'), [
+      '[default]',
+      'region = eu-west-1',
+      '',
+      '# comment',
+      '[profile work]',
+      'region = us-west-2',
+      's3 =',
+      '  max_concurrent_requests = 20'
+    ].join('\n'));
+    env = {
+      AWS_SHARED_CREDENTIALS_FILE: path.join(dir, 'credentials'),
+      AWS_CONFIG_FILE: path.join(dir, 'config')
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should parse INI sections and skip nested settings', () => {
+    expect(parseIni('[profile a]\nregion = x\ns3 =\n  addressing_style = path\n')).toEqual({
+      'profile a': { region: 'x', s3: '' }
+    });
+  });
+
+  test('should prefer environment keys over the default profile', () => {
+    const resolved = resolveAWSCredentials({ ...env, AWS_ACCESS_KEY_ID: 'ENVKEY', AWS_SECRET_ACCESS_KEY: 'envsecret', AWS_SESSION_TOKEN: 'envtoken' });
+
+    expect(resolved).toEqual({
+      accessKeyId: 'ENVKEY',
+      secretAccessKey: 'envsecret',
+      sessionToken: 'envtoken',
+      region: 'eu-west-1',
+      source: 'environment'
+    });
+  });
+
+  test('should read the default profile', () => {
+    expect(resolveAWSCredentials(env)).toMatchObject({
+      accessKeyId: 'DEFAULTKEY',
+      region: 'eu-west-1',
+      source: 'profile default'
+    });
+  });
+
+  test('should honour AWS_PROFILE and session tokens', () => {
+    expect(resolveAWSCredentials({ ...env, AWS_PROFILE: 'work', AWS_ACCESS_KEY_ID: 'ENVKEY', AWS_SECRET_ACCESS_KEY: 'x' })).toEqual({
+      accessKeyId: 'WORKKEY',
+      secretAccessKey: 'worksecret',
+      sessionToken: 'worktoken',
+      region: 'us-west-2',
+      source: 'profile work'
+    });
+  });
+
+  test('should let AWS_REGION override the profile region', () => {
+    expect(resolveAWSCredentials({ ...env, AWS_REGION: 'ap-south-1' }).region).toBe('ap-south-1');
+  });
+
+  test('should reject unknown profiles', () => {
+    expect(() => resolveAWSCredentials({ ...env, AWS_PROFILE: 'missing' })).toThrow("AWS profile 'missing' was not found");
+  });
+});
+
+describe('AWSProvider signing', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = {
+      ...originalEnv,
+      AWS_ACCESS_KEY_ID: 'AKIDEXAMPLE',
+      AWS_SECRET_ACCESS_KEY: credentials.secretAccessKey,
+      AWS_SESSION_TOKEN: 'token',
+      AWS_REGION: 'us-west-2',
+      AWS_SHARED_CREDENTIALS_FILE: path.join(os.tmpdir(), 'sheikh-missing-credentials'),
+      AWS_CONFIG_FILE: path.join(os.tmpdir(), 'sheikh-missing-config')
+    };
+    delete process.env.AWS_PROFILE;
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should sign Converse requests', async () => {
+    const provider = new AWSProvider();
+    await provider.initialize();
+
+    const adapter = jest.fn().mockImplementation(async config => ({
+      data: { output: { message: { content: [{ text: 'Signed' }] } } },
+      status: 200,
+      statusText: 'OK',
+      headers: {},
+      config
+    }));
+    provider.client.defaults.adapter = adapter;
+
+    const response = await provider.sendMessage('Hi', { model: 'anthropic.claude-v2:1' });
+    const config = adapter.mock.calls[0][0];
+
+    expect(response.content).toBe('Signed');
+    expect(config.url).toBe('/model/anthropic.claude-v2%3A1/converse');
+    expect(config.headers.get('host')).toBe('bedrock-runtime.us-west-2.amazonaws.com');
+    expect(config.headers.get('x-amz-security-token')).toBe('token');
+    expect(config.headers.get('authorization')).toMatch(
+      /^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\/\d{8}\/us-west-2\/bedrock\/aws4_request, SignedHeaders=accept;content-type;host;x-amz-date;x-amz-security-token, Signature=[0-9a-f]{64}$/
+    );
+    expect(JSON.parse(config.data).messages[0].content).toEqual([{ text: 'Hi' }]);
+  });
+
+  test('should report availability from resolved credentials', () => {
+    expect(new AWSProvider().isAvailable()).toBe(true);
+
+    delete process.env.AWS_ACCESS_KEY_ID;
+    expect(new AWSProvider().isAvailable()).toBe(false);
+  });
+
+  test('should explain how to configure credentials', async () => {
+    delete process.env.AWS_SECRET_ACCESS_KEY;
+
+    await expect(new AWSProvider().initialize()).rejects.toThrow('configure a profile in ~/.aws/credentials');
+  });
+});
@@ -0,0 +1,127 @@
+const { AzureClientSecretAuth, getEntraCredentials } = require('../providers/azure-auth');
+const AzureOpenAIProvider = require('../providers/azure');
+const { AuthenticationError, InvalidRequestError } = require('../providers/errors');
+const { isProviderAvailable, getAvailableProviders } = require('../utils/environment');
+const { getErrorHint } = require('../utils/error-hints');
+const { resolveModelAlias } = require('../providers/aliases');
+const { loadPrices, getModelPrice } = require('../core/pricing');
+
+const AZURE_VARIABLES = [
+  'AZURE_OPENAI_ENDPOINT', 'AZURE_OPENAI_API_KEY', 'AZURE_OPENAI_API_VERSION', 'AZURE_OPENAI_DEPLOYMENTS',
+  'AZURE_TENANT_ID', 'AZURE_CLIENT_ID', 'AZURE_CLIENT_SECRET', 'AZURE_AUTHORITY_HOST'
+];
+
+const credentials = {
+  tenantId: 'contoso',
+  clientId: 'sheikh-cli',
+  clientSecret: 'client-secret',
+  authorityHost: 'https://login.microsoftonline.com'
+};
+
+describe('Azure OpenAI provider', () => {
+  const savedEnvironment = {};
+
+  beforeEach(() => {
+    for (const name of AZURE_VARIABLES) {
+      savedEnvironment[name] = process.env[name];
+      delete process.env[name];
+    }
+  });
+
+  afterEach(() => {
+    for (const name of AZURE_VARIABLES) {
+      if (savedEnvironment[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = savedEnvironment[name];
+      }
+    }
+  });
+
+  test('should read Entra ID credentials only when all three are set', () => {
+    expect(getEntraCredentials({ AZURE_TENANT_ID: 'contoso', AZURE_CLIENT_ID: 'sheikh-cli' })).toBeNull();
+    expect(getEntraCredentials({
+      AZURE_TENANT_ID: 'contoso',
+      AZURE_CLIENT_ID: 'sheikh-cli',
+      AZURE_CLIENT_SECRET: 'client-secret',
+      AZURE_AUTHORITY_HOST: 'https://login.microsoftonline.us/'
+    })).toEqual({ ...credentials, authorityHost: 'https://login.microsoftonline.us' });
+  });
+
+  test('should request a token with the client secret and cache it', async () => {
+    const httpClient = {
+      post: jest.fn()
+        .mockResolvedValueOnce({ data: { access_token: 'token-1', expires_in: 3599 } })
+        .mockResolvedValueOnce({ data: { access_token: 'token-2', expires_in: 3599 } })
+    };
+    const auth = new AzureClientSecretAuth(credentials, { httpClient });
+
+    const [first, second] = await Promise.all([auth.getAccessToken(), auth.getAccessToken()]);
+    expect([first, second]).toEqual(['token-1', 'token-1']);
+    expect(httpClient.post).toHaveBeenCalledTimes(1);
+
+    const [url, body] = httpClient.post.mock.calls[0];
+    expect(url).toBe('https://login.microsoftonline.com/contoso/oauth2/v2.0/token');
+    expect(Object.fromEntries(new URLSearchParams(body))).toEqual({
+      grant_type: 'client_credentials',
+      client_id: 'sheikh-cli',
+      client_secret: 'client-secret',
+      scope: 'https://cognitiveservices.azure.com/.default'
+    });
+
+    auth.invalidate();
+    expect(await auth.getAccessToken()).toBe('token-2');
+  });
+
+  test('should report token endpoint errors', async () => {
+    const httpClient = {
+      post: jest.fn().mockRejectedValue({ response: { data: { error: 'invalid_client', error_description: 'AADSTS7000215: Invalid client secret provided.' } } })
+    };
+
+    await expect(new AzureClientSecretAuth(credentials, { httpClient }).getAccessToken())
+      .rejects.toThrow('Microsoft Entra ID error: AADSTS7000215: Invalid client secret provided.');
+  });
+
+  test('should map models to deployments from the environment', () => {
+    process.env.AZURE_OPENAI_ENDPOINT = 'https://contoso.openai.azure.com/';
+    process.env.AZURE_OPENAI_DEPLOYMENTS = 'gpt-4o=chat-prod, gpt-4o-mini ,=orphan';
+    const provider = new AzureOpenAIProvider();
+
+    expect(provider).toMatchObject({ name: 'azure', baseURL: 'https://contoso.openai.azure.com/openai', apiVersion: '2024-10-21', defaultModel: 'gpt-4o' });
+    expect(provider.getModelPath('gpt-4o', '/chat/completions')).toBe('/deployments/chat-prod/chat/completions');
+    expect(provider.getModelPath('gpt-4o-mini', '/embeddings')).toBe('/deployments/gpt-4o-mini/embeddings');
+    expect(provider.getModelPath('team deployment', '/chat/completions')).toBe('/deployments/team%20deployment/chat/completions');
+    expect(provider.getAvailableModels()).toEqual(['gpt-4o', 'gpt-4o-mini']);
+    expect(provider.capabilities).not.toContain('batch');
+  });
+
+  test('should need an endpoint and a key or Entra ID credentials', async () => {
+    await expect(new AzureOpenAIProvider().initialize()).rejects.toThrow('AZURE_OPENAI_ENDPOINT environment variable is required');
+
+    process.env.AZURE_OPENAI_ENDPOINT = 'https://contoso.openai.azure.com';
+    expect(new AzureOpenAIProvider().isAvailable()).toBe(false);
+    expect(isProviderAvailable('azure')).toBe(false);
+    await expect(new AzureOpenAIProvider().initialize()).rejects.toThrow('AZURE_OPENAI_API_KEY environment variable is required, or AZURE_TENANT_ID');
+
+    Object.assign(process.env, { AZURE_TENANT_ID: 'contoso', AZURE_CLIENT_ID: 'sheikh-cli', AZURE_CLIENT_SECRET: 'client-secret' });
+    expect(new AzureOpenAIProvider().isAvailable()).toBe(true);
+    expect(isProviderAvailable('azure')).toBe(true);
+    expect(getAvailableProviders()).toContain('azure');
+
+    delete process.env.AZURE_CLIENT_SECRET;
+    process.env.AZURE_OPENAI_API_KEY = 'azure-key';
+    const provider = new AzureOpenAIProvider();
+    await provider.initialize();
+    expect(provider.getHeaders()).toEqual({ 'Content-Type': 'application/json', 'api-key': 'azure-key' });
+    expect(isProviderAvailable('azure')).toBe(true);
+  });
+
+  test('should resolve aliases, price usage like OpenAI and point errors at the Azure settings', async () => {
+    const prices = await loadPrices('/nonexistent/prices.json');
+
+    expect(resolveModelAlias('fast', 'azure')).toBe('gpt-4o-mini');
+    expect(getModelPrice(prices, 'azure', 'gpt-4o-2024-08-06')).toEqual(getModelPrice(prices, 'openai', 'gpt-4o'));
+    expect(getErrorHint(new AuthenticationError('x', { provider: 'azure' }))).toContain('AZURE_OPENAI_API_KEY');
+    expect(getErrorHint(new InvalidRequestError('x', { provider: 'azure' }))).toContain('AZURE_OPENAI_DEPLOYMENTS');
+  });
+});
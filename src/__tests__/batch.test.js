@@ -0,0 +1,116 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { prepareBatchRequests, parseJSONLines } = require('../providers/batch');
+const AnthropicProvider = require('../providers/anthropic');
+const OpenAICompatibleProvider = require('../providers/openai-compatible');
+const { BatchJobs, runQueue, expandInputs, getResultPath, countItems } = require('../core/batch-jobs');
+const { UsageTracker, BudgetExceededError } = require('../core/usage-tracker');
+const { formatBatchJob } = require('../utils/batch-report');
+const { validateConfig } = require('../config');
+
+describe('Batch jobs', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sheikh-batch-'));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(dir);
+  });
+
+  test('should check batch request IDs and parse JSON Lines', () => {
+    expect(prepareBatchRequests([{ id: 'input-1', messages: 'Hi' }])).toEqual([{ id: 'input-1', messages: 'Hi', options: {} }]);
+    expect(() => prepareBatchRequests([])).toThrow('A batch needs at least one request');
+    expect(() => prepareBatchRequests([{ id: 'src/cli.js', messages: 'Hi' }])).toThrow('Invalid batch request ID: src/cli.js');
+    expect(() => prepareBatchRequests([{ id: 'a', messages: 'Hi' }, { id: 'a', messages: 'Hi' }])).toThrow('Duplicate batch request ID: a');
+    expect(parseJSONLines('{"a":1}\n\n{"b":2}\n')).toEqual([{ a: 1 }, { b: 2 }]);
+  });
+
+  test('should map Anthropic batch states onto the provider-neutral ones', () => {
+    const provider = new AnthropicProvider();
+
+    expect(provider.parseBatch({
+      id: 'msgbatch_1',
+      processing_status: 'canceling',
+      request_counts: { processing: 2, succeeded: 5, errored: 1, canceled: 1, expired: 1 }
+    })).toEqual({ id: 'msgbatch_1', status: 'running', counts: { total: 10, succeeded: 5, failed: 3 } });
+  });
+
+  test('should leave the batch API to compatible servers that declare it', () => {
+    expect(new OpenAICompatibleProvider('vllm', { baseURL: 'http://gpu-box:8000/v1' }).capabilities).not.toContain('batch');
+    expect(new OpenAICompatibleProvider('gateway', { baseURL: 'http://gateway/v1', quirks: { batch: true } }).capabilities).toContain('batch');
+  });
+
+  test('should run at most the given number of workers at once', async () => {
+    let running = 0;
+    let most = 0;
+    const done = [];
+
+    await runQueue([1, 2, 3, 4, 5], 2, async item => {
+      running++;
+      most = Math.max(most, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      done.push(item);
+      running--;
+    });
+
+    expect(most).toBe(2);
+    expect(done.sort()).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test('should expand patterns and mirror input paths under the output directory', async () => {
+    await fs.outputFile(path.join(dir, 'src', 'b.js'), '');
+    await fs.outputFile(path.join(dir, 'src', 'a.js'), '');
+    await fs.outputFile(path.join(dir, 'src', 'notes.md'), '');
+
+    expect(expandInputs(['src/*.js', 'README.md'], dir)).toEqual([path.join('src', 'a.js'), path.join('src', 'b.js'), 'README.md']);
+    expect(getResultPath(path.join('src', 'cli.js'), 'reviews')).toBe(path.join('reviews', 'src', 'cli.js.md'));
+    expect(getResultPath(path.join('..', 'shared', 'util.js'), 'reviews')).toBe(path.join('reviews', 'shared', 'util.js.md'));
+  });
+
+  test('should create local jobs for providers without a batch API and count their progress', async () => {
+    await fs.outputFile(path.join(dir, 'a.js'), 'a');
+    const jobs = new BatchJobs({ apiProvider: 'ollama', apiModelId: 'fast' }, { cwd: dir });
+
+    const job = await jobs.create({ prompt: 'Summarize', inputs: ['a.js', path.join(dir, 'a.js')] });
+    job.items[0].status = 'succeeded';
+
+    expect(job).toMatchObject({ mode: 'local', provider: 'ollama', model: 'llama3.1', status: 'running', outputDir: path.join('.sheikh', 'batches', job.id) });
+    expect(job.items).toHaveLength(1);
+    expect(countItems(job)).toEqual({ total: 1, succeeded: 1, failed: 0, pending: 0 });
+    expect((await jobs.list()).map(entry => entry.id)).toEqual([job.id]);
+    expect(formatBatchJob(job)).toContain('local queue');
+    await expect(jobs.create({ prompt: 'Summarize', inputs: ['missing.js'] })).rejects.toThrow('Input file not found: missing.js');
+    await expect(jobs.load('nope')).rejects.toThrow("No batch job 'nope'");
+  });
+
+  test('should stop the local queue when the budget runs out, leaving the rest pending', async () => {
+    await fs.outputFile(path.join(dir, 'a.js'), 'a');
+    await fs.outputFile(path.join(dir, 'b.js'), 'b');
+    const usageTracker = new UsageTracker({ dir: path.join(dir, 'usage'), budget: { daily: 1 } });
+    jest.spyOn(usageTracker, 'checkBudget').mockRejectedValue(new BudgetExceededError('daily', 1, 1.2));
+    const jobs = new BatchJobs({ apiProvider: 'ollama' }, { cwd: dir, usageTracker });
+
+    const job = await jobs.create({ prompt: 'Summarize', inputs: ['a.js', 'b.js'] });
+    await expect(jobs.run(job, { concurrency: 1 })).rejects.toThrow(BudgetExceededError);
+
+    expect(job.status).toBe('running');
+    expect(job.items.map(item => item.status)).toEqual(['pending', 'pending']);
+  });
+
+  test('should charge batch usage at the discount and validate batch settings', async () => {
+    const tracker = new UsageTracker({ dir: path.join(dir, 'usage'), prices: { openai: { 'gpt-4o': { input: 2.5, output: 10 } } } });
+    const usage = { inputTokens: 1000000, outputTokens: 0 };
+
+    expect((await tracker.record({ provider: 'openai', model: 'gpt-4o', usage })).cost).toBe(2.5);
+    expect(await tracker.record({ provider: 'openai', model: 'gpt-4o', usage, batch: true })).toMatchObject({ cost: 1.25, batch: true });
+
+    const base = { apiProvider: 'anthropic', apiModelId: 'claude-3-5-sonnet-20241022' };
+    expect(validateConfig({ ...base, batch: { concurrency: 8, pollInterval: 60 } })).toEqual({ valid: true });
+    expect(validateConfig({ ...base, batch: { concurrency: 0 } }).error).toBe('batch.concurrency must be a positive integer');
+    expect(validateConfig({ ...base, batch: { pollInterval: '1m' } }).error).toBe('batch.pollInterval must be a positive number of seconds');
+  });
+});
@@ -0,0 +1,210 @@
+const { EventEmitter } = require('events');
+const { createHttpClient, getRequestConfig, classifyError, throwIfAborted } = require('../providers/http');
+const { createProviderError, CancelledError } = require('../providers/errors');
+const { ChatClient } = require('../core/chat-client');
+const { runToolLoop } = require('../core/tool-runner');
+const { AgenticEngine, AgentCoordinator } = require('../core/agentic-engine');
+const { TurnInterrupter } = require('../utils/interrupt');
+const providerManager = require('../providers');
+
+const httpError = (status) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers: {}, data: {} };
+  return error;
+};
+
+describe('Request cancellation', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should pass the abort signal to axios', () => {
+    const controller = new AbortController();
+
+    expect(getRequestConfig({ signal: controller.signal })).toEqual({ signal: controller.signal });
+  });
+
+  test('should stop waiting for a retry when aborted', async () => {
+    const adapter = jest.fn(async config => {
+      const error = httpError(503);
+      error.config = config;
+      throw error;
+    });
+    const client = createHttpClient({ adapter }, { maxRetries: 3, baseDelay: 60000, maxDelay: 60000 });
+    const controller = new AbortController();
+
+    const request = client.post('/messages', {}, {
+      signal: controller.signal,
+      onRetry: () => controller.abort()
+    });
+
+    await expect(request).rejects.toMatchObject({ name: 'AbortError' });
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+
+  test('should classify cancelled requests', () => {
+    const canceled = Object.assign(new Error('canceled'), { name: 'CanceledError', code: 'ERR_CANCELED' });
+    const error = createProviderError('Anthropic API error: canceled', { provider: 'anthropic', cause: canceled });
+
+    expect(error).toBeInstanceOf(CancelledError);
+    expect(error.retryable).toBe(false);
+    expect(classifyError(error)).toBe('cancelled');
+    expect(classifyError(new DOMException('This operation was aborted', 'AbortError'))).toBe('cancelled');
+  });
+
+  test('should throw an AbortError for signals without a reason, as on Node 16', () => {
+    const controller = new AbortController();
+    expect(() => throwIfAborted(controller.signal)).not.toThrow();
+    expect(() => throwIfAborted(undefined)).not.toThrow();
+
+    controller.abort();
+    expect(() => throwIfAborted(controller.signal)).toThrow(expect.objectContaining({ name: 'AbortError' }));
+
+    // Node 16 signals have neither `reason` nor `throwIfAborted`
+    const error = (() => {
+      try {
+        throwIfAborted({ aborted: true });
+      } catch (caught) {
+        return caught;
+      }
+    })();
+    expect(error).toMatchObject({ name: 'AbortError', message: 'This operation was aborted' });
+    expect(classifyError(error)).toBe('cancelled');
+  });
+
+  describe('chat turns', () => {
+    test('should stop a stream and not fall back when cancelled', async () => {
+      const controller = new AbortController();
+      const anthropic = providerManager.getProvider('anthropic');
+      const ollama = providerManager.getProvider('ollama');
+      jest.spyOn(anthropic, 'streamMessage').mockImplementation(async function* () {
+        yield { type: 'text', text: 'Authentication ' };
+        yield { type: 'text', text: 'checks who you are.' };
+        yield { type: 'done', content: 'Authentication checks who you are.', usage: {}, model: 'claude' };
+      });
+      const fallback = jest.spyOn(ollama, 'sendMessage');
+      const received = [];
+      const client = new ChatClient({ fallback: [{ provider: 'ollama' }], fallbackOn: ['unknown'] }, { provider: 'anthropic' });
+
+      const error = await client.send('What is authentication?', [], {
+        signal: controller.signal,
+        onText: text => {
+          received.push(text);
+          controller.abort();
+        }
+      }).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(CancelledError);
+      expect(error.message).toBe('Request to anthropic was cancelled');
+      expect(received).toEqual(['Authentication ']);
+      expect(fallback).not.toHaveBeenCalled();
+    });
+
+    test('should pass the signal to the provider', async () => {
+      const controller = new AbortController();
+      const sendMessage = jest.spyOn(providerManager.getProvider('anthropic'), 'sendMessage')
+        .mockResolvedValue({ content: 'Hi', usage: {}, model: 'claude' });
+
+      await new ChatClient({}, { provider: 'anthropic' }).send('Hello', [], { signal: controller.signal });
+
+      expect(sendMessage.mock.calls[0][1].signal).toBe(controller.signal);
+    });
+  });
+
+  test('should stop the tool loop instead of reporting a cancelled tool as failed', async () => {
+    const controller = new AbortController();
+    const provider = {
+      name: 'test',
+      sendMessage: jest.fn().mockResolvedValue({
+        content: '',
+        toolCalls: [{ id: 'call_1', name: 'run_tests', arguments: {} }, { id: 'call_2', name: 'run_tests', arguments: {} }]
+      })
+    };
+    const execute = jest.fn(async (args, { signal }) => {
+      controller.abort();
+      throwIfAborted(signal);
+    });
+
+    const error = await runToolLoop(provider, [{ role: 'user', content: 'Run the tests' }], {
+      tools: [{ name: 'run_tests', parameters: { type: 'object', properties: {} }, execute }],
+      signal: controller.signal
+    }).catch(caught => caught);
+
+    expect(error.name).toBe('AbortError');
+    expect(execute).toHaveBeenCalledTimes(1);
+    expect(provider.sendMessage).toHaveBeenCalledTimes(1);
+    expect(provider.sendMessage.mock.calls[0][1].signal).toBe(controller.signal);
+  });
+
+  describe('agentic plans', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    const plan = {
+      id: 'plan-1',
+      task: 'Refactor the auth module',
+      steps: [
+        { id: 1, action: 'edit files', agent: 'multi-file-editor' },
+        { id: 2, action: 'run tests', agent: 'test-coordinator' }
+      ]
+    };
+
+    test('should cancel the running step and drop its changes', async () => {
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 20);
+
+      const results = await new AgentCoordinator().executePlan(plan, { signal: controller.signal });
+
+      expect(results.status).toBe('cancelled');
+      expect(results.steps).toEqual([]);
+      expect(results.changes).toEqual([]);
+    });
+
+    test('should not send a cancelled plan to approval', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      const engine = new AgenticEngine({});
+      jest.spyOn(engine.coordinator, 'createPlan').mockResolvedValue(plan);
+      const processResults = jest.spyOn(engine.approval, 'processResults');
+
+      const results = await engine.executeAgenticTask('Refactor the auth module', { signal: controller.signal });
+
+      expect(results.status).toBe('cancelled');
+      expect(processResults).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Ctrl+C', () => {
+    test('should cancel the running turn first and exit on the second press', () => {
+      const target = new EventEmitter();
+      const onExit = jest.fn();
+      const interrupter = new TurnInterrupter({ onExit, target });
+      interrupter.listen();
+
+      const signal = interrupter.startTurn();
+      target.emit('SIGINT');
+      expect(signal.aborted).toBe(true);
+      expect(onExit).not.toHaveBeenCalled();
+
+      target.emit('SIGINT');
+      expect(onExit).toHaveBeenCalledTimes(1);
+
+      interrupter.close();
+      expect(target.listenerCount('SIGINT')).toBe(0);
+    });
+
+    test('should exit when no turn is running', () => {
+      const target = new EventEmitter();
+      const onExit = jest.fn();
+      const interrupter = new TurnInterrupter({ onExit, target });
+      interrupter.listen();
+
+      interrupter.startTurn();
+      interrupter.endTurn();
+      target.emit('SIGINT');
+
+      expect(onExit).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const { ChatClient } = require('../core/chat-client');
+const providerManager = require('../providers');
+
+describe('ChatClient', () => {
+  let sendMessage;
+
+  beforeEach(() => {
+    sendMessage = jest.fn().mockResolvedValue({
+      content: 'Hello from the model',
+      usage: { input_tokens: 3, output_tokens: 4 },
+      model: 'test-model'
+    });
+
+    for (const name of providerManager.listProviders()) {
+      jest.spyOn(providerManager.getProvider(name), 'sendMessage').mockImplementation(sendMessage);
+    }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('provider resolution', () => {
+    test('should use the configured provider and model', () => {
+      const client = new ChatClient({ apiProvider: 'openai', apiModelId: 'gpt-4-turbo' }, {});
+      const { providerName, model } = client.resolve();
+
+      expect(providerName).toBe('openai');
+      expect(model).toBe('gpt-4-turbo');
+    });
+
+    test('should read the agentic globalState layout', () => {
+      const client = new ChatClient({ globalState: { apiProvider: 'ollama', apiModelId: 'mistral' } }, {});
+      const { providerName, model } = client.resolve();
+
+      expect(providerName).toBe('ollama');
+      expect(model).toBe('mistral');
+    });
+
+    test('should prefer command line options over configuration', () => {
+      const client = new ChatClient(
+        { apiProvider: 'anthropic', apiModelId: 'claude-3-5-sonnet-20241022' },
+        { provider: 'openai', model: 'gpt-4' }
+      );
+      const { providerName, model } = client.resolve();
+
+      expect(providerName).toBe('openai');
+      expect(model).toBe('gpt-4');
+    });
+
+    test('should not carry the configured model over to a different provider', () => {
+      const client = new ChatClient(
+        { apiProvider: 'anthropic', apiModelId: 'claude-3-5-sonnet-20241022' },
+        { provider: 'ollama' }
+      );
+
+      expect(client.resolve().model).toBeUndefined();
+    });
+
+    test('should default to anthropic without configuration', () => {
+      const client = new ChatClient({}, {});
+      expect(client.resolve().providerName).toBe('anthropic');
+    });
+
+    test('should throw for an unknown provider', () => {
+      const client = new ChatClient({}, { provider: 'invalid' });
+      expect(() => client.resolve()).toThrow("Provider 'invalid' not found");
+    });
+  });
+
+  describe('sending messages', () => {
+    test('should send the message to the resolved provider', async () => {
+      const client = new ChatClient({ apiProvider: 'anthropic', apiModelId: 'claude-3-5-haiku-20241022' }, {});
+      const response = await client.send('Hi');
+
+      expect(sendMessage).toHaveBeenCalledWith(
+        [expect.objectContaining({ role: 'system' }), { role: 'user', content: 'Hi' }],
+        { model: 'claude-3-5-haiku-20241022' }
+      );
+      expect(response.content).toBe('Hello from the model');
+      expect(response.provider).toBe('anthropic');
+    });
+
+    test('should send conversation history as context', async () => {
+      const client = new ChatClient({}, {});
+      await client.send('And in Python?', [
+        { user: 'How do I read a file in Node?', assistant: 'Use fs.readFile.', timestamp: new Date() }
+      ]);
+
+      const [messages] = sendMessage.mock.calls[0];
+      expect(messages.slice(1)).toEqual([
+        { role: 'user', content: 'How do I read a file in Node?' },
+        { role: 'assistant', content: 'Use fs.readFile.' },
+        { role: 'user', content: 'And in Python?' }
+      ]);
+    });
+
+    test('should append custom instructions to the system prompt', () => {
+      const client = new ChatClient({}, { customInstructions: 'Answer in Bengali.' });
+      const [system] = client.buildMessages('Hi');
+
+      expect(system.role).toBe('system');
+      expect(system.content).toContain('Answer in Bengali.');
+    });
+
+    test('should propagate provider errors', async () => {
+      sendMessage.mockRejectedValue(new Error('Anthropic API error: overloaded'));
+      const client = new ChatClient({}, {});
+
+      await expect(client.send('Hi')).rejects.toThrow('overloaded');
+    });
+  });
+});
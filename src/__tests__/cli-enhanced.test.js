@@ -15,6 +15,7 @@ describe('EnhancedChatSession', () => {
       searchCodebase: jest.fn(),
       executeAgenticTask: jest.fn(),
       generateWorkflow: jest.fn(),
+      getPromptContext: jest.fn().mockReturnValue([]),
       codebase: {
         generateReport: jest.fn()
       }
@@ -34,6 +35,11 @@ describe('EnhancedChatSession', () => {
     };
 
     chatSession = new EnhancedChatSession(mockAgenticEngine, mockConfig, mockOptions);
+    chatSession.client.send = jest.fn().mockResolvedValue({
+      content: 'Authentication verifies who a user is.',
+      model: 'claude-3-5-sonnet-20241022',
+      provider: 'anthropic'
+    });
   });
 
   describe('initialization', () => {
@@ -185,7 +191,7 @@ describe('EnhancedChatSession', () => {
 
       await chatSession.processAgenticMessage(complexTask);
 
-      expect(mockAgenticEngine.executeAgenticTask).toHaveBeenCalledWith(complexTask);
+      expect(mockAgenticEngine.executeAgenticTask).toHaveBeenCalledWith(complexTask, { signal: expect.any(AbortSignal) });
       expect(chatSession.conversationHistory).toHaveLength(1);
       expect(chatSession.conversationHistory[0].assistant).toBe('Agentic');
     });
@@ -196,8 +202,49 @@ describe('EnhancedChatSession', () => {
       await chatSession.processAgenticMessage(simpleMessage);
 
       expect(mockAgenticEngine.executeAgenticTask).not.toHaveBeenCalled();
+      expect(chatSession.client.send).toHaveBeenCalledWith(simpleMessage, [], expect.any(Object));
       expect(chatSession.conversationHistory).toHaveLength(1);
-      expect(chatSession.conversationHistory[0].assistant).toBe('Direct');
+      expect(chatSession.conversationHistory[0].assistant).toBe('Authentication verifies who a user is.');
+    });
+
+    test('should send earlier direct turns as context', async () => {
+      chatSession.conversationHistory = [
+        { user: 'Create a new authentication module', assistant: 'Agentic', agentic: true, timestamp: new Date() },
+        { user: 'What is JWT?', assistant: 'A signed token format.', agentic: false, timestamp: new Date() }
+      ];
+
+      await chatSession.processAgenticMessage('How do I verify one?');
+
+      expect(chatSession.client.send).toHaveBeenCalledWith('How do I verify one?', [
+        expect.objectContaining({ user: 'What is JWT?' })
+      ], expect.any(Object));
+    });
+
+    test('should not record history when the provider fails', async () => {
+      chatSession.client.send.mockRejectedValue(new Error('Anthropic API error: invalid x-api-key'));
+
+      await chatSession.processAgenticMessage('What is authentication?');
+
+      expect(chatSession.conversationHistory).toHaveLength(0);
+    });
+
+    test('should keep attachments for the next message when a turn fails', async () => {
+      const screenshot = { type: 'image', name: 'screenshot.png', mediaType: 'image/png', data: 'iVBORw0KGgo=' };
+      chatSession.pendingAttachments = [screenshot];
+      chatSession.client.send.mockRejectedValueOnce(new Error('OpenAI API error: connect ECONNREFUSED'));
+      jest.spyOn(console, 'error').mockImplementation();
+
+      await chatSession.processAgenticMessage('What is in this screenshot?');
+
+      expect(chatSession.pendingAttachments).toEqual([screenshot]);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Attachment kept for your next message'));
+
+      await chatSession.processAgenticMessage('What is in this screenshot?');
+
+      expect(chatSession.client.send.mock.calls[1][0]).toEqual(expect.arrayContaining([expect.objectContaining({ type: 'image' })]));
+      expect(chatSession.pendingAttachments).toEqual([]);
+      expect(chatSession.conversationHistory[0].attachments).toEqual([screenshot]);
+      console.error.mockRestore();
     });
   });
 
@@ -0,0 +1,225 @@
+const { getModelLimits, MODEL_CATALOG, DEFAULT_LIMITS } = require('../providers/models');
+const { estimateTokens, estimateMessagesTokens, fitMessages, fitSections } = require('../utils/tokens');
+const { ContextLengthError } = require('../providers/errors');
+const providerManager = require('../providers');
+const { ChatClient } = require('../core/chat-client');
+const { createStreamPrinter } = require('../utils/stream-printer');
+const { validateConfig } = require('../config');
+
+// About 1000 tokens of text
+const longText = (label) => `${label} ${'lorem ipsum '.repeat(333)}`;
+
+const conversation = (turns) => {
+  const messages = [{ role: 'system', content: 'Be brief.' }];
+  for (let index = 1; index <= turns; index++) {
+    messages.push({ role: 'user', content: longText(`Question ${index}`) });
+    messages.push({ role: 'assistant', content: longText(`Answer ${index}`) });
+  }
+  messages.push({ role: 'user', content: 'Latest question' });
+  return messages;
+};
+
+describe('Model catalog', () => {
+  test('should cover every model the providers list', () => {
+    for (const name of ['anthropic', 'openai', 'azure', 'aws', 'google']) {
+      const provider = providerManager.getProvider(name);
+      for (const model of [...provider.getAvailableModels(), provider.defaultModel]) {
+        expect(MODEL_CATALOG[model]).toBeDefined();
+      }
+    }
+    for (const model of ['llama2', 'codellama', 'mistral']) {
+      expect(MODEL_CATALOG[model]).toBeDefined();
+    }
+  });
+
+  test('should resolve versioned, tagged and cross-region model IDs', () => {
+    expect(getModelLimits('gpt-4-turbo-2024-04-09').contextWindow).toBe(128000);
+    expect(getModelLimits('gpt-4o-mini-2024-07-18').maxOutput).toBe(16384);
+    expect(getModelLimits('gemini-1.5-flash-002').contextWindow).toBe(1048576);
+    expect(getModelLimits('llama3.1:8b').contextWindow).toBe(131072);
+    expect(getModelLimits('mistral:latest').contextWindow).toBe(32768);
+    expect(getModelLimits('us.anthropic.claude-3-haiku-20240307-v1:0').contextWindow).toBe(200000);
+  });
+
+  test('should fall back to small default limits and accept overrides', () => {
+    expect(getModelLimits('meta-llama/Llama-3.1-8B-Instruct')).toEqual({ ...DEFAULT_LIMITS, known: false });
+    expect(getModelLimits('meta-llama/Llama-3.1-8B-Instruct', {
+      'meta-llama/Llama-3.1-8B-Instruct': { contextWindow: 32768 }
+    })).toEqual({ contextWindow: 32768, maxOutput: DEFAULT_LIMITS.maxOutput, known: true });
+  });
+});
+
+describe('Token estimation', () => {
+  test('should estimate text and message tokens', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens('Hello, world!')).toBe(4);
+    expect(estimateTokens('a b c d e f')).toBe(8);
+    expect(estimateTokens('x'.repeat(4000))).toBe(1000);
+    expect(estimateMessagesTokens([{ role: 'user', content: 'Hello, world!' }])).toBe(8);
+  });
+
+  test('should count tool calls and structured content', () => {
+    const plain = estimateMessagesTokens([{ role: 'assistant', content: '' }]);
+    const withTool = estimateMessagesTokens([{
+      role: 'assistant',
+      content: [{ type: 'text', text: 'Reading' }],
+      toolCalls: [{ id: 'call_1', name: 'read_file', arguments: { path: 'src/cli.js' } }]
+    }]);
+
+    expect(withTool).toBeGreaterThan(plain + 10);
+  });
+});
+
+describe('fitMessages', () => {
+  const limits = { contextWindow: 8000, maxOutput: 4096 };
+
+  test('should leave a conversation that fits unchanged', () => {
+    const messages = conversation(2);
+    const result = fitMessages(messages, limits);
+
+    expect(result.messages).toEqual(messages);
+    expect(result.trimmedTurns).toBe(0);
+    expect(result.fits).toBe(true);
+    expect(result.budget).toBe(7000);
+    expect(result.nearLimit).toBe(false);
+  });
+
+  test('should drop the oldest turns and note what they asked', () => {
+    const result = fitMessages(conversation(6), limits);
+
+    expect(result.fits).toBe(true);
+    expect(result.inputTokens).toBeLessThanOrEqual(result.budget);
+    expect(result.trimmedTurns).toBe(3);
+    expect(result.messages[0]).toEqual({ role: 'system', content: 'Be brief.' });
+    expect(result.messages[1].role).toBe('system');
+    expect(result.messages[1].content).toMatch(/^3 earlier turns were removed to fit the context window\. Earlier, the user asked: "Question 1 lorem/);
+    expect(result.messages[2].content).toMatch(/^Question 4/);
+    expect(result.messages[result.messages.length - 1]).toEqual({ role: 'user', content: 'Latest question' });
+    expect(result.nearLimit).toBe(true);
+  });
+
+  test('should reserve the requested output tokens', () => {
+    expect(fitMessages(conversation(2), limits, { maxTokens: 3000 }).budget).toBe(5000);
+    expect(fitMessages(conversation(2), limits, { maxTokens: 6000 }).budget).toBe(3904);
+  });
+
+  test('should report a latest message that cannot fit', () => {
+    const result = fitMessages([{ role: 'user', content: 'x'.repeat(40000) }], limits);
+
+    expect(result.fits).toBe(false);
+    expect(result.trimmedTurns).toBe(0);
+  });
+});
+
+describe('fitSections', () => {
+  const repoMap = ['Repository files:', ...Array.from({ length: 40 }, (_, index) => `- src/module-${index}.js (javascript, general)`)].join('\n');
+
+  test('should keep sections that fit unchanged', () => {
+    expect(fitSections(['Agents:\n- reviewer: review', repoMap], 10000)).toEqual({ sections: ['Agents:\n- reviewer: review', repoMap], shortened: false });
+  });
+
+  test('should cut the section that overflows at a line break and drop the rest', () => {
+    const { sections, shortened } = fitSections(['Agents:\n- reviewer: review', repoMap, 'Skills:\n- code-review: Review'], 200);
+
+    expect(shortened).toBe(true);
+    expect(sections).toHaveLength(2);
+    expect(sections[1]).toMatch(/^Repository files:\n- src\/module-0\.js \(javascript, general\)\n[\s\S]*\n- \.\.\. \d+ more lines left out$/);
+    expect(estimateTokens(sections.join('\n\n'))).toBeLessThanOrEqual(200);
+  });
+
+  test('should drop a section that cannot keep any of its lines', () => {
+    expect(fitSections(['Agents:\n- reviewer: review', repoMap], 12)).toEqual({ sections: ['Agents:\n- reviewer: review'], shortened: true });
+  });
+});
+
+describe('Chat context management', () => {
+  const openai = providerManager.getProvider('openai');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const history = (turns) => Array.from({ length: turns }, (_, index) => ({
+    user: longText(`Question ${index + 1}`),
+    assistant: longText(`Answer ${index + 1}`)
+  }));
+
+  test('should trim history to the model and warn', async () => {
+    const send = jest.spyOn(openai, 'sendMessage').mockResolvedValue({ content: 'Hi', toolCalls: [] });
+    const onContextWarning = jest.fn();
+    const client = new ChatClient({ apiProvider: 'openai', apiModelId: 'gpt-4' }, {});
+
+    await client.send('Latest question', history(6), { onContextWarning });
+
+    const sent = send.mock.calls[0][0];
+    expect(sent.filter(message => message.role === 'user')).toHaveLength(4);
+    expect(onContextWarning).toHaveBeenCalledWith(expect.objectContaining({ model: 'gpt-4', contextWindow: 8192, trimmedTurns: 3 }));
+  });
+
+  test('should not trim or warn for models with room to spare', async () => {
+    const send = jest.spyOn(openai, 'sendMessage').mockResolvedValue({ content: 'Hi', toolCalls: [] });
+    const onContextWarning = jest.fn();
+    const client = new ChatClient({ apiProvider: 'openai', apiModelId: 'gpt-4-turbo' }, {});
+
+    await client.send('Latest question', history(6), { onContextWarning });
+
+    expect(send.mock.calls[0][0].filter(message => message.role === 'user')).toHaveLength(7);
+    expect(onContextWarning).not.toHaveBeenCalled();
+  });
+
+  test('should use the provider default model and modelLimits overrides', async () => {
+    const send = jest.spyOn(openai, 'sendMessage').mockResolvedValue({ content: 'Hi', toolCalls: [] });
+    const client = new ChatClient({ apiProvider: 'openai', modelLimits: { 'gpt-4': { contextWindow: 128000 } } }, {});
+
+    await client.send('Latest question', history(6));
+
+    expect(send.mock.calls[0][1].model).toBeUndefined();
+    expect(send.mock.calls[0][0].filter(message => message.role === 'user')).toHaveLength(7);
+  });
+
+  test('should refuse a message larger than a known context window', async () => {
+    const send = jest.spyOn(openai, 'sendMessage');
+    const client = new ChatClient({ apiProvider: 'openai', apiModelId: 'gpt-4' }, {});
+
+    const error = await client.send('x'.repeat(40000)).catch(thrown => thrown);
+
+    expect(error).toBeInstanceOf(ContextLengthError);
+    expect(error.message).toMatch(/^Message is too long for gpt-4: about \d+ tokens, the limit is 7192$/);
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  test('should shorten the repository map to fit small context windows', async () => {
+    const send = jest.spyOn(openai, 'sendMessage').mockResolvedValue({ content: 'Hi', toolCalls: [] });
+    const repoMap = ['Repository files:', ...Array.from({ length: 500 }, (_, index) => `- src/module-${index}.js (javascript, general)`)].join('\n');
+    const context = ['Agents:\n- codebase-analyzer: search', repoMap];
+
+    await new ChatClient({ apiProvider: 'openai', apiModelId: 'gpt-4' }, { context }).send('Latest question', history(2));
+    await new ChatClient({ apiProvider: 'openai', apiModelId: 'gpt-4-turbo' }, { context }).send('Latest question', history(2));
+
+    const [small, large] = send.mock.calls.map(([messages]) => messages.find(message => message.cache).content);
+    expect(small).toMatch(/^Agents:\n- codebase-analyzer: search\n\nRepository files:\n[\s\S]*more lines left out$/);
+    expect(estimateTokens(small)).toBeLessThanOrEqual((8192 - 1000) / 4);
+    expect(send.mock.calls[0][0].filter(message => message.role === 'user')).toHaveLength(3);
+    expect(large).toBe(context.join('\n\n'));
+  });
+
+  test('should print context warnings above the spinner', () => {
+    const spinner = { text: 'Processing message...', warn: jest.fn(), start: jest.fn() };
+    const printer = createStreamPrinter(spinner, 'Reply');
+
+    printer.contextWarning({ model: 'gpt-4', inputTokens: 6800, contextWindow: 8192, trimmedTurns: 0 });
+    printer.contextWarning({ model: 'gpt-4', inputTokens: 6800, contextWindow: 8192, trimmedTurns: 1 });
+
+    expect(spinner.warn.mock.calls[0][0]).toContain("Conversation is using 83% of gpt-4's context window; use /clear to start fresh");
+    expect(spinner.warn.mock.calls[1][0]).toContain("Removed 1 earlier turn to fit gpt-4's context window");
+    expect(spinner.start).toHaveBeenCalledWith('Processing message...');
+  });
+
+  test('should validate modelLimits in config', () => {
+    const config = { apiProvider: 'openai', apiModelId: 'gpt-4' };
+
+    expect(validateConfig({ ...config, modelLimits: { 'my-model': { contextWindow: 32768, maxOutput: 4096 } } })).toEqual({ valid: true });
+    expect(validateConfig({ ...config, modelLimits: { 'my-model': { contextWindow: '32k' } } }).error)
+      .toBe('modelLimits.my-model.contextWindow must be a positive integer');
+  });
+});
@@ -0,0 +1,221 @@
+const {
+  getEmbeddingModel,
+  resolveDimensions,
+  prepareEmbedRequest,
+  embedInBatches,
+  cosineSimilarity
+} = require('../providers/embeddings');
+const { addUsage } = require('../providers/usage');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { validateConfig } = require('../config');
+const { CodebaseAnalyzer } = require('../core/agentic-engine');
+const providerManager = require('../providers');
+const AWSProvider = require('../providers/aws');
+const GoogleProvider = require('../providers/google');
+const OpenAICompatibleProvider = require('../providers/openai-compatible');
+
+const vectorFor = (text) => {
+  if (text.includes('config')) return [1, 0, 0];
+  if (text.includes('login')) return [0, 1, 0];
+  return [0, 0, 1];
+};
+
+describe('Embeddings', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('model metadata', () => {
+    test('should know vector sizes of listed and tagged models', () => {
+      expect(getEmbeddingModel('text-embedding-3-small')).toMatchObject({ dimensions: 1536, reducible: true, known: true });
+      expect(getEmbeddingModel('nomic-embed-text:latest')).toMatchObject({ dimensions: 768, known: true });
+      expect(getEmbeddingModel('us.cohere.embed-english-v3')).toMatchObject({ dimensions: 1024, maxBatch: 96 });
+      expect(getEmbeddingModel('bge-m3')).toMatchObject({ dimensions: undefined, known: false });
+      expect(getEmbeddingModel('bge-m3', { 'bge-m3': { dimensions: 1024, maxBatch: 32 } })).toMatchObject({ dimensions: 1024, maxBatch: 32, known: true });
+    });
+
+    test('should accept only the sizes a model can return', () => {
+      expect(resolveDimensions('text-embedding-3-large', 256)).toBe(256);
+      expect(resolveDimensions('amazon.titan-embed-text-v2:0', 512)).toBe(512);
+      expect(resolveDimensions('text-embedding-ada-002', 1536)).toBeUndefined();
+      expect(resolveDimensions('text-embedding-ada-002')).toBeUndefined();
+      expect(() => resolveDimensions('amazon.titan-embed-text-v2:0', 300))
+        .toThrow('amazon.titan-embed-text-v2:0 cannot return 300-dimensional embeddings; supported: 256, 512, 1024');
+      expect(() => resolveDimensions('text-embedding-3-small', 2048)).toThrow('supported: 1 to 1536');
+    });
+
+    test('should validate embed arguments', async () => {
+      const provider = { name: 'openai', defaultEmbeddingModel: 'text-embedding-3-small' };
+
+      expect(prepareEmbedRequest('Hi', {}, provider)).toEqual({
+        texts: ['Hi'], model: 'text-embedding-3-small', dimensions: undefined, expected: 1536, maxBatch: undefined
+      });
+      expect(() => prepareEmbedRequest([1], {}, provider)).toThrow('Texts to embed must be strings');
+      expect(() => prepareEmbedRequest('Hi', { inputType: 'code' }, provider)).toThrow("Unknown embedding input type 'code'");
+      await expect(new OpenAICompatibleProvider('vllm', { baseURL: 'http://gpu-box:8000/v1' }).embed('Hi'))
+        .rejects.toThrow("No embedding model selected for provider 'vllm'");
+    });
+  });
+
+  test('should send batches one at a time and add up their usage', async () => {
+    const embedBatch = jest.fn(async batch => ({
+      embeddings: batch.map(vectorFor),
+      usage: addUsage({ inputTokens: batch.length * 10 })
+    }));
+
+    const result = await embedInBatches(['a config', 'b login', 'c', 'd config', 'e'], 2, embedBatch);
+
+    expect(embedBatch.mock.calls.map(([batch]) => batch)).toEqual([['a config', 'b login'], ['c', 'd config'], ['e']]);
+    expect(result.embeddings).toEqual([[1, 0, 0], [0, 1, 0], [0, 0, 1], [1, 0, 0], [0, 0, 1]]);
+    expect(result.usage).toMatchObject({ inputTokens: 50, totalTokens: 50 });
+    await expect(embedInBatches(['a', 'b'], 2, async () => ({ embeddings: [[1]] })))
+      .rejects.toThrow('Expected 2 embeddings but the provider returned 1');
+  });
+
+  test('should measure cosine similarity', () => {
+    expect(cosineSimilarity([1, 2, 3], [2, 4, 6])).toBeCloseTo(1);
+    expect(cosineSimilarity([1, 0], [0, 1])).toBe(0);
+    expect(cosineSimilarity([0, 0], [1, 1])).toBe(0);
+  });
+
+  describe('provider requests', () => {
+    test('should send Vertex AI predict instances with the task type', async () => {
+      const provider = new GoogleProvider();
+      provider.credentialsFile = 'service-account.json';
+      provider.projectId = 'acme';
+      provider.client = {
+        post: jest.fn().mockResolvedValue({
+          data: { predictions: [{ embeddings: { values: [0.1, 0.2], statistics: { token_count: 7 } } }] }
+        })
+      };
+
+      const result = await provider.embed('Where is the config loaded?', { inputType: 'query', dimensions: 2 });
+
+      expect(provider.client.post).toHaveBeenCalledWith(
+        '/projects/acme/locations/us-central1/publishers/google/models/text-embedding-004:predict',
+        {
+          instances: [{ content: 'Where is the config loaded?', task_type: 'RETRIEVAL_QUERY' }],
+          parameters: { autoTruncate: true, outputDimensionality: 2 }
+        },
+        undefined
+      );
+      expect(result).toMatchObject({ embeddings: [[0.1, 0.2]], dimensions: 2, usage: { inputTokens: 7 } });
+    });
+
+    test('should send Cohere search types and Titan sizes on Bedrock', async () => {
+      const provider = new AWSProvider();
+      provider.client = {
+        post: jest.fn()
+          .mockResolvedValueOnce({ headers: { 'x-amzn-bedrock-input-token-count': '4' }, data: { embeddings: [new Array(1024).fill(0)] } })
+          .mockResolvedValueOnce({ headers: {}, data: { embedding: new Array(256).fill(0), inputTextTokenCount: 4 } })
+      };
+
+      await provider.embed('login form', { model: 'cohere.embed-english-v3', inputType: 'query' });
+      const titan = await provider.embed('login form', { dimensions: 256 });
+
+      expect(provider.client.post.mock.calls[0].slice(0, 2)).toEqual([
+        '/model/cohere.embed-english-v3/invoke',
+        { texts: ['login form'], input_type: 'search_query', truncate: 'END' }
+      ]);
+      expect(provider.client.post.mock.calls[1].slice(0, 2)).toEqual([
+        '/model/amazon.titan-embed-text-v2%3A0/invoke',
+        { inputText: 'login form', dimensions: 256, normalize: true }
+      ]);
+      expect(titan).toMatchObject({ dimensions: 256, usage: { inputTokens: 4 } });
+    });
+
+    test('should reject vectors of the wrong size', async () => {
+      const provider = new AWSProvider();
+      provider.client = { post: jest.fn().mockResolvedValue({ headers: {}, data: { embedding: [0, 1] } }) };
+
+      await expect(provider.embed('login form')).rejects
+        .toThrow('amazon.titan-embed-text-v2:0 returned a 2-dimensional embedding where 1024 dimensions were expected');
+    });
+  });
+
+  describe('codebase search', () => {
+    const files = {
+      '/repo/src/config.js': 'function loadConfig() {}',
+      '/repo/src/login.js': 'function renderLogin() {}'
+    };
+
+    let dir;
+    const createAnalyzer = (embeddings = { provider: 'openai', model: 'text-embedding-3-small' }) => {
+      const analyzer = new CodebaseAnalyzer({ embeddings }, { vectorCache: path.join(dir, 'embeddings.json') });
+      for (const [file, content] of Object.entries(files)) {
+        analyzer.index.set(file, { path: file, context: { keyTerms: [], purpose: 'general', summary: content }, dependencies: [] });
+      }
+      return analyzer;
+    };
+
+    const documents = (overrides = {}) => Object.entries({ ...files, ...overrides })
+      .map(([file, text]) => ({ file, text: `${file}\n${text}` }));
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sheikh-vectors-'));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      await fs.remove(dir);
+    });
+
+    test('should rank embedded files by similarity to the query', async () => {
+      const embed = jest.spyOn(providerManager.getProvider('openai'), 'embed')
+        .mockImplementation(async texts => ({ embeddings: texts.map(vectorFor) }));
+      const analyzer = createAnalyzer();
+
+      await analyzer.embedFiles(documents());
+      const results = await analyzer.agenticSearch('where is the config read');
+
+      expect(results.map(result => [result.file, result.relevance])).toEqual([['/repo/src/config.js', 1]]);
+      expect(embed.mock.calls[0][1]).toMatchObject({ model: 'text-embedding-3-small', inputType: 'document' });
+      expect(embed.mock.calls[1]).toEqual([['where is the config read'], expect.objectContaining({ inputType: 'query' })]);
+    });
+
+    test('should keep vectors between runs and embed only changed files', async () => {
+      const embed = jest.spyOn(providerManager.getProvider('openai'), 'embed')
+        .mockImplementation(async texts => ({ embeddings: texts.map(vectorFor) }));
+
+      await createAnalyzer().embedFiles(documents());
+      const analyzer = createAnalyzer();
+      await analyzer.embedFiles(documents({ '/repo/src/login.js': 'function renderLoginForm() {}' }));
+      await createAnalyzer().embedFiles(documents({ '/repo/src/login.js': 'function renderLoginForm() {}' }));
+
+      expect(embed.mock.calls.map(([texts]) => texts)).toEqual([
+        ['/repo/src/config.js\nfunction loadConfig() {}', '/repo/src/login.js\nfunction renderLogin() {}'],
+        ['/repo/src/login.js\nfunction renderLoginForm() {}']
+      ]);
+      expect(Array.from(analyzer.vectors)).toEqual([['/repo/src/config.js', [1, 0, 0]], ['/repo/src/login.js', [0, 1, 0]]]);
+      expect(Object.keys((await fs.readJson(path.join(dir, 'embeddings.json'))).vectors)).toHaveLength(2);
+
+      // Vectors made with another model are not reused
+      await createAnalyzer({ provider: 'openai', model: 'text-embedding-3-large' }).embedFiles(documents());
+      expect(embed).toHaveBeenCalledTimes(3);
+      expect(embed.mock.calls[2][0]).toHaveLength(2);
+    });
+
+    test('should fall back to keyword search when files cannot be embedded', async () => {
+      jest.spyOn(providerManager.getProvider('openai'), 'embed').mockRejectedValue(new Error('OpenAI API error: Incorrect API key'));
+      const analyzer = createAnalyzer();
+
+      await analyzer.embedFiles([{ file: '/repo/src/config.js', text: 'config' }]);
+
+      expect(analyzer.vectors.size).toBe(0);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Could not embed files, using keyword search: OpenAI API error'));
+      expect(await analyzer.agenticSearch('config')).toEqual([]);
+    });
+  });
+
+  test('should validate the embeddings configuration', () => {
+    const base = { apiProvider: 'anthropic', apiModelId: 'claude-3-5-sonnet-20241022' };
+
+    expect(validateConfig({ ...base, embeddings: { provider: 'openai', dimensions: 512 } })).toEqual({ valid: true });
+    expect(validateConfig({ ...base, embeddings: { provider: 'nowhere' } }).error).toMatch(/^embeddings.provider must be one of: anthropic/);
+    expect(validateConfig({ ...base, embeddings: { provider: 'openai', dimensions: 0 } }).error).toBe('embeddings.dimensions must be a positive integer');
+    expect(validateConfig({ ...base, embeddingModels: { 'bge-m3': { dimensions: 1024, maxBatch: 0 } } }).error)
+      .toBe('embeddingModels.bge-m3.maxBatch must be a positive integer');
+  });
+});
@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { GoogleServiceAccountAuth, createJWTAssertion } = require('../providers/google-auth');
+const GoogleProvider = require('../providers/google');
+const { InvalidRequestError, NetworkError } = require('../providers/errors');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+
+const serviceAccount = {
+  type: 'service_account',
+  project_id: 'demo-project',
+  private_key_id: 'key-1',
+  private_key: privateKey,
+  client_email: 'sheikh@demo-project.iam.gserviceaccount.com',
+  token_uri: 'https://oauth2.googleapis.com/token'
+};
+
+const decode = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+const tokenClient = () => ({
+  post: jest.fn()
+    .mockResolvedValueOnce({ data: { access_token: 'token-1', expires_in: 3600 } })
+    .mockResolvedValueOnce({ data: { access_token: 'token-2', expires_in: 3600 } })
+});
+
+const collect = async (iterator) => {
+  const items = [];
+  for await (const item of iterator) {
+    items.push(item);
+  }
+  return items;
+};
+
+describe('Google service-account auth', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should create an RS256 JWT assertion', () => {
+    const jwt = createJWTAssertion(serviceAccount, { now: 1700000000000 });
+    const [header, claims, signature] = jwt.split('.');
+
+    expect(decode(header)).toEqual({ alg: 'RS256', typ: 'JWT', kid: 'key-1' });
+    expect(decode(claims)).toEqual({
+      iss: serviceAccount.client_email,
+      scope: 'https://www.googleapis.com/auth/cloud-platform',
+      aud: 'https://oauth2.googleapis.com/token',
+      iat: 1700000000,
+      exp: 1700003600
+    });
+    expect(crypto.verify('RSA-SHA256', Buffer.from(`${header}.${claims}`), publicKey, Buffer.from(signature, 'base64url'))).toBe(true);
+  });
+
+  test('should exchange the assertion and cache the token', async () => {
+    const httpClient = tokenClient();
+    const auth = new GoogleServiceAccountAuth(serviceAccount, { httpClient });
+
+    const tokens = await Promise.all([auth.getAccessToken(), auth.getAccessToken()]);
+    const [url, body] = httpClient.post.mock.calls[0];
+    const params = new URLSearchParams(body);
+
+    expect(tokens).toEqual(['token-1', 'token-1']);
+    expect(await auth.getAccessToken()).toBe('token-1');
+    expect(httpClient.post).toHaveBeenCalledTimes(1);
+    expect(url).toBe('https://oauth2.googleapis.com/token');
+    expect(params.get('grant_type')).toBe('urn:ietf:params:oauth:grant-type:jwt-bearer');
+    expect(params.get('assertion').split('.')).toHaveLength(3);
+  });
+
+  test('should refresh a token that is about to expire', async () => {
+    const httpClient = tokenClient();
+    const auth = new GoogleServiceAccountAuth(serviceAccount, { httpClient });
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    expect(await auth.getAccessToken()).toBe('token-1');
+
+    Date.now.mockReturnValue(now + 3570 * 1000);
+    expect(await auth.getAccessToken()).toBe('token-2');
+  });
+
+  test('should report token endpoint errors', async () => {
+    const error = new Error('Request failed with status code 400');
+    error.response = { status: 400, data: { error: 'invalid_grant', error_description: 'Invalid JWT Signature.' } };
+    const auth = new GoogleServiceAccountAuth(serviceAccount, { httpClient: { post: jest.fn().mockRejectedValue(error) } });
+
+    const caught = await auth.getAccessToken().catch(rejection => rejection);
+
+    expect(caught).toBeInstanceOf(InvalidRequestError);
+    expect(caught).toMatchObject({ provider: 'google', status: 400 });
+    expect(caught.message).toBe('Google OAuth error: Invalid JWT Signature.');
+  });
+
+  test('should report an unreachable token endpoint as a network error', async () => {
+    const error = Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:443'), { code: 'ECONNREFUSED' });
+    const auth = new GoogleServiceAccountAuth(serviceAccount, { httpClient: { post: jest.fn().mockRejectedValue(error) } });
+
+    const caught = await auth.getAccessToken().catch(rejection => rejection);
+
+    expect(caught).toBeInstanceOf(NetworkError);
+    expect(caught).toMatchObject({ provider: 'google', code: 'ECONNREFUSED' });
+  });
+
+  test('should reject files that are not service-account keys', () => {
+    const keyFile = path.join(os.tmpdir(), `sheikh-user-credentials-${process.pid}.json`);
+    fs.writeFileSync(keyFile, JSON.stringify({ type: 'authorized_user' }));
+
+    try {
+      expect(() => GoogleServiceAccountAuth.fromFile(keyFile)).toThrow('is not a service-account key');
+    } finally {
+      fs.unlinkSync(keyFile);
+    }
+  });
+});
+
+describe('GoogleProvider endpoints', () => {
+  const reply = { candidates: [{ content: { role: 'model', parts: [{ text: 'Hi' }] }, finishReason: 'STOP' }] };
+  let keyFile;
+
+  beforeEach(() => {
+    keyFile = path.join(os.tmpdir(), `sheikh-service-account-${process.pid}.json`);
+    fs.writeFileSync(keyFile, JSON.stringify(serviceAccount));
+  });
+
+  afterEach(() => {
+    fs.unlinkSync(keyFile);
+  });
+
+  const createProvider = (settings) => Object.assign(new GoogleProvider(), {
+    apiKey: undefined,
+    credentialsFile: undefined,
+    projectId: undefined,
+    location: 'us-central1'
+  }, settings);
+
+  const respondWith = (...results) => {
+    const adapter = jest.fn();
+    for (const result of results) {
+      adapter.mockImplementationOnce(async config => {
+        if (result instanceof Error) {
+          result.config = config;
+          throw result;
+        }
+        return { data: result, status: 200, statusText: 'OK', headers: {}, config };
+      });
+    }
+    return adapter;
+  };
+
+  test('should call Vertex AI generateContent with a service-account token', async () => {
+    const provider = createProvider({ credentialsFile: keyFile });
+    await provider.initialize();
+    provider.auth.httpClient = tokenClient();
+    provider.client.defaults.adapter = respondWith(reply);
+
+    const response = await provider.sendMessage('Hello', { safetySettings: [{ category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_ONLY_HIGH' }] });
+    const config = provider.client.defaults.adapter.mock.calls[0][0];
+
+    expect(provider.projectId).toBe('demo-project');
+    expect(config.baseURL).toBe('https://us-central1-aiplatform.googleapis.com/v1');
+    expect(config.url).toBe('/projects/demo-project/locations/us-central1/publishers/google/models/gemini-1.5-pro:generateContent');
+    expect(config.headers.get('Authorization')).toBe('Bearer token-1');
+    expect(JSON.parse(config.data).safetySettings).toEqual([{ category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_ONLY_HIGH' }]);
+    expect(response.content).toBe('Hi');
+  });
+
+  test('should mint a new token and retry once after a 401', async () => {
+    const unauthorized = new Error('Request failed with status code 401');
+    unauthorized.response = { status: 401, data: { error: { message: 'Invalid credentials' } } };
+
+    const provider = createProvider({ credentialsFile: keyFile });
+    await provider.initialize();
+    provider.auth.httpClient = tokenClient();
+    provider.client.defaults.adapter = respondWith(unauthorized, reply);
+
+    const response = await provider.sendMessage('Hello');
+    const retried = provider.client.defaults.adapter.mock.calls[1][0];
+
+    expect(retried.headers.get('Authorization')).toBe('Bearer token-2');
+    expect(response.content).toBe('Hi');
+  });
+
+  test('should use the Gemini API with an API key', async () => {
+    const provider = createProvider({ apiKey: 'gemini-key' });
+    await provider.initialize();
+    provider.client.defaults.adapter = respondWith(reply);
+
+    await provider.sendMessage('Hello', { model: 'gemini-1.5-flash' });
+    const config = provider.client.defaults.adapter.mock.calls[0][0];
+
+    expect(config.baseURL).toBe('https://generativelanguage.googleapis.com/v1beta');
+    expect(config.url).toBe('/models/gemini-1.5-flash:generateContent');
+    expect(config.headers.get('x-goog-api-key')).toBe('gemini-key');
+    expect(config.headers.get('Authorization')).toBeUndefined();
+  });
+
+  test('should require credentials', async () => {
+    await expect(createProvider({}).initialize()).rejects.toThrow('GOOGLE_APPLICATION_CREDENTIALS (Vertex AI) or GEMINI_API_KEY');
+  });
+
+  test('should surface safety blocks', async () => {
+    const provider = createProvider({ apiKey: 'gemini-key' });
+    provider.client = { post: jest.fn().mockResolvedValue({ data: { promptFeedback: { blockReason: 'SAFETY' } } }) };
+
+    await expect(provider.sendMessage('Hello')).rejects.toThrow('Prompt blocked (SAFETY)');
+  });
+
+  test('should stream streamGenerateContent server-sent events', async () => {
+    const provider = createProvider({ apiKey: 'gemini-key' });
+    const chunks = [
+      { candidates: [{ content: { role: 'model', parts: [{ text: 'Gem' }] } }] },
+      { candidates: [{ content: { role: 'model', parts: [{ text: 'ini' }] }, finishReason: 'STOP' }], usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 2, totalTokenCount: 7 }, modelVersion: 'gemini-1.5-pro-002' }
+    ];
+    provider.client = {
+      post: jest.fn().mockResolvedValue({ data: Readable.from([chunks.map(chunk => `data: ${JSON.stringify(chunk)}\r\n\r\n`).join('')]) })
+    };
+
+    const deltas = await collect(provider.streamMessage('Hello'));
+
+    expect(provider.client.post.mock.calls[0][0]).toBe('/models/gemini-1.5-pro:streamGenerateContent?alt=sse');
+    expect(deltas.filter(delta => delta.type === 'text').map(delta => delta.text)).toEqual(['Gem', 'ini']);
+    expect(deltas[deltas.length - 1]).toEqual({
+      type: 'done',
+      content: 'Gemini',
+      toolCalls: [],
+      usage: expect.objectContaining({ inputTokens: 5, outputTokens: 2, totalTokens: 7 }),
+      model: 'gemini-1.5-pro-002'
+    });
+  });
+});
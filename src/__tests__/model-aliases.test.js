@@ -0,0 +1,137 @@
+const {
+  getModelAliases,
+  isModelAlias,
+  resolveModelAlias,
+  checkFrontmatterModel,
+  ModelAliasError
+} = require('../providers/aliases');
+const providerManager = require('../providers');
+const { ChatClient } = require('../core/chat-client');
+const { validateConfig } = require('../config');
+const agentsManager = require('../agents');
+const skillsManager = require('../skills');
+
+const modelAliases = {
+  fast: { ollama: 'qwen2.5-coder:7b' },
+  reviewer: { anthropic: 'claude-3-opus-20240229', openai: 'gpt-4o' }
+};
+
+describe('Model aliases', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should resolve built-in tiers for each provider', () => {
+    expect(resolveModelAlias('fast', 'openai')).toBe('gpt-4o-mini');
+    expect(resolveModelAlias('smart', 'google')).toBe('gemini-1.5-pro');
+    expect(resolveModelAlias('sonnet', 'aws')).toBe('anthropic.claude-3-5-sonnet-20241022-v2:0');
+    expect(resolveModelAlias('haiku', 'anthropic')).toBe('claude-3-5-haiku-20241022');
+  });
+
+  test('should pass model IDs through and leave inherit to the session', () => {
+    expect(resolveModelAlias('gpt-4-turbo', 'openai')).toBe('gpt-4-turbo');
+    expect(resolveModelAlias('inherit', 'openai')).toBeUndefined();
+    expect(resolveModelAlias(undefined, 'openai')).toBeUndefined();
+  });
+
+  test('should merge configured aliases over the built-in ones', () => {
+    const aliases = getModelAliases(modelAliases);
+
+    expect(aliases.fast).toMatchObject({ openai: 'gpt-4o-mini', ollama: 'qwen2.5-coder:7b' });
+    expect(resolveModelAlias('reviewer', 'openai', modelAliases)).toBe('gpt-4o');
+    expect(isModelAlias('reviewer', modelAliases)).toBe(true);
+    expect(isModelAlias('reviewer')).toBe(false);
+  });
+
+  test('should name the providers an alias is defined for', () => {
+    let error;
+    try {
+      resolveModelAlias('opus', 'ollama');
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(ModelAliasError);
+    expect(error).toMatchObject({ code: 'ERR_MODEL_ALIAS', alias: 'opus', provider: 'ollama' });
+    expect(error.message).toBe("Model alias 'opus' has no model for provider 'ollama'. It is defined for: anthropic, aws. Add one under modelAliases.opus.ollama");
+  });
+
+  test('should only accept inherit or an alias in frontmatter', () => {
+    expect(checkFrontmatterModel(undefined)).toBeNull();
+    expect(checkFrontmatterModel('inherit')).toBeNull();
+    expect(checkFrontmatterModel('fast')).toBeNull();
+    expect(checkFrontmatterModel('reviewer', modelAliases)).toBeNull();
+    expect(checkFrontmatterModel('turbo')).toBe("Unknown model alias 'turbo'. Must be one of: inherit, fast, smart, sonnet, opus, haiku; add aliases under modelAliases");
+  });
+
+  describe('agents and skills', () => {
+    const agent = { name: 'reviewer', description: 'Reviews changes', model: 'reviewer' };
+
+    test('should validate frontmatter models against the alias table', () => {
+      expect(agentsManager.validateAgent(agent)).toEqual({ valid: false, error: expect.stringContaining("Unknown model alias 'reviewer'") });
+      expect(agentsManager.validateAgent(agent, modelAliases)).toEqual({ valid: true });
+      expect(skillsManager.validateSkill({ name: 'lint', description: 'Lints', model: 'turbo' }).error).toMatch(/^Unknown model alias 'turbo'/);
+      expect(skillsManager.validateSkill({ name: 'lint', description: 'Lints', model: 'fast' })).toEqual({ valid: true });
+    });
+
+    test('should run on the alias model for the session provider', async () => {
+      agentsManager.agents.set('reviewer', agent);
+      agentsManager.agents.set('helper', { name: 'helper', description: 'Helps', model: 'inherit' });
+
+      try {
+        const context = { provider: 'openai', model: 'gpt-4', modelAliases };
+        expect((await agentsManager.executeAgent('reviewer', context)).model).toBe('gpt-4o');
+        expect((await agentsManager.executeAgent('helper', context)).model).toBe('gpt-4');
+        await expect(agentsManager.executeAgent('reviewer', { ...context, provider: 'ollama' })).rejects.toThrow(ModelAliasError);
+      } finally {
+        agentsManager.agents.delete('reviewer');
+        agentsManager.agents.delete('helper');
+      }
+    });
+  });
+
+  describe('chat client', () => {
+    test('should resolve --model and the configured model for the provider', () => {
+      expect(new ChatClient({ apiProvider: 'openai', apiModelId: 'smart' }).resolve().model).toBe('gpt-4o');
+      expect(new ChatClient({ apiProvider: 'openai', apiModelId: 'smart' }, { provider: 'google', model: 'fast' }).resolve().model).toBe('gemini-2.0-flash');
+      expect(new ChatClient({ apiProvider: 'ollama', apiModelId: 'fast', modelAliases }).resolve().model).toBe('qwen2.5-coder:7b');
+    });
+
+    test('should resolve fallback aliases for each provider in the chain', () => {
+      const client = new ChatClient({
+        apiProvider: 'anthropic',
+        apiModelId: 'sonnet',
+        fallback: [{ provider: 'aws', model: 'sonnet' }, { provider: 'openai', model: 'smart' }]
+      });
+
+      expect(client.resolveChain().map(target => [target.providerName, target.model])).toEqual([
+        ['anthropic', 'claude-3-5-sonnet-20241022'],
+        ['aws', 'anthropic.claude-3-5-sonnet-20241022-v2:0'],
+        ['openai', 'gpt-4o']
+      ]);
+    });
+
+    test('should fail the turn for an alias the provider lacks', async () => {
+      const send = jest.spyOn(providerManager.getProvider('ollama'), 'sendMessage');
+      const client = new ChatClient({ apiProvider: 'ollama', apiModelId: 'llama3.1' }, { model: 'opus' });
+
+      await expect(client.send('Hi')).rejects.toThrow("Model alias 'opus' has no model for provider 'ollama'");
+      expect(send).not.toHaveBeenCalled();
+    });
+  });
+
+  test('should validate the alias configuration', () => {
+    const base = { apiProvider: 'anthropic', apiModelId: 'smart' };
+
+    expect(validateConfig({ ...base, modelAliases })).toEqual({ valid: true });
+    expect(validateConfig({ ...base, modelAliases: { inherit: { openai: 'gpt-4o' } } }).error)
+      .toBe("modelAliases cannot redefine 'inherit', which means the session's model");
+    expect(validateConfig({ ...base, modelAliases: { fast: { mistral: 'mistral-small' } } }).error)
+      .toMatch(/^modelAliases.fast.mistral is not a provider/);
+    expect(validateConfig({ ...base, modelAliases: { fast: { openai: '' } } }).error).toBe('modelAliases.fast.openai must be a model ID');
+    expect(validateConfig({ ...base, apiProvider: 'ollama', apiModelId: 'opus' }).error)
+      .toMatch(/^apiModelId: Model alias 'opus' has no model for provider 'ollama'/);
+    expect(validateConfig({ ...base, fallback: [{ provider: 'google', model: 'haiku' }] }).error)
+      .toMatch(/^fallback\[0\].model: Model alias 'haiku' has no model for provider 'google'/);
+  });
+});
@@ -0,0 +1,171 @@
+const OpenAICompatibleProvider = require('../providers/openai-compatible');
+const OpenAIProvider = require('../providers/openai');
+const providerManager = require('../providers');
+const { ChatClient } = require('../core/chat-client');
+const { validateConfig } = require('../config');
+
+const vllm = {
+  type: 'openai-compatible',
+  baseURL: 'http://gpu-box:8000/v1/',
+  models: ['meta-llama/Llama-3.1-8B-Instruct', 'Qwen/Qwen2.5-7B-Instruct'],
+  headers: { 'X-Team': 'platform' }
+};
+
+const reply = { choices: [{ message: { content: 'Hi' } }], model: 'meta-llama/Llama-3.1-8B-Instruct' };
+
+describe('OpenAICompatibleProvider', () => {
+  const originalEnv = process.env;
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should use the configured base URL, headers and default model', async () => {
+    const provider = new OpenAICompatibleProvider('vllm', vllm);
+    await provider.initialize();
+
+    expect(provider.client.defaults.baseURL).toBe('http://gpu-box:8000/v1');
+    expect(provider.client.defaults.headers['X-Team']).toBe('platform');
+    expect(provider.client.defaults.headers.Authorization).toBeUndefined();
+
+    provider.client.post = jest.fn().mockResolvedValue({ data: reply });
+    await provider.sendMessage('Hello');
+
+    expect(provider.client.post.mock.calls[0][1].model).toBe('meta-llama/Llama-3.1-8B-Instruct');
+  });
+
+  test('should read the API key from apiKeyEnv', async () => {
+    process.env = { ...originalEnv, LMSTUDIO_KEY: 'secret' };
+    const provider = new OpenAICompatibleProvider('lmstudio', { ...vllm, apiKeyEnv: 'LMSTUDIO_KEY' });
+    await provider.initialize();
+
+    expect(provider.client.defaults.headers.Authorization).toBe('Bearer secret');
+  });
+
+  test('should require the apiKeyEnv variable when one is named', async () => {
+    process.env = { ...originalEnv };
+    delete process.env.MISSING_KEY;
+    const provider = new OpenAICompatibleProvider('vllm', { ...vllm, apiKeyEnv: 'MISSING_KEY' });
+
+    expect(provider.isAvailable()).toBe(false);
+    await expect(provider.initialize()).rejects.toThrow("MISSING_KEY environment variable is required for provider 'vllm'");
+  });
+
+  test('should apply quirks to the request body', () => {
+    const provider = new OpenAICompatibleProvider('vllm', {
+      ...vllm,
+      quirks: { maxTokensParam: 'max_completion_tokens', toolChoice: false, systemRole: false, streamUsage: false }
+    });
+    const tools = [{ name: 'read_file', parameters: { type: 'object', properties: {} } }];
+
+    const payload = provider.buildStreamPayload([
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Hello' }
+    ], { tools, toolChoice: 'auto', maxTokens: 50 });
+
+    expect(payload.max_completion_tokens).toBe(50);
+    expect(payload.max_tokens).toBeUndefined();
+    expect(payload.tool_choice).toBeUndefined();
+    expect(payload.tools).toHaveLength(1);
+    expect(payload.messages).toEqual([{ role: 'user', content: 'Be brief.\n\nHello' }]);
+    expect(payload.stream).toBe(true);
+    expect(payload.stream_options).toBeUndefined();
+  });
+
+  test('should put the system prompt before the parts of a user turn with attachments', () => {
+    const provider = new OpenAICompatibleProvider('vllm', { ...vllm, quirks: { systemRole: false } });
+
+    const payload = provider.buildPayload([
+      { role: 'system', content: 'Be brief.' },
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: 'What is in this screenshot?' },
+          { type: 'image', mediaType: 'image/png', data: 'iVBORw0KGgo=' }
+        ]
+      }
+    ]);
+
+    expect(payload.messages).toEqual([{
+      role: 'user',
+      content: [
+        { type: 'text', text: 'Be brief.' },
+        { type: 'text', text: 'What is in this screenshot?' },
+        { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0KGgo=' } }
+      ]
+    }]);
+  });
+
+  test('should require a model when none is configured', () => {
+    const provider = new OpenAICompatibleProvider('vllm', { type: 'openai-compatible', baseURL: 'http://localhost:8000/v1' });
+
+    expect(() => provider.buildPayload('Hello')).toThrow("No model selected for provider 'vllm'");
+  });
+
+  test('should list models from the model list endpoint', async () => {
+    const provider = new OpenAICompatibleProvider('lmstudio', { ...vllm, modelsEndpoint: '/api/v0/models' });
+    provider.client = { get: jest.fn().mockResolvedValue({ data: { data: [{ id: 'qwen2.5-7b' }, { id: 'gemma-2-9b' }] } }) };
+
+    expect(await provider.listModels()).toEqual(['qwen2.5-7b', 'gemma-2-9b']);
+    expect(provider.client.get).toHaveBeenCalledWith('/api/v0/models', undefined);
+  });
+
+  test('should name the provider in API errors', async () => {
+    const provider = new OpenAICompatibleProvider('vllm', vllm);
+    const error = new Error('Request failed with status code 404');
+    error.response = { data: { error: { message: 'The model does not exist.' } } };
+    provider.client = { post: jest.fn().mockRejectedValue(error) };
+
+    await expect(provider.sendMessage('Hello')).rejects.toThrow('vllm API error: The model does not exist.');
+  });
+
+  test('should let OPENAI_BASE_URL point the openai provider elsewhere', () => {
+    process.env = { ...originalEnv, OPENAI_BASE_URL: 'https://proxy.internal/v1' };
+
+    expect(new OpenAIProvider().baseURL).toBe('https://proxy.internal/v1');
+  });
+});
+
+describe('Configured providers', () => {
+  afterEach(() => {
+    for (const name of ['vllm', 'lmstudio']) {
+      providerManager.providers.delete(name);
+    }
+  });
+
+  test('should register the same type under several names', () => {
+    const names = providerManager.registerConfiguredProviders({
+      vLLM: vllm,
+      lmstudio: { type: 'openai-compatible', baseURL: 'http://localhost:1234/v1' }
+    });
+
+    expect(names).toEqual(['vllm', 'lmstudio']);
+    expect(providerManager.getProvider('vllm').baseURL).toBe('http://gpu-box:8000/v1');
+    expect(providerManager.getProvider('lmstudio').baseURL).toBe('http://localhost:1234/v1');
+  });
+
+  test('should not replace built-in providers', () => {
+    expect(() => providerManager.registerConfiguredProviders({ openai: vllm })).toThrow("Provider 'openai' is built in");
+  });
+
+  test('should reject unknown provider types', () => {
+    expect(() => providerManager.registerConfiguredProviders({ vllm: { baseURL: 'http://x' } })).toThrow("Unknown type 'undefined'");
+  });
+
+  test('should resolve a configured provider in chat sessions', () => {
+    const client = new ChatClient({ apiProvider: 'vllm', apiModelId: 'Qwen/Qwen2.5-7B-Instruct', providers: { vllm } }, {});
+    const { providerName, provider, model } = client.resolve();
+
+    expect(providerName).toBe('vllm');
+    expect(provider).toBeInstanceOf(OpenAICompatibleProvider);
+    expect(model).toBe('Qwen/Qwen2.5-7B-Instruct');
+  });
+
+  test('should accept configured provider names in validateConfig', () => {
+    expect(validateConfig({ apiProvider: 'vllm', apiModelId: 'm', providers: { vllm } })).toEqual({ valid: true });
+    expect(validateConfig({ apiProvider: 'vllm', apiModelId: 'm', providers: { vllm: { ...vllm, baseURL: 'gpu-box' } } }).error)
+      .toBe('providers.vllm.baseURL must be an http(s) URL');
+    expect(validateConfig({ apiProvider: 'vllm', apiModelId: 'm', providers: { ollama: vllm } }).error)
+      .toBe('providers.ollama conflicts with a built-in provider');
+  });
+});
@@ -0,0 +1,149 @@
+const { Readable } = require('stream');
+const { normalizeMessages } = require('../providers/messages');
+const { addUsage } = require('../providers/usage');
+const { formatUsageReport } = require('../utils/usage-report');
+const { ChatClient } = require('../core/chat-client');
+const { AgenticEngine } = require('../core/agentic-engine');
+const providerManager = require('../providers');
+const AnthropicProvider = require('../providers/anthropic');
+const AWSProvider = require('../providers/aws');
+const OpenAIProvider = require('../providers/openai');
+
+const strip = (text) => text.replace(/\x1b\[[0-9;]*m/g, '');
+
+const repoMap = 'Repository files:\n- src/cli.js (javascript, general)\n- src/config.js (javascript, configuration)';
+
+const conversation = [
+  { role: 'system', content: 'You are Sheikh.' },
+  { role: 'system', content: repoMap, cache: true },
+  { role: 'user', content: 'Where is the config loaded?', cache: true },
+  { role: 'assistant', content: 'In src/config.js.' },
+  { role: 'user', content: 'And validated?' }
+];
+
+describe('Prompt caching', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should keep cache markers on system blocks', () => {
+    const request = normalizeMessages(conversation, { system: 'Base' });
+
+    expect(request.system).toBe(`Base\n\nYou are Sheikh.\n\n${repoMap}`);
+    expect(request.systemBlocks).toEqual([
+      { text: 'Base', cache: false },
+      { text: 'You are Sheikh.', cache: false },
+      { text: repoMap, cache: true }
+    ]);
+  });
+
+  test('should place Anthropic cache_control breakpoints', () => {
+    const payload = new AnthropicProvider().buildPayload(conversation);
+
+    expect(payload.system).toEqual([
+      { type: 'text', text: 'You are Sheikh.' },
+      { type: 'text', text: repoMap, cache_control: { type: 'ephemeral' } }
+    ]);
+    expect(payload.messages[0].content).toEqual([
+      { type: 'text', text: 'Where is the config loaded?', cache_control: { type: 'ephemeral' } }
+    ]);
+    expect(payload.messages[2].content[0].cache_control).toBeUndefined();
+  });
+
+  test('should send the system prompt as a string without breakpoints', () => {
+    expect(new AnthropicProvider().buildPayload('Hi', { system: 'Be brief' }).system).toBe('Be brief');
+  });
+
+  test('should place Bedrock cache points', () => {
+    const payload = new AWSProvider().buildPayload(conversation);
+
+    expect(payload.system).toEqual([
+      { text: 'You are Sheikh.' },
+      { text: repoMap },
+      { cachePoint: { type: 'default' } }
+    ]);
+    expect(payload.messages[0].content).toEqual([
+      { text: 'Where is the config loaded?' },
+      { cachePoint: { type: 'default' } }
+    ]);
+  });
+
+  test('should ignore cache markers on providers without caching', () => {
+    const payload = new OpenAIProvider({ apiKey: 'test' }).buildPayload(conversation);
+
+    expect(payload.messages[0]).toEqual({ role: 'system', content: `You are Sheikh.\n\n${repoMap}` });
+    expect(payload.messages[1]).toEqual({ role: 'user', content: 'Where is the config loaded?' });
+  });
+
+  test('should report cache reads and writes from Anthropic streams', async () => {
+    const provider = new AnthropicProvider();
+    const events = [
+      { type: 'message_start', message: { model: 'claude-3-5-sonnet-20241022', usage: { input_tokens: 12, cache_read_input_tokens: 3000, cache_creation_input_tokens: 0 } } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Yes' } },
+      { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 2 } }
+    ];
+    provider.client = {
+      post: jest.fn().mockResolvedValue({
+        data: Readable.from(events.map(event => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`))
+      })
+    };
+
+    let done;
+    for await (const delta of provider.streamMessage(conversation)) {
+      if (delta.type === 'done') {
+        done = delta;
+      }
+    }
+
+    expect(done.usage).toMatchObject({ inputTokens: 12, outputTokens: 2, cacheReadTokens: 3000, cacheWriteTokens: 0 });
+  });
+
+  test('should send session context as a cached system message', async () => {
+    const sendMessage = jest.spyOn(providerManager.getProvider('anthropic'), 'sendMessage')
+      .mockResolvedValue({ content: 'In src/config.js.', usage: addUsage(), model: 'claude-3-5-sonnet-20241022' });
+    const client = new ChatClient({}, { provider: 'anthropic', context: ['Agents:\n- codebase-analyzer: search', repoMap] });
+
+    await client.send('Where is the config loaded?');
+
+    const [messages] = sendMessage.mock.calls[0];
+    expect(messages[0]).toEqual({ role: 'system', content: expect.stringContaining('You are Sheikh') });
+    expect(messages[1]).toEqual({ role: 'system', content: `Agents:\n- codebase-analyzer: search\n\n${repoMap}`, cache: true });
+    expect(new ChatClient({}, {}).buildMessages('Hi')).toHaveLength(2);
+  });
+
+  test('should describe agents, workflows, skills and files as prompt context', async () => {
+    const engine = new AgenticEngine({});
+    await engine.loadAgents();
+    await engine.loadWorkflows();
+    engine.skills.set('code-review', { name: 'code-review', description: 'Review code quality' });
+    engine.codebase.index.set(`${process.cwd()}/src/config.js`, {
+      path: `${process.cwd()}/src/config.js`,
+      type: 'javascript',
+      context: { purpose: 'configuration' }
+    });
+
+    const [agents, workflows, skills, files] = engine.getPromptContext();
+
+    expect(agents).toContain('- security-auditor: ');
+    expect(workflows).toContain('- testing: Run comprehensive tests (unit-test -> integration-test -> e2e-test)');
+    expect(skills).toBe('Skills:\n- code-review: Review code quality');
+    expect(files).toBe('Repository files:\n- src/config.js (javascript, configuration)');
+  });
+
+  test('should show cache reads and writes in the usage report', () => {
+    const report = strip(formatUsageReport([{
+      timestamp: new Date(2025, 0, 15, 10).toISOString(),
+      session: 'a',
+      provider: 'anthropic',
+      model: 'claude-3-5-sonnet-20241022',
+      agent: 'chat',
+      usage: addUsage({ inputTokens: 200, outputTokens: 50, cacheReadTokens: 6000, cacheWriteTokens: 3000 }),
+      cost: 0.0142
+    }], { groupBy: ['provider'] }));
+
+    expect(report).toContain('200 input, 50 output, 6,000 cache read, 3,000 cache write, 0 reasoning tokens');
+    expect(report).toContain('65% of prompt tokens read from cache');
+    expect(report).toMatch(/Cache read\s+Cache write/);
+    expect(report).toMatch(/anthropic\s+1\s+200\s+50\s+6,000\s+3,000\s+0\s+\$0\.01/);
+  });
+});
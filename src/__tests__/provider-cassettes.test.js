@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const {
+  Cassette,
+  CassetteMismatchError,
+  useCassette,
+  ejectCassette,
+  scrubUrl
+} = require('../providers/cassette');
+const { createHttpClient } = require('../providers/http');
+const { AzureClientSecretAuth } = require('../providers/azure-auth');
+const { GoogleServiceAccountAuth } = require('../providers/google-auth');
+const { InvalidRequestError, NetworkError } = require('../providers/errors');
+const OpenAIProvider = require('../providers/openai');
+
+const API_KEY = 'sk-cassette-test-0123456789';
+
+const collect = async (iterator) => {
+  const items = [];
+  for await (const item of iterator) {
+    items.push(item);
+  }
+  return items;
+};
+
+// A small stand-in for the OpenAI API that answers with fixed replies
+const startServer = () => new Promise(resolve => {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.url.endsWith('/token')) {
+        res.setHeader('content-type', 'application/json');
+        res.end(JSON.stringify({ access_token: 'ya29.live-access-token', token_type: 'Bearer', expires_in: 3599 }));
+        return;
+      }
+
+      const payload = body ? JSON.parse(body) : {};
+      res.setHeader('x-echo-authorization', req.headers.authorization || '');
+      res.setHeader('set-cookie', 'session=abc');
+
+      if (req.url === '/v1/binary') {
+        res.end(Buffer.from([0xff, 0x00, 0xfe, 0x01]));
+      } else if (payload.model === 'missing-model') {
+        res.statusCode = 404;
+        res.setHeader('content-type', 'application/json');
+        res.end(JSON.stringify({ error: { message: 'The model `missing-model` does not exist', code: 'model_not_found' } }));
+      } else if (payload.stream) {
+        res.setHeader('content-type', 'text/event-stream');
+        res.write(`data: ${JSON.stringify({ model: 'gpt-4', choices: [{ delta: { content: 'Re' } }] })}\n\n`);
+        res.write(`data: ${JSON.stringify({ model: 'gpt-4', choices: [{ delta: { content: 'corded' } }] })}\n\n`);
+        res.end('data: [DONE]\n\n');
+      } else {
+        res.setHeader('content-type', 'application/json');
+        res.end(JSON.stringify({
+          model: 'gpt-4-0613',
+          choices: [{ message: { role: 'assistant', content: `You said: ${payload.messages[payload.messages.length - 1].content}` } }],
+          usage: { prompt_tokens: 9, completion_tokens: 3 }
+        }));
+      }
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+describe('Provider cassettes', () => {
+  let dir;
+  let server;
+  let baseURL;
+  let file;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sheikh-cassette-'));
+    file = path.join(dir, 'openai.json');
+    server = await startServer();
+    baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  afterEach(async () => {
+    ejectCassette();
+    await new Promise(resolve => server.close(resolve));
+    await fs.remove(dir);
+  });
+
+  const createProvider = () => new OpenAIProvider({ apiKey: API_KEY, baseURL });
+
+  test('should record replies, streams and errors, then replay them offline', async () => {
+    useCassette(file, { mode: 'record', secrets: [API_KEY] });
+    const recorded = await createProvider().sendMessage('Hello');
+    const recordedDeltas = await collect(createProvider().streamMessage('Stream please'));
+    await expect(createProvider().sendMessage('Hello', { model: 'missing-model' })).rejects.toThrow(InvalidRequestError);
+    ejectCassette();
+
+    // Replay must not need the server
+    await new Promise(resolve => server.close(resolve));
+
+    useCassette(file, { mode: 'replay' });
+    expect(await createProvider().sendMessage('Hello')).toEqual(recorded);
+    expect(await collect(createProvider().streamMessage('Stream please'))).toEqual(recordedDeltas);
+    await expect(createProvider().sendMessage('Hello', { model: 'missing-model' }))
+      .rejects.toThrow('OpenAI API error: The model `missing-model` does not exist');
+
+    expect(recorded).toMatchObject({ content: 'You said: Hello', model: 'gpt-4-0613', usage: { inputTokens: 9 } });
+    expect(recordedDeltas.filter(delta => delta.type === 'text').map(delta => delta.text)).toEqual(['Re', 'corded']);
+  });
+
+  test('should keep stream chunks and scrub secrets and cookies', async () => {
+    useCassette(file, { mode: 'record', secrets: [API_KEY] });
+    await collect(createProvider().streamMessage('Stream please'));
+
+    const text = await fs.readFile(file, 'utf8');
+    const [interaction] = JSON.parse(text).interactions;
+
+    expect(text).not.toContain(API_KEY);
+    expect(interaction.request).toMatchObject({ method: 'POST', url: `${baseURL}/chat/completions` });
+    expect(interaction.request.body).toMatchObject({ model: 'gpt-4', stream: true });
+    expect(interaction.response.headers['x-echo-authorization']).toBe('Bearer [REDACTED]');
+    expect(interaction.response.headers['set-cookie']).toBeUndefined();
+    expect(interaction.response.encoding).toBe('utf8');
+    expect(interaction.response.chunks.join('')).toContain('data: [DONE]');
+  });
+
+  test('should scrub credentials found in the environment', async () => {
+    process.env.SHEIKH_TEST_API_KEY = API_KEY;
+    try {
+      useCassette(file, { mode: 'record' });
+      await createProvider().sendMessage('Hello');
+    } finally {
+      delete process.env.SHEIKH_TEST_API_KEY;
+    }
+
+    expect(await fs.readFile(file, 'utf8')).not.toContain(API_KEY);
+  });
+
+  test('should record OAuth token requests without their credentials and replay them offline', async () => {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+      publicKeyEncoding: { type: 'spki', format: 'pem' }
+    });
+    const origin = baseURL.replace(/\/v1$/, '');
+    const serviceAccount = { private_key: privateKey, client_email: 'sheikh@demo.iam.gserviceaccount.com', token_uri: `${origin}/token` };
+    const credentials = { tenantId: 'contoso', clientId: 'sheikh-cli', clientSecret: 'entra-client-secret', authorityHost: origin };
+
+    useCassette(file, { mode: 'record' });
+    expect(await new GoogleServiceAccountAuth(serviceAccount).getAccessToken()).toBe('ya29.live-access-token');
+    expect(await new AzureClientSecretAuth(credentials).getAccessToken()).toBe('ya29.live-access-token');
+    ejectCassette();
+
+    const text = await fs.readFile(file, 'utf8');
+    const [google, azure] = JSON.parse(text).interactions;
+    expect(text).not.toContain('ya29.live-access-token');
+    expect(text).not.toContain('entra-client-secret');
+    expect(google.request.body).toBe('grant_type=urn%3Aietf%3Aparams%3Aoauth%3Agrant-type%3Ajwt-bearer&assertion=[REDACTED]');
+    expect(azure.request.body).toContain('client_secret=[REDACTED]');
+    expect(azure.response.body.access_token).toBe('[REDACTED]');
+
+    await new Promise(resolve => server.close(resolve));
+
+    // A new assertion is signed for the replay, and still matches the recording
+    useCassette(file, { mode: 'replay' });
+    expect(await new GoogleServiceAccountAuth(serviceAccount).getAccessToken()).toBe('[REDACTED]');
+    expect(await new AzureClientSecretAuth(credentials).getAccessToken()).toBe('[REDACTED]');
+  });
+
+  test('should round-trip binary streams', async () => {
+    const client = createHttpClient({ baseURL });
+
+    useCassette(file, { mode: 'record' });
+    const recorded = await client.get('/binary', { responseType: 'stream' });
+    const recordedBytes = Buffer.concat(await collect(recorded.data));
+
+    useCassette(file, { mode: 'replay' });
+    const replayed = await client.get('/binary', { responseType: 'stream' });
+
+    expect(Buffer.concat(await collect(replayed.data))).toEqual(recordedBytes);
+    expect(recordedBytes).toEqual(Buffer.from([0xff, 0x00, 0xfe, 0x01]));
+    expect(JSON.parse(await fs.readFile(file, 'utf8')).interactions[0].response.encoding).toBe('base64');
+  });
+
+  test('should replay connection failures', async () => {
+    const provider = new OpenAIProvider({ apiKey: API_KEY, baseURL: 'http://127.0.0.1:1/v1' });
+
+    useCassette(file, { mode: 'record' });
+    await expect(provider.sendMessage('Hello')).rejects.toThrow(NetworkError);
+
+    useCassette(file, { mode: 'replay' });
+    const error = await provider.sendMessage('Hello').catch(caught => caught);
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error.cause.code).toBe('ECONNREFUSED');
+  });
+
+  test('should fail loudly on unmatched requests', async () => {
+    useCassette(file, { mode: 'record' });
+    await createProvider().sendMessage('Hello');
+
+    const cassette = useCassette(file, { mode: 'replay' });
+    const changed = await createProvider().sendMessage('Goodbye').catch(caught => caught);
+
+    expect(changed.cause).toBeInstanceOf(CassetteMismatchError);
+    expect(changed.message).toContain(`1 recording of POST ${baseURL}/chat/completions exists but none has this body or all were used`);
+    expect(cassette.getUnusedRequests()).toHaveLength(1);
+
+    await createProvider().sendMessage('Hello');
+    expect(cassette.getUnusedRequests()).toHaveLength(0);
+    await expect(createProvider().sendMessage('Hello')).rejects.toThrow('none has this body or all were used');
+
+    const models = await createHttpClient({ baseURL }).get('/models').catch(caught => caught);
+    expect(models).toBeInstanceOf(CassetteMismatchError);
+    expect(models.message).toContain(`nothing was recorded for GET ${baseURL}/models`);
+  });
+
+  test('should reject unknown modes and missing cassettes', () => {
+    expect(() => new Cassette(file, { mode: 'rewind' })).toThrow("Unknown cassette mode 'rewind'. Use one of: record, replay");
+    expect(() => new Cassette(file)).toThrow(`Cassette ${file} not found. Record it first with mode 'record'.`);
+  });
+
+  test('should scrub credential query parameters', () => {
+    expect(scrubUrl('https://generativelanguage.googleapis.com/v1beta/models?key=AIza123&pageSize=5'))
+      .toBe('https://generativelanguage.googleapis.com/v1beta/models?key=[REDACTED]&pageSize=5');
+    expect(scrubUrl('https://api.openai.com/v1/models')).toBe('https://api.openai.com/v1/models');
+  });
+});
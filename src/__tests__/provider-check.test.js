@@ -0,0 +1,153 @@
+const { checkProvider, checkProviders } = require('../core/provider-check');
+const { formatProviderReport } = require('../utils/provider-report');
+const { createProviderError } = require('../providers/errors');
+const AnthropicProvider = require('../providers/anthropic');
+const GoogleProvider = require('../providers/google');
+
+const strip = (text) => text.replace(/\x1b\[[0-9;]*m/g, '');
+
+const authError = () => {
+  const cause = new Error('Request failed with status code 401');
+  cause.response = { status: 401, headers: {}, data: {} };
+  return createProviderError('Anthropic API error: invalid x-api-key', { provider: 'anthropic', cause });
+};
+
+const createProvider = (overrides = {}) => ({
+  name: 'test',
+  isAvailable: () => true,
+  getAvailableModels: () => ['built-in-1', 'built-in-2'],
+  listModels: jest.fn().mockResolvedValue(['live-1', 'live-2', 'live-1']),
+  sendMessage: jest.fn().mockResolvedValue({ content: 'Hi' }),
+  ...overrides
+});
+
+describe('Provider checks', () => {
+  test('should list live models with the test call', async () => {
+    const provider = createProvider();
+
+    const result = await checkProvider('test', provider);
+
+    expect(result).toMatchObject({
+      provider: 'test',
+      credentials: true,
+      status: 'ok',
+      models: ['live-1', 'live-2'],
+      modelSource: 'live',
+      error: null
+    });
+    expect(result.latency).toBeGreaterThanOrEqual(0);
+    expect(provider.listModels).toHaveBeenCalledWith({ signal: expect.any(AbortSignal), retry: { maxRetries: 0 } });
+  });
+
+  test('should read model names from listed model objects', async () => {
+    const provider = createProvider({ listModels: async () => [{ name: 'llama3.1:latest', size: 4661224676 }] });
+
+    expect((await checkProvider('ollama', provider)).models).toEqual(['llama3.1:latest']);
+  });
+
+  test('should report a failed call and fall back to built-in models', async () => {
+    const provider = createProvider({ listModels: jest.fn().mockRejectedValue(authError()) });
+
+    expect(await checkProvider('anthropic', provider)).toMatchObject({
+      status: 'failed',
+      latency: null,
+      category: 'auth',
+      error: 'Anthropic API error: invalid x-api-key',
+      models: ['built-in-1', 'built-in-2'],
+      modelSource: 'built-in'
+    });
+  });
+
+  test('should send a one-token message to providers that cannot list models', async () => {
+    const provider = createProvider({ listModels: undefined });
+
+    const result = await checkProvider('gateway', provider);
+
+    expect(result).toMatchObject({ status: 'ok', models: ['built-in-1', 'built-in-2'], modelSource: 'built-in' });
+    expect(provider.sendMessage).toHaveBeenCalledWith('Hi', expect.objectContaining({ maxTokens: 1 }));
+  });
+
+  test('should skip the test call without credentials or when asked to', async () => {
+    const missing = createProvider({ isAvailable: () => false });
+    const unchecked = createProvider();
+
+    expect(await checkProvider('openai', missing)).toMatchObject({ credentials: false, status: 'skipped' });
+    expect(await checkProvider('openai', unchecked, { testCall: false })).toMatchObject({ credentials: true, status: 'skipped' });
+    expect(missing.listModels).not.toHaveBeenCalled();
+    expect(unchecked.listModels).not.toHaveBeenCalled();
+  });
+
+  test('should give up on a provider that does not answer in time', async () => {
+    const provider = createProvider({
+      listModels: ({ signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+      })
+    });
+
+    expect(await checkProvider('slow', provider, { timeout: 20 })).toMatchObject({
+      status: 'failed',
+      category: 'timeout',
+      error: 'No response within 0.02s'
+    });
+  });
+
+  test('should check the named providers', async () => {
+    const providers = { a: createProvider(), b: createProvider({ isAvailable: async () => false }) };
+    const manager = { listProviders: () => ['a', 'b'], getProvider: name => providers[name] };
+
+    expect((await checkProviders(manager)).map(result => [result.provider, result.status])).toEqual([['a', 'ok'], ['b', 'skipped']]);
+    expect((await checkProviders(manager, ['b'])).map(result => result.provider)).toEqual(['b']);
+  });
+
+  describe('live model lists', () => {
+    test('should read Anthropic model IDs', async () => {
+      const provider = new AnthropicProvider();
+      provider.client = { get: jest.fn().mockResolvedValue({ data: { data: [{ type: 'model', id: 'claude-sonnet-4-20250514' }] } }) };
+
+      expect(await provider.listModels()).toEqual(['claude-sonnet-4-20250514']);
+      expect(provider.client.get).toHaveBeenCalledWith('/models', { params: { limit: 1000 } });
+    });
+
+    test('should keep Gemini models that generate content', async () => {
+      const provider = new GoogleProvider();
+      provider.client = {
+        get: jest.fn().mockResolvedValue({
+          data: {
+            models: [
+              { name: 'models/gemini-2.0-flash', supportedGenerationMethods: ['generateContent', 'countTokens'] },
+              { name: 'models/text-embedding-004', supportedGenerationMethods: ['embedContent'] }
+            ]
+          }
+        })
+      };
+
+      expect(await provider.listModels()).toEqual(['gemini-2.0-flash']);
+    });
+  });
+
+  describe('report', () => {
+    const results = [
+      { provider: 'anthropic', credentials: true, status: 'ok', latency: 312, models: ['claude-a', 'claude-b'], modelSource: 'live', error: null, category: null },
+      { provider: 'openai', credentials: true, status: 'failed', latency: null, models: ['gpt-4'], modelSource: 'built-in', error: 'OpenAI API error: Incorrect API key', category: 'auth' },
+      { provider: 'google', credentials: false, status: 'skipped', latency: null, models: [], modelSource: 'built-in', error: null, category: null }
+    ];
+
+    test('should show credentials, checks, latency and model counts', () => {
+      const report = strip(formatProviderReport(results));
+
+      expect(report).toMatch(/Provider\s+Credentials\s+Check\s+Latency\s+Models/);
+      expect(report).toMatch(/anthropic\s+found\s+ok\s+312 ms\s+2 live/);
+      expect(report).toMatch(/openai\s+found\s+failed\s+-\s+1 built-in/);
+      expect(report).toMatch(/google\s+missing\s+skipped\s+-\s+0 built-in/);
+      expect(report).toContain('openai (auth): OpenAI API error: Incorrect API key');
+      expect(report).not.toContain('• claude-a');
+    });
+
+    test('should list every model when asked', () => {
+      const report = strip(formatProviderReport(results, { models: true }));
+
+      expect(report).toContain('anthropic models (live)\n  • claude-a\n  • claude-b');
+      expect(report).toContain('google models (built-in)\n  none');
+    });
+  });
+});
@@ -0,0 +1,147 @@
+const {
+  ProviderError,
+  AuthenticationError,
+  PermissionError,
+  RateLimitError,
+  OverloadedError,
+  ContextLengthError,
+  InvalidRequestError,
+  ServerError,
+  NetworkError,
+  TimeoutError,
+  createProviderError
+} = require('../providers/errors');
+const { classifyError } = require('../providers/http');
+const { getErrorHint } = require('../utils/error-hints');
+const AnthropicProvider = require('../providers/anthropic');
+const OpenAIProvider = require('../providers/openai');
+const AWSProvider = require('../providers/aws');
+const GoogleProvider = require('../providers/google');
+const OllamaProvider = require('../providers/ollama');
+
+const httpError = (status, data = {}, headers = {}) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers, data };
+  return error;
+};
+
+const connectionError = (code) => Object.assign(new Error(`connect ${code}`), { code });
+
+describe('createProviderError', () => {
+  test.each([
+    ['401', httpError(401), AuthenticationError, 'auth'],
+    ['403', httpError(403), PermissionError, 'permission'],
+    ['429', httpError(429), RateLimitError, 'rate_limit'],
+    ['529', httpError(529), OverloadedError, 'overloaded'],
+    ['400', httpError(400), InvalidRequestError, 'invalid_request'],
+    ['404', httpError(404), InvalidRequestError, 'invalid_request'],
+    ['500', httpError(500), ServerError, 'server'],
+    ['ECONNREFUSED', connectionError('ECONNREFUSED'), NetworkError, 'network'],
+    ['ETIMEDOUT', connectionError('ETIMEDOUT'), TimeoutError, 'timeout']
+  ])('should map %s', (label, cause, ErrorClass, category) => {
+    const error = createProviderError('Test API error: failed', { provider: 'test', cause });
+
+    expect(error).toBeInstanceOf(ErrorClass);
+    expect(error).toBeInstanceOf(ProviderError);
+    expect(error.name).toBe(ErrorClass.name);
+    expect(error.category).toBe(category);
+    expect(error.cause).toBe(cause);
+    expect(classifyError(error)).toBe(category);
+  });
+
+  test('should recognise context-window overflows from each provider', () => {
+    const messages = [
+      'Anthropic API error: prompt is too long: 210000 tokens > 200000 maximum',
+      'OpenAI API error: This model\'s maximum context length is 128000 tokens.',
+      'AWS Bedrock API error: Input is too long for requested model.',
+      'Google Gemini API error: The input token count (1048577) exceeds the maximum number of tokens allowed (1048576).'
+    ];
+
+    for (const message of messages) {
+      expect(createProviderError(message, { cause: httpError(400) })).toBeInstanceOf(ContextLengthError);
+    }
+    expect(createProviderError('OpenAI API error: too long', {
+      cause: httpError(400, { error: { code: 'context_length_exceeded', type: 'invalid_request_error' } })
+    })).toBeInstanceOf(ContextLengthError);
+  });
+
+  test('should read provider error types from the body and headers', () => {
+    expect(createProviderError('Anthropic API error: Overloaded', {
+      cause: httpError(500, { error: { type: 'overloaded_error' } })
+    })).toBeInstanceOf(OverloadedError);
+    expect(createProviderError('AWS Bedrock API error: Too many requests', {
+      cause: httpError(400, {}, { 'x-amzn-errortype': 'ThrottlingException:http://internal.amazon.com/coral/com.amazon.bedrock/' })
+    })).toBeInstanceOf(RateLimitError);
+    expect(createProviderError('Google Gemini API error: API key not valid.', {
+      cause: httpError(400, { error: { status: 'INVALID_ARGUMENT', details: [{ reason: 'API_KEY_INVALID' }] } })
+    })).toBeInstanceOf(AuthenticationError);
+    expect(createProviderError('Anthropic API error: Overloaded', { type: 'overloaded_error' })).toBeInstanceOf(OverloadedError);
+  });
+
+  test('should carry the retry hint and raw response', () => {
+    const cause = httpError(429, { error: { message: 'Slow down' } }, { 'retry-after': '20' });
+    const error = createProviderError('OpenAI API error: Slow down', { provider: 'openai', cause });
+
+    expect(error.status).toBe(429);
+    expect(error.retryable).toBe(true);
+    expect(error.retryAfter).toBe(20000);
+    expect(error.response).toEqual({ status: 429, headers: { 'retry-after': '20' }, data: { error: { message: 'Slow down' } } });
+    expect(createProviderError('x', { cause: httpError(401) }).retryable).toBe(false);
+    expect(createProviderError('x', { type: 'overloaded_error' }).retryable).toBe(true);
+  });
+});
+
+describe('Provider error mapping', () => {
+  const failWith = (provider, error) => {
+    provider.client = { post: jest.fn().mockRejectedValue(error), get: jest.fn().mockRejectedValue(error) };
+    return provider;
+  };
+
+  test('should throw typed errors from every provider', async () => {
+    const cases = [
+      [new AnthropicProvider(), httpError(401, { error: { type: 'authentication_error', message: 'invalid x-api-key' } }), AuthenticationError],
+      [new OpenAIProvider(), httpError(429, { error: { code: 'rate_limit_exceeded', message: 'Rate limit reached' } }), RateLimitError],
+      [new AWSProvider(), httpError(403, { message: 'You don\'t have access to the model' }), PermissionError],
+      [Object.assign(new GoogleProvider(), { apiKey: 'key', credentialsFile: undefined }), httpError(503, { error: { status: 'UNAVAILABLE', message: 'The model is overloaded.' } }), OverloadedError],
+      [new OllamaProvider(), httpError(404, { error: 'model "llama9" not found, try pulling it first' }), InvalidRequestError]
+    ];
+
+    for (const [provider, cause, ErrorClass] of cases) {
+      const error = await failWith(provider, cause).sendMessage('Hello').catch(thrown => thrown);
+
+      expect(error).toBeInstanceOf(ErrorClass);
+      expect(error.provider).toBe(provider.name);
+      expect(error.message).toMatch(/API error: /);
+    }
+  });
+
+  test('should report an unreachable Ollama server as a network error', async () => {
+    const provider = new OllamaProvider();
+    provider.baseURL = 'http://127.0.0.1:9';
+
+    const error = await provider.initialize().catch(thrown => thrown);
+
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error.message).toContain('Ollama is not running');
+  });
+});
+
+describe('getErrorHint', () => {
+  test('should give an actionable hint for each error class', () => {
+    expect(getErrorHint(new AuthenticationError('x', { provider: 'anthropic' }))).toContain('ANTHROPIC_API_KEY');
+    expect(getErrorHint(new AuthenticationError('x', { provider: 'vllm' }))).toContain("provider 'vllm'");
+    expect(getErrorHint(new PermissionError('x', { provider: 'aws' }))).toContain('Bedrock console');
+    expect(getErrorHint(createProviderError('x', { cause: httpError(429, {}, { 'retry-after': '30' }) }))).toContain('Try again in 30s');
+    expect(getErrorHint(new OverloadedError('x'))).toContain('fallback provider');
+    expect(getErrorHint(new ContextLengthError('x'))).toContain('/clear');
+    expect(getErrorHint(new InvalidRequestError('x'))).toContain('--model');
+    expect(getErrorHint(new ServerError('x'))).toContain('Try again');
+    expect(getErrorHint(new NetworkError('x', { provider: 'ollama' }))).toContain('ollama serve');
+    expect(getErrorHint(new TimeoutError('x'))).toContain('timed out');
+  });
+
+  test('should not add a hint to other errors', () => {
+    expect(getErrorHint(new Error('Provider \'bard\' not found'))).toBeNull();
+    expect(getErrorHint(new ProviderError('Google Gemini API error: Prompt blocked (SAFETY)'))).toBeNull();
+  });
+});
@@ -0,0 +1,145 @@
+const { classifyError } = require('../providers/http');
+const providerManager = require('../providers');
+const { ChatClient } = require('../core/chat-client');
+const { createStreamPrinter } = require('../utils/stream-printer');
+const { validateConfig } = require('../config');
+
+const providerError = (status, provider = 'Anthropic') => {
+  const cause = new Error(`Request failed with status code ${status}`);
+  cause.response = { status, headers: {}, data: {} };
+  return new Error(`${provider} API error: failed`, { cause });
+};
+
+const reply = (content, model) => ({ content, toolCalls: [], usage: {}, model });
+
+const config = {
+  apiProvider: 'anthropic',
+  apiModelId: 'claude-3-5-sonnet-20241022',
+  fallback: [
+    { provider: 'aws', model: 'anthropic.claude-3-5-sonnet-20241022-v2:0' },
+    { provider: 'ollama', model: 'llama3.1' }
+  ]
+};
+
+describe('classifyError', () => {
+  test('should classify HTTP statuses found through the cause chain', () => {
+    expect(classifyError(providerError(429))).toBe('rate_limit');
+    expect(classifyError(providerError(529))).toBe('overloaded');
+    expect(classifyError(providerError(503))).toBe('overloaded');
+    expect(classifyError(providerError(500))).toBe('server');
+    expect(classifyError(providerError(401))).toBe('auth');
+    expect(classifyError(providerError(400))).toBe('invalid_request');
+  });
+
+  test('should classify connection errors', () => {
+    const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    const timedOut = Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' });
+
+    expect(classifyError(new Error('Ollama is not running', { cause: refused }))).toBe('network');
+    expect(classifyError(timedOut)).toBe('timeout');
+    expect(classifyError(new Error('ANTHROPIC_API_KEY environment variable is required'))).toBe('unknown');
+  });
+});
+
+describe('Fallback chains', () => {
+  const providers = ['anthropic', 'aws', 'ollama'].map(name => providerManager.getProvider(name));
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const mockSend = (...results) => providers.map((provider, index) => jest.spyOn(provider, 'sendMessage')
+    .mockImplementation(async () => {
+      if (results[index] instanceof Error) {
+        throw results[index];
+      }
+      return results[index];
+    }));
+
+  test('should resolve the chain without repeating a provider and model', () => {
+    const chain = providerManager.getProviderChain([
+      { provider: 'anthropic', model: 'a' },
+      { provider: 'Anthropic', model: 'a' },
+      { provider: 'anthropic', model: 'b' },
+      { provider: 'ollama' }
+    ]);
+
+    expect(chain.map(({ providerName, model }) => [providerName, model])).toEqual([
+      ['anthropic', 'a'],
+      ['anthropic', 'b'],
+      ['ollama', undefined]
+    ]);
+  });
+
+  test('should fail over to the next provider and record which one answered', async () => {
+    const [anthropic, aws, ollama] = mockSend(providerError(529), providerError(503, 'AWS Bedrock'), reply('Hi', 'llama3.1'));
+    const onFallback = jest.fn();
+
+    const response = await new ChatClient(config, {}).send('Hello', [], { onFallback });
+
+    expect(anthropic).toHaveBeenCalledTimes(1);
+    expect(aws.mock.calls[0][1].model).toBe('anthropic.claude-3-5-sonnet-20241022-v2:0');
+    expect(ollama.mock.calls[0][1].model).toBe('llama3.1');
+    expect(response.content).toBe('Hi');
+    expect(response.provider).toBe('ollama');
+    expect(response.fallbacks).toEqual([
+      { provider: 'anthropic', model: 'claude-3-5-sonnet-20241022', category: 'overloaded', error: 'Anthropic API error: failed' },
+      { provider: 'aws', model: 'anthropic.claude-3-5-sonnet-20241022-v2:0', category: 'overloaded', error: 'AWS Bedrock API error: failed' }
+    ]);
+    expect(onFallback.mock.calls.map(([info]) => [info.from, info.to, info.category])).toEqual([
+      ['anthropic', 'aws', 'overloaded'],
+      ['aws', 'ollama', 'overloaded']
+    ]);
+  });
+
+  test('should not fail over on errors outside fallbackOn', async () => {
+    const [, aws] = mockSend(providerError(401), reply('Hi'));
+
+    await expect(new ChatClient(config, {}).send('Hello')).rejects.toThrow('Anthropic API error');
+    expect(aws).not.toHaveBeenCalled();
+
+    mockSend(providerError(429), reply('Hi'));
+    await expect(new ChatClient({ ...config, fallbackOn: ['overloaded'] }, {}).send('Hello')).rejects.toThrow('Anthropic API error');
+  });
+
+  test('should leave fallbacks out when the first provider answers', async () => {
+    mockSend(reply('Hi', 'claude-3-5-sonnet-20241022'));
+
+    const response = await new ChatClient(config, {}).send('Hello');
+
+    expect(response.provider).toBe('anthropic');
+    expect(response.fallbacks).toBeUndefined();
+  });
+
+  test('should not restart a reply that has started streaming', async () => {
+    const [anthropic, aws] = providers;
+    jest.spyOn(anthropic, 'streamMessage').mockImplementation(async function* () {
+      yield { type: 'text', text: 'Par' };
+      throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    });
+    const awsStream = jest.spyOn(aws, 'streamMessage');
+
+    await expect(new ChatClient(config, {}).send('Hello', [], { onText: jest.fn() })).rejects.toThrow('socket hang up');
+    expect(awsStream).not.toHaveBeenCalled();
+  });
+
+  test('should name the fallback provider in the spinner', () => {
+    const spinner = { text: '', succeed: jest.fn() };
+    const printer = createStreamPrinter(spinner, 'Reply', { write: jest.fn() });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    printer.fallback({ from: 'anthropic', to: 'ollama', model: 'llama3.1', category: 'overloaded' });
+    expect(spinner.text).toContain('anthropic failed (overloaded), falling back to ollama (llama3.1)...');
+
+    printer.write('Hi');
+    expect(spinner.succeed).toHaveBeenCalledWith('Response received from ollama (llama3.1)');
+  });
+
+  test('should validate fallback settings in config', () => {
+    const base = { apiProvider: 'anthropic', apiModelId: 'claude' };
+
+    expect(validateConfig({ ...base, fallback: config.fallback, fallbackOn: ['rate_limit'] })).toEqual({ valid: true });
+    expect(validateConfig({ ...base, fallback: [{ provider: 'bard' }] }).error).toMatch(/^fallback\[0\]\.provider must be one of/);
+    expect(validateConfig({ ...base, fallbackOn: ['quota'] }).error).toMatch(/^fallbackOn must list error classes from/);
+  });
+});
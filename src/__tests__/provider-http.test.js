@@ -0,0 +1,159 @@
+const {
+  createHttpClient,
+  getRequestConfig,
+  isRetryableError,
+  getServerDelay,
+  getBackoffDelay,
+  parseResetHeader
+} = require('../providers/http');
+const { createStreamPrinter } = require('../utils/stream-printer');
+const { validateConfig } = require('../config');
+
+const httpError = (status, headers = {}) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers, data: {} };
+  return error;
+};
+
+// Adapter that fails with each given error in turn, then succeeds
+const failingAdapter = (...errors) => {
+  const adapter = jest.fn();
+  for (const error of errors) {
+    adapter.mockImplementationOnce(async config => {
+      error.config = config;
+      throw error;
+    });
+  }
+  adapter.mockImplementation(async config => ({ data: { ok: true }, status: 200, statusText: 'OK', headers: {}, config }));
+  return adapter;
+};
+
+describe('Retry policy', () => {
+  test('should retry transient statuses and connection errors only', () => {
+    expect(isRetryableError(httpError(429))).toBe(true);
+    expect(isRetryableError(httpError(529))).toBe(true);
+    expect(isRetryableError(httpError(503))).toBe(true);
+    expect(isRetryableError(httpError(400))).toBe(false);
+    expect(isRetryableError(httpError(401))).toBe(false);
+    expect(isRetryableError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))).toBe(true);
+    expect(isRetryableError(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }))).toBe(false);
+  });
+
+  test('should follow x-should-retry', () => {
+    expect(isRetryableError(httpError(500, { 'x-should-retry': 'false' }))).toBe(false);
+    expect(isRetryableError(httpError(409, { 'x-should-retry': 'true' }))).toBe(true);
+  });
+
+  test('should parse rate-limit reset durations and timestamps', () => {
+    const now = Date.parse('2024-05-01T12:00:00Z');
+
+    expect(parseResetHeader('20ms', now)).toBe(20);
+    expect(parseResetHeader('1.5s', now)).toBe(1500);
+    expect(parseResetHeader('6m0s', now)).toBe(360000);
+    expect(parseResetHeader('2024-05-01T12:00:07Z', now)).toBe(7000);
+    expect(parseResetHeader('soon', now)).toBeUndefined();
+  });
+
+  test('should read the delay the server asks for', () => {
+    const now = Date.parse('2024-05-01T12:00:00Z');
+
+    expect(getServerDelay({ 'retry-after': '3' }, now)).toBe(3000);
+    expect(getServerDelay({ 'retry-after-ms': '250', 'retry-after': '3' }, now)).toBe(250);
+    expect(getServerDelay({ 'retry-after': 'Wed, 01 May 2024 12:00:05 GMT' }, now)).toBe(5000);
+    expect(getServerDelay({
+      'anthropic-ratelimit-requests-remaining': '10',
+      'anthropic-ratelimit-requests-reset': '2024-05-01T12:00:30Z',
+      'anthropic-ratelimit-tokens-remaining': '0',
+      'anthropic-ratelimit-tokens-reset': '2024-05-01T12:00:04Z'
+    }, now)).toBe(4000);
+    expect(getServerDelay({ 'x-ratelimit-remaining-tokens': '0', 'x-ratelimit-reset-tokens': '2s' }, now)).toBe(2000);
+    expect(getServerDelay({}, now)).toBeUndefined();
+  });
+
+  test('should back off exponentially with jitter', () => {
+    const settings = { baseDelay: 1000, maxDelay: 5000 };
+
+    expect(getBackoffDelay(1, settings, () => 0)).toBe(500);
+    expect(getBackoffDelay(1, settings, () => 1)).toBe(1000);
+    expect(getBackoffDelay(3, settings, () => 1)).toBe(4000);
+    expect(getBackoffDelay(10, settings, () => 1)).toBe(5000);
+  });
+
+  test('should only pass HTTP settings through to axios', () => {
+    const onRetry = jest.fn();
+
+    expect(getRequestConfig({ model: 'm' })).toBeUndefined();
+    expect(getRequestConfig({ model: 'm', onRetry }, { responseType: 'stream' })).toEqual({ responseType: 'stream', onRetry });
+  });
+});
+
+describe('createHttpClient', () => {
+  test('should retry until the request succeeds and report each retry', async () => {
+    const client = createHttpClient({}, { baseDelay: 1 });
+    client.defaults.adapter = failingAdapter(httpError(529), Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+    const onRetry = jest.fn();
+
+    const response = await client.post('https://api.example.com/v1/messages', {}, { onRetry });
+
+    expect(response.data).toEqual({ ok: true });
+    expect(client.defaults.adapter).toHaveBeenCalledTimes(3);
+    expect(onRetry.mock.calls.map(([info]) => [info.attempt, info.maxRetries, info.reason])).toEqual([
+      [1, 3, 'Provider overloaded (529)'],
+      [2, 3, 'Connection error (ECONNRESET)']
+    ]);
+  });
+
+  test('should give up after maxRetries', async () => {
+    const client = createHttpClient({}, { baseDelay: 1, maxRetries: 2 });
+    client.defaults.adapter = failingAdapter(httpError(503), httpError(503), httpError(503));
+
+    await expect(client.get('https://api.example.com/v1/models')).rejects.toThrow('status code 503');
+    expect(client.defaults.adapter).toHaveBeenCalledTimes(3);
+  });
+
+  test('should not retry client errors', async () => {
+    const client = createHttpClient({}, { baseDelay: 1 });
+    client.defaults.adapter = failingAdapter(httpError(400));
+
+    await expect(client.get('https://api.example.com/v1/models')).rejects.toThrow('status code 400');
+    expect(client.defaults.adapter).toHaveBeenCalledTimes(1);
+  });
+
+  test('should honour retry-after and per-request settings', async () => {
+    const client = createHttpClient({}, { baseDelay: 1 });
+    client.defaults.adapter = failingAdapter(httpError(429, { 'retry-after-ms': '5' }));
+    const onRetry = jest.fn();
+
+    await client.get('https://api.example.com/v1/models', { onRetry });
+    expect(onRetry.mock.calls[0][0].delay).toBe(5);
+
+    client.defaults.adapter = failingAdapter(httpError(429));
+    await expect(client.get('https://api.example.com/v1/models', { retry: { maxRetries: 0 } })).rejects.toThrow('429');
+  });
+
+  test('should not wait longer than maxDelay', async () => {
+    const client = createHttpClient({}, { maxDelay: 1000 });
+    client.defaults.adapter = failingAdapter(httpError(429, { 'retry-after': '60' }));
+
+    await expect(client.get('https://api.example.com/v1/models')).rejects.toThrow('429');
+    expect(client.defaults.adapter).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Retry status', () => {
+  test('should show retries in the spinner', () => {
+    const spinner = { text: '', succeed: jest.fn() };
+    const printer = createStreamPrinter(spinner, 'Reply');
+
+    printer.retry({ reason: 'Rate limited (429)', delay: 1500, attempt: 1, maxRetries: 3 });
+
+    expect(spinner.text).toContain('Rate limited (429), retrying in 2s (1/3)...');
+  });
+
+  test('should validate retry settings in config', () => {
+    const config = { apiProvider: 'anthropic', apiModelId: 'claude' };
+
+    expect(validateConfig({ ...config, retry: { maxRetries: 5, maxDelay: 60000 } })).toEqual({ valid: true });
+    expect(validateConfig({ ...config, retry: { maxRetries: -1 } }).error).toBe('retry.maxRetries must be a non-negative integer');
+  });
+});
@@ -0,0 +1,140 @@
+const { normalizeMessages, getTextContent } = require('../providers/messages');
+const AnthropicProvider = require('../providers/anthropic');
+const OpenAIProvider = require('../providers/openai');
+const AWSProvider = require('../providers/aws');
+const GoogleProvider = require('../providers/google');
+const OllamaProvider = require('../providers/ollama');
+
+const conversation = [
+  { role: 'system', content: 'You are a helpful assistant.' },
+  { role: 'user', content: 'What is in package.json?' },
+  {
+    role: 'assistant',
+    content: 'Let me read it.',
+    toolCalls: [{ id: 'call_1', name: 'read_file', arguments: { path: 'package.json' } }]
+  },
+  { role: 'tool', toolCallId: 'call_1', name: 'read_file', content: '{"name":"demo"}' },
+  { role: 'user', content: 'Thanks!' }
+];
+
+describe('Provider message contract', () => {
+  test('should wrap a string in a single user turn', () => {
+    expect(normalizeMessages('Hello', { system: 'Be brief' })).toEqual({
+      system: 'Be brief',
+      systemBlocks: [{ text: 'Be brief', cache: false }],
+      messages: [{ role: 'user', content: 'Hello' }]
+    });
+  });
+
+  test('should collect system turns into the system prompt', () => {
+    const request = normalizeMessages(conversation, { system: 'Base prompt' });
+
+    expect(request.system).toBe('Base prompt\n\nYou are a helpful assistant.');
+    expect(request.messages).toHaveLength(4);
+    expect(request.messages.some(message => message.role === 'system')).toBe(false);
+  });
+
+  test('should reject unknown roles', () => {
+    expect(() => normalizeMessages([{ role: 'robot', content: 'beep' }])).toThrow('Invalid message role');
+  });
+
+  test('should reject tool turns without a call ID', () => {
+    expect(() => normalizeMessages([{ role: 'tool', content: 'done' }])).toThrow('toolCallId');
+  });
+
+  test('should reject a list with only system turns', () => {
+    expect(() => normalizeMessages([{ role: 'system', content: 'hi' }])).toThrow('At least one');
+  });
+
+  test('should flatten text parts', () => {
+    expect(getTextContent([{ type: 'text', text: 'a' }, { type: 'text', text: 'b' }])).toBe('ab');
+  });
+});
+
+describe('Provider wire formats', () => {
+  const mockClient = (data) => ({ post: jest.fn().mockResolvedValue({ data }) });
+
+  test('anthropic should send system separately and merge tool results into user turns', async () => {
+    const provider = new AnthropicProvider();
+    provider.client = mockClient({ content: [{ type: 'text', text: 'Done' }], model: 'claude' });
+
+    const response = await provider.sendMessage(conversation);
+    const [path, payload] = provider.client.post.mock.calls[0];
+
+    expect(path).toBe('/messages');
+    expect(payload.system).toBe('You are a helpful assistant.');
+    expect(payload.messages.map(message => message.role)).toEqual(['user', 'assistant', 'user']);
+    expect(payload.messages[1].content[1]).toEqual({
+      type: 'tool_use', id: 'call_1', name: 'read_file', input: { path: 'package.json' }
+    });
+    expect(payload.messages[2].content).toEqual([
+      { type: 'tool_result', tool_use_id: 'call_1', content: '{"name":"demo"}' },
+      { type: 'text', text: 'Thanks!' }
+    ]);
+    expect(response.content).toBe('Done');
+  });
+
+  test('openai should send system, tool_calls and tool turns', async () => {
+    const provider = new OpenAIProvider();
+    provider.client = mockClient({ choices: [{ message: { content: 'Done' } }], model: 'gpt-4' });
+
+    await provider.sendMessage(conversation);
+    const [, payload] = provider.client.post.mock.calls[0];
+
+    expect(payload.messages[0]).toEqual({ role: 'system', content: 'You are a helpful assistant.' });
+    expect(payload.messages[2].tool_calls[0]).toEqual({
+      id: 'call_1',
+      type: 'function',
+      function: { name: 'read_file', arguments: '{"path":"package.json"}' }
+    });
+    expect(payload.messages[3]).toEqual({ role: 'tool', tool_call_id: 'call_1', content: '{"name":"demo"}' });
+  });
+
+  test('aws should use the Converse API format', async () => {
+    const provider = new AWSProvider();
+    provider.client = mockClient({ output: { message: { content: [{ text: 'Done' }] } }, usage: {} });
+
+    const response = await provider.sendMessage(conversation, { model: 'anthropic.claude-3-haiku-20240307-v1:0' });
+    const [path, payload] = provider.client.post.mock.calls[0];
+
+    expect(path).toBe('/model/anthropic.claude-3-haiku-20240307-v1%3A0/converse');
+    expect(payload.system).toEqual([{ text: 'You are a helpful assistant.' }]);
+    expect(payload.messages.map(message => message.role)).toEqual(['user', 'assistant', 'user']);
+    expect(payload.messages[2].content[0].toolResult.toolUseId).toBe('call_1');
+    expect(response.content).toBe('Done');
+  });
+
+  test('google should send a systemInstruction and functionResponse parts', async () => {
+    const provider = new GoogleProvider();
+    provider.apiKey = 'key';
+    provider.credentialsFile = undefined;
+    provider.client = mockClient({
+      candidates: [{ content: { role: 'model', parts: [{ text: 'Done' }] }, finishReason: 'STOP' }],
+      usageMetadata: { promptTokenCount: 9, candidatesTokenCount: 1, totalTokenCount: 10 }
+    });
+
+    const response = await provider.sendMessage(conversation);
+    const [path, payload] = provider.client.post.mock.calls[0];
+
+    expect(path).toBe('/models/gemini-1.5-pro:generateContent');
+    expect(payload.systemInstruction).toEqual({ parts: [{ text: 'You are a helpful assistant.' }] });
+    expect(payload.contents.map(content => content.role)).toEqual(['user', 'model', 'user']);
+    expect(payload.contents[2].parts[0].functionResponse).toEqual({ name: 'read_file', response: { name: 'demo' } });
+    expect(response.content).toBe('Done');
+    expect(response.usage).toMatchObject({ inputTokens: 9, outputTokens: 1, totalTokens: 10 });
+  });
+
+  test('ollama should use the chat endpoint with the full message list', async () => {
+    const provider = new OllamaProvider();
+    provider.client = mockClient({ message: { role: 'assistant', content: 'Done' }, eval_count: 2 });
+
+    const response = await provider.sendMessage(conversation, { model: 'llama3.1' });
+    const [path, payload] = provider.client.post.mock.calls[0];
+
+    expect(path).toBe('/api/chat');
+    expect(payload.messages.map(message => message.role)).toEqual(['system', 'user', 'assistant', 'tool', 'user']);
+    expect(payload.messages[2].tool_calls[0].function.arguments).toEqual({ path: 'package.json' });
+    expect(response.content).toBe('Done');
+    expect(response.usage.outputTokens).toBe(2);
+  });
+});
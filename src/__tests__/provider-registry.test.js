@@ -0,0 +1,165 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {
+  BUILT_IN_PROVIDERS,
+  createBuiltInProvider,
+  validateProviderPlugin,
+  findProviderPlugins,
+  discoverProviderPlugins,
+  clearProviderPlugins
+} = require('../providers/registry');
+const providerManager = require('../providers');
+const { ChatClient } = require('../core/chat-client');
+const { validateConfig, getValidProviders } = require('../config');
+
+const GATEWAY_PLUGIN = `
+module.exports = ({ normalizeUsage }) => ({
+  name: 'gateway',
+  capabilities: ['tools'],
+  models: [{ id: 'house-large', contextWindow: 1000, maxOutput: 100 }, 'house-small'],
+  async sendMessage(messages, options = {}) {
+    return { content: 'From the gateway', toolCalls: [], usage: normalizeUsage({ prompt_tokens: 3, completion_tokens: 4 }, 'openai'), model: options.model };
+  }
+});
+`;
+
+const packagePlugin = name => `
+module.exports = {
+  name: '${name}',
+  capabilities: ['streaming'],
+  models: ['${name}-1'],
+  async sendMessage() { return { content: '${name}' }; },
+  async *streamMessage() { yield { type: 'done', content: '${name}' }; }
+};
+`;
+
+describe('Provider registry', () => {
+  let dir;
+
+  const writePlugin = async (file, source) => {
+    await fs.outputFile(path.join(dir, file), source);
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sheikh-plugins-'));
+    clearProviderPlugins();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    clearProviderPlugins();
+    await fs.remove(dir);
+  });
+
+  test('should create every built-in provider by name', () => {
+    expect(BUILT_IN_PROVIDERS).toEqual(['anthropic', 'openai', 'azure', 'aws', 'google', 'ollama']);
+    for (const name of BUILT_IN_PROVIDERS) {
+      const caching = ['anthropic', 'aws'].includes(name) ? ['caching'] : [];
+      const embeddings = name === 'anthropic' ? [] : ['embeddings'];
+      const batch = ['anthropic', 'openai'].includes(name) ? ['batch'] : [];
+      expect(createBuiltInProvider(name)).toMatchObject({ name, capabilities: ['streaming', 'tools', 'structured', ...caching, ...embeddings, 'reasoning', ...batch] });
+    }
+    expect(() => createBuiltInProvider('gateway')).toThrow("'gateway' is not a built-in provider");
+  });
+
+  test('should fill in optional methods and model limits', () => {
+    const provider = validateProviderPlugin({
+      name: 'gateway',
+      models: [{ id: 'house-large', contextWindow: 1000 }, 'house-small'],
+      sendMessage: async () => ({ content: '' })
+    });
+
+    expect(provider.capabilities).toEqual([]);
+    expect(provider.models).toEqual(['house-large', 'house-small']);
+    expect(provider.modelLimits).toEqual({ 'house-large': { contextWindow: 1000 } });
+    expect(provider.defaultModel).toBe('house-large');
+    expect(provider.getAvailableModels()).toEqual(['house-large', 'house-small']);
+    expect(provider.isAvailable()).toBe(true);
+  });
+
+  test.each([
+    [null, 'must export a provider object'],
+    [{ name: 'Gateway', sendMessage() {} }, 'must have a lowercase name'],
+    [{ name: 'openai', sendMessage() {} }, "uses the name of the built-in provider 'openai'"],
+    [{ name: 'gateway', capabilities: ['telepathy'], sendMessage() {} }, 'capabilities must be a list of: streaming, tools, structured'],
+    [{ name: 'gateway', models: [{ contextWindow: 10 }], sendMessage() {} }, 'models must be a list of model IDs'],
+    [{ name: 'gateway' }, 'must implement sendMessage'],
+    [{ name: 'gateway', capabilities: ['streaming'], sendMessage() {} }, 'declares streaming but does not implement streamMessage'],
+    [{ name: 'gateway', capabilities: ['embeddings'], sendMessage() {} }, 'declares embeddings but does not implement embed'],
+    [{ name: 'gateway', capabilities: ['batch'], createBatch() {}, sendMessage() {} }, 'declares batch but does not implement createBatch, getBatch']
+  ])('should reject providers that break the contract (%#)', (provider, message) => {
+    expect(() => validateProviderPlugin(provider, 'Provider plugin test')).toThrow(message);
+  });
+
+  test('should find local plugins and sheikh-provider packages', async () => {
+    await writePlugin('.sheikh/providers/gateway.js', GATEWAY_PLUGIN);
+    await writePlugin('.sheikh/providers/README.md', '# Not a plugin');
+    await writePlugin('node_modules/sheikh-provider-acme/index.js', packagePlugin('acme'));
+    await writePlugin('node_modules/@team/sheikh-provider-internal/index.js', packagePlugin('internal'));
+    await writePlugin('node_modules/lodash/index.js', 'module.exports = {};');
+
+    expect(findProviderPlugins(dir)).toEqual([
+      path.join(dir, '.sheikh', 'providers', 'gateway.js'),
+      path.join(dir, 'node_modules', '@team', 'sheikh-provider-internal'),
+      path.join(dir, 'node_modules', 'sheikh-provider-acme')
+    ]);
+
+    const plugins = discoverProviderPlugins(dir);
+    expect(plugins.map(plugin => plugin.name)).toEqual(['gateway', 'internal', 'acme']);
+    expect(discoverProviderPlugins(dir)).toBe(plugins);
+  });
+
+  test('should find nothing in a project without plugins', () => {
+    expect(findProviderPlugins(dir)).toEqual([]);
+    expect(discoverProviderPlugins(dir)).toEqual([]);
+  });
+
+  test('should name the plugin that fails to load', async () => {
+    await writePlugin('.sheikh/providers/broken.js', 'module.exports = {');
+
+    expect(() => discoverProviderPlugins(dir)).toThrow(/Provider plugin .*broken\.js could not be loaded/);
+  });
+
+  test('should reject two plugins with the same name', async () => {
+    await writePlugin('.sheikh/providers/a.js', packagePlugin('twin'));
+    await writePlugin('.sheikh/providers/b.js', packagePlugin('twin'));
+
+    expect(() => discoverProviderPlugins(dir)).toThrow("are both named 'twin'");
+  });
+
+  test('should accept plugin providers in the configuration', async () => {
+    await writePlugin('.sheikh/providers/gateway.js', GATEWAY_PLUGIN);
+    jest.spyOn(process, 'cwd').mockReturnValue(dir);
+
+    expect(getValidProviders({})).toEqual([...BUILT_IN_PROVIDERS, 'gateway']);
+    expect(validateConfig({ apiProvider: 'gateway', apiModelId: 'house-large' })).toEqual({ valid: true });
+    expect(validateConfig({ apiProvider: 'openai', apiModelId: 'gpt-4', fallback: [{ provider: 'gateway' }] }))
+      .toEqual({ valid: true });
+  });
+
+  test('should report a broken plugin as a configuration error', async () => {
+    await writePlugin('.sheikh/providers/gateway.js', 'module.exports = { name: "gateway" };');
+    jest.spyOn(process, 'cwd').mockReturnValue(dir);
+
+    const result = validateConfig({ apiProvider: 'gateway', apiModelId: 'house-large' });
+
+    expect(result.valid).toBe(false);
+    expect(result.error).toMatch(/gateway\.js must implement sendMessage/);
+  });
+
+  test('should send chat turns to a plugin provider within its model limits', async () => {
+    await writePlugin('.sheikh/providers/gateway.js', GATEWAY_PLUGIN);
+    jest.spyOn(process, 'cwd').mockReturnValue(dir);
+
+    const client = new ChatClient({ apiProvider: 'gateway', apiModelId: 'house-large' }, {});
+    const response = await client.send('Hello');
+
+    expect(response).toMatchObject({ content: 'From the gateway', provider: 'gateway', model: 'house-large' });
+    expect(response.usage).toMatchObject({ inputTokens: 3, outputTokens: 4, totalTokens: 7 });
+    expect(providerManager.listProviders()).toContain('gateway');
+    expect(providerManager.registerPluginProviders(dir)).toEqual(['gateway']);
+
+    await expect(client.send('word '.repeat(2000))).rejects.toThrow('Message is too long for house-large');
+  });
+});
@@ -0,0 +1,220 @@
+const { Readable } = require('stream');
+const { parseSSE, parseNDJSON, parseEventStream, readStreamError } = require('../providers/streaming');
+const AnthropicProvider = require('../providers/anthropic');
+const OpenAIProvider = require('../providers/openai');
+const AWSProvider = require('../providers/aws');
+const OllamaProvider = require('../providers/ollama');
+const { ChatClient } = require('../core/chat-client');
+const { NetworkError } = require('../providers/errors');
+const providerManager = require('../providers');
+
+const collect = async (iterator) => {
+  const items = [];
+  for await (const item of iterator) {
+    items.push(item);
+  }
+  return items;
+};
+
+const sse = (events) => events
+  .map(([event, data]) => `${event ? `event: ${event}\n` : ''}data: ${JSON.stringify(data)}\n\n`)
+  .join('');
+
+// Encode one AWS event stream message. CRCs are zeroed as the parser does not verify them.
+const eventStreamMessage = (eventType, body) => {
+  const headers = Buffer.concat([[':message-type', 'event'], [':event-type', eventType]].map(([name, value]) => {
+    const nameBytes = Buffer.from(name);
+    const valueBytes = Buffer.from(value);
+    const header = Buffer.alloc(1 + nameBytes.length + 3 + valueBytes.length);
+    header.writeUInt8(nameBytes.length, 0);
+    nameBytes.copy(header, 1);
+    header.writeUInt8(7, 1 + nameBytes.length);
+    header.writeUInt16BE(valueBytes.length, 2 + nameBytes.length);
+    valueBytes.copy(header, 4 + nameBytes.length);
+    return header;
+  }));
+  const payload = Buffer.from(JSON.stringify(body));
+  const message = Buffer.alloc(12 + headers.length + payload.length + 4);
+  message.writeUInt32BE(message.length, 0);
+  message.writeUInt32BE(headers.length, 4);
+  headers.copy(message, 12);
+  payload.copy(message, 12 + headers.length);
+  return message;
+};
+
+describe('Stream parsers', () => {
+  test('should parse server-sent events split across chunks', async () => {
+    const stream = Readable.from(['event: ping\r\nda', 'ta: {"a":1}\r\n\r\n: comment\n', 'data: line1\ndata: line2\n\n']);
+    const events = await collect(parseSSE(stream));
+
+    expect(events).toEqual([
+      { event: 'ping', data: '{"a":1}' },
+      { event: undefined, data: 'line1\nline2' }
+    ]);
+  });
+
+  test('should keep multibyte characters split across chunks intact', async () => {
+    const bytes = Buffer.from('data: {"t":"مرحبا 😀"}\n\n');
+    const emoji = bytes.indexOf(Buffer.from('😀'));
+    const stream = Readable.from([bytes.subarray(0, 13), bytes.subarray(13, emoji + 2), bytes.subarray(emoji + 2)]);
+
+    expect(await collect(parseSSE(stream))).toEqual([{ event: undefined, data: '{"t":"مرحبا 😀"}' }]);
+  });
+
+  test('should parse newline-delimited JSON', async () => {
+    const stream = Readable.from(['{"a":1}\n{"b"', ':2}\n\n']);
+    expect(await collect(parseNDJSON(stream))).toEqual([{ a: 1 }, { b: 2 }]);
+  });
+
+  test('should parse AWS event stream messages split across chunks', async () => {
+    const bytes = Buffer.concat([
+      eventStreamMessage('contentBlockDelta', { delta: { text: 'Hi' } }),
+      eventStreamMessage('messageStop', { stopReason: 'end_turn' })
+    ]);
+    const stream = Readable.from([bytes.subarray(0, 20), bytes.subarray(20, 70), bytes.subarray(70)]);
+    const messages = await collect(parseEventStream(stream));
+
+    expect(messages).toHaveLength(2);
+    expect(messages[0].headers[':event-type']).toBe('contentBlockDelta');
+    expect(JSON.parse(messages[0].payload.toString())).toEqual({ delta: { text: 'Hi' } });
+    expect(messages[1].headers[':message-type']).toBe('event');
+  });
+
+  test('should read the body of a failed streaming request', async () => {
+    const error = new Error('Request failed with status code 401');
+    error.response = { data: Readable.from(['{"error":{"message":"invalid x-api-key"}}']) };
+
+    await readStreamError(error);
+    expect(error.response.data.error.message).toBe('invalid x-api-key');
+  });
+});
+
+describe('Provider streaming', () => {
+  const streamingClient = (body) => ({
+    post: jest.fn().mockResolvedValue({ data: Readable.from([body]) })
+  });
+
+  test('anthropic should yield text deltas and usage', async () => {
+    const provider = new AnthropicProvider();
+    provider.client = streamingClient(sse([
+      ['message_start', { type: 'message_start', message: { model: 'claude-3-5-haiku-20241022', usage: { input_tokens: 5 } } }],
+      ['content_block_delta', { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Hel' } }],
+      ['content_block_delta', { type: 'content_block_delta', delta: { type: 'text_delta', text: 'lo' } }],
+      ['message_delta', { type: 'message_delta', usage: { output_tokens: 2 } }],
+      ['message_stop', { type: 'message_stop' }]
+    ]));
+
+    const deltas = await collect(provider.streamMessage('Hi'));
+
+    expect(provider.client.post.mock.calls[0][1].stream).toBe(true);
+    expect(provider.client.post.mock.calls[0][2]).toEqual({ responseType: 'stream' });
+    expect(deltas.filter(delta => delta.type === 'text').map(delta => delta.text)).toEqual(['Hel', 'lo']);
+    expect(deltas[deltas.length - 1]).toEqual({
+      type: 'done',
+      content: 'Hello',
+      toolCalls: [],
+      usage: expect.objectContaining({ inputTokens: 5, outputTokens: 2, totalTokens: 7 }),
+      model: 'claude-3-5-haiku-20241022'
+    });
+  });
+
+  test('anthropic should surface error events', async () => {
+    const provider = new AnthropicProvider();
+    provider.client = streamingClient(sse([['error', { type: 'error', error: { message: 'Overloaded' } }]]));
+
+    await expect(collect(provider.streamMessage('Hi'))).rejects.toThrow('Anthropic API error: Overloaded');
+  });
+
+  test('openai should stop at [DONE] and keep usage', async () => {
+    const provider = new OpenAIProvider();
+    provider.client = streamingClient(
+      sse([
+        [null, { model: 'gpt-4', choices: [{ delta: { content: 'Hi' } }] }],
+        [null, { model: 'gpt-4', choices: [{ delta: { content: ' there' } }] }],
+        [null, { model: 'gpt-4', choices: [], usage: { prompt_tokens: 3, completion_tokens: 2 } }]
+      ]) + 'data: [DONE]\n\n'
+    );
+
+    const deltas = await collect(provider.streamMessage('Hi'));
+    const done = deltas[deltas.length - 1];
+
+    expect(provider.client.post.mock.calls[0][1].stream_options).toEqual({ include_usage: true });
+    expect(done.content).toBe('Hi there');
+    expect(done.usage).toMatchObject({ inputTokens: 3, outputTokens: 2, totalTokens: 5 });
+  });
+
+  test('aws should decode ConverseStream events', async () => {
+    const provider = new AWSProvider();
+    provider.client = streamingClient(Buffer.concat([
+      eventStreamMessage('contentBlockDelta', { contentBlockIndex: 0, delta: { text: 'Bedrock' } }),
+      eventStreamMessage('messageStop', { stopReason: 'end_turn' }),
+      eventStreamMessage('metadata', { usage: { inputTokens: 4, outputTokens: 1 } })
+    ]));
+
+    const deltas = await collect(provider.streamMessage('Hi'));
+
+    expect(provider.client.post.mock.calls[0][0]).toMatch(/\/converse-stream$/);
+    expect(deltas[0]).toEqual({ type: 'text', text: 'Bedrock' });
+    expect(deltas[1].usage).toMatchObject({ inputTokens: 4, outputTokens: 1, totalTokens: 5 });
+  });
+
+  test('ollama should stream NDJSON chunks', async () => {
+    const provider = new OllamaProvider();
+    provider.client = streamingClient(
+      '{"message":{"content":"Lo"},"done":false}\n' +
+      '{"message":{"content":"cal"},"done":false}\n' +
+      '{"message":{"content":""},"done":true,"prompt_eval_count":6,"eval_count":2}\n'
+    );
+
+    const deltas = await collect(provider.streamMessage('Hi', { model: 'llama3.1' }));
+    const done = deltas[deltas.length - 1];
+
+    expect(provider.client.post.mock.calls[0][1].stream).toBe(true);
+    expect(done.content).toBe('Local');
+    expect(done.usage.totalTokens).toBe(8);
+  });
+});
+
+describe('ChatClient streaming', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should pass deltas to onText and return the complete reply', async () => {
+    const provider = providerManager.getProvider('anthropic');
+    jest.spyOn(provider, 'streamMessage').mockImplementation(async function* () {
+      yield { type: 'text', text: 'Str' };
+      yield { type: 'text', text: 'eamed' };
+      yield { type: 'done', content: 'Streamed', usage: {}, model: 'claude' };
+    });
+    const onText = jest.fn();
+
+    const response = await new ChatClient({}, {}).send('Hi', [], { onText });
+
+    expect(onText.mock.calls.map(([text]) => text)).toEqual(['Str', 'eamed']);
+    expect(response).toEqual({ content: 'Streamed', usage: {}, model: 'claude', provider: 'anthropic' });
+  });
+
+  test('should fail clearly when a stream ends without its final event', async () => {
+    const provider = providerManager.getProvider('anthropic');
+    jest.spyOn(provider, 'streamMessage').mockImplementation(async function* () {
+      yield { type: 'text', text: 'Cut ' };
+    });
+
+    const error = await new ChatClient({}, {}).send('Hi', [], { onText: jest.fn() }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error.message).toBe('anthropic stream ended before the reply was complete');
+  });
+
+  test('should fall back to sendMessage without a text callback', async () => {
+    const provider = providerManager.getProvider('anthropic');
+    const stream = jest.spyOn(provider, 'streamMessage');
+    jest.spyOn(provider, 'sendMessage').mockResolvedValue({ content: 'Buffered' });
+
+    const response = await new ChatClient({}, {}).send('Hi');
+
+    expect(stream).not.toHaveBeenCalled();
+    expect(response.content).toBe('Buffered');
+  });
+});
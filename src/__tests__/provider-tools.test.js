@@ -0,0 +1,236 @@
+const { Readable } = require('stream');
+const { normalizeTools, normalizeToolChoice, parseToolArguments } = require('../providers/tools');
+const { runToolLoop } = require('../core/tool-runner');
+const AnthropicProvider = require('../providers/anthropic');
+const OpenAIProvider = require('../providers/openai');
+const AWSProvider = require('../providers/aws');
+const GoogleProvider = require('../providers/google');
+const OllamaProvider = require('../providers/ollama');
+
+const readFileTool = {
+  name: 'read_file',
+  description: 'Read a file from the workspace',
+  parameters: {
+    type: 'object',
+    properties: { path: { type: 'string' } },
+    required: ['path']
+  }
+};
+
+const collect = async (iterator) => {
+  const items = [];
+  for await (const item of iterator) {
+    items.push(item);
+  }
+  return items;
+};
+
+const mockClient = (data) => ({ post: jest.fn().mockResolvedValue({ data }) });
+
+describe('Tool contract', () => {
+  test('should fill in default parameters', () => {
+    expect(normalizeTools([{ name: 'list_files' }])).toEqual([
+      { name: 'list_files', description: '', parameters: { type: 'object', properties: {} } }
+    ]);
+  });
+
+  test('should reject invalid and duplicate names', () => {
+    expect(() => normalizeTools([{ name: 'read file' }])).toThrow('Invalid tool name');
+    expect(() => normalizeTools([readFileTool, readFileTool])).toThrow('Duplicate tool name');
+  });
+
+  test('should reject non-object parameter schemas', () => {
+    expect(() => normalizeTools([{ name: 'bad', parameters: { type: 'string' } }])).toThrow('JSON Schema object');
+  });
+
+  test('should validate tool choices', () => {
+    const tools = normalizeTools([readFileTool]);
+    expect(normalizeToolChoice('required', tools)).toBe('required');
+    expect(normalizeToolChoice({ name: 'read_file' }, tools)).toEqual({ name: 'read_file' });
+    expect(() => normalizeToolChoice({ name: 'write_file' }, tools)).toThrow('does not match');
+    expect(() => normalizeToolChoice('sometimes', tools)).toThrow('Invalid tool choice');
+  });
+
+  test('should parse JSON arguments and keep unparseable input', () => {
+    expect(parseToolArguments('{"path":"a.js"}')).toEqual({ path: 'a.js' });
+    expect(parseToolArguments('')).toEqual({});
+    expect(parseToolArguments('{"path":')).toEqual({ _raw: '{"path":' });
+  });
+});
+
+describe('Provider tool translation', () => {
+  test('anthropic should send input_schema and read tool_use blocks', async () => {
+    const provider = new AnthropicProvider();
+    provider.client = mockClient({
+      content: [
+        { type: 'text', text: 'Reading.' },
+        { type: 'tool_use', id: 'toolu_1', name: 'read_file', input: { path: 'a.js' } }
+      ]
+    });
+
+    const response = await provider.sendMessage('Read a.js', { tools: [readFileTool], toolChoice: 'required' });
+    const [, payload] = provider.client.post.mock.calls[0];
+
+    expect(payload.tools[0]).toEqual({
+      name: 'read_file',
+      description: 'Read a file from the workspace',
+      input_schema: readFileTool.parameters
+    });
+    expect(payload.tool_choice).toEqual({ type: 'any' });
+    expect(response.toolCalls).toEqual([{ id: 'toolu_1', name: 'read_file', arguments: { path: 'a.js' } }]);
+  });
+
+  test('openai should send function tools and parse tool_calls', async () => {
+    const provider = new OpenAIProvider();
+    provider.client = mockClient({
+      choices: [{
+        message: {
+          content: null,
+          tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'read_file', arguments: '{"path":"a.js"}' } }]
+        }
+      }]
+    });
+
+    const response = await provider.sendMessage('Read a.js', { tools: [readFileTool], toolChoice: { name: 'read_file' } });
+    const [, payload] = provider.client.post.mock.calls[0];
+
+    expect(payload.tools[0].type).toBe('function');
+    expect(payload.tools[0].function.parameters).toEqual(readFileTool.parameters);
+    expect(payload.tool_choice).toEqual({ type: 'function', function: { name: 'read_file' } });
+    expect(response.content).toBe('');
+    expect(response.toolCalls).toEqual([{ id: 'call_1', name: 'read_file', arguments: { path: 'a.js' } }]);
+  });
+
+  test('aws should send a Converse toolConfig and read toolUse blocks', async () => {
+    const provider = new AWSProvider();
+    provider.client = mockClient({
+      output: { message: { content: [{ toolUse: { toolUseId: 'tooluse_1', name: 'read_file', input: { path: 'a.js' } } }] } }
+    });
+
+    const response = await provider.sendMessage('Read a.js', { tools: [readFileTool], toolChoice: 'auto' });
+    const [, payload] = provider.client.post.mock.calls[0];
+
+    expect(payload.toolConfig.tools[0].toolSpec.inputSchema).toEqual({ json: readFileTool.parameters });
+    expect(payload.toolConfig.toolChoice).toEqual({ auto: {} });
+    expect(response.toolCalls[0]).toEqual({ id: 'tooluse_1', name: 'read_file', arguments: { path: 'a.js' } });
+  });
+
+  test('google should send functionDeclarations and read functionCall parts', async () => {
+    const provider = new GoogleProvider();
+    provider.client = mockClient({
+      candidates: [{ content: { parts: [{ functionCall: { name: 'read_file', args: { path: 'a.js' } } }] } }]
+    });
+
+    const response = await provider.sendMessage('Read a.js', { tools: [readFileTool], toolChoice: { name: 'read_file' } });
+    const [, payload] = provider.client.post.mock.calls[0];
+
+    expect(payload.tools[0].functionDeclarations[0].name).toBe('read_file');
+    expect(payload.toolConfig).toEqual({ functionCallingConfig: { mode: 'ANY', allowedFunctionNames: ['read_file'] } });
+    expect(response.toolCalls).toEqual([{ id: 'call_0', name: 'read_file', arguments: { path: 'a.js' } }]);
+  });
+
+  test('ollama should send tools and generate missing call IDs', async () => {
+    const provider = new OllamaProvider();
+    provider.client = mockClient({
+      message: { content: '', tool_calls: [{ function: { name: 'read_file', arguments: { path: 'a.js' } } }] }
+    });
+
+    const response = await provider.sendMessage('Read a.js', { tools: [readFileTool] });
+    const [, payload] = provider.client.post.mock.calls[0];
+
+    expect(payload.tools[0].function.name).toBe('read_file');
+    expect(response.toolCalls).toEqual([{ id: 'call_0', name: 'read_file', arguments: { path: 'a.js' } }]);
+  });
+});
+
+describe('Streamed tool calls', () => {
+  const sse = (chunks) => chunks.map(chunk => `data: ${JSON.stringify(chunk)}\n\n`).join('');
+
+  test('anthropic should assemble input_json_delta fragments', async () => {
+    const provider = new AnthropicProvider();
+    provider.client = mockClient(Readable.from([sse([
+      { type: 'message_start', message: { model: 'claude', usage: {} } },
+      { type: 'content_block_start', index: 0, content_block: { type: 'tool_use', id: 'toolu_1', name: 'read_file' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '{"pa' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: 'th":"a.js"}' } },
+      { type: 'content_block_stop', index: 0 }
+    ])]));
+
+    const deltas = await collect(provider.streamMessage('Read a.js', { tools: [readFileTool] }));
+    const expected = { id: 'toolu_1', name: 'read_file', arguments: { path: 'a.js' } };
+
+    expect(deltas[0]).toEqual({ type: 'tool_call', toolCall: expected });
+    expect(deltas[1].toolCalls).toEqual([expected]);
+  });
+
+  test('openai should assemble indexed tool call fragments', async () => {
+    const provider = new OpenAIProvider();
+    provider.client = mockClient(Readable.from([sse([
+      { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'read_file', arguments: '' } }] } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '{"path":' } }] } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '"a.js"}' } }] } }] }
+    ]) + 'data: [DONE]\n\n']));
+
+    const deltas = await collect(provider.streamMessage('Read a.js', { tools: [readFileTool] }));
+
+    expect(deltas[deltas.length - 1].toolCalls).toEqual([{ id: 'call_1', name: 'read_file', arguments: { path: 'a.js' } }]);
+  });
+});
+
+describe('Tool runner', () => {
+  test('should execute tool calls and feed results back until the model answers', async () => {
+    const provider = {
+      sendMessage: jest.fn()
+        .mockResolvedValueOnce({ content: '', toolCalls: [{ id: 'call_1', name: 'read_file', arguments: { path: 'a.js' } }] })
+        .mockResolvedValueOnce({ content: 'a.js exports foo', toolCalls: [] })
+    };
+    const execute = jest.fn().mockResolvedValue('module.exports = foo;');
+    const onToolCall = jest.fn();
+
+    const result = await runToolLoop(provider, [{ role: 'user', content: 'What does a.js export?' }], {
+      tools: [{ ...readFileTool, execute }],
+      onToolCall,
+      model: 'test-model'
+    });
+
+    expect(execute).toHaveBeenCalledWith({ path: 'a.js' }, { signal: undefined });
+    expect(onToolCall).toHaveBeenCalledTimes(1);
+    expect(result.content).toBe('a.js exports foo');
+    expect(result.turns).toBe(2);
+    expect(result.messages[2]).toEqual({
+      role: 'tool', toolCallId: 'call_1', name: 'read_file', content: 'module.exports = foo;'
+    });
+    expect(provider.sendMessage.mock.calls[1][1].model).toBe('test-model');
+  });
+
+  test('should report unknown tools and tool failures to the model', async () => {
+    const provider = {
+      sendMessage: jest.fn()
+        .mockResolvedValueOnce({
+          content: '',
+          toolCalls: [
+            { id: 'call_1', name: 'delete_repo', arguments: {} },
+            { id: 'call_2', name: 'read_file', arguments: { path: 'missing.js' } }
+          ]
+        })
+        .mockResolvedValueOnce({ content: 'Sorry', toolCalls: [] })
+    };
+    const execute = jest.fn().mockRejectedValue(new Error('ENOENT'));
+
+    const result = await runToolLoop(provider, [{ role: 'user', content: 'Go' }], { tools: [{ ...readFileTool, execute }] });
+
+    expect(result.messages[2]).toMatchObject({ isError: true, content: 'Unknown tool: delete_repo' });
+    expect(result.messages[3]).toMatchObject({ isError: true, content: "Tool 'read_file' failed: ENOENT" });
+  });
+
+  test('should stop after maxTurns', async () => {
+    const provider = {
+      sendMessage: jest.fn().mockResolvedValue({ content: '', toolCalls: [{ id: 'call_1', name: 'read_file', arguments: {} }] })
+    };
+
+    await expect(runToolLoop(provider, [{ role: 'user', content: 'Loop' }], {
+      tools: [{ ...readFileTool, execute: () => 'again' }],
+      maxTurns: 2
+    })).rejects.toThrow('within 2 turns');
+  });
+});
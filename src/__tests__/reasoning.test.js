@@ -0,0 +1,199 @@
+const {
+  normalizeReasoning,
+  parseReasoning,
+  validateReasoning,
+  describeReasoning,
+  withReasoning
+} = require('../providers/reasoning');
+const providerManager = require('../providers');
+const AnthropicProvider = require('../providers/anthropic');
+const AWSProvider = require('../providers/aws');
+const OpenAIProvider = require('../providers/openai');
+const OpenAICompatibleProvider = require('../providers/openai-compatible');
+const { ChatClient } = require('../core/chat-client');
+const { runToolLoop } = require('../core/tool-runner');
+const { createStreamPrinter } = require('../utils/stream-printer');
+const { validateConfig } = require('../config');
+const agentsManager = require('../agents');
+
+const signed = { text: 'The user wants the README.', signature: 'c2lnbmVk' };
+
+describe('Reasoning', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should normalize efforts and budgets', () => {
+    expect(normalizeReasoning('high')).toEqual({ effort: 'high', budgetTokens: 16384 });
+    expect(normalizeReasoning({ effort: 'low', budgetTokens: 2000 })).toEqual({ effort: 'low', budgetTokens: 2000 });
+    expect(normalizeReasoning({ budgetTokens: 2000, display: 'expanded' })).toEqual({ effort: 'medium', budgetTokens: 2000 });
+    expect(normalizeReasoning({ display: 'expanded' })).toBeNull();
+    expect(normalizeReasoning('off')).toBeNull();
+    expect(parseReasoning(' 8000 ')).toEqual({ effort: 'medium', budgetTokens: 8000 });
+    expect(parseReasoning('HIGH')).toEqual({ effort: 'high', budgetTokens: 16384 });
+    expect(validateReasoning('max')).toBe("Unknown reasoning effort 'max'. Use one of: off, low, medium, high");
+    expect(validateReasoning({ budgetTokens: 500 })).toBe('Reasoning budgetTokens must be an integer of at least 1024');
+    expect(describeReasoning(normalizeReasoning('low'))).toBe('low (1024 token budget)');
+    expect(describeReasoning(null)).toBe('off');
+  });
+
+  test('should estimate reasoning tokens only when the API does not count them', () => {
+    const usage = { inputTokens: 10, outputTokens: 4, reasoningTokens: 0 };
+
+    expect(withReasoning({ content: 'Hi', usage }, '')).toEqual({ content: 'Hi', usage });
+    expect(withReasoning({ content: 'Hi', usage }, 'one two three four five six').usage.reasoningTokens).toBe(4);
+    expect(withReasoning({ content: 'Hi', usage: { ...usage, reasoningTokens: 2 } }, 'one two').usage.reasoningTokens).toBe(2);
+  });
+
+  describe('provider requests', () => {
+    test('should send OpenAI an effort and count reasoning against max_completion_tokens', () => {
+      const payload = new OpenAIProvider().buildPayload('Hi', { model: 'o3-mini', maxTokens: 2000, temperature: 0.2, reasoning: 'high' });
+
+      expect(payload).toMatchObject({ reasoning_effort: 'high', max_completion_tokens: 18384 });
+      expect(payload).not.toHaveProperty('max_tokens');
+      expect(payload).not.toHaveProperty('temperature');
+    });
+
+    test('should apply compatible server quirks to reasoning requests', () => {
+      const provider = new OpenAICompatibleProvider('deepseek', {
+        baseURL: 'http://gpu-box:8000/v1',
+        models: ['deepseek-r1'],
+        quirks: { reasoningEffort: false }
+      });
+      const payload = provider.buildPayload('Hi', { reasoning: 'low' });
+
+      expect(payload).toMatchObject({ max_tokens: 2024 });
+      expect(payload).not.toHaveProperty('reasoning_effort');
+      expect(payload).not.toHaveProperty('max_completion_tokens');
+    });
+
+    test('should leave thinking out of forced tool calls and non-Claude Bedrock models', () => {
+      const responseFormat = { name: 'audit', schema: { type: 'object', properties: {} } };
+
+      expect(new AnthropicProvider().buildPayload('Hi', { reasoning: 'low', temperature: 0.2 }))
+        .toMatchObject({ thinking: { type: 'enabled', budget_tokens: 1024 }, max_tokens: 2024 });
+      expect(new AnthropicProvider().buildPayload('Hi', { reasoning: 'low', temperature: 0.2, responseFormat }))
+        .toMatchObject({ temperature: 0.2, max_tokens: 1000 });
+      expect(new AnthropicProvider().buildPayload('Hi', { reasoning: 'low', responseFormat })).not.toHaveProperty('thinking');
+      expect(new AWSProvider().buildPayload('Hi', { model: 'amazon.titan-text-express-v1', reasoning: 'low' }))
+        .not.toHaveProperty('additionalModelRequestFields');
+    });
+
+    test('should send signed thinking back with the tool calls of a tool loop', async () => {
+      const provider = new AnthropicProvider();
+      const sendMessage = jest.spyOn(provider, 'sendMessage')
+        .mockResolvedValueOnce({
+          content: '',
+          reasoning: signed.text,
+          reasoningDetails: [signed],
+          toolCalls: [{ id: 'toolu_1', name: 'read_file', arguments: { path: 'README.md' } }]
+        })
+        .mockResolvedValueOnce({ content: 'It describes the CLI.', toolCalls: [] });
+      const tools = [{ name: 'read_file', execute: async () => '# Sheikh' }];
+
+      await runToolLoop(provider, [{ role: 'user', content: 'What is in the README?' }], { tools, reasoning: 'low' });
+      const [transcript, options] = sendMessage.mock.calls[1];
+
+      expect(options.reasoning).toBe('low');
+      expect(provider.formatMessages(transcript.slice(1, 2))[0].content.slice(0, 2)).toEqual([
+        { type: 'thinking', thinking: signed.text, signature: signed.signature },
+        { type: 'tool_use', id: 'toolu_1', name: 'read_file', input: { path: 'README.md' } }
+      ]);
+    });
+  });
+
+  describe('chat client', () => {
+    const streamOf = (...deltas) => async function* () {
+      yield* deltas;
+    };
+
+    test('should send reasoning only to models that can reason', async () => {
+      const send = jest.spyOn(providerManager.getProvider('anthropic'), 'sendMessage')
+        .mockResolvedValue({ content: 'Hi', usage: {} });
+      const config = { apiProvider: 'anthropic', apiModelId: 'claude-3-7-sonnet-20250219', reasoning: { effort: 'low', display: 'expanded' } };
+
+      await new ChatClient(config).send('Hello');
+      await new ChatClient(config, { model: 'claude-3-5-haiku-20241022' }).send('Hello');
+      await new ChatClient(config, { reasoning: null }).send('Hello');
+
+      expect(send.mock.calls.map(([, options]) => options.reasoning)).toEqual([
+        { effort: 'low', budgetTokens: 1024 },
+        undefined,
+        undefined
+      ]);
+    });
+
+    test('should stream reasoning to its own callback and change settings mid-session', async () => {
+      jest.spyOn(providerManager.getProvider('ollama'), 'streamMessage').mockImplementation(streamOf(
+        { type: 'reasoning', text: 'Thinking it over. ' },
+        { type: 'text', text: 'Hi' },
+        { type: 'done', content: 'Hi', reasoning: 'Thinking it over. ', usage: { reasoningTokens: 5 } }
+      ));
+      const client = new ChatClient({ apiProvider: 'ollama', apiModelId: 'deepseek-r1:14b' });
+      const onReasoning = jest.fn();
+      const onText = jest.fn();
+
+      expect(client.reasoning).toBeNull();
+      expect(client.setReasoning('medium')).toEqual({ effort: 'medium', budgetTokens: 4096 });
+      const response = await client.send('Hello', [], { onReasoning, onText });
+
+      expect(onReasoning).toHaveBeenCalledWith('Thinking it over. ');
+      expect(onText).toHaveBeenCalledWith('Hi');
+      expect(response).toMatchObject({ content: 'Hi', reasoning: 'Thinking it over. ' });
+      expect(() => client.setReasoning('max')).toThrow("Unknown reasoning effort 'max'");
+    });
+  });
+
+  describe('stream printer', () => {
+    const createOutput = (isTTY) => ({ isTTY, columns: 10, rows: 24, write: jest.fn() });
+    const spinner = () => ({ text: '', succeed: jest.fn(), warn: jest.fn() });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    test('should collapse streamed thinking into a summary when the reply starts', () => {
+      const output = createOutput(true);
+      const printer = createStreamPrinter(spinner(), 'Reply', output);
+
+      printer.reasoning('Weighing a few ');
+      printer.reasoning('options\nfirst.');
+      printer.write('Hi');
+
+      // The 22-character first line wraps onto three rows of a ten-column terminal, and the second takes one
+      expect(output.write).toHaveBeenCalledWith('\r\x1b[4F\x1b[J');
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('💭 Thought for about 8 tokens (/thinking to show)'));
+      expect(output.write).toHaveBeenLastCalledWith('Hi');
+    });
+
+    test('should keep thinking on screen when expanded or not on a terminal, and hide it when asked', () => {
+      const piped = createOutput(false);
+      const hidden = createOutput(true);
+      const hiddenSpinner = spinner();
+
+      createStreamPrinter(spinner(), 'Reply', piped).reasoning('Weighing options.');
+      const printer = createStreamPrinter(hiddenSpinner, 'Reply', hidden, { reasoning: 'hidden' });
+      printer.reasoning('Weighing options.');
+      printer.finish('Hi', 'Weighing options.');
+
+      expect(piped.write).toHaveBeenCalledWith(expect.stringContaining('Weighing options.'));
+      expect(hidden.write).not.toHaveBeenCalled();
+      expect(console.log).not.toHaveBeenCalledWith(expect.stringContaining('Thought for'));
+    });
+  });
+
+  test('should validate reasoning in config and agent frontmatter', () => {
+    const base = { apiProvider: 'anthropic', apiModelId: 'claude-3-7-sonnet-20250219' };
+
+    expect(validateConfig({ ...base, reasoning: { effort: 'high', display: 'collapsed' } })).toEqual({ valid: true });
+    expect(validateConfig({ ...base, reasoning: 'max' }).error).toBe("reasoning: Unknown reasoning effort 'max'. Use one of: off, low, medium, high");
+    expect(validateConfig({ ...base, reasoning: { effort: 'low', display: 'folded' } }).error)
+      .toBe('reasoning.display must be one of: collapsed, expanded, hidden');
+    expect(validateConfig({ ...base, modelLimits: { 'qwq-32b': { contextWindow: 32768, reasoning: 'yes' } } }).error)
+      .toBe('modelLimits.qwq-32b.reasoning must be true or false');
+    expect(agentsManager.validateAgent({ name: 'planner', description: 'Plans', reasoning: { budgetTokens: 100 } }).error)
+      .toBe('Reasoning budgetTokens must be an integer of at least 1024');
+    expect(agentsManager.resolveAgentReasoning({ reasoning: 'off' }, { reasoning: 'high' })).toBeNull();
+    expect(agentsManager.resolveAgentReasoning({}, { reasoning: 'high' })).toEqual({ effort: 'high', budgetTokens: 16384 });
+  });
+});
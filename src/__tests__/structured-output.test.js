@@ -0,0 +1,230 @@
+const { validateJsonSchema } = require('../utils/json-schema');
+const { normalizeResponseFormat, toGeminiSchema } = require('../providers/structured');
+const { generateObject, parseJsonReply, StructuredOutputError } = require('../core/structured-output');
+const AnthropicProvider = require('../providers/anthropic');
+const OpenAIProvider = require('../providers/openai');
+const OpenAICompatibleProvider = require('../providers/openai-compatible');
+const AWSProvider = require('../providers/aws');
+const GoogleProvider = require('../providers/google');
+const OllamaProvider = require('../providers/ollama');
+
+const auditSchema = {
+  type: 'object',
+  properties: {
+    findings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          severity: { enum: ['low', 'medium', 'high'] },
+          file: { type: 'string', minLength: 1 },
+          line: { type: ['integer', 'null'], minimum: 1 }
+        },
+        required: ['severity', 'file'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['findings']
+};
+
+const responseFormat = { name: 'security_audit', schema: auditSchema };
+const audit = { findings: [{ severity: 'high', file: 'src/auth.js', line: 12 }] };
+
+const mockClient = (data) => ({ post: jest.fn().mockResolvedValue({ data }) });
+
+describe('JSON Schema validation', () => {
+  test('should accept matching values', () => {
+    expect(validateJsonSchema(audit, auditSchema)).toEqual([]);
+    expect(validateJsonSchema({ findings: [{ severity: 'low', file: 'a.js', line: null }] }, auditSchema)).toEqual([]);
+  });
+
+  test('should describe every mismatch with its path', () => {
+    expect(validateJsonSchema({ findings: [{ severity: 'urgent', file: '', line: 1.5, note: 'x' }, 'oops'] }, auditSchema)).toEqual([
+      '$.findings[0].severity must be one of: "low", "medium", "high"',
+      '$.findings[0].file must be at least 1 characters',
+      '$.findings[0].line must be integer or null, got number',
+      '$.findings[0] has unexpected property "note"',
+      '$.findings[1] must be object, got string'
+    ]);
+    expect(validateJsonSchema({}, auditSchema)).toEqual(['$ is missing required property "findings"']);
+  });
+
+  test('should check strings, numbers, arrays and combinators', () => {
+    expect(validateJsonSchema('abc', { type: 'string', pattern: '^a\\d$' })).toEqual(['$ must match the pattern ^a\\d$']);
+    expect(validateJsonSchema(11, { type: 'number', maximum: 10 })).toEqual(['$ must be at most 10']);
+    expect(validateJsonSchema([], { type: 'array', minItems: 1 })).toEqual(['$ must have at least 1 items']);
+    expect(validateJsonSchema(3, { anyOf: [{ type: 'string' }, { type: 'integer' }] })).toEqual([]);
+    expect(validateJsonSchema(true, { anyOf: [{ type: 'string' }, { type: 'integer' }] }))
+      .toEqual(['$ does not match any of the allowed schemas']);
+    expect(validateJsonSchema({ a: 1 }, { const: { a: 1 } })).toEqual([]);
+  });
+});
+
+describe('Provider structured output', () => {
+  test('should require an object schema', () => {
+    expect(normalizeResponseFormat({ schema: auditSchema }).name).toBe('structured_output');
+    expect(() => normalizeResponseFormat({ schema: { type: 'array' } })).toThrow('type object');
+    expect(() => normalizeResponseFormat({ name: 'security audit', schema: auditSchema })).toThrow('Invalid response format name');
+  });
+
+  test('should send a JSON schema response format to OpenAI', async () => {
+    const provider = new OpenAIProvider({ apiKey: 'test' });
+    provider.client = mockClient({ choices: [{ message: { content: JSON.stringify(audit) } }], model: 'gpt-4o' });
+
+    const response = await provider.sendMessage('Audit this', { responseFormat });
+
+    expect(provider.client.post.mock.calls[0][1].response_format).toEqual({
+      type: 'json_schema',
+      json_schema: { name: 'security_audit', description: undefined, schema: auditSchema }
+    });
+    expect(JSON.parse(response.content)).toEqual(audit);
+  });
+
+  test('should leave the response format out for servers that reject it', () => {
+    const provider = new OpenAICompatibleProvider('vllm', { baseURL: 'http://gpu-box:8000/v1', models: ['llama'], quirks: { responseFormat: false } });
+
+    expect(provider.buildPayload('Audit this', { responseFormat }).response_format).toBeUndefined();
+    expect(provider.capabilities).toEqual(['streaming', 'tools', 'embeddings', 'reasoning']);
+  });
+
+  test('should force a tool call with Anthropic and return its input as content', async () => {
+    const provider = new AnthropicProvider();
+    provider.client = mockClient({
+      content: [{ type: 'tool_use', id: 'toolu_1', name: 'security_audit', input: audit }],
+      model: 'claude-3-5-sonnet-20241022'
+    });
+
+    const response = await provider.sendMessage('Audit this', { responseFormat });
+    const payload = provider.client.post.mock.calls[0][1];
+
+    expect(payload.tools).toEqual([expect.objectContaining({ name: 'security_audit', input_schema: auditSchema })]);
+    expect(payload.tool_choice).toEqual({ type: 'tool', name: 'security_audit' });
+    expect(JSON.parse(response.content)).toEqual(audit);
+    expect(response.toolCalls).toEqual([]);
+  });
+
+  test('should force a tool call with Bedrock Converse', async () => {
+    const provider = new AWSProvider();
+    provider.client = mockClient({
+      output: { message: { content: [{ toolUse: { toolUseId: 't1', name: 'security_audit', input: audit } }] } }
+    });
+
+    const response = await provider.sendMessage('Audit this', { responseFormat });
+    const payload = provider.client.post.mock.calls[0][1];
+
+    expect(payload.toolConfig.toolChoice).toEqual({ tool: { name: 'security_audit' } });
+    expect(JSON.parse(response.content)).toEqual(audit);
+  });
+
+  test('should ask Gemini for JSON with a converted response schema', () => {
+    const payload = new GoogleProvider().buildPayload('Audit this', { responseFormat });
+
+    expect(payload.generationConfig.responseMimeType).toBe('application/json');
+    expect(payload.generationConfig.responseSchema.properties.findings.items).toEqual({
+      type: 'OBJECT',
+      properties: {
+        severity: { type: 'STRING', enum: ['low', 'medium', 'high'] },
+        file: { type: 'STRING', minLength: 1 },
+        line: { type: 'INTEGER', nullable: true, minimum: 1 }
+      },
+      required: ['severity', 'file']
+    });
+    expect(toGeminiSchema({ type: 'string', const: 'x' })).toEqual({ type: 'STRING' });
+  });
+
+  test('should pass the schema to Ollama as its format', () => {
+    expect(new OllamaProvider().buildPayload('Audit this', { responseFormat }).format).toEqual(auditSchema);
+  });
+});
+
+describe('generateObject', () => {
+  const replies = (...contents) => {
+    const sendMessage = jest.fn();
+    for (const content of contents) {
+      sendMessage.mockResolvedValueOnce({ content, toolCalls: [], usage: { inputTokens: 10, outputTokens: 5 }, model: 'test-model' });
+    }
+    return sendMessage;
+  };
+
+  test('should return the validated object', async () => {
+    const provider = { name: 'test', capabilities: ['structured'], sendMessage: replies(JSON.stringify(audit)) };
+
+    const result = await generateObject(provider, 'Audit src/auth.js', { name: 'security_audit', schema: auditSchema });
+
+    expect(result).toMatchObject({ object: audit, attempts: 1, model: 'test-model' });
+    expect(provider.sendMessage.mock.calls[0][1].responseFormat).toEqual(responseFormat);
+  });
+
+  test('should re-prompt with the validation errors until the reply matches', async () => {
+    const provider = {
+      name: 'test',
+      capabilities: ['structured'],
+      sendMessage: replies('{"findings": [{"severity": "urgent", "file": "a.js"}]}', JSON.stringify(audit))
+    };
+
+    const result = await generateObject(provider, 'Audit src/auth.js', { schema: auditSchema });
+    const repair = provider.sendMessage.mock.calls[1][0];
+
+    expect(result.attempts).toBe(2);
+    expect(result.usage).toMatchObject({ inputTokens: 20, outputTokens: 10, totalTokens: 30 });
+    expect(repair.slice(-2)).toEqual([
+      { role: 'assistant', content: '{"findings": [{"severity": "urgent", "file": "a.js"}]}' },
+      { role: 'user', content: expect.stringContaining('- $.findings[0].severity must be one of: "low", "medium", "high"') }
+    ]);
+  });
+
+  test('should put the schema in the prompt for providers without a native mode', async () => {
+    const provider = { name: 'plain', sendMessage: replies('Sure!\n```json\n["a", "b"]\n```') };
+
+    const result = await generateObject(provider, 'List two letters', { schema: { type: 'array', items: { type: 'string' } } });
+    const [messages, options] = provider.sendMessage.mock.calls[0];
+
+    expect(result.object).toEqual(['a', 'b']);
+    expect(messages[0]).toEqual({ role: 'system', content: expect.stringContaining('"type": "array"') });
+    expect(options.responseFormat).toBeUndefined();
+  });
+
+  test('should put the schema in the prompt for models without the native mode', async () => {
+    const openai = new OpenAIProvider();
+    const provider = { name: 'openai', capabilities: openai.capabilities, defaultModel: openai.defaultModel, sendMessage: replies(...Array(3).fill(JSON.stringify(audit))) };
+
+    await generateObject(provider, 'Audit src/auth.js', { schema: auditSchema });
+    await generateObject(provider, 'Audit src/auth.js', { schema: auditSchema, model: 'gpt-3.5-turbo-0125' });
+    await generateObject(provider, 'Audit src/auth.js', { schema: auditSchema, model: 'gpt-4o' });
+
+    const [[defaultMessages, defaultOptions], [legacyMessages, legacyOptions], [, currentOptions]] = provider.sendMessage.mock.calls;
+    expect(defaultMessages[0]).toEqual({ role: 'system', content: expect.stringContaining('"findings"') });
+    expect(defaultOptions.responseFormat).toBeUndefined();
+    expect(legacyMessages[0].role).toBe('system');
+    expect(legacyOptions.responseFormat).toBeUndefined();
+    expect(currentOptions.responseFormat).toEqual({ schema: auditSchema });
+  });
+
+  test('should unwrap non-object results from native modes', async () => {
+    const provider = { name: 'test', capabilities: ['structured'], sendMessage: replies('{"value": 42}') };
+
+    const result = await generateObject(provider, 'Pick a number', { schema: { type: 'integer' } });
+
+    expect(result.object).toBe(42);
+    expect(provider.sendMessage.mock.calls[0][1].responseFormat.schema).toEqual({
+      type: 'object', properties: { value: { type: 'integer' } }, required: ['value'], additionalProperties: false
+    });
+  });
+
+  test('should give up after the repair attempts', async () => {
+    const provider = { name: 'test', capabilities: ['structured'], sendMessage: replies('not json', '{}') };
+
+    const error = await generateObject(provider, 'Audit', { schema: auditSchema, maxRepairs: 1 }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(StructuredOutputError);
+    expect(error.attempts).toBe(2);
+    expect(error.errors).toEqual(['$ is missing required property "findings"']);
+    expect(provider.sendMessage.mock.calls[1][0][2].content).toMatch(/the reply is not valid JSON/);
+  });
+
+  test('should read JSON around surrounding text', () => {
+    expect(parseJsonReply('The answer is {"ok": true}.')).toEqual({ ok: true });
+    expect(() => parseJsonReply('no json here')).toThrow(SyntaxError);
+  });
+});
@@ -0,0 +1,256 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { normalizeUsage, addUsage } = require('../providers/usage');
+const { loadPrices, writeDefaultPrices, getModelPrice, priceUsage } = require('../core/pricing');
+const { UsageTracker, BudgetExceededError, summarizeUsage } = require('../core/usage-tracker');
+const { runToolLoop } = require('../core/tool-runner');
+const { formatCost, formatUsageReport } = require('../utils/usage-report');
+const { getErrorHint } = require('../utils/error-hints');
+const providerManager = require('../providers');
+const { ChatClient } = require('../core/chat-client');
+const { validateConfig } = require('../config');
+
+const strip = (text) => text.replace(/\x1b\[[0-9;]*m/g, '');
+
+describe('Usage normalization', () => {
+  test.each([
+    ['anthropic', { input_tokens: 10, output_tokens: 5, cache_read_input_tokens: 100, cache_creation_input_tokens: 20 },
+      { inputTokens: 10, outputTokens: 5, cacheReadTokens: 100, cacheWriteTokens: 20, reasoningTokens: 0, totalTokens: 135 }],
+    ['openai', { prompt_tokens: 12, completion_tokens: 5, prompt_tokens_details: { cached_tokens: 8 }, completion_tokens_details: { reasoning_tokens: 3 } },
+      { inputTokens: 4, outputTokens: 5, cacheReadTokens: 8, cacheWriteTokens: 0, reasoningTokens: 3, totalTokens: 17 }],
+    ['bedrock', { inputTokens: 4, outputTokens: 1, cacheReadInputTokens: 2 },
+      { inputTokens: 4, outputTokens: 1, cacheReadTokens: 2, cacheWriteTokens: 0, reasoningTokens: 0, totalTokens: 7 }],
+    ['gemini', { promptTokenCount: 9, candidatesTokenCount: 1, cachedContentTokenCount: 4, thoughtsTokenCount: 6 },
+      { inputTokens: 5, outputTokens: 7, cacheReadTokens: 4, cacheWriteTokens: 0, reasoningTokens: 6, totalTokens: 16 }],
+    ['ollama', { prompt_eval_count: 6, eval_count: 2 },
+      { inputTokens: 6, outputTokens: 2, cacheReadTokens: 0, cacheWriteTokens: 0, reasoningTokens: 0, totalTokens: 8 }]
+  ])('should map %s usage', (format, usage, expected) => {
+    expect(normalizeUsage(usage, format)).toEqual(expected);
+  });
+
+  test('should return zeros when the provider sent no usage', () => {
+    expect(normalizeUsage(undefined, 'openai').totalTokens).toBe(0);
+    expect(() => normalizeUsage({}, 'cohere')).toThrow("Unknown usage format 'cohere'");
+  });
+
+  test('should add usage objects', () => {
+    const total = addUsage(normalizeUsage({ prompt_eval_count: 6, eval_count: 2 }, 'ollama'), undefined, { inputTokens: 1 });
+    expect(total).toMatchObject({ inputTokens: 7, outputTokens: 2, totalTokens: 9 });
+  });
+});
+
+describe('Pricing', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sheikh-prices-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('should price input, output and cache tokens', () => {
+    const usage = { inputTokens: 1000, outputTokens: 500, cacheReadTokens: 10000, cacheWriteTokens: 1000 };
+    expect(priceUsage(usage, { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 })).toBeCloseTo(0.01725);
+    // Cache tokens without their own price are charged as input
+    expect(priceUsage(usage, { input: 1, output: 2 })).toBeCloseTo(0.013);
+  });
+
+  test('should resolve versioned models and provider-wide prices', async () => {
+    const prices = await loadPrices(path.join(dir, 'prices.json'));
+    expect(getModelPrice(prices, 'openai', 'gpt-4o-mini-2024-07-18')).toEqual(expect.objectContaining({ input: 0.15 }));
+    expect(getModelPrice(prices, 'ollama', 'llama3.1:8b')).toEqual({ input: 0, output: 0 });
+    expect(getModelPrice(prices, 'openai', 'o9-preview')).toBeUndefined();
+    expect(getModelPrice(prices, 'groq', 'llama3')).toBeUndefined();
+  });
+
+  test('should apply prices.json over the built-in table', async () => {
+    const file = path.join(dir, 'prices.json');
+    expect(await writeDefaultPrices(file)).toBe(true);
+    expect(await writeDefaultPrices(file)).toBe(false);
+
+    await fs.writeJson(file, { openai: { 'gpt-4': { input: 1, output: 1 } }, Groq: { '*': { input: 0.05, output: 0.08 } } });
+    const prices = await loadPrices(file);
+
+    expect(getModelPrice(prices, 'openai', 'gpt-4')).toEqual({ input: 1, output: 1 });
+    expect(getModelPrice(prices, 'openai', 'gpt-4o')).toEqual(expect.objectContaining({ input: 2.5 }));
+    expect(getModelPrice(prices, 'groq', 'llama3-70b')).toEqual({ input: 0.05, output: 0.08 });
+  });
+
+  test('should report an unreadable prices.json', async () => {
+    const file = path.join(dir, 'prices.json');
+    await fs.writeFile(file, '{ not json');
+    await expect(loadPrices(file)).rejects.toThrow(`Could not read price table ${file}`);
+  });
+});
+
+describe('Usage tracker', () => {
+  let dir;
+  const prices = { openai: { 'gpt-4': { input: 30, output: 60 } }, ollama: { '*': { input: 0, output: 0 } } };
+  const usage = (inputTokens, outputTokens) => ({ inputTokens, outputTokens });
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sheikh-usage-'));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(dir);
+  });
+
+  test('should append records to one file per day', async () => {
+    const tracker = new UsageTracker({ dir, prices, sessionId: 'abc' });
+    const record = await tracker.record({
+      provider: 'openai', model: 'gpt-4', usage: usage(1000, 100), date: new Date(2025, 0, 15, 10)
+    });
+    await tracker.record({ provider: 'ollama', model: 'llama3', agent: 'code-review', usage: usage(50, 5), date: new Date(2025, 0, 16, 10) });
+    await tracker.record({ provider: 'groq', model: 'llama3-70b', usage: usage(10, 1), date: new Date(2025, 0, 16, 11) });
+
+    expect(record).toMatchObject({ session: 'abc', provider: 'openai', model: 'gpt-4', agent: 'chat' });
+    expect(record.cost).toBeCloseTo(0.036);
+    expect(await fs.readdir(dir)).toEqual(['2025-01-15.jsonl', '2025-01-16.jsonl']);
+
+    const records = await tracker.readRecords({ from: '2025-01-16' });
+    expect(records.map(item => item.provider)).toEqual(['ollama', 'groq']);
+    expect(records[1].cost).toBeNull();
+  });
+
+  test('should skip a partly written line', async () => {
+    const tracker = new UsageTracker({ dir, prices });
+    await tracker.record({ provider: 'openai', model: 'gpt-4', usage: usage(10, 1), date: new Date(2025, 0, 15) });
+    await fs.appendFile(path.join(dir, '2025-01-15.jsonl'), '{"timestamp":"2025-');
+
+    expect(await tracker.readRecords()).toHaveLength(1);
+  });
+
+  test('should summarize records by each dimension', async () => {
+    const tracker = new UsageTracker({ dir, prices, sessionId: 'abc' });
+    await tracker.record({ provider: 'openai', model: 'gpt-4', usage: usage(1000, 0), date: new Date(2025, 0, 15) });
+    await tracker.record({ provider: 'openai', model: 'gpt-4', agent: 'code-review', usage: usage(1000, 0), date: new Date(2025, 0, 16) });
+    await tracker.record({ provider: 'groq', model: 'llama3-70b', usage: usage(10, 1), date: new Date(2025, 0, 16) });
+    const records = await tracker.readRecords();
+
+    expect(summarizeUsage(records, 'provider')).toEqual([
+      expect.objectContaining({ key: 'openai', calls: 2, cost: 0.06, unpriced: 0, inputTokens: 2000 }),
+      expect.objectContaining({ key: 'groq', calls: 1, cost: 0, unpriced: 1, totalTokens: 11 })
+    ]);
+    expect(summarizeUsage(records, 'agent').map(row => [row.key, row.calls])).toEqual([['chat', 2], ['code-review', 1]]);
+    expect(summarizeUsage(records, 'day').map(row => row.key).sort()).toEqual(['2025-01-15', '2025-01-16']);
+    expect(() => summarizeUsage(records, 'team')).toThrow("Cannot group usage by 'team'");
+  });
+
+  test('should enforce session, daily and monthly budgets', async () => {
+    const now = new Date(2025, 0, 16, 12);
+    const earlier = new UsageTracker({ dir, prices });
+    await earlier.record({ provider: 'openai', model: 'gpt-4', usage: usage(100000, 0), date: new Date(2025, 0, 2) });
+    await earlier.record({ provider: 'openai', model: 'gpt-4', usage: usage(50000, 0), date: new Date(2025, 0, 16, 9) });
+
+    expect(await earlier.getSpend(now)).toEqual({ session: 4.5, daily: 1.5, monthly: 4.5 });
+
+    await expect(new UsageTracker({ dir, prices, budget: { daily: 2, monthly: 10 } }).checkBudget(now)).resolves.toBeUndefined();
+    await expect(new UsageTracker({ dir, prices, budget: { monthly: 4 } }).checkBudget(now))
+      .rejects.toThrow('Monthly budget of $4.00 reached ($4.50 spent)');
+
+    const session = new UsageTracker({ dir, prices, budget: { session: 1 } });
+    await session.checkBudget(now);
+    await session.record({ provider: 'openai', model: 'gpt-4', usage: usage(40000, 0), date: now });
+    const error = await session.checkBudget(now).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(BudgetExceededError);
+    expect(error).toMatchObject({ period: 'session', limit: 1 });
+    expect(getErrorHint(error)).toContain('budget.session');
+  });
+
+  test('should record and stop chat calls', async () => {
+    const openai = providerManager.getProvider('openai');
+    const send = jest.spyOn(openai, 'sendMessage').mockResolvedValue({
+      content: 'Hi', toolCalls: [], model: 'gpt-4-0613', usage: normalizeUsage({ prompt_tokens: 20000, completion_tokens: 0 }, 'openai')
+    });
+    const usageTracker = new UsageTracker({ dir, prices, budget: { session: 1 } });
+    const client = new ChatClient({ apiProvider: 'openai' }, { usageTracker, agent: 'chat' });
+
+    await client.send('Hello');
+    await client.send('Hello again');
+    await expect(client.send('One more')).rejects.toThrow(BudgetExceededError);
+
+    expect(send).toHaveBeenCalledTimes(2);
+    const records = await usageTracker.readRecords();
+    expect(records.map(record => [record.provider, record.model, record.cost])).toEqual([
+      ['openai', 'gpt-4-0613', 0.6],
+      ['openai', 'gpt-4-0613', 0.6]
+    ]);
+  });
+
+  test('should record every turn of a tool loop', async () => {
+    const provider = {
+      name: 'ollama',
+      defaultModel: 'llama3.1',
+      sendMessage: jest.fn()
+        .mockResolvedValueOnce({ content: '', toolCalls: [{ id: '1', name: 'list_files', arguments: {} }], usage: usage(10, 2) })
+        .mockResolvedValueOnce({ content: 'Done', toolCalls: [], usage: usage(30, 4) })
+    };
+    const usageTracker = new UsageTracker({ dir, prices });
+
+    await runToolLoop(provider, [{ role: 'user', content: 'List files' }], {
+      tools: [{ name: 'list_files', execute: async () => 'README.md' }],
+      usageTracker,
+      agent: 'file-agent'
+    });
+
+    const [total] = summarizeUsage(await usageTracker.readRecords(), 'agent');
+    expect(total).toMatchObject({ key: 'file-agent', calls: 2, cost: 0, inputTokens: 40, outputTokens: 6 });
+  });
+});
+
+describe('Usage report', () => {
+  const records = [
+    { timestamp: new Date(2025, 0, 15, 10).toISOString(), session: 'a', provider: 'openai', model: 'gpt-4', agent: 'chat',
+      usage: addUsage({ inputTokens: 48210, outputTokens: 1200 }), cost: 1.5183 },
+    { timestamp: new Date(2025, 0, 16, 10).toISOString(), session: 'b', provider: 'groq', model: 'llama3-70b', agent: 'chat',
+      usage: addUsage({ inputTokens: 10, outputTokens: 1 }), cost: null }
+  ];
+
+  test('should format costs', () => {
+    expect(formatCost(0)).toBe('$0.00');
+    expect(formatCost(0.0031)).toBe('$0.0031');
+    expect(formatCost(1.236)).toBe('$1.24');
+  });
+
+  test('should show totals, breakdowns and budgets', () => {
+    const report = strip(formatUsageReport(records, {
+      groupBy: ['provider', 'day'],
+      budget: { daily: 5, monthly: 1 },
+      spend: { daily: 0, monthly: 1.52 }
+    }));
+
+    expect(report).toContain('Total: $1.52 over 2 calls');
+    expect(report).toContain('48,220 input, 1,201 output');
+    expect(report).toContain('1 call has no price; add the model to .sheikh/prices.json');
+    expect(report).toMatch(/openai\s+1\s+48,210\s+1,200\s+0\s+0\s+0\s+\$1\.52/);
+    expect(report).toMatch(/groq\s+1\s+10\s+1\s+0\s+0\s+0\s+-/);
+    expect(report.indexOf('2025-01-15')).toBeLessThan(report.indexOf('2025-01-16'));
+    expect(report).not.toContain('By model');
+    expect(report).toContain('daily: $0.00 of $5.00');
+    expect(report).toContain('monthly: $1.52 of $1.00');
+  });
+
+  test('should say when nothing was recorded', () => {
+    expect(strip(formatUsageReport([]))).toBe('No usage recorded yet.');
+  });
+});
+
+describe('Budget configuration', () => {
+  test('should accept positive budgets and reject anything else', () => {
+    const config = { apiProvider: 'openai', apiModelId: 'gpt-4' };
+
+    expect(validateConfig({ ...config, budget: { daily: 5, monthly: 50 } }).valid).toBe(true);
+    expect(validateConfig({ ...config, budget: { weekly: 5 } }).error)
+      .toBe('budget.weekly is not a budget period. Use one of: session, daily, monthly');
+    expect(validateConfig({ ...config, budget: { daily: 0 } }).error)
+      .toBe('budget.daily must be a positive number of US dollars');
+    expect(validateConfig({ ...config, budget: 5 }).error)
+      .toBe('budget must be an object with session, daily, monthly limits');
+  });
+});
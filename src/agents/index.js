@@ -10,6 +10,8 @@ const fs = require('fs-extra');
 const path = require('path');
 const glob = require('glob');
 const yaml = require('yaml');
+const { resolveModelAlias, checkFrontmatterModel } = require('../providers/aliases');
+const { normalizeReasoning, validateReasoning } = require('../providers/reasoning');
 
 /**
  * AgentsManager class
@@ -108,11 +110,43 @@ class AgentsManager {
     return Array.from(this.agents.keys());
   }
 
+  /**
+   * Resolve the model an agent runs on. `inherit` and agents without a
+   * `model` use the session's model; aliases resolve for the session's provider.
+   * @param {Object} agent - Agent object
+   * @param {Object} context - Execution context
+   * @param {string} [context.provider] - Session's provider
+   * @param {string} [context.model] - Session's model
+   * @param {Object} [context.modelAliases] - `modelAliases` configuration section
+   * @param {string|Object} [context.reasoning] - Session's reasoning settings
+   * @returns {string|undefined} Model ID
+   * @throws {ModelAliasError} If the alias has no model for the provider
+   */
+  resolveAgentModel(agent, context = {}) {
+    if (!context.provider) {
+      return context.model;
+    }
+    return resolveModelAlias(agent.model, context.provider, context.modelAliases) || context.model;
+  }
+
+  /**
+   * Resolve the reasoning settings an agent runs with. A `reasoning` field in
+   * the frontmatter replaces the session's settings, so `reasoning: off` turns
+   * reasoning off for the agent.
+   * @param {Object} agent - Agent object
+   * @param {Object} context - Execution context, see `resolveAgentModel`
+   * @returns {{effort: string, budgetTokens: number}|null} Reasoning settings, or null for none
+   * @throws {Error} If the reasoning settings are invalid
+   */
+  resolveAgentReasoning(agent, context = {}) {
+    return normalizeReasoning(agent.reasoning !== undefined ? agent.reasoning : context.reasoning);
+  }
+
   /**
    * Execute an agent with context
    * @param {string} agentName - Name of the agent to execute
-   * @param {Object} context - Execution context
-   * @returns {Promise<Object>} Execution result
+   * @param {Object} context - Execution context, see `resolveAgentModel`
+   * @returns {Promise<Object>} Execution result with the `model` and `reasoning` the agent runs with
    */
   async executeAgent(agentName, context = {}) {
     const agent = this.getAgent(agentName);
@@ -120,12 +154,17 @@ class AgentsManager {
       throw new Error(`Agent '${agentName}' not found`);
     }
 
+    const model = this.resolveAgentModel(agent, context);
+    const reasoning = this.resolveAgentReasoning(agent, context);
+
     try {
       // In a real implementation, this would execute the agent
       // For now, we'll return a mock result
       return {
         success: true,
         agent: agentName,
+        model,
+        reasoning,
         output: `Executed agent: ${agent.description}`,
         context: context
       };
@@ -190,9 +229,10 @@ ${content || ''}
   /**
    * Validate agent configuration
    * @param {Object} agent - Agent object to validate
+   * @param {Object} [modelAliases] - `modelAliases` configuration section, for aliases beyond the built-in ones
    * @returns {Object} Validation result
    */
-  validateAgent(agent) {
+  validateAgent(agent, modelAliases) {
     if (!agent) {
       const error = 'Agent object is required';
       if (process.env.NODE_ENV === 'test') {
@@ -225,13 +265,20 @@ ${content || ''}
       throw new Error(error);
     }
 
-    const validModels = ['inherit', 'sonnet', 'opus', 'haiku'];
-    if (agent.model && !validModels.includes(agent.model)) {
-      const error = `Invalid model. Must be one of: ${validModels.join(', ')}`;
+    const modelError = checkFrontmatterModel(agent.model, modelAliases);
+    if (modelError) {
       if (process.env.NODE_ENV === 'test') {
-        return { valid: false, error };
+        return { valid: false, error: modelError };
       }
-      throw new Error(error);
+      throw new Error(modelError);
+    }
+
+    const reasoningError = agent.reasoning !== undefined ? validateReasoning(agent.reasoning) : null;
+    if (reasoningError) {
+      if (process.env.NODE_ENV === 'test') {
+        return { valid: false, error: reasoningError };
+      }
+      throw new Error(reasoningError);
     }
 
     return { valid: true };
@@ -7,7 +7,14 @@ const { config } = require('dotenv');
 const path = require('path');
 const fs = require('fs-extra');
 const { AgenticEngine } = require('./core/agentic-engine');
-const { loadConfig, validateConfig } = require('./config');
+const { ChatClient } = require('./core/chat-client');
+const { createStreamPrinter } = require('./utils/stream-printer');
+const { parseReasoning, describeReasoning } = require('./providers/reasoning');
+const { getErrorHint } = require('./utils/error-hints');
+const { loadAttachment, findAttachmentPaths, loadMessageAttachments, buildMessageContent } = require('./utils/attachments');
+const { TurnInterrupter } = require('./utils/interrupt');
+const { loadConfig, validateConfig, getConfigValue } = require('./config');
+const { UsageTracker } = require('./core/usage-tracker');
 const { setupEnvironment, validateEnvironmentVariables } = require('./utils/environment');
 
 // Load environment variables
@@ -25,7 +32,8 @@ program
   .command('chat')
   .description('Start an agentic chat session with advanced AI capabilities')
   .option('-p, --provider <provider>', 'AI provider to use')
-  .option('-m, --model <model>', 'Model to use')
+  .option('-m, --model <model>', 'Model ID, or an alias such as fast or smart')
+  .option('--reasoning <effort>', 'Reasoning effort (off, low, medium, high) or a thinking token budget')
   .option('--full-auto', 'Run in fully automated mode')
   .option('--auto-approve-mcp', 'Automatically approve all MCP tool usage requests')
   .option('--custom-instructions <instructions>', 'Provide custom instructions for the task')
@@ -293,12 +301,14 @@ program
     }
   });
 
-// Parse command line arguments
-program.parse();
+// Parse command line arguments (only if not in test environment)
+if (process.env.NODE_ENV !== 'test') {
+  program.parse();
 
-// If no command provided, show help
-if (!process.argv.slice(2).length) {
-  program.outputHelp();
+  // If no command provided, show help
+  if (!process.argv.slice(2).length) {
+    program.outputHelp();
+  }
 }
 
 // Enhanced Chat Session Class
@@ -308,8 +318,22 @@ class EnhancedChatSession {
     this.config = config;
     this.options = options;
     this.conversationHistory = [];
+    this.pendingAttachments = [];
+    this.lastReasoning = '';
     this.isRunning = false;
     this.inquirer = require('inquirer');
+    this.interrupter = new TurnInterrupter({
+      onExit: () => {
+        console.log(chalk.green('\nGoodbye! 👋'));
+        process.exit(130);
+      }
+    });
+    this.client = new ChatClient(config, {
+      ...options,
+      reasoning: options.reasoning !== undefined ? parseReasoning(options.reasoning) : undefined,
+      context: agenticEngine.getPromptContext(),
+      usageTracker: new UsageTracker({ budget: getConfigValue(config, 'budget') })
+    });
   }
 
   async startChat() {
@@ -317,8 +341,9 @@ class EnhancedChatSession {
     
     console.log(chalk.blue.bold('\n🤖 Welcome to Sheikh-CLI Agentic Engine!'));
     console.log(chalk.gray('Your unfair advantage in AI-powered development'));
-    console.log(chalk.gray('Type "help" for commands, "exit" to quit\n'));
+    console.log(chalk.gray('Type "help" for commands, "exit" to quit; Ctrl+C cancels a reply or task\n'));
 
+    this.interrupter.listen();
     while (this.isRunning) {
       try {
         const { input } = await this.inquirer.prompt([
@@ -352,42 +377,83 @@ class EnhancedChatSession {
         console.error(chalk.red('Error:'), error.message);
       }
     }
+    this.interrupter.close();
   }
 
   async processAgenticMessage(message) {
     const spinner = ora('Processing with agentic engine...').start();
+    const printer = createStreamPrinter(spinner, '🤖 Sheikh:', process.stdout, {
+      reasoning: (getConfigValue(this.config, 'reasoning') || {}).display
+    });
+    const signal = this.interrupter.startTurn();
     
     try {
-      // Check if this is a complex task that needs agentic processing
-      if (this.isComplexTask(message)) {
+      let assistant;
+      let answeredBy = {};
+      const attachments = [...this.pendingAttachments, ...await loadMessageAttachments(message)];
+
+      // Check if this is a complex task that needs agentic processing; the agentic engine does not read attachments
+      if (attachments.length === 0 && this.isComplexTask(message)) {
         spinner.text = 'Executing agentic task...';
-        const result = await this.agenticEngine.executeAgenticTask(message);
+        const result = await this.agenticEngine.executeAgenticTask(message, { signal });
+        if (result.status === 'cancelled') {
+          spinner.warn(chalk.yellow('Agentic task cancelled'));
+          return;
+        }
         
         spinner.succeed('Agentic task completed');
         console.log(chalk.blue('\n🤖 Sheikh Agentic:'));
         console.log(result);
         console.log();
+        assistant = 'Agentic';
       } else {
         // Handle as regular chat message
         spinner.text = 'Getting AI response...';
-        const response = await this.getAIResponse(message);
+        const { content, reasoning, provider, model } = await this.getAIResponse(buildMessageContent(message, attachments), {
+          signal,
+          onText: text => printer.write(text),
+          onReasoning: text => printer.reasoning(text),
+          onRetry: info => printer.retry(info),
+          onFallback: info => printer.fallback(info),
+          onContextWarning: info => printer.contextWarning(info)
+        });
         
-        spinner.succeed('Response received');
-        console.log(chalk.blue('\n🤖 Sheikh:'));
-        console.log(response);
-        console.log();
+        printer.finish(content, reasoning);
+        this.lastReasoning = reasoning || '';
+        assistant = content;
+        answeredBy = { provider, model };
       }
 
+      // Attachments are only used up by a turn that gets a reply
+      this.pendingAttachments = [];
+
       // Add to conversation history
       this.conversationHistory.push({
         user: message,
-        assistant: this.isComplexTask(message) ? 'Agentic' : 'Direct',
+        assistant,
+        ...answeredBy,
+        ...(attachments.length > 0 ? { attachments } : {}),
+        agentic: assistant === 'Agentic',
         timestamp: new Date()
       });
 
     } catch (error) {
+      if (signal.aborted) {
+        printer.cancel();
+        return;
+      }
+
       spinner.fail('Failed to process request');
       console.error(chalk.red('Error:'), error.message);
+      const hint = getErrorHint(error);
+      if (hint) {
+        console.error(chalk.yellow(hint));
+      }
+    } finally {
+      this.interrupter.endTurn();
+      if (this.pendingAttachments.length > 0) {
+        console.log(chalk.gray(`${this.pendingAttachments.length === 1 ? 'Attachment' : 'Attachments'} kept for your next message; /detach removes them`));
+      }
     }
   }
 
@@ -403,9 +469,10 @@ class EnhancedChatSession {
     return complexKeywords.some(keyword => words.includes(keyword)) && words.length > 3;
   }
 
-  async getAIResponse(message) {
-    // This would integrate with the AI provider system
-    return `I understand you want to: ${message}\n\nI can help you with that using my agentic capabilities. Would you like me to create a plan for this task?`;
+  async getAIResponse(message, callbacks = {}) {
+    // Agentic task results are not chat replies, so only direct turns are sent as context
+    const history = this.conversationHistory.filter(entry => !entry.agentic);
+    return this.client.send(message, history, callbacks);
   }
 
   async handleSlashCommand(command) {
@@ -435,6 +502,17 @@ class EnhancedChatSession {
       case 'config':
         await this.showConfig();
         break;
+      case 'attach':
+        if (args.length > 0) {
+          await this.attachFile(args.join(' '));
+        } else {
+          console.log(chalk.yellow('Usage: /attach <path>'));
+        }
+        break;
+      case 'detach':
+        this.pendingAttachments = [];
+        console.log(chalk.green('Attachments removed'));
+        break;
       case 'clear':
         this.conversationHistory = [];
         console.log(chalk.green('Conversation history cleared'));
@@ -442,9 +520,45 @@ class EnhancedChatSession {
       case 'history':
         this.showHistory();
         break;
+      case 'reasoning':
+        this.setReasoning(args.join(' '));
+        break;
+      case 'thinking':
+        this.showThinking();
+        break;
       default:
         console.log(chalk.yellow(`Unknown command: ${cmd}`));
-        console.log(chalk.gray('Available commands: /agents, /search, /analyze, /workflow, /config, /clear, /history'));
+        console.log(chalk.gray('Available commands: /agents, /search, /analyze, /workflow, /attach, /detach, /reasoning, /thinking, /config, /clear, /history'));
+    }
+  }
+
+  setReasoning(value) {
+    try {
+      if (value.trim()) {
+        this.client.setReasoning(parseReasoning(value));
+      }
+      console.log(chalk.green(`Reasoning: ${describeReasoning(this.client.reasoning)}`));
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+    }
+  }
+
+  showThinking() {
+    if (!this.lastReasoning) {
+      console.log(chalk.gray('The last reply has no reasoning to show'));
+      return;
+    }
+    console.log(chalk.gray(`\n💭 Thinking\n${this.lastReasoning}\n`));
+  }
+
+  async attachFile(input) {
+    try {
+      const [filePath] = await findAttachmentPaths(input);
+      const attachment = await loadAttachment(filePath || input);
+      this.pendingAttachments.push(attachment);
+      console.log(chalk.green(`Attached ${attachment.name} to your next message`));
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
     }
   }
 
@@ -526,6 +640,9 @@ class EnhancedChatSession {
       this.conversationHistory.forEach((entry, index) => {
         console.log(chalk.cyan(`\n${index + 1}.`));
         console.log(chalk.gray(`User: ${entry.user}`));
+        if (entry.attachments) {
+          console.log(chalk.gray(`Attachments: ${entry.attachments.map(part => part.name).join(', ')}`));
+        }
         console.log(chalk.gray(`Assistant: ${entry.assistant}`));
         console.log(chalk.gray(`Time: ${entry.timestamp.toLocaleTimeString()}`));
       });
@@ -537,10 +654,15 @@ class EnhancedChatSession {
     console.log(chalk.cyan('\nCommands:'));
     console.log('  help                    - Show this help message');
     console.log('  exit/quit              - Exit the application');
+    console.log('  Ctrl+C                 - Cancel the current reply or task; press again to exit');
     console.log('  /agents                - List available agents');
     console.log('  /search <query>        - Search your codebase');
     console.log('  /analyze               - Analyze your codebase');
     console.log('  /workflow <desc>       - Generate workflow from description');
+    console.log('  /attach <path>         - Attach an image or PDF to your next message');
+    console.log('  /detach                - Remove attachments from your next message');
+    console.log('  /reasoning [effort]    - Show or set reasoning: off, low, medium, high or a token budget');
+    console.log('  /thinking              - Show the reasoning behind the last reply');
     console.log('  /config                - Show current configuration');
     console.log('  /clear                 - Clear conversation history');
     console.log('  /history               - Show conversation history');
@@ -17,6 +17,21 @@ const ora = require('ora');
 const { config } = require('dotenv');
 const path = require('path');
 const fs = require('fs-extra');
+const { ChatClient } = require('./core/chat-client');
+const providerManager = require('./providers');
+const { getValidProviders, getConfigValue } = require('./config');
+const { UsageTracker, GROUP_BY, formatDay } = require('./core/usage-tracker');
+const { writeDefaultPrices, getPricesPath } = require('./core/pricing');
+const { checkProviders, DEFAULT_CHECK_TIMEOUT } = require('./core/provider-check');
+const { BatchJobs, expandInputs, countItems, DEFAULT_CONCURRENCY, DEFAULT_POLL_INTERVAL } = require('./core/batch-jobs');
+const { formatUsageReport } = require('./utils/usage-report');
+const { formatProviderReport } = require('./utils/provider-report');
+const { formatBatchList, formatBatchJob, formatProgress } = require('./utils/batch-report');
+const { createStreamPrinter } = require('./utils/stream-printer');
+const { parseReasoning, describeReasoning } = require('./providers/reasoning');
+const { getErrorHint } = require('./utils/error-hints');
+const { loadAttachment, findAttachmentPaths, loadMessageAttachments, buildMessageContent } = require('./utils/attachments');
+const { TurnInterrupter } = require('./utils/interrupt');
 
 // Load environment variables
 config();
@@ -33,7 +48,7 @@ program
  * Starts an interactive chat session with AI capabilities
  * @param {Object} options - Command options
  * @param {string} [options.provider] - AI provider to use
- * @param {string} [options.model] - Model to use
+ * @param {string} [options.model] - Model ID or alias to use
  * @param {boolean} [options.fullAuto] - Run in fully automated mode
  * @param {boolean} [options.autoApproveMcp] - Automatically approve all MCP tool usage requests
  * @param {string} [options.customInstructions] - Custom instructions for the task
@@ -44,7 +59,8 @@ program
   .command('chat')
   .description('Start an interactive chat session with AI')
   .option('-p, --provider <provider>', 'AI provider to use')
-  .option('-m, --model <model>', 'Model to use')
+  .option('-m, --model <model>', 'Model ID, or an alias such as fast or smart')
+  .option('--reasoning <effort>', 'Reasoning effort (off, low, medium, high) or a thinking token budget')
   .option('--full-auto', 'Run in fully automated mode')
   .option('--auto-approve-mcp', 'Automatically approve all MCP tool usage requests')
   .option('--custom-instructions <instructions>', 'Provide custom instructions for the task')
@@ -193,6 +209,242 @@ program
     }
   });
 
+/**
+ * Usage command handler
+ * Reports token usage and cost recorded under .sheikh/usage
+ * @param {Object} options - Command options
+ * @param {string} [options.by] - Comma-separated breakdowns: provider, model, agent, day, session
+ * @param {string} [options.days] - Number of days to report, ending today
+ * @param {boolean} [options.initPrices] - Write the built-in price table to .sheikh/prices.json
+ */
+// Usage command
+program
+  .command('usage')
+  .description('Show token usage and cost by provider, model, agent and day')
+  .option('--by <dimensions>', `Breakdowns to show (${GROUP_BY.join(', ')})`, 'provider,model,agent,day')
+  .option('--days <n>', 'Number of days to report', '30')
+  .option('--init-prices', 'Write the price table to .sheikh/prices.json for editing')
+  .action(async (options) => {
+    try {
+      if (options.initPrices) {
+        const written = await writeDefaultPrices();
+        console.log(written
+          ? chalk.green(`Price table written to ${getPricesPath()}`)
+          : chalk.yellow(`${getPricesPath()} already exists; edit it to change prices`));
+        return;
+      }
+
+      const days = parseInt(options.days, 10);
+      if (!Number.isInteger(days) || days < 1) {
+        throw new Error('--days must be a positive number');
+      }
+
+      const groupBy = options.by.split(',').map(dimension => dimension.trim()).filter(Boolean);
+      const unknown = groupBy.filter(dimension => !GROUP_BY.includes(dimension));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown breakdown '${unknown[0]}'. Use one of: ${GROUP_BY.join(', ')}`);
+      }
+
+      const config = await loadConfig();
+      const budget = getConfigValue(config, 'budget') || {};
+      const tracker = new UsageTracker({ budget });
+      const from = new Date();
+      from.setDate(from.getDate() - (days - 1));
+
+      const records = await tracker.readRecords({ from: formatDay(from), to: formatDay(new Date()) });
+      console.log(chalk.blue.bold(`\n📊 Usage for the last ${days} day${days === 1 ? '' : 's'}\n`));
+      console.log(formatUsageReport(records, { groupBy, budget, spend: await tracker.getSpend() }));
+      console.log();
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Providers command handler
+ * Lists registered providers, checks their credentials with a test call and shows their models
+ * @param {Object} options - Command options
+ * @param {string} [options.provider] - Only check this provider
+ * @param {boolean} [options.models] - List every model
+ * @param {boolean} [options.check] - Make test calls; false with --no-check
+ * @param {string} [options.timeout] - Seconds allowed for each test call
+ */
+// Providers command
+program
+  .command('providers')
+  .description('Check provider credentials and connectivity and list their models')
+  .option('-p, --provider <provider>', 'Only check this provider')
+  .option('--models', 'List every model')
+  .option('--no-check', 'Skip the test calls and show built-in model lists')
+  .option('--timeout <seconds>', 'Seconds allowed for each test call', String(DEFAULT_CHECK_TIMEOUT / 1000))
+  .action(async (options) => {
+    try {
+      const timeout = Number(options.timeout);
+      if (!(timeout > 0)) {
+        throw new Error('--timeout must be a positive number');
+      }
+
+      const config = await loadConfig();
+      providerManager.registerPluginProviders();
+      providerManager.registerConfiguredProviders(getConfigValue(config, 'providers'));
+
+      const names = options.provider ? [options.provider.toLowerCase()] : providerManager.listProviders();
+      const spinner = options.check ? ora(`Checking ${names.length} provider${names.length === 1 ? '' : 's'}...`).start() : null;
+      const results = await checkProviders(providerManager, names, { testCall: options.check, timeout: timeout * 1000 });
+      if (spinner) {
+        spinner.stop();
+      }
+
+      console.log(chalk.blue.bold('\n🔌 Providers\n'));
+      console.log(formatProviderReport(results, { models: options.models }));
+      console.log();
+
+      if (results.some(result => result.status === 'failed')) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Batch command handler
+ * Runs one prompt over many files through the provider's batch API, or a local queue
+ * when the provider has none, and manages the jobs saved under .sheikh/batches
+ * @param {string} [prompt] - Prompt sent with each file
+ * @param {Array<string>} files - Input files or quoted glob patterns
+ * @param {Object} options - Command options
+ * @param {string} [options.provider] - AI provider to use
+ * @param {string} [options.model] - Model ID or alias to use
+ * @param {string} [options.output] - Directory for results
+ * @param {boolean} [options.local] - Use the local queue even if the provider has a batch API
+ * @param {string} [options.concurrency] - Requests the local queue sends at once
+ * @param {string} [options.poll] - Seconds between checks on a provider batch
+ * @param {boolean} [options.wait] - Wait for the job to finish; false with --no-wait
+ * @param {boolean} [options.list] - List jobs
+ * @param {string} [options.status] - Job to show
+ * @param {string} [options.resume] - Job to continue
+ * @param {string} [options.cancel] - Job to cancel
+ */
+// Batch command
+program
+  .command('batch [prompt] [files...]')
+  .description('Run a prompt over many files with the provider batch API or a local queue')
+  .option('-p, --provider <provider>', 'AI provider to use')
+  .option('-m, --model <model>', 'Model ID, or an alias such as fast or smart')
+  .option('-o, --output <dir>', 'Directory for results (default: .sheikh/batches/<job>)')
+  .option('--local', 'Send the requests from a local queue even if the provider has a batch API')
+  .option('--concurrency <n>', `Requests the local queue sends at once (default: ${DEFAULT_CONCURRENCY})`)
+  .option('--poll <seconds>', `Seconds between checks on a provider batch (default: ${DEFAULT_POLL_INTERVAL / 1000})`)
+  .option('--no-wait', 'Submit a provider batch and exit; follow it later with --resume')
+  .option('--list', 'List batch jobs')
+  .option('--status <job>', 'Show a job, checking on its provider batch')
+  .option('--resume <job>', 'Continue a job: poll its batch or send its remaining files')
+  .option('--cancel <job>', 'Cancel a job')
+  .action(async (prompt, files, options) => {
+    try {
+      const concurrency = options.concurrency !== undefined ? Number(options.concurrency) : undefined;
+      if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency > 0)) {
+        throw new Error('--concurrency must be a positive integer');
+      }
+      const poll = options.poll !== undefined ? Number(options.poll) : undefined;
+      if (poll !== undefined && !(poll > 0)) {
+        throw new Error('--poll must be a positive number');
+      }
+
+      const config = await loadConfig();
+      const jobs = new BatchJobs(config, { usageTracker: new UsageTracker({ budget: getConfigValue(config, 'budget') }) });
+
+      if (options.list) {
+        console.log(chalk.blue.bold('\n📦 Batch jobs\n'));
+        console.log(formatBatchList(await jobs.list()));
+        console.log();
+        return;
+      }
+
+      if (options.status || options.cancel) {
+        const job = options.cancel
+          ? await jobs.cancel(await jobs.load(options.cancel))
+          : await jobs.refresh(await jobs.load(options.status));
+        console.log(chalk.blue.bold(`\n📦 Batch ${job.id}\n`));
+        console.log(formatBatchJob(job));
+        console.log();
+        if (options.cancel && job.status === 'running') {
+          console.log(chalk.gray(`Cancelling; collect the finished results with sheikh batch --resume ${job.id}`));
+        }
+        return;
+      }
+
+      let job;
+      if (options.resume) {
+        job = await jobs.load(options.resume);
+        if (job.status !== 'running') {
+          console.log(chalk.yellow(`Batch ${job.id} is already ${job.status}`));
+          return;
+        }
+      } else {
+        if (!prompt || files.length === 0) {
+          throw new Error('Give a prompt and at least one file, e.g. sheikh batch "Summarize this file" "src/**/*.js"');
+        }
+        job = await jobs.create({
+          prompt,
+          inputs: expandInputs(files),
+          provider: options.provider,
+          model: options.model,
+          outputDir: options.output,
+          local: options.local
+        });
+      }
+
+      const via = job.mode === 'provider' ? `the ${job.provider} batch API` : 'a local queue';
+      console.log(chalk.blue(`Batch ${job.id}: ${job.items.length} file${job.items.length === 1 ? '' : 's'} through ${via} (${job.model})`));
+
+      // The first Ctrl+C stops waiting and leaves the job to resume; a second one exits
+      const interrupter = new TurnInterrupter({ onExit: () => process.exit(130) });
+      const spinner = ora(`Batch ${job.id}: ${formatProgress(job)}`).start();
+      interrupter.listen();
+      const signal = interrupter.startTurn();
+
+      try {
+        await jobs.run(job, {
+          wait: options.wait,
+          concurrency,
+          pollInterval: poll !== undefined ? poll * 1000 : undefined,
+          signal,
+          onProgress: current => { spinner.text = `Batch ${current.id}: ${formatProgress(current)}`; },
+          onRetry: ({ reason, delay }) => { spinner.text = `${reason}; retrying in ${Math.ceil(delay / 1000)}s...`; }
+        });
+      } catch (error) {
+        spinner.fail(`Batch ${job.id} stopped: ${error.message}`);
+        console.log(chalk.gray(`Continue it with sheikh batch --resume ${job.id}`));
+        process.exitCode = 1;
+        return;
+      } finally {
+        interrupter.close();
+      }
+
+      if (job.status === 'running') {
+        spinner.info(signal.aborted ? `Stopped waiting for batch ${job.id}` : `Submitted batch ${job.id}`);
+        console.log(chalk.gray(`Continue it with sheikh batch --resume ${job.id}, or check on it with --status ${job.id}`));
+        return;
+      }
+
+      const counts = countItems(job);
+      if (job.status === 'completed' && counts.failed === 0) {
+        spinner.succeed(`Batch ${job.id} completed: ${formatProgress(job)}`);
+      } else {
+        spinner.warn(`Batch ${job.id} ${job.status}: ${job.error || formatProgress(job)}`);
+        process.exitCode = 1;
+      }
+      console.log(chalk.gray(`Results in ${job.outputDir}${counts.failed > 0 ? `; see the failures with sheikh batch --status ${job.id}` : ''}`));
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 // Parse command line arguments (only if not in test environment)
 if (process.env.NODE_ENV !== 'test') {
   program.parse();
@@ -244,7 +496,12 @@ function getDefaultConfig() {
  * @returns {Object} Validation result with valid boolean and optional error message
  */
 function validateConfig(config) {
-  const validProviders = ['anthropic', 'openai', 'aws', 'google', 'ollama'];
+  let validProviders;
+  try {
+    validProviders = getValidProviders(config);
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
   
   if (!config.apiProvider || !validProviders.includes(config.apiProvider)) {
     return {
@@ -291,8 +548,21 @@ class ChatSession {
     this.config = config;
     this.options = options;
     this.conversationHistory = [];
+    this.pendingAttachments = [];
+    this.lastReasoning = '';
     this.isRunning = false;
     this.inquirer = require('inquirer');
+    this.interrupter = new TurnInterrupter({
+      onExit: () => {
+        console.log(chalk.green('\nGoodbye! 👋'));
+        process.exit(130);
+      }
+    });
+    this.client = new ChatClient(config, {
+      ...options,
+      reasoning: options.reasoning !== undefined ? parseReasoning(options.reasoning) : undefined,
+      usageTracker: new UsageTracker({ budget: getConfigValue(config, 'budget') })
+    });
   }
 
   /**
@@ -304,8 +574,9 @@ class ChatSession {
     
     console.log(chalk.blue.bold('\n🤖 Welcome to Sheikh-CLI!'));
     console.log(chalk.gray('Your AI-powered development assistant'));
-    console.log(chalk.gray('Type "help" for commands, "exit" to quit\n'));
+    console.log(chalk.gray('Type "help" for commands, "exit" to quit; Ctrl+C cancels a reply\n'));
 
+    this.interrupter.listen();
     while (this.isRunning) {
       try {
         const { input } = await this.inquirer.prompt([
@@ -339,37 +610,68 @@ class ChatSession {
         console.error(chalk.red('Error:'), error.message);
       }
     }
+    this.interrupter.close();
   }
 
   /**
-   * Process a user message and generate AI response
+   * Process a user message and generate AI response. Files attached with
+   * `/attach` and image or PDF paths found in the message are sent with it.
+   * Ctrl+C cancels the reply and leaves the history as it was.
    * @param {string} message - User message to process
    * @returns {Promise<void>}
    */
   async processMessage(message) {
     const spinner = ora('Processing message...').start();
+    const printer = createStreamPrinter(spinner, '🤖 Sheikh:', process.stdout, {
+      reasoning: (getConfigValue(this.config, 'reasoning') || {}).display
+    });
+    const signal = this.interrupter.startTurn();
     
     try {
-      // Simulate AI response
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      const response = `I understand you want to: ${message}\n\nI can help you with that using my AI capabilities.`;
-      
-      spinner.succeed('Response received');
-      console.log(chalk.blue('\n🤖 Sheikh:'));
-      console.log(response);
-      console.log();
+      const attachments = [...this.pendingAttachments, ...await loadMessageAttachments(message)];
+
+      const content = buildMessageContent(message, attachments);
+      const { content: response, reasoning, provider, model } = await this.client.send(content, this.conversationHistory, {
+        signal,
+        onText: text => printer.write(text),
+        onReasoning: text => printer.reasoning(text),
+        onRetry: info => printer.retry(info),
+        onFallback: info => printer.fallback(info),
+        onContextWarning: info => printer.contextWarning(info)
+      });
+      printer.finish(response, reasoning);
+      this.lastReasoning = reasoning || '';
+
+      // Attachments are only used up by a turn that gets a reply
+      this.pendingAttachments = [];
 
       // Add to conversation history
       this.conversationHistory.push({
         user: message,
         assistant: response,
+        ...(attachments.length > 0 ? { attachments } : {}),
+        provider,
+        model,
         timestamp: new Date()
       });
 
     } catch (error) {
+      if (signal.aborted) {
+        printer.cancel();
+        return;
+      }
+
       spinner.fail('Failed to process request');
       console.error(chalk.red('Error:'), error.message);
+      const hint = getErrorHint(error);
+      if (hint) {
+        console.error(chalk.yellow(hint));
+      }
+    } finally {
+      this.interrupter.endTurn();
+      if (this.pendingAttachments.length > 0) {
+        console.log(chalk.gray(`${this.pendingAttachments.length === 1 ? 'Attachment' : 'Attachments'} kept for your next message; /detach removes them`));
+      }
     }
   }
 
@@ -391,6 +693,17 @@ class ChatSession {
       case 'config':
         await this.showConfig();
         break;
+      case 'attach':
+        if (args.length > 0) {
+          await this.attachFile(args.join(' '));
+        } else {
+          console.log(chalk.yellow('Usage: /attach <path>'));
+        }
+        break;
+      case 'detach':
+        this.pendingAttachments = [];
+        console.log(chalk.green('Attachments removed'));
+        break;
       case 'clear':
         this.conversationHistory = [];
         console.log(chalk.green('Conversation history cleared'));
@@ -398,9 +711,59 @@ class ChatSession {
       case 'history':
         this.showHistory();
         break;
+      case 'reasoning':
+        this.setReasoning(args.join(' '));
+        break;
+      case 'thinking':
+        this.showThinking();
+        break;
       default:
         console.log(chalk.yellow(`Unknown command: ${cmd}`));
-        console.log(chalk.gray('Available commands: /agents, /skills, /config, /clear, /history'));
+        console.log(chalk.gray('Available commands: /agents, /skills, /attach, /detach, /reasoning, /thinking, /config, /clear, /history'));
+    }
+  }
+
+  /**
+   * Show or change the reasoning settings for the rest of the session
+   * @param {string} value - Effort or token budget; empty to show the current settings
+   * @returns {void}
+   */
+  setReasoning(value) {
+    try {
+      if (value.trim()) {
+        this.client.setReasoning(parseReasoning(value));
+      }
+      console.log(chalk.green(`Reasoning: ${describeReasoning(this.client.reasoning)}`));
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+    }
+  }
+
+  /**
+   * Print the reasoning behind the last reply in full
+   * @returns {void}
+   */
+  showThinking() {
+    if (!this.lastReasoning) {
+      console.log(chalk.gray('The last reply has no reasoning to show'));
+      return;
+    }
+    console.log(chalk.gray(`\n💭 Thinking\n${this.lastReasoning}\n`));
+  }
+
+  /**
+   * Attach an image or PDF to the next message
+   * @param {string} input - File path, optionally quoted
+   * @returns {Promise<void>}
+   */
+  async attachFile(input) {
+    try {
+      const [filePath] = await findAttachmentPaths(input);
+      const attachment = await loadAttachment(filePath || input);
+      this.pendingAttachments.push(attachment);
+      console.log(chalk.green(`Attached ${attachment.name} to your next message`));
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
     }
   }
 
@@ -451,6 +814,9 @@ class ChatSession {
       this.conversationHistory.forEach((entry, index) => {
         console.log(chalk.cyan(`\n${index + 1}.`));
         console.log(chalk.gray(`User: ${entry.user}`));
+        if (entry.attachments) {
+          console.log(chalk.gray(`Attachments: ${entry.attachments.map(part => part.name).join(', ')}`));
+        }
         console.log(chalk.gray(`Assistant: ${entry.assistant.substring(0, 100)}...`));
         console.log(chalk.gray(`Time: ${entry.timestamp.toLocaleTimeString()}`));
       });
@@ -462,8 +828,13 @@ class ChatSession {
     console.log(chalk.cyan('\nCommands:'));
     console.log('  help                    - Show this help message');
     console.log('  exit/quit              - Exit the application');
+    console.log('  Ctrl+C                 - Cancel the current reply; press again to exit');
     console.log('  /agents                - List available agents');
     console.log('  /skills                - List available skills');
+    console.log('  /attach <path>         - Attach an image or PDF to your next message');
+    console.log('  /detach                - Remove attachments from your next message');
+    console.log('  /reasoning [effort]    - Show or set reasoning: off, low, medium, high or a token budget');
+    console.log('  /thinking              - Show the reasoning behind the last reply');
     console.log('  /config                - Show current configuration');
     console.log('  /clear                 - Clear conversation history');
     console.log('  /history               - Show conversation history');
@@ -9,6 +9,14 @@
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
+const { ERROR_CATEGORIES } = require('./providers/http');
+const { BUDGET_PERIODS } = require('./core/usage-tracker');
+const { BUILT_IN_PROVIDERS, discoverProviderPlugins } = require('./providers/registry');
+const { ATTACHMENT_TYPES } = require('./providers/messages');
+const { INHERIT, resolveModelAlias } = require('./providers/aliases');
+const { validateReasoning } = require('./providers/reasoning');
+const { REASONING_DISPLAYS } = require('./utils/stream-printer');
+const CUSTOM_PROVIDER_TYPES = ['openai-compatible'];
 
 /**
  * Load configuration from file or return default
@@ -61,14 +69,333 @@ function getDefaultConfig() {
   };
 }
 
+/**
+ * List the provider names a configuration may select: the built-in
+ * providers, the provider plugins of the current project and any
+ * defined in its `providers` section
+ * @param {Object} [config] - Configuration object
+ * @returns {string[]} Provider names
+ * @throws {Error} If a provider plugin cannot be loaded
+ */
+function getValidProviders(config) {
+  const plugins = discoverProviderPlugins().map(plugin => plugin.name);
+  const custom = Object.keys(getConfigValue(config, 'providers') || {}).map(name => name.toLowerCase());
+  return [...new Set([...BUILT_IN_PROVIDERS, ...plugins, ...custom])];
+}
+
+/**
+ * Check the `providers` section of a configuration
+ * @param {Object} [providers] - Provider names mapped to settings
+ * @returns {string|null} Error message, or null if the section is valid
+ * @private
+ */
+function validateCustomProviders(providers) {
+  if (providers === undefined) {
+    return null;
+  }
+
+  if (!providers || typeof providers !== 'object' || Array.isArray(providers)) {
+    return 'providers must be an object mapping provider names to settings';
+  }
+
+  for (const [name, settings] of Object.entries(providers)) {
+    if (BUILT_IN_PROVIDERS.includes(name.toLowerCase())) {
+      return `providers.${name} conflicts with a built-in provider`;
+    }
+
+    if (!settings || !CUSTOM_PROVIDER_TYPES.includes(settings.type)) {
+      return `providers.${name}.type must be one of: ${CUSTOM_PROVIDER_TYPES.join(', ')}`;
+    }
+
+    if (!/^https?:\/\/[^/]+/.test(settings.baseURL || '')) {
+      return `providers.${name}.baseURL must be an http(s) URL`;
+    }
+
+    if (settings.headers !== undefined && (typeof settings.headers !== 'object' || Array.isArray(settings.headers))) {
+      return `providers.${name}.headers must be an object`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check the `retry` section of a configuration
+ * @param {Object} [retry] - `{ maxRetries, baseDelay, maxDelay }`
+ * @returns {string|null} Error message, or null if the section is valid
+ * @private
+ */
+function validateRetrySettings(retry) {
+  if (retry === undefined) {
+    return null;
+  }
+
+  if (!retry || typeof retry !== 'object') {
+    return 'retry must be an object';
+  }
+
+  if (retry.maxRetries !== undefined && (!Number.isInteger(retry.maxRetries) || retry.maxRetries < 0)) {
+    return 'retry.maxRetries must be a non-negative integer';
+  }
+
+  for (const key of ['baseDelay', 'maxDelay']) {
+    if (retry[key] !== undefined && (typeof retry[key] !== 'number' || retry[key] <= 0)) {
+      return `retry.${key} must be a positive number of milliseconds`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check the `modelLimits` section of a configuration
+ * @param {Object} [modelLimits] - Model IDs mapped to `{ contextWindow, maxOutput, attachments }`
+ * @returns {string|null} Error message, or null if the section is valid
+ * @private
+ */
+function validateModelLimits(modelLimits) {
+  if (modelLimits === undefined) {
+    return null;
+  }
+
+  if (!modelLimits || typeof modelLimits !== 'object' || Array.isArray(modelLimits)) {
+    return 'modelLimits must be an object mapping model IDs to limits';
+  }
+
+  for (const [model, limits] of Object.entries(modelLimits)) {
+    if (!limits || !Number.isInteger(limits.contextWindow) || limits.contextWindow <= 0) {
+      return `modelLimits.${model}.contextWindow must be a positive integer`;
+    }
+    if (limits.maxOutput !== undefined && (!Number.isInteger(limits.maxOutput) || limits.maxOutput <= 0)) {
+      return `modelLimits.${model}.maxOutput must be a positive integer`;
+    }
+    if (limits.attachments !== undefined &&
+        (!Array.isArray(limits.attachments) || limits.attachments.some(type => !ATTACHMENT_TYPES.includes(type)))) {
+      return `modelLimits.${model}.attachments must list attachment types from: ${ATTACHMENT_TYPES.join(', ')}`;
+    }
+    if (limits.reasoning !== undefined && typeof limits.reasoning !== 'boolean') {
+      return `modelLimits.${model}.reasoning must be true or false`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check the `budget` section of a configuration
+ * @param {Object} [budget] - Limits in US dollars: `{ session, daily, monthly }`
+ * @returns {string|null} Error message, or null if the section is valid
+ * @private
+ */
+function validateBudget(budget) {
+  if (budget === undefined) {
+    return null;
+  }
+
+  if (!budget || typeof budget !== 'object' || Array.isArray(budget)) {
+    return `budget must be an object with ${BUDGET_PERIODS.join(', ')} limits`;
+  }
+
+  for (const [period, limit] of Object.entries(budget)) {
+    if (!BUDGET_PERIODS.includes(period)) {
+      return `budget.${period} is not a budget period. Use one of: ${BUDGET_PERIODS.join(', ')}`;
+    }
+    if (typeof limit !== 'number' || !(limit > 0)) {
+      return `budget.${period} must be a positive number of US dollars`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check the `batch` section of a configuration
+ * @param {Object} [batch] - `{ concurrency, pollInterval }`
+ * @returns {string|null} Error message, or null if the section is valid
+ * @private
+ */
+function validateBatchSettings(batch) {
+  if (batch === undefined) {
+    return null;
+  }
+
+  if (!batch || typeof batch !== 'object' || Array.isArray(batch)) {
+    return 'batch must be an object';
+  }
+
+  if (batch.concurrency !== undefined && (!Number.isInteger(batch.concurrency) || batch.concurrency < 1)) {
+    return 'batch.concurrency must be a positive integer';
+  }
+
+  if (batch.pollInterval !== undefined && (typeof batch.pollInterval !== 'number' || !(batch.pollInterval > 0))) {
+    return 'batch.pollInterval must be a positive number of seconds';
+  }
+
+  return null;
+}
+
+/**
+ * Check the `reasoning` section of a configuration
+ * @param {string|Object} [reasoning] - Effort name, or `{ effort, budgetTokens, display }`
+ * @returns {string|null} Error message, or null if the section is valid
+ * @private
+ */
+function validateReasoningSettings(reasoning) {
+  if (reasoning === undefined) {
+    return null;
+  }
+
+  const error = validateReasoning(reasoning);
+  if (error) {
+    return `reasoning: ${error}`;
+  }
+
+  if (reasoning && reasoning.display !== undefined && !REASONING_DISPLAYS.includes(reasoning.display)) {
+    return `reasoning.display must be one of: ${REASONING_DISPLAYS.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Check the `fallback` chain and the `fallbackOn` error classes
+ * @param {Array<Object>} [fallback] - `{ provider, model }` pairs to try in order
+ * @param {Array<string>} [fallbackOn] - Error classes that trigger failover
+ * @param {string[]} validProviders - Provider names the configuration may use
+ * @returns {string|null} Error message, or null if both are valid
+ * @private
+ */
+function validateFallbackSettings(fallback, fallbackOn, validProviders) {
+  if (fallback !== undefined) {
+    if (!Array.isArray(fallback)) {
+      return 'fallback must be an array of { provider, model } entries';
+    }
+
+    for (const [index, entry] of fallback.entries()) {
+      if (!entry || !validProviders.includes(String(entry.provider).toLowerCase())) {
+        return `fallback[${index}].provider must be one of: ${validProviders.join(', ')}`;
+      }
+      if (entry.model !== undefined && typeof entry.model !== 'string') {
+        return `fallback[${index}].model must be a string`;
+      }
+    }
+  }
+
+  if (fallbackOn !== undefined) {
+    if (!Array.isArray(fallbackOn) || fallbackOn.some(category => !ERROR_CATEGORIES.includes(category))) {
+      return `fallbackOn must list error classes from: ${ERROR_CATEGORIES.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check the `embeddings` section and the `embeddingModels` metadata
+ * @param {Object} [embeddings] - `{ provider, model, dimensions }` used for semantic search
+ * @param {Object} [embeddingModels] - Model IDs mapped to `{ dimensions, dimensionOptions, reducible, maxBatch }`
+ * @param {string[]} validProviders - Provider names the configuration may use
+ * @returns {string|null} Error message, or null if both are valid
+ * @private
+ */
+function validateEmbeddingSettings(embeddings, embeddingModels, validProviders) {
+  const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+  if (embeddings !== undefined) {
+    if (!embeddings || typeof embeddings !== 'object' || Array.isArray(embeddings)) {
+      return 'embeddings must be an object with a provider';
+    }
+    if (!validProviders.includes(String(embeddings.provider).toLowerCase())) {
+      return `embeddings.provider must be one of: ${validProviders.join(', ')}`;
+    }
+    if (embeddings.model !== undefined && typeof embeddings.model !== 'string') {
+      return 'embeddings.model must be a string';
+    }
+    if (embeddings.dimensions !== undefined && !isPositiveInteger(embeddings.dimensions)) {
+      return 'embeddings.dimensions must be a positive integer';
+    }
+  }
+
+  if (embeddingModels !== undefined) {
+    if (!embeddingModels || typeof embeddingModels !== 'object' || Array.isArray(embeddingModels)) {
+      return 'embeddingModels must be an object mapping model IDs to metadata';
+    }
+
+    for (const [model, metadata] of Object.entries(embeddingModels)) {
+      if (!metadata || !isPositiveInteger(metadata.dimensions)) {
+        return `embeddingModels.${model}.dimensions must be a positive integer`;
+      }
+      if (metadata.dimensionOptions !== undefined &&
+        (!Array.isArray(metadata.dimensionOptions) || !metadata.dimensionOptions.every(isPositiveInteger))) {
+        return `embeddingModels.${model}.dimensionOptions must be a list of positive integers`;
+      }
+      if (metadata.reducible !== undefined && typeof metadata.reducible !== 'boolean') {
+        return `embeddingModels.${model}.reducible must be a boolean`;
+      }
+      if (metadata.maxBatch !== undefined && !isPositiveInteger(metadata.maxBatch)) {
+        return `embeddingModels.${model}.maxBatch must be a positive integer`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check the `modelAliases` table, and that the aliases used by `apiModelId`
+ * and the `fallback` chain have a model for their provider
+ * @param {Object} config - Configuration object
+ * @param {string[]} validProviders - Provider names the configuration may use
+ * @returns {string|null} Error message, or null if the aliases are valid
+ * @private
+ */
+function validateModelAliases(config, validProviders) {
+  const modelAliases = getConfigValue(config, 'modelAliases');
+
+  if (modelAliases !== undefined) {
+    if (!modelAliases || typeof modelAliases !== 'object' || Array.isArray(modelAliases)) {
+      return 'modelAliases must be an object mapping aliases to provider model IDs';
+    }
+
+    for (const [alias, models] of Object.entries(modelAliases)) {
+      if (alias === INHERIT) {
+        return `modelAliases cannot redefine '${INHERIT}', which means the session's model`;
+      }
+      if (!models || typeof models !== 'object' || Array.isArray(models)) {
+        return `modelAliases.${alias} must be an object mapping providers to model IDs`;
+      }
+      for (const [provider, model] of Object.entries(models)) {
+        if (!validProviders.includes(provider.toLowerCase())) {
+          return `modelAliases.${alias}.${provider} is not a provider. Must be one of: ${validProviders.join(', ')}`;
+        }
+        if (typeof model !== 'string' || !model) {
+          return `modelAliases.${alias}.${provider} must be a model ID`;
+        }
+      }
+    }
+  }
+
+  const uses = [['apiModelId', config.apiProvider, config.apiModelId]];
+  const fallback = getConfigValue(config, 'fallback') || [];
+  fallback.forEach((entry, index) => uses.push([`fallback[${index}].model`, entry.provider, entry.model]));
+
+  for (const [field, provider, model] of uses) {
+    try {
+      resolveModelAlias(model, String(provider).toLowerCase(), modelAliases);
+    } catch (error) {
+      return `${field}: ${error.message}`;
+    }
+  }
+
+  return null;
+}
+
 /**
  * Validate configuration object
  * @param {Object} config - Configuration object to validate
  * @returns {Object} Validation result with valid boolean and error message
  */
 function validateConfig(config) {
-  const validProviders = ['anthropic', 'openai', 'aws', 'google', 'ollama'];
-  
   if (!config) {
     const error = 'Configuration object is required';
     if (process.env.NODE_ENV === 'test') {
@@ -76,6 +403,88 @@ function validateConfig(config) {
     }
     throw new Error(error);
   }
+
+  const providersError = validateCustomProviders(getConfigValue(config, 'providers'));
+  if (providersError) {
+    if (process.env.NODE_ENV === 'test') {
+      return { valid: false, error: providersError };
+    }
+    throw new Error(providersError);
+  }
+
+  const retryError = validateRetrySettings(getConfigValue(config, 'retry'));
+  if (retryError) {
+    if (process.env.NODE_ENV === 'test') {
+      return { valid: false, error: retryError };
+    }
+    throw new Error(retryError);
+  }
+
+  const modelLimitsError = validateModelLimits(getConfigValue(config, 'modelLimits'));
+  if (modelLimitsError) {
+    if (process.env.NODE_ENV === 'test') {
+      return { valid: false, error: modelLimitsError };
+    }
+    throw new Error(modelLimitsError);
+  }
+
+  const budgetError = validateBudget(getConfigValue(config, 'budget'));
+  if (budgetError) {
+    if (process.env.NODE_ENV === 'test') {
+      return { valid: false, error: budgetError };
+    }
+    throw new Error(budgetError);
+  }
+
+  const batchError = validateBatchSettings(getConfigValue(config, 'batch'));
+  if (batchError) {
+    if (process.env.NODE_ENV === 'test') {
+      return { valid: false, error: batchError };
+    }
+    throw new Error(batchError);
+  }
+
+  const reasoningError = validateReasoningSettings(getConfigValue(config, 'reasoning'));
+  if (reasoningError) {
+    if (process.env.NODE_ENV === 'test') {
+      return { valid: false, error: reasoningError };
+    }
+    throw new Error(reasoningError);
+  }
+
+  let validProviders;
+  try {
+    validProviders = getValidProviders(config);
+  } catch (error) {
+    if (process.env.NODE_ENV === 'test') {
+      return { valid: false, error: error.message };
+    }
+    throw error;
+  }
+
+  const fallbackError = validateFallbackSettings(
+    getConfigValue(config, 'fallback'),
+    getConfigValue(config, 'fallbackOn'),
+    validProviders
+  );
+  if (fallbackError) {
+    if (process.env.NODE_ENV === 'test') {
+      return { valid: false, error: fallbackError };
+    }
+    throw new Error(fallbackError);
+  }
+
+  const embeddingError = validateEmbeddingSettings(
+    getConfigValue(config, 'embeddings'),
+    getConfigValue(config, 'embeddingModels'),
+    validProviders
+  );
+  if (embeddingError) {
+    if (process.env.NODE_ENV === 'test') {
+      return { valid: false, error: embeddingError };
+    }
+    throw new Error(embeddingError);
+  }
   
   if (!config.apiProvider || !validProviders.includes(config.apiProvider)) {
     const error = `Invalid API provider. Must be one of: ${validProviders.join(', ')}`;
@@ -92,6 +501,14 @@ function validateConfig(config) {
     }
     throw new Error(error);
   }
+
+  const aliasError = validateModelAliases(config, validProviders);
+  if (aliasError) {
+    if (process.env.NODE_ENV === 'test') {
+      return { valid: false, error: aliasError };
+    }
+    throw new Error(aliasError);
+  }
   
   if (config.autoApprovalSettings) {
     if (typeof config.autoApprovalSettings.enabled !== 'boolean') {
@@ -161,6 +578,25 @@ function getConfigPath() {
   return path.join(process.cwd(), '.sheikh', 'config.json');
 }
 
+/**
+ * Read a configuration value from either the flat layout or the
+ * agentic `globalState` layout written by `sheikh config --init`
+ * @param {Object} config - Configuration object
+ * @param {string} key - Configuration key
+ * @returns {*} Configuration value or undefined if not set
+ */
+function getConfigValue(config, key) {
+  if (!config) {
+    return undefined;
+  }
+
+  if (config[key] !== undefined) {
+    return config[key];
+  }
+
+  return config.globalState ? config.globalState[key] : undefined;
+}
+
 /**
  * Check if configuration file exists
  * @returns {Promise<boolean>} True if config file exists
@@ -213,6 +649,8 @@ module.exports = {
   validateConfig,
   initializeConfig,
   getConfigPath,
+  getConfigValue,
+  getValidProviders,
   configExists,
   resetConfig,
   updateConfig
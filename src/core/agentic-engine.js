@@ -7,10 +7,30 @@
  * @module core/agentic-engine
  */
 
+const crypto = require('crypto');
 const fs = require('fs-extra');
 const path = require('path');
 const { execSync } = require('child_process');
+const { setTimeout: delay } = require('timers/promises');
 const chalk = require('chalk');
+const skillsManager = require('../skills');
+const providerManager = require('../providers');
+const { getConfigValue } = require('../config');
+const { cosineSimilarity } = require('../providers/embeddings');
+const { throwIfAborted } = require('../providers/http');
+
+// Most files listed in the repository map sent to the model
+const REPO_MAP_MAX_FILES = 500;
+
+// Characters of each file embedded for semantic search, after its path
+const EMBEDDING_TEXT_CHARS = 8000;
+
+// Format of the file that keeps embedding vectors between runs
+const VECTOR_CACHE_VERSION = 1;
+
+// Least cosine similarity, and most results, of a semantic search
+const SEMANTIC_MIN_RELEVANCE = 0.3;
+const SEMANTIC_MAX_RESULTS = 20;
 
 /**
  * AgenticEngine class
@@ -25,7 +45,8 @@ class AgenticEngine {
     this.config = config;
     this.agents = new Map();
     this.workflows = new Map();
-    this.codebase = new CodebaseAnalyzer();
+    this.skills = new Map();
+    this.codebase = new CodebaseAnalyzer(config);
     this.coordinator = new AgentCoordinator();
     this.approval = new ApprovalSystem();
   }
@@ -37,9 +58,58 @@ class AgenticEngine {
   async initialize() {
     await this.loadAgents();
     await this.loadWorkflows();
+    await this.loadSkills();
     await this.codebase.analyze();
   }
 
+  /**
+   * Load the project's skills from `.claude/skills`, if it has any
+   * @returns {Promise<void>}
+   */
+  async loadSkills() {
+    if (await fs.pathExists(skillsManager.skillsPath)) {
+      await skillsManager.loadSkills();
+      this.skills = skillsManager.getSkills();
+    }
+  }
+
+  /**
+   * Describe the agents, workflows, skills and repository files to the
+   * model. The sections only change when the project does, so chat
+   * sessions send them as a cached prefix of the system prompt.
+   * @returns {Array<string>} Prompt sections, empty ones left out
+   */
+  getPromptContext() {
+    const sections = [];
+
+    if (this.agents.size > 0) {
+      sections.push(['Agents:', ...Array.from(this.agents.values(), agent =>
+        `- ${agent.name}: ${agent.capabilities.join(', ')}`)].join('\n'));
+    }
+
+    if (this.workflows.size > 0) {
+      sections.push(['Workflows:', ...Array.from(this.workflows, ([type, workflow]) =>
+        `- ${type}: ${workflow.description} (${workflow.steps.join(' -> ')})`)].join('\n'));
+    }
+
+    if (this.skills.size > 0) {
+      sections.push(['Skills:', ...Array.from(this.skills.values(), skill =>
+        `- ${skill.name}: ${skill.description}`)].join('\n'));
+    }
+
+    const files = Array.from(this.codebase.index.values());
+    if (files.length > 0) {
+      const listed = files.slice(0, REPO_MAP_MAX_FILES).map(file =>
+        `- ${path.relative(process.cwd(), file.path)} (${file.type}, ${file.context.purpose})`);
+      if (files.length > REPO_MAP_MAX_FILES) {
+        listed.push(`- ... and ${files.length - REPO_MAP_MAX_FILES} more files`);
+      }
+      sections.push(['Repository files:', ...listed].join('\n'));
+    }
+
+    return sections;
+  }
+
   /**
    * Load predefined workflows
    * @returns {Promise<void>}
@@ -137,15 +207,24 @@ class AgenticEngine {
     return new AgentClass(this.config);
   }
 
-  async executeAgenticTask(task) {
+  /**
+   * Plan and run a task, then hand its changes to the approval system
+   * @param {string} task - Task description
+   * @param {Object} [options] - Execution options
+   * @param {AbortSignal} [options.signal] - Cancels the plan between and during steps
+   * @returns {Promise<Object>} Plan results; `status` is `cancelled` when the signal aborted
+   */
+  async executeAgenticTask(task, options = {}) {
     // Plan the task execution
     const plan = await this.coordinator.createPlan(task);
     
     // Execute with coordination
-    const results = await this.coordinator.executePlan(plan);
+    const results = await this.coordinator.executePlan(plan, options);
     
-    // Handle approvals and visual diffs
-    await this.approval.processResults(results);
+    // Handle approvals and visual diffs; a cancelled plan has nothing to approve
+    if (results.status !== 'cancelled') {
+      await this.approval.processResults(results);
+    }
     
     return results;
   }
@@ -174,11 +253,20 @@ class AgenticEngine {
 class CodebaseAnalyzer {
   /**
    * Create a new CodebaseAnalyzer instance
+   * @param {Object} [config] - Configuration object; its `embeddings` section
+   *   (`{ provider, model, dimensions }`) turns on semantic search
+   * @param {Object} [options] - Analyzer options
+   * @param {string} [options.vectorCache] - File that keeps embedding vectors between runs,
+   *   defaults to `.sheikh/embeddings.json` in the working directory
    */
-  constructor() {
+  constructor(config, options = {}) {
+    this.config = config;
     this.index = new Map();
     this.dependencies = new Map();
     this.patterns = new Map();
+    this.embeddings = getConfigValue(config, 'embeddings') || null;
+    this.vectors = new Map();
+    this.vectorCache = options.vectorCache || path.join(process.cwd(), '.sheikh', 'embeddings.json');
   }
 
   /**
@@ -236,16 +324,155 @@ class CodebaseAnalyzer {
 
   async indexFiles() {
     const files = await this.getAllFiles();
+    const documents = [];
     
     for (const file of files) {
       const content = await fs.readFile(file, 'utf8');
       const analysis = await this.analyzeFile(file, content);
       this.index.set(file, analysis);
+      documents.push({ file, text: `${path.relative(process.cwd(), file)}\n${content.slice(0, EMBEDDING_TEXT_CHARS)}` });
+    }
+
+    if (this.embeddings) {
+      await this.embedFiles(documents);
     }
   }
 
+  /**
+   * Embed texts with the provider from the `embeddings` configuration section
+   * @param {Array<string>} texts - Texts to embed
+   * @param {string} inputType - `document` or `query`
+   * @returns {Promise<Object>} `{ embeddings, model, dimensions, usage }`
+   * @throws {Error} If the provider is unknown or cannot embed
+   */
+  async embed(texts, inputType) {
+    const { provider: providerName, ...options } = this.embeddings;
+    providerManager.registerPluginProviders();
+    providerManager.registerConfiguredProviders(getConfigValue(this.config, 'providers'));
+
+    const provider = providerManager.getProvider(String(providerName || ''));
+    if (typeof provider.embed !== 'function') {
+      throw new Error(`Provider '${providerName}' does not support embeddings`);
+    }
+
+    return provider.embed(texts, { ...options, inputType, embeddingModels: getConfigValue(this.config, 'embeddingModels') });
+  }
+
+  /**
+   * Embed indexed files so searches rank them by meaning. Vectors are kept
+   * in the vector cache keyed by a hash of the embedded text, so only new
+   * and changed files are sent to the provider. When the provider fails,
+   * searches fall back to matching words.
+   * @param {Array<{file: string, text: string}>} documents - Files and the text to embed for each
+   * @returns {Promise<void>}
+   */
+  async embedFiles(documents) {
+    this.vectors.clear();
+    const cached = await this.loadVectorCache();
+    const hashes = documents.map(document => crypto.createHash('sha256').update(document.text).digest('hex'));
+    const missing = hashes.map((hash, index) => index).filter(index => !cached[hashes[index]]);
+
+    if (missing.length > 0) {
+      console.log(chalk.blue(`🧭 Embedding ${missing.length} of ${documents.length} files...`));
+      try {
+        const { embeddings } = await this.embed(missing.map(index => documents[index].text), 'document');
+        missing.forEach((documentIndex, index) => {
+          cached[hashes[documentIndex]] = embeddings[index];
+        });
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️  Could not embed files, using keyword search: ${error.message}`));
+        return;
+      }
+    }
+
+    // Vectors of deleted and changed files are left out of the saved cache
+    const vectors = {};
+    documents.forEach((document, index) => {
+      vectors[hashes[index]] = cached[hashes[index]];
+      this.vectors.set(document.file, cached[hashes[index]]);
+    });
+    await this.saveVectorCache(vectors);
+  }
+
+  /**
+   * Embedding settings a cached vector was made with
+   * @returns {Object} Provider, model and dimensions from the `embeddings` section
+   * @private
+   */
+  getVectorSettings() {
+    const { provider, model, dimensions } = this.embeddings;
+    return { provider: provider || null, model: model || null, dimensions: dimensions || null };
+  }
+
+  /**
+   * Read cached vectors made with the current embedding settings
+   * @returns {Promise<Object<string, Array<number>>>} Text hashes mapped to vectors; empty when the
+   *   cache is missing, unreadable or made with other settings
+   * @private
+   */
+  async loadVectorCache() {
+    try {
+      const cache = await fs.readJson(this.vectorCache);
+      const current = this.getVectorSettings();
+      const settings = cache.settings || {};
+      if (cache.version === VECTOR_CACHE_VERSION && Object.keys(current).every(key => settings[key] === current[key])) {
+        return { ...cache.vectors };
+      }
+    } catch (error) {
+      // A missing or damaged cache means every file is embedded again
+    }
+    return {};
+  }
+
+  /**
+   * Write vectors to the vector cache
+   * @param {Object<string, Array<number>>} vectors - Text hashes mapped to vectors
+   * @returns {Promise<void>}
+   * @private
+   */
+  async saveVectorCache(vectors) {
+    try {
+      await fs.outputJson(this.vectorCache, { version: VECTOR_CACHE_VERSION, settings: this.getVectorSettings(), vectors });
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Could not save embeddings to ${this.vectorCache}: ${error.message}`));
+    }
+  }
+
+  /**
+   * Rank embedded files by cosine similarity to a query
+   * @param {string} query - Search query
+   * @returns {Promise<Array<Object>>} `{ file, relevance, context, dependencies }` results, most similar first
+   */
+  async semanticSearch(query) {
+    const { embeddings: [queryVector] } = await this.embed([query], 'query');
+    const results = [];
+
+    for (const [file, vector] of this.vectors) {
+      const relevance = cosineSimilarity(queryVector, vector);
+      const analysis = this.index.get(file);
+      if (relevance >= SEMANTIC_MIN_RELEVANCE && analysis) {
+        results.push({
+          file,
+          relevance,
+          context: analysis.context,
+          dependencies: analysis.dependencies
+        });
+      }
+    }
+
+    return results.sort((a, b) => b.relevance - a.relevance).slice(0, SEMANTIC_MAX_RESULTS);
+  }
+
   async agenticSearch(query) {
-    // Advanced semantic search across the entire codebase
+    // Files are ranked by embedding similarity when they were embedded, and by matching words otherwise
+    if (this.vectors.size > 0) {
+      try {
+        return await this.semanticSearch(query);
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️  Semantic search failed, using keyword search: ${error.message}`));
+      }
+    }
+
     const results = [];
     
     for (const [file, analysis] of this.index) {
@@ -598,7 +825,17 @@ class AgentCoordinator {
     return plan;
   }
 
-  async executePlan(plan) {
+  /**
+   * Run a plan's steps in order. When the signal aborts, the running step
+   * is stopped and the changes collected so far are dropped, so nothing
+   * from a cancelled plan reaches approval.
+   * @param {Object} plan - Plan from `createPlan`
+   * @param {Object} [options] - Execution options
+   * @param {AbortSignal} [options.signal] - Cancels the plan
+   * @returns {Promise<Object>} Results with `status` `completed`, `failed` or `cancelled`
+   */
+  async executePlan(plan, options = {}) {
+    const { signal } = options;
     console.log(chalk.blue(`🚀 Executing plan: ${plan.task}`));
     
     const results = {
@@ -611,9 +848,10 @@ class AgentCoordinator {
 
     try {
       for (const step of plan.steps) {
+        throwIfAborted(signal);
         console.log(chalk.yellow(`⏳ Executing: ${step.action}`));
         
-        const stepResult = await this.executeStep(step);
+        const stepResult = await this.executeStep(step, signal);
         results.steps.push(stepResult);
         
         if (stepResult.status === 'error') {
@@ -632,6 +870,13 @@ class AgentCoordinator {
       console.log(chalk.green('✅ Plan execution completed'));
       
     } catch (error) {
+      if (signal && signal.aborted) {
+        results.status = 'cancelled';
+        results.changes = [];
+        console.log(chalk.yellow('⏹ Plan execution cancelled'));
+        return results;
+      }
+
       results.status = 'failed';
       results.errors.push(error.message);
       console.log(chalk.red(`❌ Plan execution failed: ${error.message}`));
@@ -753,7 +998,14 @@ class AgentCoordinator {
     return 'low';
   }
 
-  async executeStep(step) {
+  /**
+   * Run one plan step
+   * @param {Object} step - Plan step
+   * @param {AbortSignal} [signal] - Stops the step when aborted
+   * @returns {Promise<Object>} Step result
+   * @throws {Error} The signal's abort reason, if the signal aborts during the step
+   */
+  async executeStep(step, signal) {
     const result = {
       stepId: step.id,
       action: step.action,
@@ -767,7 +1019,7 @@ class AgentCoordinator {
 
     try {
       // Simulate step execution
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      await delay(1000, undefined, { signal });
       
       result.status = 'completed';
       result.endTime = Date.now();
@@ -783,6 +1035,9 @@ class AgentCoordinator {
       }
       
     } catch (error) {
+      if (signal && signal.aborted) {
+        throw error;
+      }
       result.status = 'error';
       result.endTime = Date.now();
       result.error = error.message;
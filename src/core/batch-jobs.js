@@ -0,0 +1,582 @@
+/**
+ * Batch Jobs Module
+ *
+ * Runs one prompt over many input files for `sheikh batch`. When the
+ * provider has the `batch` capability the inputs are submitted to its batch
+ * API, which answers within a day at the batch discount; otherwise they go
+ * through a local queue that sends a few requests at a time.
+ *
+ * Job state is kept in `.sheikh/batches/<id>.json` and saved after every
+ * change, so a job survives a restart: `sheikh batch --resume <id>` polls a
+ * provider batch again, or sends the inputs of a local job that have no
+ * result yet. Each input's reply is written to the job's output directory
+ * under the input's path with `.md` appended.
+ *
+ * @module core/batch-jobs
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const glob = require('glob');
+const { ChatClient } = require('./chat-client');
+const { BudgetExceededError, formatDay } = require('./usage-tracker');
+const { getConfigValue } = require('../config');
+
+const JOB_STATUSES = ['running', 'completed', 'failed', 'cancelled'];
+
+const JOB_MODES = ['provider', 'local'];
+
+// Requests the local queue sends at once
+const DEFAULT_CONCURRENCY = 4;
+
+// Milliseconds between checks on a provider batch
+const DEFAULT_POLL_INTERVAL = 30000;
+
+/**
+ * Run a worker over a list, at most `concurrency` items at a time
+ *
+ * @param {Array<*>} items - Items, started in order
+ * @param {number} concurrency - Most workers running at once
+ * @param {Function} worker - Async function called with each item
+ * @returns {Promise<void>} Resolves when every worker has finished
+ */
+async function runQueue(items, concurrency, worker) {
+  let next = 0;
+  const runWorker = async () => {
+    while (next < items.length) {
+      await worker(items[next++]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, runWorker));
+}
+
+/**
+ * Wait, returning early when the signal aborts
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Stops the wait
+ * @returns {Promise<void>}
+ * @private
+ */
+function pause(ms, signal) {
+  return new Promise(resolve => {
+    if (signal && signal.aborted) {
+      resolve();
+      return;
+    }
+
+    const done = () => {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', done);
+      }
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    if (signal) {
+      signal.addEventListener('abort', done, { once: true });
+    }
+  });
+}
+
+/**
+ * Expand input patterns into files. Patterns with wildcards, such as
+ * `'lib/*.js'` quoted so the shell leaves them alone, match files;
+ * other arguments are file paths and are kept as given.
+ *
+ * @param {Array<string>} patterns - File paths and glob patterns
+ * @param {string} [cwd=process.cwd()] - Directory patterns are matched in
+ * @returns {Array<string>} Files, in argument order and then sorted per pattern
+ */
+function expandInputs(patterns, cwd = process.cwd()) {
+  return patterns.flatMap(pattern => (glob.hasMagic(pattern)
+    ? glob.sync(pattern, { cwd, nodir: true, ignore: ['**/node_modules/**', '**/.git/**'] }).sort()
+    : [pattern]));
+}
+
+/**
+ * Path a result is written to: the input's path with `.md` appended, under
+ * the output directory. Inputs outside the project keep the part of their
+ * path below it.
+ *
+ * @param {string} input - Input file, relative to the project directory
+ * @param {string} outputDir - Output directory
+ * @returns {string} Result path
+ *
+ * @example
+ * getResultPath('src/cli.js', 'reviews'); // 'reviews/src/cli.js.md'
+ */
+function getResultPath(input, outputDir) {
+  const parts = path.normalize(input).split(path.sep).filter(part => part && part !== '..');
+  return path.join(outputDir, `${parts.join(path.sep)}.md`);
+}
+
+/**
+ * Count a job's inputs by state. While a provider batch runs, its results are
+ * not downloaded yet and the counts it reports are used instead.
+ *
+ * @param {Object} job - Batch job
+ * @returns {{total: number, succeeded: number, failed: number, pending: number}} Input counts
+ */
+function countItems(job) {
+  const counts = { total: job.items.length, succeeded: 0, failed: 0, pending: 0 };
+  for (const item of job.items) {
+    counts[item.status]++;
+  }
+
+  if (job.mode === 'provider' && job.status === 'running' && job.remoteCounts) {
+    counts.succeeded += job.remoteCounts.succeeded;
+    counts.failed += job.remoteCounts.failed;
+    counts.pending = Math.max(0, counts.pending - job.remoteCounts.succeeded - job.remoteCounts.failed);
+  }
+
+  return counts;
+}
+
+/**
+ * BatchJobs class
+ * Creates, runs and stores batch jobs
+ */
+class BatchJobs {
+  /**
+   * @param {Object} [config] - Configuration object
+   * @param {Object} [options] - Job options
+   * @param {string} [options.cwd=process.cwd()] - Project directory that inputs and outputs are relative to
+   * @param {string} [options.dir] - Directory for job files, defaults to `.sheikh/batches`
+   * @param {Object} [options.usageTracker] - `UsageTracker` that records usage and enforces budgets
+   */
+  constructor(config = {}, options = {}) {
+    this.config = config || {};
+    this.cwd = options.cwd || process.cwd();
+    this.dir = options.dir || path.join(this.cwd, '.sheikh', 'batches');
+    this.usageTracker = options.usageTracker || null;
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Create a job and save it. It runs on the provider's batch API when the
+   * provider has one, unless `local` is set.
+   *
+   * @param {Object} request - Job request
+   * @param {string} request.prompt - Prompt sent with each input
+   * @param {Array<string>} request.inputs - Input files
+   * @param {string} [request.provider] - Provider name, defaults to the configured one
+   * @param {string} [request.model] - Model ID or alias
+   * @param {string} [request.outputDir] - Directory for results, defaults to `.sheikh/batches/<id>`
+   * @param {boolean} [request.local=false] - Use the local queue even if the provider has a batch API
+   * @returns {Promise<Object>} Saved job
+   * @throws {Error} If the prompt or inputs are missing or an input does not exist
+   * @throws {ModelAliasError} If the model alias has no model for the provider
+   */
+  async create(request) {
+    if (!request.prompt || !String(request.prompt).trim()) {
+      throw new Error('A batch needs a prompt');
+    }
+
+    const inputs = [...new Set((request.inputs || []).map(input => path.relative(this.cwd, path.resolve(this.cwd, input))))];
+    if (inputs.length === 0) {
+      throw new Error('A batch needs at least one input file');
+    }
+    for (const input of inputs) {
+      if (!(await fs.pathExists(path.resolve(this.cwd, input)))) {
+        throw new Error(`Input file not found: ${input}`);
+      }
+    }
+
+    const { providerName, provider, model } = new ChatClient(this.config, { provider: request.provider, model: request.model }).resolve();
+    const now = new Date();
+    const id = `${formatDay(now).replace(/-/g, '')}-${crypto.randomUUID().slice(0, 8)}`;
+    const outputDir = request.outputDir || path.join(path.relative(this.cwd, this.dir), id);
+
+    const job = {
+      id,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      status: 'running',
+      mode: !request.local && (provider.capabilities || []).includes('batch') ? 'provider' : 'local',
+      provider: providerName,
+      model: model || provider.defaultModel,
+      prompt: String(request.prompt),
+      outputDir,
+      remoteId: null,
+      remoteCounts: null,
+      cancelled: false,
+      error: null,
+      items: inputs.map((input, index) => ({
+        id: `input-${index + 1}`,
+        input,
+        output: getResultPath(input, outputDir),
+        status: 'pending'
+      }))
+    };
+
+    await this.save(job);
+    return job;
+  }
+
+  /**
+   * Load a saved job
+   * @param {string} id - Job ID
+   * @returns {Promise<Object>} Job
+   * @throws {Error} If no job has the ID
+   */
+  async load(id) {
+    const file = path.join(this.dir, `${path.basename(String(id))}.json`);
+    if (!(await fs.pathExists(file))) {
+      throw new Error(`No batch job '${id}'. List jobs with sheikh batch --list`);
+    }
+    return fs.readJson(file);
+  }
+
+  /**
+   * List saved jobs
+   * @returns {Promise<Array<Object>>} Jobs, newest first
+   */
+  async list() {
+    if (!(await fs.pathExists(this.dir))) {
+      return [];
+    }
+
+    const jobs = [];
+    for (const file of (await fs.readdir(this.dir)).filter(name => name.endsWith('.json'))) {
+      try {
+        jobs.push(await fs.readJson(path.join(this.dir, file)));
+      } catch (error) {
+        // Skip files that are not jobs
+      }
+    }
+    return jobs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Save a job. Saves are written one at a time, each to a temporary file
+   * that replaces the job file, so an interrupted write leaves the last state.
+   * @param {Object} job - Job
+   * @returns {Promise<void>}
+   */
+  async save(job) {
+    const write = async () => {
+      const file = path.join(this.dir, `${job.id}.json`);
+      job.updatedAt = new Date().toISOString();
+      await fs.ensureDir(this.dir);
+      await fs.writeJson(`${file}.tmp`, job, { spaces: 2 });
+      await fs.move(`${file}.tmp`, file, { overwrite: true });
+    };
+
+    this.saving = this.saving.then(write, write);
+    return this.saving;
+  }
+
+  /**
+   * Run a job until every input has a result: submit a provider batch and
+   * poll it, or send a local job's remaining inputs. Aborting the signal
+   * stops waiting and leaves the job running, to be resumed later.
+   *
+   * @param {Object} job - Job
+   * @param {Object} [options] - Run options
+   * @param {boolean} [options.wait=true] - Wait for a provider batch to end; false only submits it
+   * @param {number} [options.concurrency] - Requests the local queue sends at once
+   * @param {number} [options.pollInterval] - Milliseconds between checks on a provider batch
+   * @param {AbortSignal} [options.signal] - Stops the run
+   * @param {Function} [options.onProgress] - Called with the job after each check or local result
+   * @param {Function} [options.onRetry] - Called before a failed request is retried
+   * @returns {Promise<Object>} The job
+   * @throws {BudgetExceededError} If a usage budget is used up; the job stays running
+   */
+  async run(job, options = {}) {
+    if (job.status !== 'running') {
+      return job;
+    }
+
+    if (job.mode === 'local') {
+      return this.runLocal(job, options);
+    }
+
+    if (!job.remoteId) {
+      await this.submit(job, options);
+    }
+    return options.wait === false ? job : this.wait(job, options);
+  }
+
+  /**
+   * Submit a provider job's inputs as one batch
+   * @param {Object} job - Provider job
+   * @param {Object} [options] - Run options
+   * @returns {Promise<Object>} The job, with `remoteId` set
+   * @private
+   */
+  async submit(job, options = {}) {
+    if (this.usageTracker) {
+      await this.usageTracker.checkBudget();
+    }
+
+    const client = this.getClient(job);
+    const { provider, model } = client.resolve();
+    const requests = [];
+    for (const item of job.items.filter(entry => entry.status === 'pending')) {
+      try {
+        requests.push({ id: item.id, messages: client.buildMessages(await this.buildPrompt(job, item)) });
+      } catch (error) {
+        item.status = 'failed';
+        item.error = error.message;
+      }
+    }
+
+    if (requests.length === 0) {
+      job.status = 'completed';
+      await this.save(job);
+      return job;
+    }
+
+    const batch = await provider.createBatch(requests, this.getRequestOptions(model, options));
+    job.remoteId = batch.id;
+    job.remoteCounts = batch.counts;
+    await this.save(job);
+    return job;
+  }
+
+  /**
+   * Poll a provider job until its batch ends, then download the results
+   * @param {Object} job - Provider job
+   * @param {Object} [options] - Run options, as for `run`
+   * @returns {Promise<Object>} The job
+   * @private
+   */
+  async wait(job, options = {}) {
+    const interval = options.pollInterval || this.getSetting('pollInterval', DEFAULT_POLL_INTERVAL / 1000) * 1000;
+
+    while (job.status === 'running' && !(options.signal && options.signal.aborted)) {
+      await this.refresh(job, options);
+      if (options.onProgress) {
+        options.onProgress(job);
+      }
+      if (job.status === 'running') {
+        await pause(interval, options.signal);
+      }
+    }
+
+    return job;
+  }
+
+  /**
+   * Check a provider job's batch once, downloading the results if it has ended
+   * @param {Object} job - Job
+   * @param {Object} [options] - Request options: `signal`, `onRetry`
+   * @returns {Promise<Object>} The job
+   */
+  async refresh(job, options = {}) {
+    if (job.mode !== 'provider' || job.status !== 'running' || !job.remoteId) {
+      return job;
+    }
+
+    const { provider, model } = this.getClient(job).resolve();
+    const requestOptions = this.getRequestOptions(model, options);
+    const batch = await provider.getBatch(job.remoteId, requestOptions);
+    job.remoteCounts = batch.counts;
+
+    if (batch.status === 'failed') {
+      job.status = 'failed';
+      job.error = batch.error || 'The provider rejected the batch';
+    } else if (batch.status === 'ended') {
+      await this.collect(job, await provider.getBatchResults(job.remoteId, requestOptions));
+    }
+
+    await this.save(job);
+    return job;
+  }
+
+  /**
+   * Cancel a job. A provider batch is cancelled on the provider and keeps
+   * the results of requests it already answered; a local job stops sending
+   * its remaining inputs.
+   * @param {Object} job - Job
+   * @param {Object} [options] - Request options: `signal`, `onRetry`
+   * @returns {Promise<Object>} The job
+   */
+  async cancel(job, options = {}) {
+    if (job.status !== 'running') {
+      return job;
+    }
+
+    job.cancelled = true;
+    if (job.mode === 'provider' && job.remoteId) {
+      const { provider, model } = this.getClient(job).resolve();
+      const batch = await provider.cancelBatch(job.remoteId, this.getRequestOptions(model, options));
+      job.remoteCounts = batch.counts;
+    } else {
+      job.status = 'cancelled';
+    }
+
+    await this.save(job);
+    return job;
+  }
+
+  /**
+   * Send a local job's remaining inputs through the queue, saving the job
+   * after each result so a restart only sends what is left
+   * @param {Object} job - Local job
+   * @param {Object} [options] - Run options, as for `run`
+   * @returns {Promise<Object>} The job
+   * @private
+   */
+  async runLocal(job, options = {}) {
+    const client = this.getClient(job);
+    const concurrency = options.concurrency || this.getSetting('concurrency', DEFAULT_CONCURRENCY);
+    let stop = null;
+    const stopped = () => stop || (options.signal && options.signal.aborted);
+
+    await runQueue(job.items.filter(item => item.status === 'pending'), concurrency, async item => {
+      if (stopped()) {
+        return;
+      }
+
+      try {
+        const response = await client.send(await this.buildPrompt(job, item), [], { signal: options.signal, onRetry: options.onRetry });
+        await this.writeResult(item, response.content);
+        item.status = 'succeeded';
+      } catch (error) {
+        // The input stays pending when the run is interrupted rather than the request failing
+        if (error instanceof BudgetExceededError) {
+          stop = error;
+          return;
+        }
+        if (stopped()) {
+          return;
+        }
+        item.status = 'failed';
+        item.error = error.message;
+      }
+
+      await this.save(job);
+      if (options.onProgress) {
+        options.onProgress(job);
+      }
+    });
+
+    if (stop) {
+      throw stop;
+    }
+    if (!stopped()) {
+      job.status = 'completed';
+      await this.save(job);
+    }
+    return job;
+  }
+
+  /**
+   * Write the results of an ended provider batch and record their usage at
+   * the batch discount. Inputs that already have a result are skipped, so a
+   * download interrupted part way can be repeated.
+   * @param {Object} job - Provider job
+   * @param {Array<Object>} results - `{ id, response }` or `{ id, error }` entries from `getBatchResults`
+   * @returns {Promise<void>}
+   * @private
+   */
+  async collect(job, results) {
+    const items = new Map(job.items.map(item => [item.id, item]));
+
+    for (const result of results) {
+      const item = items.get(result.id);
+      if (!item || item.status !== 'pending') {
+        continue;
+      }
+
+      if (result.response) {
+        await this.writeResult(item, result.response.content);
+        item.status = 'succeeded';
+        if (this.usageTracker) {
+          await this.usageTracker.record({
+            provider: job.provider,
+            model: result.response.model || job.model,
+            agent: 'batch',
+            usage: result.response.usage,
+            batch: true
+          });
+        }
+      } else {
+        item.status = 'failed';
+        item.error = result.error;
+      }
+      await this.save(job);
+    }
+
+    for (const item of job.items.filter(entry => entry.status === 'pending')) {
+      item.status = 'failed';
+      item.error = 'The provider returned no result';
+    }
+    job.status = job.cancelled ? 'cancelled' : 'completed';
+    job.remoteCounts = null;
+  }
+
+  /**
+   * Build the message sent for one input: the prompt followed by the file
+   * @param {Object} job - Job
+   * @param {Object} item - Job input
+   * @returns {Promise<string>} User message
+   * @throws {Error} If the input can no longer be read
+   * @private
+   */
+  async buildPrompt(job, item) {
+    const content = (await fs.readFile(path.resolve(this.cwd, item.input), 'utf8')).replace(/\n$/, '');
+    return `${job.prompt}\n\nFile: ${item.input}\n\n\`\`\`\n${content}\n\`\`\``;
+  }
+
+  /**
+   * Write the reply for one input
+   * @param {Object} item - Job input
+   * @param {string} content - Reply text
+   * @returns {Promise<void>}
+   * @private
+   */
+  async writeResult(item, content) {
+    const file = path.resolve(this.cwd, item.output);
+    await fs.ensureDir(path.dirname(file));
+    await fs.writeFile(file, content || '');
+  }
+
+  /**
+   * Chat client for a job's provider and model; usage is recorded under the `batch` agent
+   * @param {Object} job - Job
+   * @returns {ChatClient} Client
+   * @private
+   */
+  getClient(job) {
+    return new ChatClient(this.config, { provider: job.provider, model: job.model, agent: 'batch', usageTracker: this.usageTracker });
+  }
+
+  /**
+   * Options for batch API requests
+   * @param {string} model - Model ID
+   * @param {Object} options - Run options
+   * @returns {Object} Request options
+   * @private
+   */
+  getRequestOptions(model, options) {
+    return { model, retry: getConfigValue(this.config, 'retry'), onRetry: options.onRetry, signal: options.signal };
+  }
+
+  /**
+   * Read a setting from the `batch` configuration section
+   * @param {string} key - `concurrency` or `pollInterval`
+   * @param {number} fallback - Default value
+   * @returns {number} Setting
+   * @private
+   */
+  getSetting(key, fallback) {
+    const settings = getConfigValue(this.config, 'batch') || {};
+    return settings[key] !== undefined ? settings[key] : fallback;
+  }
+}
+
+module.exports = {
+  JOB_STATUSES,
+  JOB_MODES,
+  DEFAULT_CONCURRENCY,
+  DEFAULT_POLL_INTERVAL,
+  BatchJobs,
+  runQueue,
+  expandInputs,
+  getResultPath,
+  countItems
+};
@@ -0,0 +1,371 @@
+/**
+ * Chat Client Module
+ *
+ * Sends chat turns to the AI provider selected on the command line or
+ * in the configuration file, failing over along the configured `fallback`
+ * chain. Long conversations are trimmed to fit the model's context window,
+ * and image or PDF attachments are checked against what the model reads.
+ * Reasoning settings are sent to models that can reason and left out for
+ * the others. Shared by the basic and agentic chat sessions.
+ *
+ * @module core/chat-client
+ */
+
+const providerManager = require('../providers');
+const { getConfigValue } = require('../config');
+const { classifyError, throwIfAborted } = require('../providers/http');
+const { ContextLengthError, CancelledError, NetworkError } = require('../providers/errors');
+const { getModelLimits } = require('../providers/models');
+const { resolveModelAlias } = require('../providers/aliases');
+const { normalizeReasoning } = require('../providers/reasoning');
+const { DEFAULT_MAX_OUTPUT_TOKENS, fitMessages, fitSections } = require('../utils/tokens');
+const { checkAttachments, buildMessageContent } = require('../utils/attachments');
+
+const DEFAULT_PROVIDER = 'anthropic';
+
+// Failures another provider may not share; auth and request errors are not failed over
+const DEFAULT_FALLBACK_ON = ['rate_limit', 'overloaded', 'server', 'network', 'timeout'];
+
+// Share of a model's input budget the session context may take, leaving the rest to the conversation
+const CONTEXT_SHARE = 0.25;
+
+const SYSTEM_PROMPT = 'You are Sheikh, an AI development assistant running in the user\'s terminal. ' +
+  'Give accurate, concise answers and use Markdown code blocks for code.';
+
+/**
+ * ChatClient class
+ * Resolves the provider/model pair for a session and sends messages to it
+ */
+class ChatClient {
+  /**
+   * Create a new ChatClient instance
+   * @param {Object} config - Configuration object
+   * @param {Object} options - Command line options
+   * @param {string} [options.provider] - Provider name from `--provider`
+   * @param {string} [options.model] - Model ID or alias from `--model`
+   * @param {string} [options.agent='chat'] - Name recorded with each call's usage
+   * @param {Array<string>} [options.context] - Sections that stay the same every turn, such as
+   *   agent definitions and a repository map, sent after the system prompt as a cached prefix
+   * @param {Object} [options.usageTracker] - `UsageTracker` that records usage and enforces budgets
+   * @param {string|Object} [options.reasoning] - Reasoning settings from `--reasoning`, replacing the configured ones
+   * @throws {Error} If the reasoning settings are invalid
+   */
+  constructor(config = {}, options = {}) {
+    this.config = config || {};
+    this.options = options || {};
+    this.providersRegistered = false;
+    this.usageTracker = this.options.usageTracker || null;
+    this.reasoning = normalizeReasoning(
+      this.options.reasoning !== undefined ? this.options.reasoning : getConfigValue(this.config, 'reasoning')
+    );
+  }
+
+  /**
+   * Change the reasoning settings for the following turns
+   * @param {string|Object|null} reasoning - Effort name, `{ effort, budgetTokens }`, or null for none
+   * @returns {{effort: string, budgetTokens: number}|null} Normalized settings
+   * @throws {Error} If the settings are invalid
+   */
+  setReasoning(reasoning) {
+    this.reasoning = normalizeReasoning(reasoning);
+    return this.reasoning;
+  }
+
+  /**
+   * Resolve the provider and model for this session.
+   * Command line options take precedence over the configuration file. The
+   * configured model is only used when it belongs to the selected provider.
+   * Model aliases such as `fast` resolve to the provider's model ID.
+   * Provider plugins and providers from the `providers` configuration
+   * section are registered on first use.
+   * @returns {{providerName: string, provider: Object, model: (string|undefined)}}
+   * @throws {Error} If the provider is not registered
+   * @throws {ModelAliasError} If the model alias has no model for the provider
+   */
+  resolve() {
+    if (!this.providersRegistered) {
+      providerManager.registerPluginProviders();
+      providerManager.registerConfiguredProviders(getConfigValue(this.config, 'providers'));
+      this.providersRegistered = true;
+    }
+
+    const configuredProvider = getConfigValue(this.config, 'apiProvider');
+    const providerName = this.options.provider || configuredProvider || DEFAULT_PROVIDER;
+    const provider = providerManager.getProvider(providerName);
+
+    let model = this.options.model;
+    if (!model && provider.name === String(configuredProvider || '').toLowerCase()) {
+      model = getConfigValue(this.config, 'apiModelId');
+    }
+    model = resolveModelAlias(model, provider.name, getConfigValue(this.config, 'modelAliases'));
+
+    return { providerName: provider.name, provider, model };
+  }
+
+  /**
+   * Build the system prompt, appending `--custom-instructions` when given
+   * @returns {string} System prompt
+   */
+  getSystemPrompt() {
+    const instructions = this.options.customInstructions;
+    return instructions ? `${SYSTEM_PROMPT}\n\n${instructions}` : SYSTEM_PROMPT;
+  }
+
+  /**
+   * Convert chat session history into provider-neutral messages. Attachments
+   * of earlier turns are sent again so follow-up questions can refer to them.
+   * With model limits, the session context is shortened to a quarter of the
+   * model's input budget, cutting the repository map first as it comes last.
+   * @param {string|Array<Object>} message - New user message, as text or content parts
+   * @param {Array<Object>} [history] - Session history entries (`{ user, assistant, attachments }`)
+   * @param {Object} [limits] - Limits of the model the messages are for, see `getModelLimits`
+   * @returns {Array<Object>} Message list ending with the new user turn
+   */
+  buildMessages(message, history = [], limits) {
+    const messages = [{ role: 'system', content: this.getSystemPrompt() }];
+    let context = this.options.context || [];
+
+    if (limits && context.length > 0) {
+      const budget = limits.contextWindow - Math.min(DEFAULT_MAX_OUTPUT_TOKENS, limits.maxOutput);
+      context = fitSections(context, Math.floor(budget * CONTEXT_SHARE)).sections;
+    }
+
+    // The prompt and context are resent unchanged every turn, so they end the cached prefix
+    if (context.length > 0) {
+      messages.push({ role: 'system', content: context.join('\n\n'), cache: true });
+    }
+
+    for (const entry of history) {
+      messages.push({ role: 'user', content: buildMessageContent(entry.user, entry.attachments) });
+      if (entry.assistant) {
+        messages.push({ role: 'assistant', content: entry.assistant });
+      }
+    }
+
+    messages.push({ role: 'user', content: message });
+    return messages;
+  }
+
+  /**
+   * Resolve the providers to try, in order: the session's provider followed
+   * by the `fallback` chain from the configuration file
+   * @returns {Array<{providerName: string, provider: Object, model: (string|undefined)}>} Provider chain
+   * @throws {Error} If a provider in the chain is not registered
+   * @throws {ModelAliasError} If a model alias has no model for its provider
+   */
+  resolveChain() {
+    const { providerName, model } = this.resolve();
+    const aliases = getConfigValue(this.config, 'modelAliases');
+    const fallback = (getConfigValue(this.config, 'fallback') || []).map(entry => ({
+      ...entry,
+      model: resolveModelAlias(entry.model, String(entry.provider).toLowerCase(), aliases)
+    }));
+
+    return providerManager.getProviderChain([{ provider: providerName, model }, ...fallback]);
+  }
+
+  /**
+   * Send a message, with the previous turns as context, to the resolved provider.
+   * When `onText` is given and the provider can stream, the reply is streamed
+   * and each text delta is passed to the callback as it arrives.
+   *
+   * If the provider fails with an error class listed in `fallbackOn`, the next
+   * provider in the fallback chain is tried. A reply that has already started
+   * streaming is not retried elsewhere.
+   *
+   * With a usage tracker, the turn is refused once a budget is used up and
+   * the usage of the answering provider is recorded.
+   *
+   * Aborting `callbacks.signal` cancels the request in flight, including a
+   * stream, and the turn fails with a `CancelledError`; no fallback is tried.
+   * @param {string|Array<Object>} message - User message, as text or content parts with attachments
+   * @param {Array<Object>} [history] - Session history entries
+   * @param {Object} [callbacks] - Turn callbacks
+   * @param {AbortSignal} [callbacks.signal] - Cancels the turn when aborted
+   * @param {Function} [callbacks.onText] - Called with each streamed text delta
+   * @param {Function} [callbacks.onReasoning] - Called with each streamed reasoning delta
+   * @param {Function} [callbacks.onRetry] - Called before a failed request is retried
+   * @param {Function} [callbacks.onFallback] - Called with `{ from, to, model, category, error }` before failing over
+   * @param {Function} [callbacks.onContextWarning] - Called with `{ model, inputTokens, contextWindow, trimmedTurns }`
+   *   when earlier turns were dropped or the conversation is close to the context limit
+   * @returns {Promise<Object>} Provider response with content, usage, model, the
+   *   `provider` that answered and any `fallbacks` tried before it
+   * @throws {BudgetExceededError} If a usage budget has been used up
+   * @throws {AttachmentError} If the model cannot read an attachment
+   * @throws {CancelledError} If the signal aborts before the reply is complete
+   */
+  async send(message, history = [], callbacks = {}) {
+    const chain = this.resolveChain();
+    if (this.usageTracker) {
+      await this.usageTracker.checkBudget();
+    }
+
+    const fallbackOn = getConfigValue(this.config, 'fallbackOn') || DEFAULT_FALLBACK_ON;
+    const fallbacks = [];
+
+    for (let index = 0; index < chain.length; index++) {
+      const target = chain[index];
+      const turn = { streamed: false };
+
+      try {
+        // Each model gets the session context shortened to its own window
+        const messages = this.buildMessages(message, history, this.getLimits(target));
+        const response = await this.sendTo(target, messages, callbacks, turn);
+        if (this.usageTracker) {
+          await this.usageTracker.record({
+            provider: target.providerName,
+            model: response.model || target.model || target.provider.defaultModel,
+            agent: this.options.agent,
+            usage: response.usage
+          });
+        }
+        return {
+          ...response,
+          provider: target.providerName,
+          ...(fallbacks.length > 0 ? { fallbacks } : {})
+        };
+      } catch (error) {
+        if (callbacks.signal && callbacks.signal.aborted) {
+          throw error instanceof CancelledError
+            ? error
+            : new CancelledError(`Request to ${target.providerName} was cancelled`, { provider: target.providerName, cause: error });
+        }
+
+        const next = chain[index + 1];
+        const category = classifyError(error);
+
+        if (!next || turn.streamed || !fallbackOn.includes(category)) {
+          throw error;
+        }
+
+        fallbacks.push({ provider: target.providerName, model: target.model, category, error: error.message });
+        if (callbacks.onFallback) {
+          callbacks.onFallback({ from: target.providerName, to: next.providerName, model: next.model, category, error });
+        }
+      }
+    }
+  }
+
+  /**
+   * Trim the conversation to the target model's context window and check
+   * that the model reads the attachments left in it
+   * @param {Object} target - Chain entry
+   * @param {Array<Object>} messages - Provider-neutral messages
+   * @param {Object} callbacks - Turn callbacks
+   * @returns {Array<Object>} Messages to send
+   * @throws {ContextLengthError} If the latest message alone does not fit a model with known limits
+   * @throws {AttachmentError} If the model cannot read an attachment
+   * @private
+   */
+  fitContext(target, messages, callbacks) {
+    const modelId = target.model || target.provider.defaultModel;
+    const limits = this.getLimits(target);
+    const context = fitMessages(messages, limits);
+
+    // Unknown models get small default limits, so only a known limit is enforced
+    if (!context.fits && limits.known) {
+      throw new ContextLengthError(
+        `Message is too long for ${modelId}: about ${context.inputTokens} tokens, the limit is ${context.budget}`,
+        { provider: target.providerName }
+      );
+    }
+
+    if (callbacks.onContextWarning && (context.trimmedTurns > 0 || context.nearLimit)) {
+      callbacks.onContextWarning({
+        model: modelId,
+        inputTokens: context.inputTokens,
+        contextWindow: limits.contextWindow,
+        trimmedTurns: context.trimmedTurns
+      });
+    }
+
+    checkAttachments(context.messages, modelId, limits);
+    return context.messages;
+  }
+
+  /**
+   * Look up the limits of a chain entry's model
+   * @param {Object} target - Chain entry
+   * @returns {Object} Model limits, see `getModelLimits`
+   * @private
+   */
+  getLimits(target) {
+    return getModelLimits(target.model || target.provider.defaultModel, {
+      ...target.provider.modelLimits,
+      ...getConfigValue(this.config, 'modelLimits')
+    });
+  }
+
+  /**
+   * Get the reasoning settings to send to a chain entry. They are left out
+   * for providers without the `reasoning` capability and for catalog models
+   * that cannot reason, so a fallback to such a model still answers.
+   * @param {Object} target - Chain entry
+   * @returns {{effort: string, budgetTokens: number}|undefined} Reasoning settings
+   * @private
+   */
+  getReasoning(target) {
+    if (!this.reasoning || !(target.provider.capabilities || []).includes('reasoning')) {
+      return undefined;
+    }
+
+    const limits = this.getLimits(target);
+    return limits.known && !limits.reasoning ? undefined : this.reasoning;
+  }
+
+  /**
+   * Send the conversation to one provider in the chain
+   * @param {Object} target - Chain entry
+   * @param {Array<Object>} messages - Provider-neutral messages
+   * @param {Object} callbacks - Turn callbacks
+   * @param {{streamed: boolean}} turn - Set to streamed once text has been passed to `onText` or `onReasoning`
+   * @returns {Promise<Object>} Provider response
+   * @throws {NetworkError} If a stream ends without its final `done` delta
+   * @private
+   */
+  async sendTo(target, messages, callbacks, turn) {
+    const { provider, model } = target;
+    const context = this.fitContext(target, messages, callbacks);
+    const requestOptions = {
+      model,
+      retry: getConfigValue(this.config, 'retry'),
+      onRetry: callbacks.onRetry,
+      signal: callbacks.signal,
+      reasoning: this.getReasoning(target)
+    };
+
+    if (!callbacks.onText || typeof provider.streamMessage !== 'function') {
+      return provider.sendMessage(context, requestOptions);
+    }
+
+    let response;
+    for await (const delta of provider.streamMessage(context, requestOptions)) {
+      // Stops a stream that does not end when its request is aborted
+      throwIfAborted(callbacks.signal);
+
+      if (delta.type === 'text') {
+        turn.streamed = true;
+        callbacks.onText(delta.text);
+      } else if (delta.type === 'reasoning') {
+        turn.streamed = true;
+        if (callbacks.onReasoning) {
+          callbacks.onReasoning(delta.text);
+        }
+      } else if (delta.type === 'done') {
+        response = { ...delta };
+        delete response.type;
+      }
+    }
+
+    // A dropped connection or a server that never sends its final event ends the stream early
+    if (!response) {
+      throw new NetworkError(`${target.providerName} stream ended before the reply was complete`, { provider: target.providerName });
+    }
+
+    return response;
+  }
+}
+
+module.exports = {
+  ChatClient
+};
@@ -0,0 +1,168 @@
+/**
+ * Pricing Module
+ *
+ * Prices provider calls from their normalized usage. Prices are in US
+ * dollars per million tokens, keyed by provider and then model, so the same
+ * model can be priced differently by different providers. A `*` entry
+ * prices every model of a provider, e.g. to make local Ollama models free.
+ *
+ * The built-in table can be edited by writing it to `.sheikh/prices.json`
+ * with `sheikh usage --init-prices`; entries in that file replace the
+ * built-in ones for the same provider and model. Requests answered through
+ * a provider's batch API are charged at `BATCH_DISCOUNT` of these prices.
+ *
+ * @module core/pricing
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { findModelEntry } = require('../providers/models');
+
+const ANTHROPIC_PRICES = {
+  'claude-3-5-sonnet-20241022': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 },
+  'claude-3-opus-20240229': { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+  'claude-3-sonnet-20240229': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-3-haiku-20240307': { input: 0.25, output: 1.25, cacheRead: 0.03, cacheWrite: 0.3 },
+  'claude-3-7-sonnet-20250219': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-sonnet-4-20250514': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-opus-4-20250514': { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 }
+};
+
+const OPENAI_PRICES = {
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4o': { input: 2.5, output: 10, cacheRead: 1.25 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6, cacheRead: 0.075 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'gpt-3.5-turbo-16k': { input: 3, output: 4 },
+  'o1': { input: 15, output: 60, cacheRead: 7.5 },
+  'o3-mini': { input: 1.1, output: 4.4, cacheRead: 0.55 },
+  'o4-mini': { input: 1.1, output: 4.4, cacheRead: 0.275 }
+};
+
+const DEFAULT_PRICES = {
+  anthropic: ANTHROPIC_PRICES,
+  openai: OPENAI_PRICES,
+  // Global standard deployments are priced like OpenAI's API
+  azure: OPENAI_PRICES,
+  aws: {
+    'anthropic.claude-3-sonnet-20240229-v1:0': ANTHROPIC_PRICES['claude-3-sonnet-20240229'],
+    'anthropic.claude-3-haiku-20240307-v1:0': ANTHROPIC_PRICES['claude-3-haiku-20240307'],
+    'anthropic.claude-3-opus-20240229-v1:0': ANTHROPIC_PRICES['claude-3-opus-20240229'],
+    'anthropic.claude-3-5-sonnet-20241022-v2:0': ANTHROPIC_PRICES['claude-3-5-sonnet-20241022'],
+    'anthropic.claude-3-7-sonnet-20250219-v1:0': ANTHROPIC_PRICES['claude-3-7-sonnet-20250219']
+  },
+  google: {
+    'gemini-1.5-pro': { input: 1.25, output: 5, cacheRead: 0.3125 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.3, cacheRead: 0.01875 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4, cacheRead: 0.025 },
+    'gemini-2.5-pro': { input: 1.25, output: 10, cacheRead: 0.31 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5, cacheRead: 0.075 }
+  },
+  ollama: {
+    '*': { input: 0, output: 0 }
+  }
+};
+
+// Share of the usual price charged for requests in Anthropic and OpenAI batches
+const BATCH_DISCOUNT = 0.5;
+
+/**
+ * Path of the editable price table
+ * @param {string} [cwd=process.cwd()] - Project directory
+ * @returns {string} Path to `.sheikh/prices.json`
+ */
+function getPricesPath(cwd = process.cwd()) {
+  return path.join(cwd, '.sheikh', 'prices.json');
+}
+
+/**
+ * Load the price table, applying `.sheikh/prices.json` over the built-in prices
+ * @param {string} [filePath] - Price table file
+ * @returns {Promise<Object>} Provider names mapped to model prices
+ * @throws {Error} If the file exists but is not valid JSON
+ */
+async function loadPrices(filePath = getPricesPath()) {
+  const prices = {};
+  for (const [provider, models] of Object.entries(DEFAULT_PRICES)) {
+    prices[provider] = { ...models };
+  }
+
+  if (!(await fs.pathExists(filePath))) {
+    return prices;
+  }
+
+  let custom;
+  try {
+    custom = await fs.readJson(filePath);
+  } catch (error) {
+    throw new Error(`Could not read price table ${filePath}: ${error.message}`);
+  }
+
+  for (const [provider, models] of Object.entries(custom || {})) {
+    prices[provider.toLowerCase()] = { ...(prices[provider.toLowerCase()] || {}), ...models };
+  }
+
+  return prices;
+}
+
+/**
+ * Write the built-in price table to `.sheikh/prices.json` for editing
+ * @param {string} [filePath] - Price table file
+ * @returns {Promise<boolean>} False if the file already existed and was left alone
+ */
+async function writeDefaultPrices(filePath = getPricesPath()) {
+  if (await fs.pathExists(filePath)) {
+    return false;
+  }
+
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.writeJson(filePath, DEFAULT_PRICES, { spaces: 2 });
+  return true;
+}
+
+/**
+ * Find the prices for a provider's model
+ * @param {Object} prices - Price table from `loadPrices`
+ * @param {string} provider - Provider name
+ * @param {string} [model] - Model ID
+ * @returns {Object|undefined} `{ input, output, cacheRead, cacheWrite }` per million tokens
+ */
+function getModelPrice(prices, provider, model) {
+  const models = prices[String(provider || '').toLowerCase()];
+  if (!models) {
+    return undefined;
+  }
+  return (model && findModelEntry(model, models)) || models['*'];
+}
+
+/**
+ * Price one call. Cache reads and writes without their own price are
+ * charged at the input rate.
+ *
+ * @param {Object} usage - Provider-neutral usage
+ * @param {Object} price - Model prices from `getModelPrice`
+ * @returns {number} Cost in US dollars
+ *
+ * @example
+ * priceUsage({ inputTokens: 1000, outputTokens: 500 }, { input: 3, output: 15 }); // 0.0105
+ */
+function priceUsage(usage, price) {
+  const perToken = (rate) => (rate === undefined ? price.input : rate) / 1e6;
+
+  return (usage.inputTokens || 0) * price.input / 1e6 +
+    (usage.outputTokens || 0) * price.output / 1e6 +
+    (usage.cacheReadTokens || 0) * perToken(price.cacheRead) +
+    (usage.cacheWriteTokens || 0) * perToken(price.cacheWrite);
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  BATCH_DISCOUNT,
+  getPricesPath,
+  loadPrices,
+  writeDefaultPrices,
+  getModelPrice,
+  priceUsage
+};
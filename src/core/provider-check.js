@@ -0,0 +1,149 @@
+/**
+ * Provider Check Module
+ *
+ * Checks registered providers for `sheikh providers`: whether credentials
+ * are set, whether an authenticated request succeeds and how long it takes,
+ * and which models the provider offers. Providers with a `listModels()`
+ * method are checked by listing their models; others by sending a one-token
+ * message. When the live list cannot be fetched, the provider's built-in
+ * `getAvailableModels()` list is reported instead.
+ *
+ * @module core/provider-check
+ */
+
+const { classifyError } = require('../providers/http');
+
+// Time allowed for each provider's test call
+const DEFAULT_CHECK_TIMEOUT = 15000;
+
+/**
+ * Model ID of a `listModels()` entry; Ollama lists objects rather than IDs
+ * @param {string|Object} model - Model ID or model description
+ * @returns {string} Model ID
+ * @private
+ */
+function getModelId(model) {
+  return typeof model === 'string' ? model : model.name || model.id;
+}
+
+/**
+ * Built-in model list of a provider
+ * @param {Object} provider - Provider instance
+ * @returns {Promise<Array<string>>} Model IDs
+ * @private
+ */
+async function getBuiltInModels(provider) {
+  try {
+    return (await provider.getAvailableModels()) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Make the smallest authenticated request a provider supports
+ * @param {Object} provider - Provider instance
+ * @param {Object} options - Request options, passed to the provider
+ * @returns {Promise<Array<string>|null>} Live model IDs, or null when the provider cannot list models
+ * @private
+ */
+async function runTestCall(provider, options) {
+  if (typeof provider.listModels === 'function') {
+    const models = await provider.listModels(options);
+    return [...new Set(models.map(getModelId))];
+  }
+
+  await provider.sendMessage('Hi', { ...options, maxTokens: 1 });
+  return null;
+}
+
+/**
+ * Check one provider
+ *
+ * @param {string} name - Registered provider name
+ * @param {Object} provider - Provider instance
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.testCall=true] - Make an authenticated request; when false only credentials are checked
+ * @param {number} [options.timeout=15000] - Milliseconds allowed for the test call
+ * @returns {Promise<Object>} `{ provider, credentials, status, latency, models, modelSource, error, category }`;
+ *   `status` is `ok`, `failed` or `skipped`, `modelSource` is `live` or `built-in`
+ *
+ * @example
+ * await checkProvider('anthropic', providerManager.getProvider('anthropic'));
+ * // { provider: 'anthropic', credentials: true, status: 'ok', latency: 312,
+ * //   models: ['claude-3-5-sonnet-20241022', ...], modelSource: 'live', error: null, category: null }
+ */
+async function checkProvider(name, provider, options = {}) {
+  const { testCall = true, timeout = DEFAULT_CHECK_TIMEOUT } = options;
+  const result = {
+    provider: name,
+    credentials: false,
+    status: 'skipped',
+    latency: null,
+    models: [],
+    modelSource: 'built-in',
+    error: null,
+    category: null
+  };
+
+  try {
+    result.credentials = !!(await provider.isAvailable());
+  } catch (error) {
+    result.credentials = false;
+  }
+
+  if (result.credentials && testCall) {
+    // AbortSignal.timeout() needs Node 16.14, so the timer is set by hand
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const { signal } = controller;
+    const started = Date.now();
+
+    try {
+      const models = await runTestCall(provider, { signal, retry: { maxRetries: 0 } });
+      result.status = 'ok';
+      result.latency = Date.now() - started;
+      if (models && models.length > 0) {
+        result.models = models;
+        result.modelSource = 'live';
+      }
+    } catch (error) {
+      result.status = 'failed';
+      if (signal.aborted) {
+        result.category = 'timeout';
+        result.error = `No response within ${timeout / 1000}s`;
+      } else {
+        result.category = classifyError(error);
+        result.error = error.message;
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  if (result.modelSource === 'built-in') {
+    result.models = await getBuiltInModels(provider);
+  }
+
+  return result;
+}
+
+/**
+ * Check several providers at once
+ *
+ * @param {Object} providerManager - Provider manager holding the providers
+ * @param {Array<string>} [names] - Providers to check; defaults to every registered provider
+ * @param {Object} [options] - Check options, see `checkProvider`
+ * @returns {Promise<Array<Object>>} Results in the order of `names`
+ * @throws {Error} If a named provider is not registered
+ */
+async function checkProviders(providerManager, names = providerManager.listProviders(), options = {}) {
+  const providers = names.map(name => [name, providerManager.getProvider(name)]);
+  return Promise.all(providers.map(([name, provider]) => checkProvider(name, provider, options)));
+}
+
+module.exports = {
+  DEFAULT_CHECK_TIMEOUT,
+  checkProvider,
+  checkProviders
+};
@@ -0,0 +1,201 @@
+/**
+ * Structured Output Module
+ *
+ * Asks a model for a reply matching a JSON Schema and returns it as an
+ * object, for agents that need machine-readable results. Providers with the
+ * `structured` capability are asked through their native JSON or tool mode,
+ * unless the model catalog marks the model `structured: false`; others get
+ * the schema in the system prompt. The reply is validated and,
+ * when it does not match, the model is shown the validation errors and
+ * asked again.
+ *
+ * @module core/structured-output
+ */
+
+const { getModelLimits } = require('../providers/models');
+const { addUsage } = require('../providers/usage');
+const { validateJsonSchema } = require('../utils/json-schema');
+
+const DEFAULT_MAX_REPAIRS = 2;
+
+/**
+ * Raised when the model's reply still does not match the schema after
+ * every repair attempt
+ */
+class StructuredOutputError extends Error {
+  /**
+   * @param {string[]} errors - Validation errors of the last reply
+   * @param {Object} details - Failure details
+   * @param {string} details.content - Last reply text
+   * @param {number} details.attempts - Number of model calls made
+   */
+  constructor(errors, { content, attempts }) {
+    super(`Model reply did not match the schema after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${errors.join('; ')}`);
+    this.name = 'StructuredOutputError';
+    this.code = 'ERR_STRUCTURED_OUTPUT';
+    this.errors = errors;
+    this.content = content;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Read a JSON value from reply text, allowing for a Markdown code fence or
+ * text around it
+ *
+ * @param {string} text - Reply text
+ * @returns {*} Parsed value
+ * @throws {SyntaxError} If the reply holds no valid JSON
+ *
+ * @example
+ * parseJsonReply('Here you go:\n```json\n{"ok": true}\n```');
+ * // { ok: true }
+ */
+function parseJsonReply(text) {
+  const trimmed = String(text || '').trim();
+  const fenced = trimmed.match(/```(?:json)?\s*\n([\s\S]*?)\n?```/);
+  if (fenced) {
+    return JSON.parse(fenced[1]);
+  }
+
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    const start = trimmed.search(/[[{]/);
+    const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+    if (start === -1 || end <= start) {
+      throw error;
+    }
+    return JSON.parse(trimmed.slice(start, end + 1));
+  }
+}
+
+/**
+ * Build the response format sent to the provider. Native modes need an
+ * object at the top level, so other schemas are wrapped in `{ value }`.
+ * @param {Object} schema - JSON Schema of the result
+ * @param {string} [name] - Format name
+ * @param {string} [description] - What the result describes
+ * @returns {{responseFormat: Object, wrapped: boolean}} Response format
+ * @private
+ */
+function buildResponseFormat(schema, name, description) {
+  const wrapped = schema.type !== 'object';
+  return {
+    wrapped,
+    responseFormat: {
+      name,
+      description,
+      schema: wrapped
+        ? { type: 'object', properties: { value: schema }, required: ['value'], additionalProperties: false }
+        : schema
+    }
+  };
+}
+
+/**
+ * Ask a model for a result matching a JSON Schema
+ *
+ * @param {Object} provider - Provider instance
+ * @param {string|Array<Object>} messages - User message or provider-neutral message list
+ * @param {Object} options - Result and request options
+ * @param {Object} options.schema - JSON Schema the result must match, see `utils/json-schema`
+ * @param {string} [options.name] - Name of the result, such as `security_audit`
+ * @param {string} [options.description] - What the result describes
+ * @param {number} [options.maxRepairs=2] - Times to re-prompt with validation errors
+ * @param {Object} [options.usageTracker] - `UsageTracker` that records each call and enforces budgets
+ * @param {string} [options.agent] - Agent name recorded with each call's usage
+ * @returns {Promise<Object>} `{ object, content, usage, model, attempts }` where `object` is the
+ *   validated result and `usage` covers every attempt
+ * @throws {StructuredOutputError} If no reply matches the schema
+ * @throws {BudgetExceededError} If a usage budget is used up between attempts
+ *
+ * @example
+ * const { object } = await generateObject(provider, 'Audit src/auth.js', {
+ *   name: 'security_audit',
+ *   schema: {
+ *     type: 'object',
+ *     properties: {
+ *       findings: { type: 'array', items: { type: 'object', properties: {
+ *         severity: { enum: ['low', 'medium', 'high'] }, description: { type: 'string' }
+ *       }, required: ['severity', 'description'] } }
+ *     },
+ *     required: ['findings']
+ *   }
+ * });
+ */
+async function generateObject(provider, messages, options = {}) {
+  const {
+    schema,
+    name,
+    description,
+    maxRepairs = DEFAULT_MAX_REPAIRS,
+    usageTracker,
+    agent,
+    ...requestOptions
+  } = options;
+
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error('generateObject needs a JSON Schema object as options.schema');
+  }
+
+  // Older models of a structured provider, such as OpenAI's gpt-4, reject its JSON mode
+  const native = (provider.capabilities || []).includes('structured') &&
+    getModelLimits(requestOptions.model || provider.defaultModel).structured !== false;
+  const { responseFormat, wrapped } = buildResponseFormat(schema, name, description);
+  const transcript = typeof messages === 'string' ? [{ role: 'user', content: messages }] : [...messages];
+  let usage;
+
+  if (!native) {
+    transcript.unshift({
+      role: 'system',
+      content: `Reply with only a JSON value that matches this JSON Schema, and no other text:\n${JSON.stringify(schema, null, 2)}`
+    });
+  }
+
+  for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+    if (usageTracker) {
+      await usageTracker.checkBudget();
+    }
+
+    const response = await provider.sendMessage(transcript, native ? { ...requestOptions, responseFormat } : requestOptions);
+    const model = response.model || requestOptions.model || provider.defaultModel;
+    usage = addUsage(usage, response.usage);
+    if (usageTracker) {
+      await usageTracker.record({ provider: provider.name, model, agent, usage: response.usage });
+    }
+
+    let errors;
+    let object;
+    try {
+      const parsed = parseJsonReply(response.content);
+      object = native && wrapped && parsed && typeof parsed === 'object' ? parsed.value : parsed;
+      errors = validateJsonSchema(object, schema);
+    } catch (error) {
+      errors = [`the reply is not valid JSON (${error.message})`];
+    }
+
+    if (errors.length === 0) {
+      return { object, content: response.content, usage, model, attempts: attempt };
+    }
+
+    if (attempt > maxRepairs) {
+      throw new StructuredOutputError(errors, { content: response.content, attempts: attempt });
+    }
+
+    transcript.push(
+      { role: 'assistant', content: response.content || '' },
+      {
+        role: 'user',
+        content: `Your reply did not match the required JSON Schema:\n${errors.map(error => `- ${error}`).join('\n')}\n` +
+          'Reply again with only the corrected JSON.'
+      }
+    );
+  }
+}
+
+module.exports = {
+  StructuredOutputError,
+  parseJsonReply,
+  generateObject
+};
@@ -0,0 +1,117 @@
+/**
+ * Tool Runner Module
+ *
+ * Runs the model/tool loop agents build on: sends the conversation with
+ * the available tools, executes the tool calls the model makes and feeds
+ * the results back until the model answers without calling a tool. An
+ * abort `signal` cancels the loop between steps and is passed to the
+ * provider and to each tool. Request options such as `reasoning` are sent
+ * with every model call.
+ *
+ * @module core/tool-runner
+ */
+
+const { throwIfAborted } = require('../providers/http');
+
+const DEFAULT_MAX_TURNS = 10;
+
+/**
+ * Execute a single tool call
+ * @param {Object} toolCall - Provider-neutral tool call
+ * @param {Map<string, Object>} toolsByName - Tools with `execute` functions
+ * @param {AbortSignal} [signal] - Passed to the tool as `{ signal }`
+ * @returns {Promise<Object>} Tool result message
+ * @throws {Error} The signal's abort reason, if the tool fails after the signal aborted
+ */
+async function executeToolCall(toolCall, toolsByName, signal) {
+  const tool = toolsByName.get(toolCall.name);
+  const message = { role: 'tool', toolCallId: toolCall.id, name: toolCall.name };
+
+  if (!tool || typeof tool.execute !== 'function') {
+    return { ...message, content: `Unknown tool: ${toolCall.name}`, isError: true };
+  }
+
+  try {
+    const result = await tool.execute(toolCall.arguments, { signal });
+    return { ...message, content: result === undefined ? '' : result };
+  } catch (error) {
+    // A cancelled tool is not a failure to report back to the model
+    throwIfAborted(signal);
+    return { ...message, content: `Tool '${toolCall.name}' failed: ${error.message}`, isError: true };
+  }
+}
+
+/**
+ * Run a conversation with tools until the model stops calling them
+ *
+ * @param {Object} provider - Provider instance
+ * @param {Array<Object>} messages - Provider-neutral message list
+ * @param {Object} options - Loop and request options
+ * @param {Array<Object>} options.tools - Tool definitions with an `execute(args, { signal })` function
+ * @param {AbortSignal} [options.signal] - Cancels the loop, the request in flight and running tools
+ * @param {number} [options.maxTurns=10] - Maximum number of model calls
+ * @param {Function} [options.onToolCall] - Called with each tool call before it runs
+ * @param {Object} [options.usageTracker] - `UsageTracker` that records each call and enforces budgets
+ * @param {string} [options.agent] - Agent name recorded with each call's usage
+ * @returns {Promise<Object>} Final response with the full `messages` transcript
+ * @throws {Error} If the model is still calling tools after `maxTurns` calls
+ * @throws {BudgetExceededError} If a usage budget is used up before the loop finishes
+ * @throws {Error} The signal's abort reason, or a `CancelledError` from the provider, once the signal aborts
+ *
+ * @example
+ * const result = await runToolLoop(provider, [{ role: 'user', content: 'What is in README.md?' }], {
+ *   tools: [{ name: 'read_file', parameters: { type: 'object', properties: { path: { type: 'string' } } },
+ *     execute: ({ path }) => fs.readFile(path, 'utf8') }]
+ * });
+ */
+async function runToolLoop(provider, messages, options = {}) {
+  const { tools = [], maxTurns = DEFAULT_MAX_TURNS, onToolCall, usageTracker, agent, ...requestOptions } = options;
+  const { signal } = requestOptions;
+  const toolsByName = new Map(tools.map(tool => [tool.name, tool]));
+  const transcript = [...messages];
+
+  for (let turn = 1; turn <= maxTurns; turn++) {
+    throwIfAborted(signal);
+    if (usageTracker) {
+      await usageTracker.checkBudget();
+    }
+
+    const response = await provider.sendMessage(transcript, { ...requestOptions, tools });
+    if (usageTracker) {
+      await usageTracker.record({
+        provider: provider.name,
+        model: response.model || requestOptions.model || provider.defaultModel,
+        agent,
+        usage: response.usage
+      });
+    }
+    const toolCalls = response.toolCalls || [];
+
+    // Signed reasoning goes back with its tool calls, as providers that sign it require
+    transcript.push({
+      role: 'assistant',
+      content: response.content,
+      toolCalls,
+      ...(response.reasoningDetails ? { reasoningDetails: response.reasoningDetails } : {})
+    });
+
+    if (toolCalls.length === 0) {
+      return { ...response, messages: transcript, turns: turn };
+    }
+
+    for (const toolCall of toolCalls) {
+      throwIfAborted(signal);
+      if (onToolCall) {
+        onToolCall(toolCall);
+      }
+      transcript.push(await executeToolCall(toolCall, toolsByName, signal));
+    }
+  }
+
+  throw new Error(`Tool loop did not finish within ${maxTurns} turns`);
+}
+
+module.exports = {
+  runToolLoop,
+  executeToolCall
+};
@@ -0,0 +1,231 @@
+/**
+ * Usage Tracker Module
+ *
+ * Records the tokens and cost of every provider call under
+ * `.sheikh/usage/`, one JSON Lines file per day, and stops work when a
+ * configured budget is used up. Each record names the session, provider,
+ * model and agent that made the call, which `sheikh usage` groups by.
+ *
+ * @module core/usage-tracker
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { addUsage } = require('../providers/usage');
+const { loadPrices, getModelPrice, priceUsage, BATCH_DISCOUNT } = require('./pricing');
+
+const BUDGET_PERIODS = ['session', 'daily', 'monthly'];
+
+const GROUP_BY = ['provider', 'model', 'agent', 'day', 'session'];
+
+/**
+ * Thrown before a call when a budget has been used up
+ */
+class BudgetExceededError extends Error {
+  /**
+   * @param {string} period - `session`, `daily` or `monthly`
+   * @param {number} limit - Budget in US dollars
+   * @param {number} spent - Amount spent in the period
+   */
+  constructor(period, limit, spent) {
+    const label = { session: 'Session', daily: 'Daily', monthly: 'Monthly' }[period];
+    super(`${label} budget of $${limit.toFixed(2)} reached ($${spent.toFixed(2)} spent)`);
+    this.name = 'BudgetExceededError';
+    this.period = period;
+    this.limit = limit;
+    this.spent = spent;
+  }
+}
+
+/**
+ * Format a date as a local `YYYY-MM-DD` day
+ * @param {Date} date - Date
+ * @returns {string} Day
+ */
+function formatDay(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Total a list of usage records by one of their fields
+ *
+ * @param {Array<Object>} records - Usage records
+ * @param {string} groupBy - `provider`, `model`, `agent`, `day` or `session`
+ * @returns {Array<Object>} Rows of `{ key, calls, cost, unpriced, ...usage }`, most expensive first
+ *
+ * @example
+ * summarizeUsage(records, 'model');
+ * // [{ key: 'claude-3-5-sonnet-20241022', calls: 12, cost: 0.42, unpriced: 0, inputTokens: 48210, ... }]
+ */
+function summarizeUsage(records, groupBy) {
+  if (!GROUP_BY.includes(groupBy)) {
+    throw new Error(`Cannot group usage by '${groupBy}'. Use one of: ${GROUP_BY.join(', ')}`);
+  }
+
+  const rows = new Map();
+  for (const record of records) {
+    const key = groupBy === 'day' ? formatDay(new Date(record.timestamp)) : record[groupBy] || 'unknown';
+    const row = rows.get(key) || { key, calls: 0, cost: 0, unpriced: 0, usage: addUsage() };
+
+    row.calls++;
+    row.usage = addUsage(row.usage, record.usage);
+    if (record.cost === null) {
+      row.unpriced++;
+    } else {
+      row.cost += record.cost;
+    }
+    rows.set(key, row);
+  }
+
+  return [...rows.values()]
+    .map(({ usage, ...row }) => ({ ...row, ...usage }))
+    .sort((a, b) => b.cost - a.cost || b.totalTokens - a.totalTokens);
+}
+
+/**
+ * UsageTracker class
+ * Persists usage records and enforces budgets
+ */
+class UsageTracker {
+  /**
+   * @param {Object} [options] - Tracker options
+   * @param {string} [options.dir] - Directory for usage files, defaults to `.sheikh/usage`
+   * @param {Object} [options.budget] - Limits in US dollars: `{ session, daily, monthly }`
+   * @param {Object} [options.prices] - Price table; loaded from `.sheikh/prices.json` when omitted
+   * @param {string} [options.sessionId] - Session ID, generated when omitted
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(process.cwd(), '.sheikh', 'usage');
+    this.budget = options.budget || {};
+    this.prices = options.prices || null;
+    this.sessionId = options.sessionId || crypto.randomUUID().slice(0, 8);
+    this.sessionCost = 0;
+  }
+
+  /**
+   * Price table, loaded on first use
+   * @returns {Promise<Object>} Price table
+   */
+  async getPrices() {
+    if (!this.prices) {
+      this.prices = await loadPrices();
+    }
+    return this.prices;
+  }
+
+  /**
+   * Record one provider call
+   * @param {Object} call - Call details
+   * @param {string} call.provider - Provider that answered
+   * @param {string} [call.model] - Model that answered
+   * @param {string} [call.agent='chat'] - Agent or session type that made the call
+   * @param {Object} [call.usage] - Provider-neutral usage
+   * @param {boolean} [call.batch=false] - Whether the call was answered through a batch API, at the batch discount
+   * @param {Date} [call.date] - Time of the call
+   * @returns {Promise<Object>} Stored record; `cost` is null when the model has no price
+   */
+  async record(call) {
+    const date = call.date || new Date();
+    const usage = addUsage(call.usage);
+    const price = getModelPrice(await this.getPrices(), call.provider, call.model);
+    const cost = price ? priceUsage(usage, price) * (call.batch ? BATCH_DISCOUNT : 1) : null;
+
+    const record = {
+      timestamp: date.toISOString(),
+      session: this.sessionId,
+      provider: call.provider,
+      model: call.model || null,
+      agent: call.agent || 'chat',
+      usage,
+      cost,
+      ...(call.batch ? { batch: true } : {})
+    };
+
+    await fs.ensureDir(this.dir);
+    await fs.appendFile(path.join(this.dir, `${formatDay(date)}.jsonl`), `${JSON.stringify(record)}\n`);
+    this.sessionCost += cost || 0;
+
+    return record;
+  }
+
+  /**
+   * Read the records stored for a range of days
+   * @param {Object} [range] - Days to read, inclusive
+   * @param {string} [range.from] - First day, `YYYY-MM-DD`
+   * @param {string} [range.to] - Last day, `YYYY-MM-DD`
+   * @returns {Promise<Array<Object>>} Records in time order
+   */
+  async readRecords(range = {}) {
+    if (!(await fs.pathExists(this.dir))) {
+      return [];
+    }
+
+    const days = (await fs.readdir(this.dir))
+      .filter(file => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(file))
+      .map(file => file.slice(0, 10))
+      .filter(day => (!range.from || day >= range.from) && (!range.to || day <= range.to))
+      .sort();
+
+    const records = [];
+    for (const day of days) {
+      const lines = (await fs.readFile(path.join(this.dir, `${day}.jsonl`), 'utf8')).split('\n');
+      for (const line of lines.filter(line => line.trim())) {
+        try {
+          records.push(JSON.parse(line));
+        } catch (error) {
+          // Skip a line cut short by an interrupted write
+        }
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Amount spent in each budget period
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<{session: number, daily: number, monthly: number}>} Spend in US dollars
+   */
+  async getSpend(now = new Date()) {
+    const today = formatDay(now);
+    const records = await this.readRecords({ from: `${today.slice(0, 7)}-01`, to: today });
+    const total = (list) => list.reduce((sum, record) => sum + (record.cost || 0), 0);
+
+    return {
+      session: this.sessionCost,
+      daily: total(records.filter(record => formatDay(new Date(record.timestamp)) === today)),
+      monthly: total(records)
+    };
+  }
+
+  /**
+   * Stop before a call when a budget has been used up
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<void>}
+   * @throws {BudgetExceededError} If spend has reached a configured budget
+   */
+  async checkBudget(now = new Date()) {
+    const limits = BUDGET_PERIODS.filter(period => typeof this.budget[period] === 'number');
+    if (limits.length === 0) {
+      return;
+    }
+
+    const spend = await this.getSpend(now);
+    for (const period of limits) {
+      if (spend[period] >= this.budget[period]) {
+        throw new BudgetExceededError(period, this.budget[period], spend[period]);
+      }
+    }
+  }
+}
+
+module.exports = {
+  BUDGET_PERIODS,
+  GROUP_BY,
+  BudgetExceededError,
+  UsageTracker,
+  formatDay,
+  summarizeUsage
+};
@@ -0,0 +1,158 @@
+/**
+ * Model Aliases
+ *
+ * Maps model tiers such as `fast` and `smart`, and the Claude family names
+ * used in agent frontmatter (`sonnet`, `opus`, `haiku`), to a model ID for
+ * each provider. Agents, skills, `--model`, `apiModelId` and `fallback`
+ * entries may name an alias instead of a model ID; it is resolved for the
+ * provider the request goes to.
+ *
+ * The `modelAliases` configuration section adds aliases and overrides
+ * entries of the built-in ones, one provider at a time:
+ *
+ * ```json
+ * { "modelAliases": { "fast": { "vllm": "Qwen/Qwen2.5-7B-Instruct" } } }
+ * ```
+ *
+ * `inherit` means the session's model and is not an alias.
+ *
+ * @module providers/aliases
+ */
+
+const INHERIT = 'inherit';
+
+const MODEL_ALIASES = {
+  fast: {
+    anthropic: 'claude-3-5-haiku-20241022',
+    openai: 'gpt-4o-mini',
+    azure: 'gpt-4o-mini',
+    aws: 'anthropic.claude-3-haiku-20240307-v1:0',
+    google: 'gemini-2.0-flash',
+    ollama: 'llama3.1'
+  },
+  smart: {
+    anthropic: 'claude-3-5-sonnet-20241022',
+    openai: 'gpt-4o',
+    azure: 'gpt-4o',
+    aws: 'anthropic.claude-3-5-sonnet-20241022-v2:0',
+    google: 'gemini-1.5-pro',
+    ollama: 'llama3.1:70b'
+  },
+  sonnet: {
+    anthropic: 'claude-3-5-sonnet-20241022',
+    aws: 'anthropic.claude-3-5-sonnet-20241022-v2:0'
+  },
+  opus: {
+    anthropic: 'claude-3-opus-20240229',
+    aws: 'anthropic.claude-3-opus-20240229-v1:0'
+  },
+  haiku: {
+    anthropic: 'claude-3-5-haiku-20241022',
+    aws: 'anthropic.claude-3-haiku-20240307-v1:0'
+  }
+};
+
+/**
+ * Raised when an alias is unknown or has no model for the selected provider
+ */
+class ModelAliasError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - `{ alias, provider }`
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ModelAliasError';
+    this.code = 'ERR_MODEL_ALIAS';
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * Build the alias table from the built-in aliases and the configuration
+ *
+ * @param {Object} [overrides] - `modelAliases` configuration section, aliases mapped to provider model IDs
+ * @returns {Object} Aliases mapped to `{ [provider]: modelId }`
+ */
+function getModelAliases(overrides = {}) {
+  const aliases = {};
+  for (const name of new Set([...Object.keys(MODEL_ALIASES), ...Object.keys(overrides || {})])) {
+    aliases[name] = { ...MODEL_ALIASES[name], ...(overrides || {})[name] };
+  }
+  return aliases;
+}
+
+/**
+ * Check whether a name is an alias
+ *
+ * @param {string} name - Model alias or ID
+ * @param {Object} [overrides] - `modelAliases` configuration section
+ * @returns {boolean} True for built-in and configured aliases
+ */
+function isModelAlias(name, overrides) {
+  return Object.prototype.hasOwnProperty.call(getModelAliases(overrides), name);
+}
+
+/**
+ * Resolve a model alias for a provider. Names that are not aliases are
+ * model IDs and are returned unchanged.
+ *
+ * @param {string} [model] - Model alias or ID
+ * @param {string} providerName - Provider the request goes to
+ * @param {Object} [overrides] - `modelAliases` configuration section
+ * @returns {string|undefined} Model ID, or undefined for `inherit` and no model, meaning the session's model
+ * @throws {ModelAliasError} If the alias has no model for the provider
+ *
+ * @example
+ * resolveModelAlias('fast', 'openai');       // 'gpt-4o-mini'
+ * resolveModelAlias('gpt-4-turbo', 'openai'); // 'gpt-4-turbo'
+ * resolveModelAlias('opus', 'ollama');       // throws ModelAliasError
+ */
+function resolveModelAlias(model, providerName, overrides) {
+  if (!model || model === INHERIT) {
+    return undefined;
+  }
+
+  const aliases = getModelAliases(overrides);
+  if (!Object.prototype.hasOwnProperty.call(aliases, model)) {
+    return model;
+  }
+
+  const modelId = aliases[model][providerName];
+  if (!modelId) {
+    const providers = Object.keys(aliases[model]);
+    const available = providers.length > 0 ? ` It is defined for: ${providers.join(', ')}.` : '';
+    throw new ModelAliasError(
+      `Model alias '${model}' has no model for provider '${providerName}'.${available} Add one under modelAliases.${model}.${providerName}`,
+      { alias: model, provider: providerName }
+    );
+  }
+  return modelId;
+}
+
+/**
+ * Check the `model` field of agent or skill frontmatter, which must be
+ * `inherit` or an alias so the definition works with any provider
+ *
+ * @param {string} [model] - Frontmatter model
+ * @param {Object} [overrides] - `modelAliases` configuration section
+ * @returns {string|null} Error message, or null if the field is absent or valid
+ */
+function checkFrontmatterModel(model, overrides) {
+  if (model === undefined || model === INHERIT || isModelAlias(model, overrides)) {
+    return null;
+  }
+
+  const names = [INHERIT, ...Object.keys(getModelAliases(overrides))];
+  return `Unknown model alias '${model}'. Must be one of: ${names.join(', ')}; add aliases under modelAliases`;
+}
+
+module.exports = {
+  INHERIT,
+  MODEL_ALIASES,
+  ModelAliasError,
+  getModelAliases,
+  isModelAlias,
+  resolveModelAlias,
+  checkFrontmatterModel
+};
@@ -6,7 +6,28 @@
  * @module providers/anthropic
  */
 
-const axios = require('axios');
+const { createHttpClient, getRequestConfig } = require('./http');
+const { createProviderError } = require('./errors');
+const { normalizeUsage } = require('./usage');
+const { normalizeMessages, getTextContent, getAttachments, stringifyToolContent } = require('./messages');
+const { parseSSE, readStreamError } = require('./streaming');
+const { normalizeTools, normalizeToolChoice, parseToolArguments } = require('./tools');
+const { withStructuredTool, readStructuredToolCall } = require('./structured');
+const { normalizeReasoning, withReasoning } = require('./reasoning');
+const { prepareBatchRequests, parseJSONLines } = require('./batch');
+
+// Marks the end of a prompt-cache prefix; Anthropic allows four per request
+const CACHE_CONTROL = { type: 'ephemeral' };
+
+// Tool choices that force a tool call, which extended thinking does not allow
+const FORCED_TOOL_CHOICES = ['any', 'tool'];
+
+// Batch states as they map onto the provider-neutral ones; `canceling` batches are still answering
+const BATCH_STATUSES = {
+  in_progress: 'running',
+  canceling: 'running',
+  ended: 'ended'
+};
 
 /**
  * AnthropicProvider class
@@ -16,7 +37,9 @@ class AnthropicProvider {
   constructor() {
     this.name = 'anthropic';
     this.apiKey = process.env.ANTHROPIC_API_KEY || process.env.API_KEY;
-    this.baseURL = 'https://api.anthropic.com/v1';
+    this.baseURL = process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1';
+    this.defaultModel = 'claude-3-5-sonnet-20241022';
+    this.capabilities = ['streaming', 'tools', 'structured', 'caching', 'reasoning', 'batch'];
     this.client = null;
   }
 
@@ -29,7 +52,7 @@ class AnthropicProvider {
       throw new Error('ANTHROPIC_API_KEY environment variable is required');
     }
 
-    this.client = axios.create({
+    this.client = createHttpClient({
       baseURL: this.baseURL,
       headers: {
         'x-api-key': this.apiKey,
@@ -42,37 +65,284 @@ class AnthropicProvider {
   }
 
   /**
-   * Send a message to Claude
-   * @param {string} message - Message to send
+   * Send a conversation to Claude
+   * @param {string|Array<Object>} messages - User message or provider-neutral message list
    * @param {Object} options - Additional options
+   * @param {string} [options.system] - System prompt
+   * @param {Array<Object>} [options.tools] - Provider-neutral tool definitions
+   * @param {string|Object} [options.toolChoice] - Tool choice
+   * @param {Object} [options.responseFormat] - JSON reply format, see `providers/structured`
+   * @param {string|Object} [options.reasoning] - Extended thinking, see `providers/reasoning`
    * @returns {Promise<Object>} Response from Claude
    */
-  async sendMessage(message, options = {}) {
+  async sendMessage(messages, options = {}) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    const payload = this.buildPayload(messages, options);
+
+    try {
+      const response = await this.client.post('/messages', payload, getRequestConfig(options));
+      return this.parseMessage(response.data, options);
+    } catch (error) {
+      throw createProviderError(`Anthropic API error: ${error.response?.data?.error?.message || error.message}`, { provider: this.name, cause: error });
+    }
+  }
+
+  /**
+   * Convert a Messages API reply into a provider response
+   * @param {Object} message - Message returned by the API
+   * @param {Object} options - Request options
+   * @returns {Object} Response with content, tool calls, usage, model and any reasoning
+   */
+  parseMessage(message, options = {}) {
+    const details = this.readReasoningDetails(message.content);
+    return withReasoning(readStructuredToolCall({
+      content: message.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      toolCalls: message.content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} })),
+      usage: normalizeUsage(message.usage, 'anthropic'),
+      model: message.model
+    }, options.responseFormat), details.map(detail => detail.text || '').join(''), details);
+  }
+
+  /**
+   * Stream a conversation to Claude over server-sent events
+   * @param {string|Array<Object>} messages - User message or provider-neutral message list
+   * @param {Object} options - Additional options, as for `sendMessage`
+   * @returns {AsyncGenerator<Object>} Reasoning, text and tool call deltas followed by a `done` event
+   */
+  async *streamMessage(messages, options = {}) {
     if (!this.client) {
       await this.initialize();
     }
 
+    const payload = { ...this.buildPayload(messages, options), stream: true };
+    let response;
+
+    try {
+      response = await this.client.post('/messages', payload, getRequestConfig(options, { responseType: 'stream' }));
+    } catch (error) {
+      await readStreamError(error);
+      throw createProviderError(`Anthropic API error: ${error.response?.data?.error?.message || error.message}`, { provider: this.name, cause: error });
+    }
+
+    let content = '';
+    let reasoning = '';
+    let model = payload.model;
+    const usage = {};
+    const toolCalls = [];
+    const pendingTools = new Map();
+    const thinkingBlocks = new Map();
+
+    for await (const { event, data } of parseSSE(response.data)) {
+      const chunk = JSON.parse(data);
+
+      if (event === 'error' || chunk.type === 'error') {
+        throw createProviderError(`Anthropic API error: ${chunk.error?.message || data}`, { provider: this.name, type: chunk.error?.type });
+      }
+
+      if (chunk.type === 'message_start') {
+        model = chunk.message.model || model;
+        Object.assign(usage, chunk.message.usage);
+      } else if (chunk.type === 'content_block_start' && chunk.content_block.type === 'tool_use') {
+        pendingTools.set(chunk.index, { id: chunk.content_block.id, name: chunk.content_block.name, json: '' });
+      } else if (chunk.type === 'content_block_start' && chunk.content_block.type === 'thinking') {
+        thinkingBlocks.set(chunk.index, { text: '', signature: '' });
+      } else if (chunk.type === 'content_block_start' && chunk.content_block.type === 'redacted_thinking') {
+        thinkingBlocks.set(chunk.index, { redacted: chunk.content_block.data });
+      } else if (chunk.type === 'content_block_delta' && chunk.delta.type === 'thinking_delta') {
+        thinkingBlocks.get(chunk.index).text += chunk.delta.thinking;
+        reasoning += chunk.delta.thinking;
+        yield { type: 'reasoning', text: chunk.delta.thinking };
+      } else if (chunk.type === 'content_block_delta' && chunk.delta.type === 'signature_delta') {
+        thinkingBlocks.get(chunk.index).signature += chunk.delta.signature;
+      } else if (chunk.type === 'content_block_delta' && chunk.delta.type === 'text_delta') {
+        content += chunk.delta.text;
+        yield { type: 'text', text: chunk.delta.text };
+      } else if (chunk.type === 'content_block_delta' && chunk.delta.type === 'input_json_delta') {
+        pendingTools.get(chunk.index).json += chunk.delta.partial_json;
+      } else if (chunk.type === 'content_block_stop' && pendingTools.has(chunk.index)) {
+        const { id, name, json } = pendingTools.get(chunk.index);
+        const toolCall = { id, name, arguments: parseToolArguments(json) };
+        pendingTools.delete(chunk.index);
+        toolCalls.push(toolCall);
+        yield { type: 'tool_call', toolCall };
+      } else if (chunk.type === 'message_delta' && chunk.usage) {
+        Object.assign(usage, chunk.usage);
+      }
+    }
+
+    yield withReasoning({
+      type: 'done',
+      ...readStructuredToolCall({ content, toolCalls }, options.responseFormat),
+      usage: normalizeUsage(usage, 'anthropic'),
+      model
+    }, reasoning, Array.from(thinkingBlocks.values()));
+  }
+
+  /**
+   * Read the thinking blocks of a reply as provider-neutral reasoning details
+   * @param {Array<Object>} blocks - Response content blocks
+   * @returns {Array<Object>} `{ text, signature }` or `{ redacted }` entries
+   */
+  readReasoningDetails(blocks) {
+    return blocks
+      .filter(block => block.type === 'thinking' || block.type === 'redacted_thinking')
+      .map(block => (block.type === 'thinking'
+        ? { text: block.thinking, signature: block.signature }
+        : { redacted: block.data }));
+  }
+
+  /**
+   * Build a Messages API request body
+   * @param {string|Array<Object>} messages - User message or provider-neutral message list
+   * @param {Object} options - Request options
+   * @returns {Object} Request payload
+   */
+  buildPayload(messages, options = {}) {
+    const request = normalizeMessages(messages, options);
     const payload = {
-      model: options.model || 'claude-3-5-sonnet-20241022',
+      model: options.model || this.defaultModel,
       max_tokens: options.maxTokens || 1000,
-      messages: [
-        {
-          role: 'user',
-          content: message
-        }
-      ]
+      messages: this.formatMessages(request.messages)
     };
 
-    try {
-      const response = await this.client.post('/messages', payload);
-      return {
-        content: response.data.content[0].text,
-        usage: response.data.usage,
-        model: response.data.model
+    if (request.system) {
+      // System blocks are only needed to place cache breakpoints
+      payload.system = request.systemBlocks.some(block => block.cache)
+        ? request.systemBlocks.map(block => ({
+          type: 'text',
+          text: block.text,
+          ...(block.cache ? { cache_control: CACHE_CONTROL } : {})
+        }))
+        : request.system;
+    }
+
+    // Claude has no JSON mode; a structured reply is a forced call to a tool taking the schema
+    const { tools: requestTools, toolChoice: requestToolChoice } = withStructuredTool(options);
+    const tools = normalizeTools(requestTools);
+    if (tools.length > 0) {
+      payload.tools = tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters
+      }));
+
+      const toolChoice = this.formatToolChoice(normalizeToolChoice(requestToolChoice, tools));
+      if (toolChoice) {
+        payload.tool_choice = toolChoice;
+      }
+    }
+
+    // Thinking cannot be combined with a forced tool call, as structured replies use,
+    // and only runs at the default temperature
+    const reasoning = normalizeReasoning(options.reasoning);
+    if (reasoning && !(payload.tool_choice && FORCED_TOOL_CHOICES.includes(payload.tool_choice.type))) {
+      payload.thinking = { type: 'enabled', budget_tokens: reasoning.budgetTokens };
+      payload.max_tokens += reasoning.budgetTokens;
+    } else if (options.temperature !== undefined) {
+      payload.temperature = options.temperature;
+    }
+
+    return payload;
+  }
+
+  /**
+   * Map a provider-neutral tool choice onto `tool_choice`
+   * @param {string|Object|undefined} toolChoice - Normalized tool choice
+   * @returns {Object|undefined} Anthropic tool choice
+   */
+  formatToolChoice(toolChoice) {
+    if (!toolChoice) {
+      return undefined;
+    }
+
+    if (typeof toolChoice === 'object') {
+      return { type: 'tool', name: toolChoice.name };
+    }
+
+    return { type: toolChoice === 'required' ? 'any' : toolChoice };
+  }
+
+  /**
+   * Map provider-neutral messages onto Messages API turns.
+   * Tool results travel in user turns and consecutive turns with the
+   * same role are merged, as the API requires alternating roles. A cached
+   * message gets a cache breakpoint on its last block.
+   * @param {Array<Object>} messages - Normalized messages without system turns
+   * @returns {Array<Object>} Anthropic messages
+   */
+  formatMessages(messages) {
+    const formatted = [];
+
+    for (const message of messages) {
+      const role = message.role === 'assistant' ? 'assistant' : 'user';
+      const blocks = this.formatContent(message);
+      if (message.cache && blocks.length > 0) {
+        blocks[blocks.length - 1].cache_control = CACHE_CONTROL;
+      }
+      const previous = formatted[formatted.length - 1];
+
+      if (previous && previous.role === role) {
+        previous.content.push(...blocks);
+      } else {
+        formatted.push({ role, content: blocks });
+      }
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Map a single message onto Anthropic content blocks
+   * @param {Object} message - Provider-neutral message
+   * @returns {Array<Object>} Content blocks
+   */
+  formatContent(message) {
+    if (message.role === 'tool') {
+      const block = {
+        type: 'tool_result',
+        tool_use_id: message.toolCallId,
+        content: stringifyToolContent(message.content)
       };
-    } catch (error) {
-      throw new Error(`Anthropic API error: ${error.response?.data?.error?.message || error.message}`);
+      if (message.isError) {
+        block.is_error = true;
+      }
+      return [block];
+    }
+
+    // Thinking comes first in an assistant turn and is sent back signed, as it was received
+    const blocks = (message.reasoningDetails || []).map(detail => (detail.redacted !== undefined
+      ? { type: 'redacted_thinking', data: detail.redacted }
+      : { type: 'thinking', thinking: detail.text, signature: detail.signature }));
+
+    // Attachments go before the text, which Anthropic recommends for images and documents
+    blocks.push(...getAttachments(message.content).map(part => ({
+      type: part.type,
+      source: { type: 'base64', media_type: part.mediaType, data: part.data }
+    })));
+
+    const text = getTextContent(message.content);
+    if (text) {
+      blocks.push({ type: 'text', text });
     }
+
+    for (const toolCall of message.toolCalls || []) {
+      blocks.push({
+        type: 'tool_use',
+        id: toolCall.id,
+        name: toolCall.name,
+        input: toolCall.arguments || {}
+      });
+    }
+
+    return blocks;
   }
 
   /**
@@ -83,6 +353,143 @@ class AnthropicProvider {
     return !!this.apiKey;
   }
 
+  /**
+   * List the models the API offers
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Array<string>>} Model IDs from the `/models` endpoint, newest first
+   */
+  async listModels(options = {}) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    try {
+      const response = await this.client.get('/models', { params: { limit: 1000 }, ...getRequestConfig(options) });
+      return (response.data.data || []).map(model => model.id);
+    } catch (error) {
+      throw createProviderError(`Anthropic API error: ${error.response?.data?.error?.message || error.message}`, { provider: this.name, cause: error });
+    }
+  }
+
+  /**
+   * Submit requests to the Message Batches API
+   * @param {Array<Object>} requests - `{ id, messages, options }` requests, see `providers/batch`
+   * @param {Object} [options] - Defaults for every request, and `signal`, `retry` and `onRetry`
+   * @returns {Promise<Object>} The batch, `{ id, status, counts }`
+   */
+  async createBatch(requests, options = {}) {
+    const batchRequests = prepareBatchRequests(requests).map(request => ({
+      custom_id: request.id,
+      params: this.buildPayload(request.messages, { ...options, ...request.options })
+    }));
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    try {
+      const response = await this.client.post('/messages/batches', { requests: batchRequests }, getRequestConfig(options));
+      return this.parseBatch(response.data);
+    } catch (error) {
+      throw createProviderError(`Anthropic API error: ${error.response?.data?.error?.message || error.message}`, { provider: this.name, cause: error });
+    }
+  }
+
+  /**
+   * Get the state of a message batch
+   * @param {string} batchId - Batch ID
+   * @param {Object} [options] - Request options
+   * @returns {Promise<Object>} The batch, `{ id, status, counts }`
+   */
+  async getBatch(batchId, options = {}) {
+    return this.requestBatch('get', `/messages/batches/${encodeURIComponent(batchId)}`, options);
+  }
+
+  /**
+   * Cancel a message batch
+   * @param {string} batchId - Batch ID
+   * @param {Object} [options] - Request options
+   * @returns {Promise<Object>} The batch, `{ id, status, counts }`
+   */
+  async cancelBatch(batchId, options = {}) {
+    return this.requestBatch('post', `/messages/batches/${encodeURIComponent(batchId)}/cancel`, options);
+  }
+
+  /**
+   * Download the results of an ended message batch
+   * @param {string} batchId - Batch ID
+   * @param {Object} [options] - Request options; `responseFormat` as given for the batch's requests
+   * @returns {Promise<Array<Object>>} `{ id, response }` or `{ id, error }` per request
+   */
+  async getBatchResults(batchId, options = {}) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    let lines;
+    try {
+      // Results are JSON Lines; a one-line file must not be parsed as a single JSON document
+      const response = await this.client.get(`/messages/batches/${encodeURIComponent(batchId)}/results`,
+        getRequestConfig(options, { responseType: 'text' }));
+      lines = parseJSONLines(response.data);
+    } catch (error) {
+      throw createProviderError(`Anthropic API error: ${error.response?.data?.error?.message || error.message}`, { provider: this.name, cause: error });
+    }
+
+    return lines.map(({ custom_id: id, result }) => {
+      if (result.type === 'succeeded') {
+        return { id, response: this.parseMessage(result.message, options) };
+      }
+      if (result.type === 'errored') {
+        return { id, error: result.error?.error?.message || 'Request failed' };
+      }
+      return { id, error: `Request ${result.type === 'canceled' ? 'was cancelled' : 'expired'}` };
+    });
+  }
+
+  /**
+   * Make a batch request that returns the batch
+   * @param {string} method - `get` or `post`
+   * @param {string} url - Batch URL
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} The batch, `{ id, status, counts }`
+   * @private
+   */
+  async requestBatch(method, url, options) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    try {
+      const response = method === 'get'
+        ? await this.client.get(url, getRequestConfig(options))
+        : await this.client.post(url, undefined, getRequestConfig(options));
+      return this.parseBatch(response.data);
+    } catch (error) {
+      throw createProviderError(`Anthropic API error: ${error.response?.data?.error?.message || error.message}`, { provider: this.name, cause: error });
+    }
+  }
+
+  /**
+   * Convert a message batch into the provider-neutral batch state
+   * @param {Object} batch - Message batch returned by the API
+   * @returns {Object} `{ id, status, counts }`
+   * @private
+   */
+  parseBatch(batch) {
+    const counts = batch.request_counts || {};
+    const failed = (counts.errored || 0) + (counts.canceled || 0) + (counts.expired || 0);
+    return {
+      id: batch.id,
+      status: BATCH_STATUSES[batch.processing_status] || 'running',
+      counts: {
+        total: (counts.processing || 0) + (counts.succeeded || 0) + failed,
+        succeeded: counts.succeeded || 0,
+        failed
+      }
+    };
+  }
+
   /**
    * Get available models
    * @returns {Array<string>} List of available models
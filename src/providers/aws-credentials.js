@@ -0,0 +1,134 @@
+/**
+ * AWS Credentials Module
+ *
+ * Resolves AWS credentials and region the same way the AWS CLI does for
+ * static credentials: environment variables first, then the profile named by
+ * `AWS_PROFILE` (or `default`) in the shared `~/.aws/credentials` and
+ * `~/.aws/config` files.
+ *
+ * @module providers/aws-credentials
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Parse an INI file as used by the shared AWS files
+ * @param {string} content - File content
+ * @returns {Object<string, Object<string, string>>} Section names mapped to key/value pairs
+ */
+function parseIni(content) {
+  const sections = {};
+  let current = null;
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+
+    if (!line || line.startsWith('#') || line.startsWith(';')) {
+      continue;
+    }
+
+    const section = line.match(/^\[([^\]]+)\]$/);
+    if (section) {
+      current = section[1].trim();
+      sections[current] = sections[current] || {};
+      continue;
+    }
+
+    const separator = line.indexOf('=');
+    // Indented lines hold nested settings (e.g. `s3 =` blocks), which are not needed here
+    if (current && separator > 0 && !/^\s/.test(rawLine)) {
+      sections[current][line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * Read and parse an INI file, returning an empty object if it does not exist
+ * @param {string} filePath - File path
+ * @returns {Object} Parsed sections
+ * @private
+ */
+function readIniFile(filePath) {
+  try {
+    return parseIni(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw new Error(`Failed to read AWS shared file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Load a named profile from the shared credentials and config files.
+ * The config file names profiles `[profile name]` except for `[default]`;
+ * values from the credentials file take precedence.
+ *
+ * @param {string} profile - Profile name
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Object} Merged profile settings, empty if the profile is not defined
+ */
+function loadSharedProfile(profile, env = process.env) {
+  const awsDir = path.join(os.homedir(), '.aws');
+  const credentialsFile = env.AWS_SHARED_CREDENTIALS_FILE || path.join(awsDir, 'credentials');
+  const configFile = env.AWS_CONFIG_FILE || path.join(awsDir, 'config');
+
+  const config = readIniFile(configFile);
+  const credentials = readIniFile(credentialsFile);
+  const configSection = profile === 'default'
+    ? config.default || config['profile default']
+    : config[`profile ${profile}`];
+
+  return { ...(configSection || {}), ...(credentials[profile] || {}) };
+}
+
+/**
+ * Resolve AWS credentials and region
+ *
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Object} `{ accessKeyId, secretAccessKey, sessionToken, region, source }`;
+ *   the keys are undefined when no credentials are configured
+ * @throws {Error} If `AWS_PROFILE` names a profile that does not exist
+ *
+ * @example
+ * const { accessKeyId, secretAccessKey, region } = resolveAWSCredentials();
+ */
+function resolveAWSCredentials(env = process.env) {
+  const profileName = env.AWS_PROFILE || 'default';
+  const profile = loadSharedProfile(profileName, env);
+
+  if (env.AWS_PROFILE && Object.keys(profile).length === 0) {
+    throw new Error(`AWS profile '${env.AWS_PROFILE}' was not found in the shared credentials or config file`);
+  }
+
+  const region = env.AWS_REGION || env.AWS_DEFAULT_REGION || profile.region || 'us-east-1';
+
+  // An explicitly selected profile wins over keys left in the environment
+  if (env.AWS_ACCESS_KEY_ID && env.AWS_SECRET_ACCESS_KEY && !env.AWS_PROFILE) {
+    return {
+      accessKeyId: env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+      sessionToken: env.AWS_SESSION_TOKEN,
+      region,
+      source: 'environment'
+    };
+  }
+
+  return {
+    accessKeyId: profile.aws_access_key_id,
+    secretAccessKey: profile.aws_secret_access_key,
+    sessionToken: profile.aws_session_token,
+    region,
+    source: `profile ${profileName}`
+  };
+}
+
+module.exports = {
+  parseIni,
+  loadSharedProfile,
+  resolveAWSCredentials
+};
@@ -0,0 +1,227 @@
+/**
+ * AWS Signature Version 4
+ *
+ * Signs HTTP requests for AWS services such as Bedrock. Implements the
+ * canonical request, string to sign and signing key derivation described in
+ * the AWS SigV4 documentation, so requests can be signed without the AWS SDK.
+ *
+ * @module providers/aws-sigv4
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+
+// Headers that proxies and HTTP clients may add or rewrite after signing
+const UNSIGNED_HEADERS = new Set([
+  'authorization',
+  'connection',
+  'content-length',
+  'expect',
+  'keep-alive',
+  'proxy-authorization',
+  'te',
+  'transfer-encoding',
+  'upgrade',
+  'user-agent',
+  'x-amzn-trace-id'
+]);
+
+/**
+ * SHA-256 hex digest
+ * @param {string|Buffer} value - Data to hash
+ * @returns {string} Hex digest
+ * @private
+ */
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * HMAC-SHA256
+ * @param {string|Buffer} key - Key
+ * @param {string} value - Data to sign
+ * @returns {Buffer} Digest
+ * @private
+ */
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value, 'utf8').digest();
+}
+
+/**
+ * URI-encode a value as SigV4 requires (RFC 3986 unreserved characters only)
+ * @param {string} value - Value to encode
+ * @returns {string} Encoded value
+ */
+function uriEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Format a date as the `X-Amz-Date` timestamp (`YYYYMMDD'T'HHMMSS'Z'`)
+ * @param {Date} date - Date to format
+ * @returns {string} Timestamp
+ */
+function formatAmzDate(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+/**
+ * Build the canonical URI. Every service except S3 expects each path
+ * segment to be encoded again, so `%3A` in a Bedrock model ID becomes `%253A`.
+ * @param {string} pathname - Request path as sent on the wire
+ * @returns {string} Canonical URI
+ * @private
+ */
+function canonicalUri(pathname) {
+  if (!pathname || pathname === '/') {
+    return '/';
+  }
+
+  return pathname.split('/').map(segment => uriEncode(segment)).join('/');
+}
+
+/**
+ * Build the canonical query string
+ * @param {URLSearchParams} searchParams - Query parameters
+ * @returns {string} Parameters encoded and sorted by name, then value
+ * @private
+ */
+function canonicalQuery(searchParams) {
+  return Array.from(searchParams.entries())
+    .map(([key, value]) => [uriEncode(key), uriEncode(value)])
+    .sort(([keyA, valueA], [keyB, valueB]) => {
+      if (keyA !== keyB) {
+        return keyA < keyB ? -1 : 1;
+      }
+      return valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+    })
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+}
+
+/**
+ * Lower-case, trim and sort the headers that will be signed
+ * @param {Object} headers - Request headers
+ * @returns {Array<Array<string>>} `[name, value]` pairs
+ * @private
+ */
+function canonicalHeaderEntries(headers) {
+  return Object.entries(headers)
+    .filter(([name, value]) => value !== undefined && value !== null && !UNSIGNED_HEADERS.has(name.toLowerCase()))
+    .map(([name, value]) => [name.toLowerCase(), String(value).trim().replace(/\s+/g, ' ')])
+    .sort(([a], [b]) => (a < b ? -1 : 1));
+}
+
+/**
+ * Build the canonical request
+ *
+ * @param {Object} request - Request to sign
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Absolute URL
+ * @param {Object} request.headers - Headers to sign, including `host` and `x-amz-date`
+ * @param {string} payloadHash - Hex SHA-256 of the body
+ * @returns {{canonicalRequest: string, signedHeaders: string}} Canonical request and signed header list
+ */
+function createCanonicalRequest(request, payloadHash) {
+  const url = new URL(request.url);
+  const entries = canonicalHeaderEntries(request.headers);
+  const signedHeaders = entries.map(([name]) => name).join(';');
+
+  const canonicalRequest = [
+    request.method.toUpperCase(),
+    canonicalUri(url.pathname),
+    canonicalQuery(url.searchParams),
+    entries.map(([name, value]) => `${name}:${value}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  return { canonicalRequest, signedHeaders };
+}
+
+/**
+ * Derive the signing key for a day, region and service
+ * @param {string} secretAccessKey - AWS secret access key
+ * @param {string} dateStamp - Date as `YYYYMMDD`
+ * @param {string} region - AWS region
+ * @param {string} service - Service name, e.g. `bedrock`
+ * @returns {Buffer} Signing key
+ */
+function getSigningKey(secretAccessKey, dateStamp, region, service) {
+  const dateKey = hmac(`AWS4${secretAccessKey}`, dateStamp);
+  const regionKey = hmac(dateKey, region);
+  const serviceKey = hmac(regionKey, service);
+  return hmac(serviceKey, 'aws4_request');
+}
+
+/**
+ * Sign a request with AWS Signature Version 4
+ *
+ * @param {Object} request - Request to sign
+ * @param {string} [request.method='GET'] - HTTP method
+ * @param {string} request.url - Absolute URL including any query string
+ * @param {Object} [request.headers] - Request headers
+ * @param {string|Buffer} [request.body] - Request body exactly as it will be sent
+ * @param {Object} credentials - AWS credentials
+ * @param {string} credentials.accessKeyId - Access key ID
+ * @param {string} credentials.secretAccessKey - Secret access key
+ * @param {string} [credentials.sessionToken] - Session token for temporary credentials
+ * @param {Object} options - Signing options
+ * @param {string} options.region - AWS region
+ * @param {string} options.service - Service name
+ * @param {Date} [options.date] - Signing time, defaults to now
+ * @returns {Object} Headers to send: the original headers plus `host`,
+ *   `x-amz-date`, `x-amz-security-token` when a session token is set, and `authorization`
+ *
+ * @example
+ * const headers = signRequest(
+ *   { method: 'POST', url: 'https://bedrock-runtime.us-east-1.amazonaws.com/model/x/converse', headers: {}, body },
+ *   { accessKeyId, secretAccessKey },
+ *   { region: 'us-east-1', service: 'bedrock' }
+ * );
+ */
+function signRequest(request, credentials, options) {
+  const { accessKeyId, secretAccessKey, sessionToken } = credentials || {};
+  if (!accessKeyId || !secretAccessKey) {
+    throw new Error('AWS credentials are required to sign requests');
+  }
+
+  const { region, service } = options;
+  const amzDate = formatAmzDate(options.date || new Date());
+  const dateStamp = amzDate.slice(0, 8);
+  const url = new URL(request.url);
+
+  const headers = { ...(request.headers || {}) };
+  for (const name of Object.keys(headers)) {
+    if (['host', 'x-amz-date', 'x-amz-security-token', 'authorization'].includes(name.toLowerCase())) {
+      delete headers[name];
+    }
+  }
+  headers.host = url.host;
+  headers['x-amz-date'] = amzDate;
+  if (sessionToken) {
+    headers['x-amz-security-token'] = sessionToken;
+  }
+
+  const { canonicalRequest, signedHeaders } = createCanonicalRequest(
+    { method: request.method || 'GET', url: request.url, headers },
+    hash(request.body || '')
+  );
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = [ALGORITHM, amzDate, scope, hash(canonicalRequest)].join('\n');
+  const signature = hmac(getSigningKey(secretAccessKey, dateStamp, region, service), stringToSign).toString('hex');
+
+  headers.authorization = `${ALGORITHM} Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+
+  return headers;
+}
+
+module.exports = {
+  uriEncode,
+  formatAmzDate,
+  createCanonicalRequest,
+  getSigningKey,
+  signRequest
+};
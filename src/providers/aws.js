@@ -1,12 +1,68 @@
 /**
  * AWS Provider Implementation
  *
- * Handles communication with AWS Bedrock
+ * Handles communication with AWS Bedrock through the model-agnostic
+ * Converse API. Requests are signed with AWS Signature Version 4 using
+ * credentials from the environment or the shared AWS profile files.
  *
  * @module providers/aws
  */
 
-const axios = require('axios');
+const { createHttpClient, getRequestConfig } = require('./http');
+const { createProviderError } = require('./errors');
+const { normalizeUsage, addUsage } = require('./usage');
+const { normalizeMessages, getTextContent, getAttachments, stringifyToolContent } = require('./messages');
+const { parseEventStream, readStreamError } = require('./streaming');
+const { normalizeTools, normalizeToolChoice, parseToolArguments } = require('./tools');
+const { withStructuredTool, readStructuredToolCall } = require('./structured');
+const { normalizeReasoning, withReasoning } = require('./reasoning');
+const { resolveAWSCredentials } = require('./aws-credentials');
+const { signRequest } = require('./aws-sigv4');
+const { prepareEmbedRequest, embedInBatches, createEmbedResult } = require('./embeddings');
+
+const SIGNING_SERVICE = 'bedrock';
+
+// Cohere embedding input types by `inputType`
+const COHERE_INPUT_TYPES = { document: 'search_document', query: 'search_query' };
+
+// Block that ends a prompt-cache prefix in Converse system prompts and messages
+const CACHE_POINT = { cachePoint: { type: 'default' } };
+
+/**
+ * Bedrock runtime endpoint for a region, unless `AWS_ENDPOINT_URL_BEDROCK_RUNTIME` points elsewhere
+ * @param {string} region - AWS region
+ * @returns {string} Base URL
+ * @private
+ */
+function getEndpoint(region) {
+  return process.env.AWS_ENDPOINT_URL_BEDROCK_RUNTIME || `https://bedrock-runtime.${region}.amazonaws.com`;
+}
+
+/**
+ * Bedrock control-plane endpoint for a region, unless `AWS_ENDPOINT_URL_BEDROCK` points elsewhere
+ * @param {string} region - AWS region
+ * @returns {string} Base URL
+ * @private
+ */
+function getControlEndpoint(region) {
+  return process.env.AWS_ENDPOINT_URL_BEDROCK || `https://bedrock.${region}.amazonaws.com`;
+}
+
+/**
+ * Converse document names may only hold letters, digits, single spaces,
+ * hyphens, parentheses and square brackets
+ * @param {string} [fileName] - Attachment file name
+ * @returns {string} Document name
+ * @private
+ */
+function getDocumentName(fileName) {
+  const name = String(fileName || '')
+    .replace(/\.[^.]*$/, '')
+    .replace(/[^A-Za-z0-9\-()[\]\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return name || 'document';
+}
 
 /**
  * AWSProvider class
@@ -15,65 +71,339 @@ const axios = require('axios');
 class AWSProvider {
   constructor() {
     this.name = 'aws';
-    this.accessKeyId = process.env.AWS_ACCESS_KEY_ID;
-    this.secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
-    this.region = process.env.AWS_DEFAULT_REGION || 'us-east-1';
-    this.baseURL = `https://bedrock-runtime.${this.region}.amazonaws.com`;
+    this.credentials = null;
+    this.region = process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'us-east-1';
+    this.baseURL = getEndpoint(this.region);
+    this.defaultModel = 'anthropic.claude-3-sonnet-20240229-v1:0';
+    this.defaultEmbeddingModel = 'amazon.titan-embed-text-v2:0';
+    this.capabilities = ['streaming', 'tools', 'structured', 'caching', 'embeddings', 'reasoning'];
     this.client = null;
   }
 
   /**
    * Initialize the provider
    * @returns {Promise<boolean>} True if initialized successfully
+   * @throws {Error} If no AWS credentials are configured
    */
   async initialize() {
-    if (!this.accessKeyId || !this.secretAccessKey) {
-      throw new Error('AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY environment variables are required');
+    const credentials = resolveAWSCredentials();
+    if (!credentials.accessKeyId || !credentials.secretAccessKey) {
+      throw new Error('AWS credentials are required. Set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY or configure a profile in ~/.aws/credentials');
     }
 
-    this.client = axios.create({
+    this.credentials = credentials;
+    this.region = credentials.region;
+    this.baseURL = getEndpoint(this.region);
+
+    this.client = createHttpClient({
       baseURL: this.baseURL,
       headers: {
         'Content-Type': 'application/json'
       }
     });
+    this.client.interceptors.request.use(config => this.signConfig(config));
 
     return true;
   }
 
   /**
-   * Send a message to AWS Bedrock
-   * @param {string} message - Message to send
+   * Sign an outgoing axios request. The body is serialized here so the
+   * payload hash covers exactly the bytes that are sent.
+   * @param {Object} config - Axios request config
+   * @returns {Object} Config with SigV4 headers
+   */
+  signConfig(config) {
+    if (config.data !== undefined && typeof config.data !== 'string') {
+      config.data = JSON.stringify(config.data);
+    }
+
+    const headers = signRequest({
+      method: config.method,
+      url: this.client.getUri(config),
+      headers: config.headers.toJSON(),
+      body: config.data
+    }, this.credentials, {
+      region: this.region,
+      service: SIGNING_SERVICE
+    });
+
+    config.headers.set(headers);
+    return config;
+  }
+
+  /**
+   * Send a conversation to AWS Bedrock
+   * @param {string|Array<Object>} messages - User message or provider-neutral message list
    * @param {Object} options - Additional options
+   * @param {string} [options.system] - System prompt
+   * @param {Array<Object>} [options.tools] - Provider-neutral tool definitions
+   * @param {string|Object} [options.toolChoice] - Tool choice
+   * @param {Object} [options.responseFormat] - JSON reply format, see `providers/structured`
+   * @param {string|Object} [options.reasoning] - Extended thinking for Claude models, see `providers/reasoning`
    * @returns {Promise<Object>} Response from AWS Bedrock
    */
-  async sendMessage(message, options = {}) {
+  async sendMessage(messages, options = {}) {
     if (!this.client) {
       await this.initialize();
     }
 
-    const modelId = options.model || 'anthropic.claude-3-sonnet-20240229-v1:0';
-    const payload = {
-      anthropic_version: 'bedrock-2023-05-31',
-      max_tokens: options.maxTokens || 1000,
-      messages: [
-        {
-          role: 'user',
-          content: message
-        }
-      ]
-    };
+    const modelId = options.model || this.defaultModel;
+    const payload = this.buildPayload(messages, options);
 
     try {
-      const response = await this.client.post(`/model/${modelId}/invoke`, payload);
-      return {
-        content: response.data.content[0].text,
-        usage: response.data.usage,
+      const response = await this.client.post(`/model/${encodeURIComponent(modelId)}/converse`, payload, getRequestConfig(options));
+      const blocks = response.data.output?.message?.content || [];
+      const details = blocks
+        .filter(block => block.reasoningContent)
+        .map(block => (block.reasoningContent.redactedContent !== undefined
+          ? { redacted: block.reasoningContent.redactedContent }
+          : { text: block.reasoningContent.reasoningText.text, signature: block.reasoningContent.reasoningText.signature }));
+      return withReasoning(readStructuredToolCall({
+        content: blocks
+          .filter(block => block.text !== undefined)
+          .map(block => block.text)
+          .join(''),
+        toolCalls: blocks
+          .filter(block => block.toolUse)
+          .map(block => ({
+            id: block.toolUse.toolUseId,
+            name: block.toolUse.name,
+            arguments: block.toolUse.input || {}
+          })),
+        usage: normalizeUsage(response.data.usage, 'bedrock'),
         model: modelId
-      };
+      }, options.responseFormat), details.map(detail => detail.text || '').join(''), details);
+    } catch (error) {
+      throw createProviderError(`AWS Bedrock API error: ${error.response?.data?.message || error.message}`, { provider: this.name, cause: error });
+    }
+  }
+
+  /**
+   * Stream a conversation from AWS Bedrock via ConverseStream
+   * @param {string|Array<Object>} messages - User message or provider-neutral message list
+   * @param {Object} options - Additional options, as for `sendMessage`
+   * @returns {AsyncGenerator<Object>} Reasoning, text and tool call deltas followed by a `done` event
+   */
+  async *streamMessage(messages, options = {}) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    const modelId = options.model || this.defaultModel;
+    const payload = this.buildPayload(messages, options);
+    let response;
+
+    try {
+      response = await this.client.post(
+        `/model/${encodeURIComponent(modelId)}/converse-stream`,
+        payload,
+        getRequestConfig(options, { responseType: 'stream' })
+      );
     } catch (error) {
-      throw new Error(`AWS Bedrock API error: ${error.response?.data?.message || error.message}`);
+      await readStreamError(error);
+      throw createProviderError(`AWS Bedrock API error: ${error.response?.data?.message || error.message}`, { provider: this.name, cause: error });
+    }
+
+    let content = '';
+    let reasoning = '';
+    let usage;
+    const toolCalls = [];
+    const pendingTools = new Map();
+    const reasoningBlocks = new Map();
+
+    for await (const { headers, payload: body } of parseEventStream(response.data)) {
+      const event = body.length > 0 ? JSON.parse(body.toString('utf8')) : {};
+
+      if (headers[':message-type'] === 'exception') {
+        throw createProviderError(`AWS Bedrock API error: ${event.message || headers[':exception-type']}`, {
+          provider: this.name,
+          type: headers[':exception-type']
+        });
+      }
+
+      const eventType = headers[':event-type'];
+      const delta = event.delta || {};
+
+      if (eventType === 'contentBlockStart' && event.start && event.start.toolUse) {
+        pendingTools.set(event.contentBlockIndex, {
+          id: event.start.toolUse.toolUseId,
+          name: event.start.toolUse.name,
+          json: ''
+        });
+      } else if (eventType === 'contentBlockDelta' && delta.text !== undefined) {
+        content += delta.text;
+        yield { type: 'text', text: delta.text };
+      } else if (eventType === 'contentBlockDelta' && delta.reasoningContent) {
+        const part = delta.reasoningContent;
+        if (!reasoningBlocks.has(event.contentBlockIndex)) {
+          reasoningBlocks.set(event.contentBlockIndex, part.redactedContent !== undefined
+            ? { redacted: part.redactedContent }
+            : { text: '', signature: '' });
+        }
+
+        const block = reasoningBlocks.get(event.contentBlockIndex);
+        if (part.text !== undefined) {
+          block.text += part.text;
+          reasoning += part.text;
+          yield { type: 'reasoning', text: part.text };
+        } else if (part.signature) {
+          block.signature += part.signature;
+        }
+      } else if (eventType === 'contentBlockDelta' && delta.toolUse) {
+        pendingTools.get(event.contentBlockIndex).json += delta.toolUse.input || '';
+      } else if (eventType === 'contentBlockStop' && pendingTools.has(event.contentBlockIndex)) {
+        const { id, name, json } = pendingTools.get(event.contentBlockIndex);
+        const toolCall = { id, name, arguments: parseToolArguments(json) };
+        pendingTools.delete(event.contentBlockIndex);
+        toolCalls.push(toolCall);
+        yield { type: 'tool_call', toolCall };
+      } else if (eventType === 'metadata') {
+        usage = event.usage;
+      }
+    }
+
+    yield withReasoning({
+      type: 'done',
+      ...readStructuredToolCall({ content, toolCalls }, options.responseFormat),
+      usage: normalizeUsage(usage, 'bedrock'),
+      model: modelId
+    }, reasoning, Array.from(reasoningBlocks.values()));
+  }
+
+  /**
+   * Build a Converse request body
+   * @param {string|Array<Object>} messages - User message or provider-neutral message list
+   * @param {Object} options - Request options
+   * @returns {Object} Request payload
+   */
+  buildPayload(messages, options = {}) {
+    const request = normalizeMessages(messages, options);
+    const payload = {
+      messages: this.formatMessages(request.messages),
+      inferenceConfig: {
+        maxTokens: options.maxTokens || 1000
+      }
+    };
+
+    if (request.system) {
+      // System blocks are only needed to place cache points
+      payload.system = request.systemBlocks.some(block => block.cache)
+        ? request.systemBlocks.flatMap(block => (block.cache ? [{ text: block.text }, CACHE_POINT] : [{ text: block.text }]))
+        : [{ text: request.system }];
+    }
+
+    // Converse has no JSON mode; a structured reply is a forced call to a tool taking the schema
+    const { tools: requestTools, toolChoice: requestToolChoice } = withStructuredTool(options);
+    const tools = normalizeTools(requestTools);
+    if (tools.length > 0) {
+      payload.toolConfig = {
+        tools: tools.map(tool => ({
+          toolSpec: {
+            name: tool.name,
+            description: tool.description,
+            inputSchema: { json: tool.parameters }
+          }
+        }))
+      };
+
+      // Converse has no "none" choice; the tools stay declared so earlier tool turns remain valid
+      const toolChoice = normalizeToolChoice(requestToolChoice, tools);
+      if (typeof toolChoice === 'object') {
+        payload.toolConfig.toolChoice = { tool: { name: toolChoice.name } };
+      } else if (toolChoice === 'required') {
+        payload.toolConfig.toolChoice = { any: {} };
+      } else if (toolChoice === 'auto') {
+        payload.toolConfig.toolChoice = { auto: {} };
+      }
+    }
+
+    // Claude's extended thinking is a model-specific field; it cannot be combined
+    // with a forced tool call and only runs at the default temperature
+    const reasoning = normalizeReasoning(options.reasoning);
+    const modelId = options.model || this.defaultModel;
+    const forcedTool = payload.toolConfig && payload.toolConfig.toolChoice && !payload.toolConfig.toolChoice.auto;
+    if (reasoning && modelId.includes('anthropic.') && !forcedTool) {
+      payload.additionalModelRequestFields = { thinking: { type: 'enabled', budget_tokens: reasoning.budgetTokens } };
+      payload.inferenceConfig.maxTokens += reasoning.budgetTokens;
+    } else if (options.temperature !== undefined) {
+      payload.inferenceConfig.temperature = options.temperature;
+    }
+
+    return payload;
+  }
+
+  /**
+   * Map provider-neutral messages onto Converse API turns.
+   * Tool results travel in user turns and consecutive turns with the
+   * same role are merged, as Converse requires alternating roles. A cached
+   * message is followed by a cache point.
+   * @param {Array<Object>} messages - Normalized messages without system turns
+   * @returns {Array<Object>} Converse messages
+   */
+  formatMessages(messages) {
+    const formatted = [];
+
+    for (const message of messages) {
+      const role = message.role === 'assistant' ? 'assistant' : 'user';
+      const blocks = this.formatContent(message);
+      if (message.cache) {
+        blocks.push(CACHE_POINT);
+      }
+      const previous = formatted[formatted.length - 1];
+
+      if (previous && previous.role === role) {
+        previous.content.push(...blocks);
+      } else {
+        formatted.push({ role, content: blocks });
+      }
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Map a single message onto Converse content blocks
+   * @param {Object} message - Provider-neutral message
+   * @returns {Array<Object>} Content blocks
+   */
+  formatContent(message) {
+    if (message.role === 'tool') {
+      return [{
+        toolResult: {
+          toolUseId: message.toolCallId,
+          content: [{ text: stringifyToolContent(message.content) }],
+          status: message.isError ? 'error' : 'success'
+        }
+      }];
+    }
+
+    // Reasoning comes first in an assistant turn and is sent back signed, as it was received
+    const blocks = (message.reasoningDetails || []).map(detail => ({
+      reasoningContent: detail.redacted !== undefined
+        ? { redactedContent: detail.redacted }
+        : { reasoningText: { text: detail.text, signature: detail.signature } }
+    }));
+
+    blocks.push(...getAttachments(message.content).map(part => (part.type === 'image'
+      ? { image: { format: part.mediaType.split('/')[1], source: { bytes: part.data } } }
+      : { document: { format: 'pdf', name: getDocumentName(part.name), source: { bytes: part.data } } })));
+
+    const text = getTextContent(message.content);
+    if (text) {
+      blocks.push({ text });
+    }
+
+    for (const toolCall of message.toolCalls || []) {
+      blocks.push({
+        toolUse: {
+          toolUseId: toolCall.id,
+          name: toolCall.name,
+          input: toolCall.arguments || {}
+        }
+      });
     }
+
+    return blocks;
   }
 
   /**
@@ -81,7 +411,71 @@ class AWSProvider {
    * @returns {boolean} True if credentials are available
    */
   isAvailable() {
-    return !!(this.accessKeyId && this.secretAccessKey);
+    try {
+      const { accessKeyId, secretAccessKey } = resolveAWSCredentials();
+      return !!(accessKeyId && secretAccessKey);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Embed texts with InvokeModel. Cohere models take up to 96 texts per
+   * request; Titan models take one, so each text is a request of its own.
+   * @param {string|Array<string>} texts - Text or texts to embed
+   * @param {Object} [options] - Embed options, see `providers/embeddings`
+   * @returns {Promise<Object>} `{ embeddings, model, dimensions, usage }`
+   */
+  async embed(texts, options = {}) {
+    const request = prepareEmbedRequest(texts, options, this);
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    const cohere = request.model.includes('cohere.embed');
+    const invokePath = `/model/${encodeURIComponent(request.model)}/invoke`;
+
+    try {
+      const { embeddings, usage } = await embedInBatches(request.texts, cohere ? request.maxBatch || 96 : 1, async batch => {
+        const body = cohere
+          ? { texts: batch, input_type: COHERE_INPUT_TYPES[options.inputType || 'document'], truncate: 'END' }
+          : { inputText: batch[0], ...(request.dimensions ? { dimensions: request.dimensions, normalize: true } : {}) };
+        const response = await this.client.post(invokePath, body, getRequestConfig(options));
+
+        // Bedrock reports input tokens in a header for every model
+        const inputTokens = Number(response.headers?.['x-amzn-bedrock-input-token-count']) || response.data.inputTextTokenCount || 0;
+        return {
+          embeddings: cohere ? response.data.embeddings : [response.data.embedding],
+          usage: addUsage({ inputTokens })
+        };
+      });
+      return createEmbedResult(embeddings, request.model, usage, request.expected);
+    } catch (error) {
+      throw createProviderError(`AWS Bedrock API error: ${error.response?.data?.message || error.message}`, { provider: this.name, cause: error });
+    }
+  }
+
+  /**
+   * List the text models Bedrock offers in the region. Models still need
+   * access granted in the Bedrock console before they can be called.
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Array<string>>} Model IDs from the control-plane `/foundation-models` endpoint
+   */
+  async listModels(options = {}) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    try {
+      const response = await this.client.get(`${getControlEndpoint(this.region)}/foundation-models`, {
+        params: { byOutputModality: 'TEXT' },
+        ...getRequestConfig(options)
+      });
+      return (response.data.modelSummaries || []).map(model => model.modelId);
+    } catch (error) {
+      throw createProviderError(`AWS Bedrock API error: ${error.response?.data?.message || error.message}`, { provider: this.name, cause: error });
+    }
   }
 
   /**
@@ -0,0 +1,137 @@
+/**
+ * Microsoft Entra ID Authentication
+ *
+ * Gets OAuth 2.0 access tokens for Azure OpenAI with a service principal's
+ * client secret, using the client credentials flow. The credentials come
+ * from the variables the Azure SDKs read: `AZURE_TENANT_ID`,
+ * `AZURE_CLIENT_ID`, `AZURE_CLIENT_SECRET` and, for sovereign clouds,
+ * `AZURE_AUTHORITY_HOST`. Tokens are cached until shortly before they
+ * expire and concurrent requests share one refresh.
+ *
+ * @module providers/azure-auth
+ */
+
+const { createHttpClient } = require('./http');
+const { createProviderError } = require('./errors');
+
+const DEFAULT_AUTHORITY_HOST = 'https://login.microsoftonline.com';
+const DEFAULT_SCOPE = 'https://cognitiveservices.azure.com/.default';
+const TOKEN_LIFETIME_SECONDS = 3600;
+// Refresh this long before expiry so a token never expires mid-request
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+/**
+ * Read service principal credentials from the environment
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {{tenantId: string, clientId: string, clientSecret: string, authorityHost: string}|null}
+ *   Credentials, or null unless the tenant, client ID and secret are all set
+ */
+function getEntraCredentials(env = process.env) {
+  if (!env.AZURE_TENANT_ID || !env.AZURE_CLIENT_ID || !env.AZURE_CLIENT_SECRET) {
+    return null;
+  }
+
+  return {
+    tenantId: env.AZURE_TENANT_ID,
+    clientId: env.AZURE_CLIENT_ID,
+    clientSecret: env.AZURE_CLIENT_SECRET,
+    authorityHost: (env.AZURE_AUTHORITY_HOST || DEFAULT_AUTHORITY_HOST).replace(/\/+$/, '')
+  };
+}
+
+/**
+ * AzureClientSecretAuth class
+ * Supplies cached Entra ID access tokens for a service principal
+ */
+class AzureClientSecretAuth {
+  /**
+   * @param {Object} credentials - Credentials from `getEntraCredentials`
+   * @param {Object} [options] - Options
+   * @param {string} [options.scope] - OAuth scope
+   * @param {Object} [options.httpClient] - Client used for the token request, defaults to one from
+   *   `createHttpClient` so token requests are retried and go through the active cassette
+   */
+  constructor(credentials, options = {}) {
+    this.credentials = credentials;
+    this.scope = options.scope || DEFAULT_SCOPE;
+    this.httpClient = options.httpClient || createHttpClient({});
+    this.token = null;
+    this.expiresAt = 0;
+    this.pending = null;
+  }
+
+  /**
+   * Token endpoint of the tenant
+   * @returns {string} Token URL
+   */
+  get tokenUrl() {
+    const { authorityHost, tenantId } = this.credentials;
+    return `${authorityHost}/${encodeURIComponent(tenantId)}/oauth2/v2.0/token`;
+  }
+
+  /**
+   * Get a valid access token, requesting a new one when the cached token is
+   * missing or about to expire
+   * @returns {Promise<string>} Access token
+   * @throws {ProviderError} If the token endpoint rejects the credentials or
+   *   cannot be reached
+   */
+  async getAccessToken() {
+    if (this.token && Date.now() < this.expiresAt - EXPIRY_MARGIN_MS) {
+      return this.token;
+    }
+
+    if (!this.pending) {
+      this.pending = this.fetchToken().finally(() => {
+        this.pending = null;
+      });
+    }
+
+    return this.pending;
+  }
+
+  /**
+   * Exchange the client secret for an access token
+   * @returns {Promise<string>} Access token
+   * @private
+   */
+  async fetchToken() {
+    const body = new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_id: this.credentials.clientId,
+      client_secret: this.credentials.clientSecret,
+      scope: this.scope
+    }).toString();
+
+    try {
+      const response = await this.httpClient.post(this.tokenUrl, body, {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+
+      this.token = response.data.access_token;
+      this.expiresAt = Date.now() + (Number(response.data.expires_in) || TOKEN_LIFETIME_SECONDS) * 1000;
+      return this.token;
+    } catch (error) {
+      // Keep the HTTP failure so a rejected secret is an auth error and an
+      // unreachable endpoint is a network error the fallback chain handles
+      const data = error.response?.data;
+      throw createProviderError(`Microsoft Entra ID error: ${data?.error_description || data?.error || error.message}`, {
+        provider: 'azure',
+        cause: error
+      });
+    }
+  }
+
+  /**
+   * Drop the cached token so the next request gets a new one
+   */
+  invalidate() {
+    this.token = null;
+    this.expiresAt = 0;
+  }
+}
+
+module.exports = {
+  AzureClientSecretAuth,
+  getEntraCredentials
+};
@@ -0,0 +1,177 @@
+/**
+ * Azure OpenAI Provider Implementation
+ *
+ * Handles communication with OpenAI models deployed in an Azure OpenAI
+ * resource. Requests go to the deployment serving the selected model,
+ * `{endpoint}/openai/deployments/{deployment}/chat/completions`, with the
+ * `api-version` query parameter every Azure OpenAI request needs.
+ *
+ * Configured through the environment:
+ *
+ * - `AZURE_OPENAI_ENDPOINT`: resource endpoint, e.g. `https://my-resource.openai.azure.com`
+ * - `AZURE_OPENAI_API_KEY`: resource key, sent in the `api-key` header; without
+ *   it requests are authorized with a Microsoft Entra ID token for the
+ *   service principal in `AZURE_TENANT_ID`, `AZURE_CLIENT_ID` and
+ *   `AZURE_CLIENT_SECRET` (see `providers/azure-auth`)
+ * - `AZURE_OPENAI_API_VERSION`: API version, defaults to the latest generally available one
+ * - `AZURE_OPENAI_DEPLOYMENTS`: model IDs mapped to deployment names, as
+ *   `gpt-4o=chat-prod,text-embedding-3-small=embeddings`. A model without a
+ *   mapping is sent to the deployment of the same name, so a model listed
+ *   on its own (`gpt-4o-mini`) names a deployment called after its model.
+ *
+ * @module providers/azure
+ */
+
+const { createHttpClient } = require('./http');
+const { AzureClientSecretAuth, getEntraCredentials } = require('./azure-auth');
+const OpenAIProvider = require('./openai');
+
+// Latest generally available data-plane version; reasoning models may need a newer preview version
+const DEFAULT_API_VERSION = '2024-10-21';
+
+/**
+ * Parse the `AZURE_OPENAI_DEPLOYMENTS` mapping
+ * @param {string} [value] - Comma-separated `model=deployment` entries
+ * @returns {Object<string, string>} Model IDs mapped to deployment names, in the order given
+ * @private
+ *
+ * @example
+ * parseDeployments('gpt-4o=chat-prod, gpt-4o-mini');
+ * // { 'gpt-4o': 'chat-prod', 'gpt-4o-mini': 'gpt-4o-mini' }
+ */
+function parseDeployments(value) {
+  const deployments = {};
+
+  for (const entry of String(value || '').split(',')) {
+    const [model, deployment] = entry.split('=').map(part => part.trim());
+    if (model) {
+      deployments[model] = deployment || model;
+    }
+  }
+
+  return deployments;
+}
+
+/**
+ * AzureOpenAIProvider class
+ * Handles Azure OpenAI deployments through the Chat Completions API
+ */
+class AzureOpenAIProvider extends OpenAIProvider {
+  constructor() {
+    super({ name: 'azure', displayName: 'Azure OpenAI', apiKey: process.env.AZURE_OPENAI_API_KEY || '' });
+
+    this.endpoint = (process.env.AZURE_OPENAI_ENDPOINT || '').replace(/\/+$/, '');
+    this.baseURL = this.endpoint ? `${this.endpoint}/openai` : '';
+    this.apiVersion = process.env.AZURE_OPENAI_API_VERSION || DEFAULT_API_VERSION;
+    this.deployments = parseDeployments(process.env.AZURE_OPENAI_DEPLOYMENTS);
+    this.entraCredentials = getEntraCredentials();
+    this.defaultModel = Object.keys(this.deployments)[0] || 'gpt-4o';
+    // Azure batches need a dedicated batch deployment, so `sheikh batch` sends the requests one by one
+    this.capabilities = this.capabilities.filter(capability => capability !== 'batch');
+    this.auth = null;
+  }
+
+  /**
+   * Whether requests are authorized with Entra ID tokens rather than a key
+   * @returns {boolean} True when no API key is set
+   */
+  get useEntraID() {
+    return !this.apiKey;
+  }
+
+  /**
+   * Initialize the provider
+   * @returns {Promise<boolean>} True if initialized successfully
+   * @throws {Error} If the endpoint or both kinds of credentials are missing
+   */
+  async initialize() {
+    if (!this.endpoint) {
+      throw new Error('AZURE_OPENAI_ENDPOINT environment variable is required');
+    }
+
+    if (this.useEntraID) {
+      if (!this.entraCredentials) {
+        throw new Error('AZURE_OPENAI_API_KEY environment variable is required, or AZURE_TENANT_ID, AZURE_CLIENT_ID and AZURE_CLIENT_SECRET for Microsoft Entra ID');
+      }
+      this.auth = new AzureClientSecretAuth(this.entraCredentials);
+    }
+
+    this.client = createHttpClient({
+      baseURL: this.baseURL,
+      headers: this.getHeaders(),
+      params: { 'api-version': this.apiVersion }
+    });
+
+    if (this.useEntraID) {
+      this.client.interceptors.request.use(async config => {
+        config.headers.set('Authorization', `Bearer ${await this.auth.getAccessToken()}`);
+        return config;
+      });
+
+      // A token revoked before its expiry is refreshed once
+      this.client.interceptors.response.use(null, error => {
+        const config = error.config;
+        if (error.response?.status === 401 && config && !config._retriedAuth) {
+          this.auth.invalidate();
+          config._retriedAuth = true;
+          return this.client.request(config);
+        }
+        throw error;
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Headers sent with every request: the key in `api-key` rather than an
+   * Authorization header, which carries the Entra ID token instead
+   * @returns {Object} Request headers
+   */
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...(this.apiKey ? { 'api-key': this.apiKey } : {}),
+      ...this.headers
+    };
+  }
+
+  /**
+   * Name of the deployment serving a model
+   * @param {string} modelId - Model ID, or a deployment name
+   * @returns {string} Deployment name from `AZURE_OPENAI_DEPLOYMENTS`, or the model ID itself
+   */
+  getDeployment(modelId) {
+    return this.deployments[modelId] || modelId;
+  }
+
+  /**
+   * Path of an endpoint on the deployment serving a model
+   * @param {string} modelId - Model ID
+   * @param {string} endpoint - `/chat/completions` or `/embeddings`
+   * @returns {string} Request path
+   */
+  getModelPath(modelId, endpoint) {
+    return `/deployments/${encodeURIComponent(this.getDeployment(modelId))}${endpoint}`;
+  }
+
+  /**
+   * Check if the provider is available
+   * @returns {boolean} True if the endpoint and a key or Entra ID credentials are set
+   */
+  isAvailable() {
+    return !!this.endpoint && (!!this.apiKey || !!this.entraCredentials);
+  }
+
+  /**
+   * Get available models
+   * @returns {Array<string>} Models mapped in `AZURE_OPENAI_DEPLOYMENTS`, or the OpenAI models
+   *   when there is no mapping; `listModels()` asks the resource which models it offers
+   */
+  getAvailableModels() {
+    const models = Object.keys(this.deployments);
+    return models.length > 0 ? models : super.getAvailableModels();
+  }
+}
+
+module.exports = AzureOpenAIProvider;
@@ -0,0 +1,81 @@
+/**
+ * Provider Batch Contract
+ *
+ * Providers with the `batch` capability run many independent requests as
+ * one asynchronous job, such as Anthropic's Message Batches API and the
+ * OpenAI Batch API, which answer within a day at half the usual price.
+ * They implement:
+ *
+ * - `createBatch(requests, options)`: submits `[{ id, messages, options }]`,
+ *   where `messages` and `options` are as for `sendMessage`, and resolves to
+ *   the batch, `{ id, status, counts }`. `options` holds defaults for every
+ *   request, such as `model`, and `signal`, `retry` and `onRetry`.
+ * - `getBatch(batchId, options)`: resolves to the batch's current state
+ * - `getBatchResults(batchId, options)`: resolves, once the batch has
+ *   ended, to one `{ id, response }` or `{ id, error }` entry per request,
+ *   where `response` is a `sendMessage` response and `error` a message
+ * - `cancelBatch(batchId, options)`: asks the API to stop the batch and
+ *   resolves to its state; requests already answered keep their results
+ *
+ * A batch's `status` is `running` while requests are waiting or being
+ * answered, `ended` once every request has a result, and `failed` when the
+ * API rejected the batch as a whole. `counts` is
+ * `{ total, succeeded, failed }`, with `failed` including requests that were
+ * cancelled or expired.
+ *
+ * Request IDs must be unique within a batch and match `BATCH_ID_PATTERN`,
+ * the IDs both APIs accept.
+ *
+ * @module providers/batch
+ */
+
+const BATCH_STATUSES = ['running', 'ended', 'failed'];
+
+// Custom IDs the Anthropic and OpenAI batch APIs accept
+const BATCH_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Check the requests of a batch before they are submitted
+ *
+ * @param {Array<Object>} requests - `{ id, messages, options }` requests
+ * @returns {Array<Object>} The requests, with `options` defaulted to `{}`
+ * @throws {Error} If the list is empty or an ID is invalid or repeated
+ */
+function prepareBatchRequests(requests) {
+  if (!Array.isArray(requests) || requests.length === 0) {
+    throw new Error('A batch needs at least one request');
+  }
+
+  const ids = new Set();
+  return requests.map(request => {
+    if (!request || typeof request.id !== 'string' || !BATCH_ID_PATTERN.test(request.id)) {
+      throw new Error(`Invalid batch request ID: ${request && request.id}. Use 1-64 letters, digits, '-' or '_'`);
+    }
+    if (ids.has(request.id)) {
+      throw new Error(`Duplicate batch request ID: ${request.id}`);
+    }
+    ids.add(request.id);
+    return { ...request, options: request.options || {} };
+  });
+}
+
+/**
+ * Parse a JSON Lines document, as batch APIs return results in
+ *
+ * @param {string} text - One JSON value per line
+ * @returns {Array<*>} Parsed values, skipping blank lines
+ * @throws {SyntaxError} If a line is not valid JSON
+ */
+function parseJSONLines(text) {
+  return String(text || '')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+module.exports = {
+  BATCH_STATUSES,
+  BATCH_ID_PATTERN,
+  prepareBatchRequests,
+  parseJSONLines
+};
@@ -0,0 +1,477 @@
+/**
+ * Provider Cassettes
+ *
+ * Records provider HTTP traffic to cassette files and replays it offline,
+ * so chat and agent flows can be tested end to end without network access
+ * or hand-written axios mocks. Every client made by `createHttpClient` goes
+ * through the active cassette, if there is one:
+ *
+ * - `record` sends requests to the provider and saves each request and its
+ *   response, streamed bodies included, to the cassette file. API keys,
+ *   tokens and secrets from the environment, credential query and form
+ *   parameters, and the tokens in OAuth token responses are replaced with
+ *   `[REDACTED]`.
+ * - `replay` answers requests from the cassette without touching the
+ *   network. A request with no unused recording that matches its method, URL
+ *   and body fails with a `CassetteMismatchError`.
+ *
+ * A cassette is activated with `useCassette` in tests, or for a whole run by
+ * setting `SHEIKH_CASSETTE` to the file and `SHEIKH_CASSETTE_MODE` to
+ * `record` or `replay` (the default).
+ *
+ * @module providers/cassette
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { Readable } = require('stream');
+const axios = require('axios');
+
+const CASSETTE_MODES = ['record', 'replay'];
+const CASSETTE_VERSION = 1;
+const REDACTED = '[REDACTED]';
+
+// Query and form parameters that carry credentials
+const SECRET_PARAMS = ['key', 'api_key', 'apikey', 'access_token', 'token', 'sig', 'signature', 'assertion', 'client_secret'];
+
+// Fields of JSON bodies that carry credentials, such as OAuth token responses
+const SECRET_FIELDS = ['access_token', 'refresh_token', 'id_token', 'assertion', 'client_secret'];
+
+// Response headers that are never written to a cassette
+const DROPPED_HEADERS = ['set-cookie', 'x-request-id', 'request-id', 'cf-ray', 'date'];
+
+// Environment variables whose values are scrubbed from cassettes
+const SECRET_ENV_PATTERN = /(KEY|TOKEN|SECRET|PASSWORD)(_ID)?$/;
+
+let activeCassette = null;
+let environmentChecked = false;
+
+/**
+ * Thrown in replay mode for a request the cassette has no recording of
+ */
+class CassetteMismatchError extends Error {
+  /**
+   * @param {string} message - Description of the unmatched request
+   * @param {Object} request - Scrubbed request: `{ method, url, body }`
+   */
+  constructor(message, request) {
+    super(message);
+    this.name = 'CassetteMismatchError';
+    this.code = 'ERR_CASSETTE_MISMATCH';
+    this.request = request;
+  }
+}
+
+/**
+ * Serialize a value with object keys sorted, so equal bodies compare equal
+ * @param {*} value - JSON value
+ * @returns {string} Canonical JSON
+ * @private
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Parse a body as JSON, leaving other text as it is
+ * @param {string} text - Body text
+ * @returns {*} Parsed JSON or the original text
+ * @private
+ */
+function parseBody(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Tell whether a buffer survives a round trip through UTF-8 text
+ * @param {Buffer} buffer - Bytes
+ * @returns {boolean} True for text
+ * @private
+ */
+function isText(buffer) {
+  return Buffer.from(buffer.toString('utf8'), 'utf8').equals(buffer);
+}
+
+/**
+ * Replace credential parameters in a query string or form body
+ * @param {string} query - URL-encoded parameters
+ * @returns {string} Parameters safe to store
+ * @private
+ */
+function scrubParams(query) {
+  const params = new URLSearchParams(query);
+  for (const name of [...params.keys()]) {
+    if (SECRET_PARAMS.includes(name.toLowerCase())) {
+      params.set(name, REDACTED);
+    }
+  }
+  return params.toString().replace(/%5BREDACTED%5D/g, REDACTED);
+}
+
+/**
+ * Replace credential query parameters in a URL
+ * @param {string} url - Request URL
+ * @returns {string} URL safe to store
+ */
+function scrubUrl(url) {
+  const [base, query] = url.split('?');
+  if (!query) {
+    return url;
+  }
+
+  return `${base}?${scrubParams(query)}`;
+}
+
+/**
+ * Replace credential fields in a JSON object body
+ * @param {*} body - Parsed body
+ * @returns {*} Body safe to store
+ * @private
+ */
+function scrubFields(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return body;
+  }
+
+  const scrubbed = { ...body };
+  for (const name of Object.keys(scrubbed)) {
+    if (SECRET_FIELDS.includes(name.toLowerCase())) {
+      scrubbed[name] = REDACTED;
+    }
+  }
+  return scrubbed;
+}
+
+/**
+ * Secret values to remove from cassettes: credentials in the environment and any given explicitly
+ * @param {Array<string>} [extra] - Additional secret values
+ * @returns {Array<string>} Secrets, longest first
+ * @private
+ */
+function collectSecrets(extra = []) {
+  const fromEnvironment = Object.entries(process.env)
+    .filter(([name, value]) => SECRET_ENV_PATTERN.test(name) && value && value.length >= 8)
+    .map(([, value]) => value);
+
+  return [...new Set([...fromEnvironment, ...extra])]
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Describe an outgoing request in the form it is stored and matched in
+ * @param {Object} config - Axios request config, after request transforms
+ * @returns {{method: string, url: string, body: *}} Request
+ * @private
+ */
+function describeRequest(config) {
+  let body = config.data;
+  if (Buffer.isBuffer(body)) {
+    body = body.toString('utf8');
+  }
+  if (typeof body === 'string') {
+    // Form bodies, such as OAuth token requests, are scrubbed like query strings
+    const contentType = String(axios.AxiosHeaders.from(config.headers).get('Content-Type') || '');
+    body = contentType.includes('application/x-www-form-urlencoded') ? scrubParams(body) : parseBody(body);
+  }
+
+  return {
+    method: (config.method || 'get').toUpperCase(),
+    url: scrubUrl(axios.getUri(config)),
+    body: body === undefined ? null : scrubFields(body)
+  };
+}
+
+/**
+ * Resolve or reject a replayed response the way axios's own adapters do
+ * @param {Object} response - Axios response
+ * @returns {Object} The response
+ * @throws {AxiosError} If the status fails `validateStatus`
+ * @private
+ */
+function settle(response) {
+  const validateStatus = response.config.validateStatus;
+  if (!response.status || !validateStatus || validateStatus(response.status)) {
+    return response;
+  }
+
+  const code = response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST;
+  throw new axios.AxiosError(`Request failed with status code ${response.status}`, code, response.config, response.request, response);
+}
+
+/**
+ * Cassette class
+ * Holds the recorded interactions of one cassette file
+ */
+class Cassette {
+  /**
+   * @param {string} filePath - Cassette file
+   * @param {Object} [options] - Cassette options
+   * @param {string} [options.mode='replay'] - `record` or `replay`
+   * @param {Array<string>} [options.secrets] - Values to scrub besides credentials in the environment
+   * @throws {Error} If the mode is unknown, or a replayed cassette is missing or unreadable
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = path.resolve(filePath);
+    this.mode = options.mode || 'replay';
+    this.secrets = options.secrets || [];
+
+    if (!CASSETTE_MODES.includes(this.mode)) {
+      throw new Error(`Unknown cassette mode '${this.mode}'. Use one of: ${CASSETTE_MODES.join(', ')}`);
+    }
+
+    if (this.mode === 'record') {
+      this.interactions = [];
+    } else {
+      this.interactions = this.load();
+    }
+    this.used = new Set();
+  }
+
+  /**
+   * Read the interactions stored in the cassette file
+   * @returns {Array<Object>} Interactions
+   * @private
+   */
+  load() {
+    if (!fs.pathExistsSync(this.filePath)) {
+      throw new Error(`Cassette ${this.filePath} not found. Record it first with mode 'record'.`);
+    }
+
+    let cassette;
+    try {
+      cassette = fs.readJsonSync(this.filePath);
+    } catch (error) {
+      throw new Error(`Could not read cassette ${this.filePath}: ${error.message}`);
+    }
+
+    if (!cassette || !Array.isArray(cassette.interactions)) {
+      throw new Error(`Cassette ${this.filePath} has no interactions list`);
+    }
+    return cassette.interactions;
+  }
+
+  /**
+   * Write the recorded interactions, with secrets scrubbed
+   * @private
+   */
+  save() {
+    let text = JSON.stringify({ version: CASSETTE_VERSION, interactions: this.interactions }, null, 2);
+    for (const secret of collectSecrets(this.secrets)) {
+      text = text.split(secret).join(REDACTED);
+    }
+
+    fs.ensureDirSync(path.dirname(this.filePath));
+    fs.writeFileSync(this.filePath, `${text}\n`);
+  }
+
+  /**
+   * Send a request through the cassette
+   * @param {Object} config - Axios request config
+   * @param {Function} adapter - Adapter that performs real requests
+   * @returns {Promise<Object>} Axios response
+   */
+  async handle(config, adapter) {
+    const request = describeRequest(config);
+    return this.mode === 'record' ? this.record(request, config, adapter) : this.replay(request, config);
+  }
+
+  /**
+   * Perform a request and store it with its outcome
+   * @param {Object} request - Stored form of the request
+   * @param {Object} config - Axios request config
+   * @param {Function} adapter - Adapter that performs real requests
+   * @returns {Promise<Object>} Axios response, with any streamed body buffered for the caller
+   * @private
+   */
+  async record(request, config, adapter) {
+    const interaction = { request };
+    this.interactions.push(interaction);
+
+    try {
+      const response = await adapter(config);
+      interaction.response = await this.captureResponse(response);
+      return response;
+    } catch (error) {
+      if (error.response) {
+        interaction.response = await this.captureResponse(error.response);
+      } else {
+        interaction.error = { code: error.code || null, message: error.message };
+      }
+      throw error;
+    } finally {
+      this.save();
+    }
+  }
+
+  /**
+   * Store a response body. Streams are read to the end and handed back to
+   * the caller as a new stream with the same chunks.
+   * @param {Object} response - Axios response
+   * @returns {Promise<Object>} Stored form of the response
+   * @private
+   */
+  async captureResponse(response) {
+    const headers = {};
+    for (const [name, value] of Object.entries(axios.AxiosHeaders.from(response.headers).toJSON())) {
+      if (!DROPPED_HEADERS.includes(name.toLowerCase())) {
+        headers[name.toLowerCase()] = value;
+      }
+    }
+
+    const stored = { status: response.status, statusText: response.statusText, headers };
+    const data = response.data;
+
+    if (data && typeof data.pipe === 'function') {
+      const chunks = [];
+      for await (const chunk of data) {
+        chunks.push(Buffer.from(chunk));
+      }
+      response.data = Readable.from(chunks);
+
+      const text = chunks.every(isText);
+      stored.encoding = text ? 'utf8' : 'base64';
+      stored.chunks = chunks.map(chunk => chunk.toString(stored.encoding));
+    } else if (Buffer.isBuffer(data)) {
+      stored.encoding = 'base64';
+      stored.body = data.toString('base64');
+    } else {
+      stored.body = scrubFields(typeof data === 'string' ? parseBody(data) : data);
+    }
+
+    return stored;
+  }
+
+  /**
+   * Answer a request from the first unused matching recording
+   * @param {Object} request - Stored form of the request
+   * @param {Object} config - Axios request config
+   * @returns {Object} Axios response
+   * @throws {CassetteMismatchError} If no unused recording matches
+   * @private
+   */
+  replay(request, config) {
+    const key = canonicalJson(request);
+    const index = this.interactions.findIndex((interaction, position) =>
+      !this.used.has(position) && canonicalJson(interaction.request) === key);
+
+    if (index === -1) {
+      const sameUrl = this.interactions.filter(interaction =>
+        interaction.request.method === request.method && interaction.request.url === request.url).length;
+      const detail = sameUrl > 0
+        ? `${sameUrl === 1 ? '1 recording' : `${sameUrl} recordings`} of ${request.method} ${request.url} ${sameUrl === 1 ? 'exists' : 'exist'} but none has this body or all were used`
+        : `nothing was recorded for ${request.method} ${request.url}`;
+      throw new CassetteMismatchError(`Cassette ${this.filePath} has no recording for this request: ${detail}. Record it again with mode 'record'.`, request);
+    }
+
+    this.used.add(index);
+    const interaction = this.interactions[index];
+
+    if (interaction.error) {
+      throw new axios.AxiosError(interaction.error.message, interaction.error.code || undefined, config, {});
+    }
+
+    const stored = interaction.response;
+    let data;
+    if (stored.chunks) {
+      data = Readable.from(stored.chunks.map(chunk => Buffer.from(chunk, stored.encoding)));
+    } else {
+      const body = stored.encoding === 'base64'
+        ? Buffer.from(stored.body, 'base64')
+        : (typeof stored.body === 'string' ? stored.body : JSON.stringify(stored.body));
+      data = config.responseType === 'stream' ? Readable.from([Buffer.from(body)]) : body;
+    }
+
+    return settle({
+      data,
+      status: stored.status,
+      statusText: stored.statusText || '',
+      headers: stored.headers || {},
+      config,
+      request: {}
+    });
+  }
+
+  /**
+   * Recordings that have not been replayed
+   * @returns {Array<Object>} Requests of the unused interactions
+   */
+  getUnusedRequests() {
+    return this.interactions
+      .filter((interaction, index) => !this.used.has(index))
+      .map(interaction => interaction.request);
+  }
+}
+
+/**
+ * Activate a cassette for every provider HTTP client
+ *
+ * @param {string} filePath - Cassette file
+ * @param {Object} [options] - Options for `Cassette`
+ * @returns {Cassette} The active cassette
+ *
+ * @example
+ * const cassette = useCassette('src/__tests__/cassettes/openai-chat.json', { mode: 'replay' });
+ * const response = await client.send('Hello');
+ * ejectCassette();
+ */
+function useCassette(filePath, options = {}) {
+  activeCassette = new Cassette(filePath, options);
+  return activeCassette;
+}
+
+/**
+ * Stop sending provider requests through a cassette
+ */
+function ejectCassette() {
+  activeCassette = null;
+}
+
+/**
+ * The active cassette, activating the one named by `SHEIKH_CASSETTE` on first use
+ * @returns {Cassette|null} Cassette
+ */
+function getActiveCassette() {
+  if (!activeCassette && !environmentChecked) {
+    environmentChecked = true;
+    if (process.env.SHEIKH_CASSETTE) {
+      useCassette(process.env.SHEIKH_CASSETTE, { mode: process.env.SHEIKH_CASSETTE_MODE || 'replay' });
+    }
+  }
+  return activeCassette;
+}
+
+/**
+ * Wrap an axios adapter so requests go through the active cassette
+ * @param {string|Function|Array} [adapter] - Adapter from the client config, defaults to axios's own
+ * @returns {Function} Axios adapter
+ */
+function createCassetteAdapter(adapter) {
+  const send = axios.getAdapter(adapter || axios.defaults.adapter);
+
+  return async (config) => {
+    const cassette = getActiveCassette();
+    return cassette ? cassette.handle(config, send) : send(config);
+  };
+}
+
+module.exports = {
+  CASSETTE_MODES,
+  Cassette,
+  CassetteMismatchError,
+  useCassette,
+  ejectCassette,
+  getActiveCassette,
+  createCassetteAdapter,
+  scrubUrl
+};
@@ -0,0 +1,238 @@
+/**
+ * Provider Embeddings Contract
+ *
+ * Providers with the `embeddings` capability implement `embed(texts, options)`,
+ * which resolves to `{ embeddings, model, dimensions, usage }` with one vector
+ * per text, in order. Options:
+ *
+ * - `model`: embedding model; defaults to the provider's `defaultEmbeddingModel`
+ * - `dimensions`: a smaller vector size, for models that support one
+ * - `inputType`: `document` for text being indexed or `query` for search
+ *   queries; models trained for retrieval embed the two differently
+ * - `embeddingModels`: the `embeddingModels` configuration section
+ * - `signal`, `retry`, `onRetry`: as for `sendMessage`
+ *
+ * Texts are sent in batches of at most the model's or endpoint's batch
+ * size, one batch at a time, so a large index does not burst past rate
+ * limits; rate-limited batches are retried by the shared HTTP client.
+ *
+ * `EMBEDDING_MODELS` lists each model's vector size, the sizes it can
+ * reduce to and its batch limit. Models that are not listed can be described
+ * in the `embeddingModels` configuration section.
+ *
+ * @module providers/embeddings
+ */
+
+const { findModelEntry } = require('./models');
+const { addUsage } = require('./usage');
+
+const INPUT_TYPES = ['document', 'query'];
+
+/**
+ * Per-model metadata: `dimensions` is the default vector size,
+ * `dimensionOptions` the sizes the model can return instead, `reducible`
+ * marks models that accept any size up to `dimensions`, and `maxBatch`
+ * limits the texts per request below the endpoint's own limit
+ */
+const EMBEDDING_MODELS = {
+  // OpenAI
+  'text-embedding-3-small': { dimensions: 1536, reducible: true },
+  'text-embedding-3-large': { dimensions: 3072, reducible: true },
+  'text-embedding-ada-002': { dimensions: 1536 },
+
+  // Bedrock
+  'amazon.titan-embed-text-v2:0': { dimensions: 1024, dimensionOptions: [256, 512, 1024] },
+  'amazon.titan-embed-text-v1': { dimensions: 1536 },
+  'cohere.embed-english-v3': { dimensions: 1024, maxBatch: 96 },
+  'cohere.embed-multilingual-v3': { dimensions: 1024, maxBatch: 96 },
+
+  // Google
+  'text-embedding-004': { dimensions: 768, reducible: true },
+  'text-embedding-005': { dimensions: 768, reducible: true },
+  'text-multilingual-embedding-002': { dimensions: 768, reducible: true },
+
+  // Ollama
+  'nomic-embed-text': { dimensions: 768 },
+  'mxbai-embed-large': { dimensions: 1024 },
+  'all-minilm': { dimensions: 384 }
+};
+
+/**
+ * Look up an embedding model's metadata
+ *
+ * @param {string} modelId - Model ID
+ * @param {Object} [overrides] - `embeddingModels` configuration section, model IDs mapped to metadata
+ * @returns {{dimensions: (number|undefined), dimensionOptions: (number[]|undefined), reducible: boolean,
+ *   maxBatch: (number|undefined), known: boolean}} Metadata; `known` is false for unlisted models
+ *
+ * @example
+ * getEmbeddingModel('amazon.titan-embed-text-v2:0');
+ * // { dimensions: 1024, dimensionOptions: [256, 512, 1024], reducible: false, maxBatch: undefined, known: true }
+ */
+function getEmbeddingModel(modelId, overrides = {}) {
+  const entry = { ...findModelEntry(modelId, EMBEDDING_MODELS), ...findModelEntry(modelId, overrides || {}) };
+  return {
+    dimensions: entry.dimensions,
+    dimensionOptions: entry.dimensionOptions,
+    reducible: !!entry.reducible,
+    maxBatch: entry.maxBatch,
+    known: entry.dimensions !== undefined
+  };
+}
+
+/**
+ * Check a requested vector size against a model's metadata
+ *
+ * @param {string} modelId - Model ID
+ * @param {number} [dimensions] - Requested vector size
+ * @param {Object} [overrides] - `embeddingModels` configuration section
+ * @returns {number|undefined} Vector size to request, or undefined to use the model's default; models
+ *   with a fixed size reject the parameter, so it is left out when they are asked for that size
+ * @throws {Error} If the model cannot return vectors of that size
+ */
+function resolveDimensions(modelId, dimensions, overrides) {
+  if (dimensions === undefined) {
+    return undefined;
+  }
+
+  const model = getEmbeddingModel(modelId, overrides);
+  if (!Number.isInteger(dimensions) || dimensions < 1) {
+    throw new Error(`Embedding dimensions must be a positive integer, got ${dimensions}`);
+  }
+  if (!model.known) {
+    return dimensions;
+  }
+  if (dimensions === model.dimensions) {
+    return model.reducible || model.dimensionOptions ? dimensions : undefined;
+  }
+  if (model.dimensionOptions && model.dimensionOptions.includes(dimensions)) {
+    return dimensions;
+  }
+  if (model.reducible && dimensions <= model.dimensions) {
+    return dimensions;
+  }
+
+  const supported = model.dimensionOptions
+    ? model.dimensionOptions.join(', ')
+    : model.reducible ? `1 to ${model.dimensions}` : String(model.dimensions);
+  throw new Error(`${modelId} cannot return ${dimensions}-dimensional embeddings; supported: ${supported}`);
+}
+
+/**
+ * Validate the common `embed` arguments and resolve the model
+ *
+ * @param {string|string[]} texts - Text or texts to embed
+ * @param {Object} options - Embed options, see the module description
+ * @param {Object} provider - Provider; its `defaultEmbeddingModel` is used when no model is given
+ * @returns {{texts: string[], model: string, dimensions: (number|undefined), expected: (number|undefined),
+ *   maxBatch: (number|undefined)}} `dimensions` is the size to request, `expected` the size to check
+ * @throws {Error} If a text is not a string, the input type is unknown, no model is selected
+ *   or the model cannot return the requested size
+ */
+function prepareEmbedRequest(texts, options, provider) {
+  const list = Array.isArray(texts) ? texts : [texts];
+  if (list.some(text => typeof text !== 'string')) {
+    throw new Error('Texts to embed must be strings');
+  }
+  if (options.inputType !== undefined && !INPUT_TYPES.includes(options.inputType)) {
+    throw new Error(`Unknown embedding input type '${options.inputType}'. Use one of: ${INPUT_TYPES.join(', ')}`);
+  }
+
+  const model = options.model || provider.defaultEmbeddingModel;
+  if (!model) {
+    throw new Error(`No embedding model selected for provider '${provider.name}'. Pass a model or set embeddingModel`);
+  }
+
+  const metadata = getEmbeddingModel(model, options.embeddingModels);
+  return {
+    texts: list,
+    model,
+    dimensions: resolveDimensions(model, options.dimensions, options.embeddingModels),
+    expected: options.dimensions || metadata.dimensions,
+    maxBatch: metadata.maxBatch
+  };
+}
+
+/**
+ * Embed texts in sequential batches
+ *
+ * @param {string[]} texts - Texts to embed
+ * @param {number} batchSize - Most texts per request
+ * @param {Function} embedBatch - `async (texts) => ({ embeddings, usage })` for one request
+ * @returns {Promise<{embeddings: Array<number[]>, usage: Object}>} Vectors in input order and summed usage
+ *
+ * @example
+ * await embedInBatches(texts, 96, async (batch) => {
+ *   const response = await client.post('/embed', { texts: batch });
+ *   return { embeddings: response.data.embeddings, usage: addUsage() };
+ * });
+ */
+async function embedInBatches(texts, batchSize, embedBatch) {
+  const embeddings = [];
+  let usage = addUsage();
+
+  for (let start = 0; start < texts.length; start += batchSize) {
+    const batch = texts.slice(start, start + batchSize);
+    const result = await embedBatch(batch);
+    if (result.embeddings.length !== batch.length) {
+      throw new Error(`Expected ${batch.length} embeddings but the provider returned ${result.embeddings.length}`);
+    }
+    embeddings.push(...result.embeddings);
+    usage = addUsage(usage, result.usage);
+  }
+
+  return { embeddings, usage };
+}
+
+/**
+ * Build an `embed` result, checking every vector has the same size
+ *
+ * @param {Array<number[]>} embeddings - Vectors
+ * @param {string} model - Model that produced them
+ * @param {Object} usage - Provider-neutral usage
+ * @param {number} [expected] - Size the vectors should have
+ * @returns {{embeddings: Array<number[]>, model: string, dimensions: number, usage: Object}} Result
+ * @throws {Error} If a vector is missing or the vectors differ in size or from `expected`
+ */
+function createEmbedResult(embeddings, model, usage, expected) {
+  if (embeddings.some(vector => !Array.isArray(vector))) {
+    throw new Error(`${model} returned a response without embeddings`);
+  }
+
+  const dimensions = expected || (embeddings[0] ? embeddings[0].length : 0);
+  const wrong = embeddings.find(vector => vector.length !== dimensions);
+  if (wrong) {
+    throw new Error(`${model} returned a ${wrong.length}-dimensional embedding where ${dimensions} dimensions were expected`);
+  }
+  return { embeddings, model, dimensions, usage };
+}
+
+/**
+ * Cosine similarity of two vectors of the same size
+ *
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number} Similarity from -1 to 1; 0 when either vector is all zeros
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let index = 0; index < a.length; index++) {
+    dot += a[index] * b[index];
+    normA += a[index] * a[index];
+    normB += b[index] * b[index];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+module.exports = {
+  EMBEDDING_MODELS,
+  INPUT_TYPES,
+  getEmbeddingModel,
+  resolveDimensions,
+  prepareEmbedRequest,
+  embedInBatches,
+  createEmbedResult,
+  cosineSimilarity
+};
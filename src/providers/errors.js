@@ -0,0 +1,257 @@
+/**
+ * Provider Errors
+ *
+ * Error classes shared by all providers. Each provider maps the HTTP status,
+ * error type and message of a failed request onto one of these classes, so
+ * callers can tell an invalid key from a rate limit or an overflowing
+ * context window without parsing messages.
+ *
+ * Every error carries the provider name, the HTTP status, whether a retry
+ * can succeed, how long the server asked to wait and the raw response.
+ *
+ * @module providers/errors
+ */
+
+const { getServerDelay, isRetryableError, isCancellation } = require('./http');
+
+/**
+ * Base class for errors returned by a provider API
+ */
+class ProviderError extends Error {
+  /**
+   * @param {string} message - Error message, e.g. `Anthropic API error: ...`
+   * @param {Object} [options] - Error details
+   * @param {string} [options.provider] - Provider name
+   * @param {Error} [options.cause] - Underlying HTTP error
+   * @param {string} [options.type] - Provider error type, e.g. `overloaded_error`
+   * @param {boolean} [options.retryable] - Whether a retry can succeed; defaults to the class default
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+
+    const cause = options.cause;
+    const response = cause && cause.response;
+
+    this.provider = options.provider;
+    this.type = options.type;
+    this.status = response ? response.status : undefined;
+    this.code = cause ? cause.code : undefined;
+    this.response = response ? { status: response.status, headers: response.headers, data: response.data } : undefined;
+    this.retryAfter = response ? getServerDelay(response.headers) : undefined;
+
+    if (options.retryable !== undefined) {
+      this.retryable = options.retryable;
+    } else if (cause && (response || cause.code)) {
+      this.retryable = isRetryableError(cause);
+    } else {
+      this.retryable = this.constructor.retryable;
+    }
+  }
+
+  /**
+   * Error class, one of `ERROR_CATEGORIES` from the HTTP client
+   * @returns {string} Category
+   */
+  get category() {
+    return this.constructor.category;
+  }
+}
+
+ProviderError.category = 'unknown';
+ProviderError.retryable = false;
+
+/** The API key or credentials were rejected (401) */
+class AuthenticationError extends ProviderError {}
+AuthenticationError.category = 'auth';
+AuthenticationError.retryable = false;
+
+/** The credentials are valid but may not use this model or resource (403) */
+class PermissionError extends ProviderError {}
+PermissionError.category = 'permission';
+PermissionError.retryable = false;
+
+/** A request or token rate limit was hit (429) */
+class RateLimitError extends ProviderError {}
+RateLimitError.category = 'rate_limit';
+RateLimitError.retryable = true;
+
+/** The provider is temporarily over capacity (529, 503) */
+class OverloadedError extends ProviderError {}
+OverloadedError.category = 'overloaded';
+OverloadedError.retryable = true;
+
+/** The prompt does not fit in the model's context window */
+class ContextLengthError extends ProviderError {}
+ContextLengthError.category = 'context_length';
+ContextLengthError.retryable = false;
+
+/** The request was malformed or named an unknown model (400, 404, 422) */
+class InvalidRequestError extends ProviderError {}
+InvalidRequestError.category = 'invalid_request';
+InvalidRequestError.retryable = false;
+
+/** The provider failed while handling the request (5xx) */
+class ServerError extends ProviderError {}
+ServerError.category = 'server';
+ServerError.retryable = true;
+
+/** The provider could not be reached */
+class NetworkError extends ProviderError {}
+NetworkError.category = 'network';
+NetworkError.retryable = true;
+
+/** The request or the model timed out */
+class TimeoutError extends ProviderError {}
+TimeoutError.category = 'timeout';
+TimeoutError.retryable = true;
+
+/** The request was cancelled through its abort signal, e.g. with Ctrl+C */
+class CancelledError extends ProviderError {}
+CancelledError.category = 'cancelled';
+CancelledError.retryable = false;
+
+// Error types from response bodies, stream events and the Bedrock x-amzn-errortype header
+const ERROR_TYPES = {
+  authentication_error: AuthenticationError,
+  invalid_api_key: AuthenticationError,
+  UNAUTHENTICATED: AuthenticationError,
+  UnrecognizedClientException: AuthenticationError,
+  ExpiredTokenException: AuthenticationError,
+  permission_error: PermissionError,
+  PERMISSION_DENIED: PermissionError,
+  AccessDeniedException: PermissionError,
+  rate_limit_error: RateLimitError,
+  rate_limit_exceeded: RateLimitError,
+  RESOURCE_EXHAUSTED: RateLimitError,
+  ThrottlingException: RateLimitError,
+  overloaded_error: OverloadedError,
+  UNAVAILABLE: OverloadedError,
+  ServiceUnavailableException: OverloadedError,
+  context_length_exceeded: ContextLengthError,
+  invalid_request_error: InvalidRequestError,
+  not_found_error: InvalidRequestError,
+  model_not_found: InvalidRequestError,
+  INVALID_ARGUMENT: InvalidRequestError,
+  NOT_FOUND: InvalidRequestError,
+  ValidationException: InvalidRequestError,
+  ResourceNotFoundException: InvalidRequestError,
+  api_error: ServerError,
+  server_error: ServerError,
+  INTERNAL: ServerError,
+  InternalServerException: ServerError,
+  ModelTimeoutException: TimeoutError,
+  DEADLINE_EXCEEDED: TimeoutError
+};
+
+const STATUS_CLASSES = {
+  401: AuthenticationError,
+  403: PermissionError,
+  408: TimeoutError,
+  429: RateLimitError,
+  503: OverloadedError,
+  529: OverloadedError
+};
+
+// Messages providers use when the prompt overflows the context window
+const CONTEXT_LENGTH_PATTERN = /prompt is too long|context length|context window|maximum context|too many (?:input )?tokens|input is too long|exceeds the maximum number of tokens/i;
+
+const NETWORK_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH'];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+/**
+ * Read the provider's error type from a failed response
+ * @param {Object} [response] - Axios response
+ * @returns {string|undefined} Error type
+ * @private
+ */
+function getResponseErrorType(response) {
+  if (!response) {
+    return undefined;
+  }
+
+  const data = response.data || {};
+  const error = data.error && typeof data.error === 'object' ? data.error : {};
+  const headers = response.headers || {};
+  const amznType = typeof headers.get === 'function' ? headers.get('x-amzn-errortype') : headers['x-amzn-errortype'];
+
+  // Google reports an invalid API key as INVALID_ARGUMENT with a reason in the details
+  if ((error.details || []).some(detail => detail.reason === 'API_KEY_INVALID')) {
+    return 'UNAUTHENTICATED';
+  }
+
+  return error.code && ERROR_TYPES[error.code] ? error.code
+    : error.type || error.status || (amznType ? String(amznType).split(':')[0] : undefined) || data.__type;
+}
+
+/**
+ * Pick the error class for a failure
+ * @param {string} message - Error message
+ * @param {string} [type] - Provider error type
+ * @param {Error} [cause] - Underlying HTTP error
+ * @returns {Function} Error class
+ * @private
+ */
+function getErrorClass(message, type, cause) {
+  const status = cause && cause.response && cause.response.status;
+
+  if (isCancellation(cause)) {
+    return CancelledError;
+  }
+  if (CONTEXT_LENGTH_PATTERN.test(message) && (!status || status === 400 || status === 413)) {
+    return ContextLengthError;
+  }
+  if (type && ERROR_TYPES[type]) {
+    return ERROR_TYPES[type];
+  }
+  if (status) {
+    if (STATUS_CLASSES[status]) {
+      return STATUS_CLASSES[status];
+    }
+    return status >= 500 ? ServerError : InvalidRequestError;
+  }
+  if (cause && TIMEOUT_CODES.includes(cause.code)) {
+    return TimeoutError;
+  }
+  if (cause && NETWORK_CODES.includes(cause.code)) {
+    return NetworkError;
+  }
+  return ProviderError;
+}
+
+/**
+ * Create the provider error matching a failed request or stream error event
+ *
+ * @param {string} message - Error message, e.g. `Anthropic API error: ...`
+ * @param {Object} [options] - Error details
+ * @param {string} [options.provider] - Provider name
+ * @param {Error} [options.cause] - Underlying HTTP error
+ * @param {string} [options.type] - Error type from a stream event; read from the response when omitted
+ * @returns {ProviderError} Error of the matching class
+ *
+ * @example
+ * throw createProviderError(`Anthropic API error: ${error.response?.data?.error?.message || error.message}`, {
+ *   provider: this.name,
+ *   cause: error
+ * });
+ */
+function createProviderError(message, options = {}) {
+  const type = options.type || getResponseErrorType(options.cause && options.cause.response);
+  const ErrorClass = getErrorClass(message, type, options.cause);
+  return new ErrorClass(message, { ...options, type });
+}
+
+module.exports = {
+  ProviderError,
+  AuthenticationError,
+  PermissionError,
+  RateLimitError,
+  OverloadedError,
+  ContextLengthError,
+  InvalidRequestError,
+  ServerError,
+  NetworkError,
+  TimeoutError,
+  CancelledError,
+  createProviderError
+};
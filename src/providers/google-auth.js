@@ -0,0 +1,187 @@
+/**
+ * Google Service Account Authentication
+ *
+ * Mints OAuth 2.0 access tokens for Vertex AI from a service-account key
+ * file using the JWT bearer flow (RFC 7523). Tokens are cached until
+ * shortly before they expire and concurrent requests share one refresh.
+ *
+ * @module providers/google-auth
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { createHttpClient } = require('./http');
+const { createProviderError } = require('./errors');
+
+const DEFAULT_SCOPE = 'https://www.googleapis.com/auth/cloud-platform';
+const DEFAULT_TOKEN_URI = 'https://oauth2.googleapis.com/token';
+const JWT_BEARER_GRANT = 'urn:ietf:params:oauth:grant-type:jwt-bearer';
+const TOKEN_LIFETIME_SECONDS = 3600;
+// Refresh this long before expiry so a token never expires mid-request
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+/**
+ * Base64url-encode a value
+ * @param {string|Buffer} value - Value to encode
+ * @returns {string} Encoded value without padding
+ * @private
+ */
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Create a signed RS256 JWT assertion for the token endpoint
+ *
+ * @param {Object} serviceAccount - Parsed service-account key file
+ * @param {Object} [options] - Assertion options
+ * @param {string} [options.scope] - OAuth scope
+ * @param {number} [options.now] - Current time in milliseconds
+ * @returns {string} Signed JWT
+ */
+function createJWTAssertion(serviceAccount, options = {}) {
+  const issuedAt = Math.floor((options.now || Date.now()) / 1000);
+  const header = { alg: 'RS256', typ: 'JWT' };
+  if (serviceAccount.private_key_id) {
+    header.kid = serviceAccount.private_key_id;
+  }
+
+  const claims = {
+    iss: serviceAccount.client_email,
+    scope: options.scope || DEFAULT_SCOPE,
+    aud: serviceAccount.token_uri || DEFAULT_TOKEN_URI,
+    iat: issuedAt,
+    exp: issuedAt + TOKEN_LIFETIME_SECONDS
+  };
+
+  const unsigned = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(claims))}`;
+  const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(serviceAccount.private_key);
+
+  return `${unsigned}.${base64url(signature)}`;
+}
+
+/**
+ * Read and validate a service-account key file
+ * @param {string} keyFile - Path to the JSON key file
+ * @returns {Object} Parsed service account
+ * @throws {Error} If the file cannot be read or is not a service-account key
+ */
+function loadServiceAccount(keyFile) {
+  let serviceAccount;
+  try {
+    serviceAccount = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read Google credentials file ${keyFile}: ${error.message}`);
+  }
+
+  if (serviceAccount.type !== 'service_account' || !serviceAccount.client_email || !serviceAccount.private_key) {
+    throw new Error(`Google credentials file ${keyFile} is not a service-account key`);
+  }
+
+  return serviceAccount;
+}
+
+/**
+ * GoogleServiceAccountAuth class
+ * Supplies cached OAuth access tokens for a service account
+ */
+class GoogleServiceAccountAuth {
+  /**
+   * @param {Object} serviceAccount - Parsed service-account key file
+   * @param {Object} [options] - Options
+   * @param {string} [options.scope] - OAuth scope
+   * @param {Object} [options.httpClient] - Client used for the token request, defaults to one from
+   *   `createHttpClient` so token requests are retried and go through the active cassette
+   */
+  constructor(serviceAccount, options = {}) {
+    this.serviceAccount = serviceAccount;
+    this.scope = options.scope || DEFAULT_SCOPE;
+    this.httpClient = options.httpClient || createHttpClient({});
+    this.token = null;
+    this.expiresAt = 0;
+    this.pending = null;
+  }
+
+  /**
+   * Create an instance from a key file path
+   * @param {string} keyFile - Path to the JSON key file
+   * @param {Object} [options] - Options, as for the constructor
+   * @returns {GoogleServiceAccountAuth} Auth instance
+   */
+  static fromFile(keyFile, options) {
+    return new GoogleServiceAccountAuth(loadServiceAccount(keyFile), options);
+  }
+
+  /**
+   * Project that owns the service account
+   * @returns {string|undefined} Project ID
+   */
+  get projectId() {
+    return this.serviceAccount.project_id;
+  }
+
+  /**
+   * Get a valid access token, minting a new one when the cached token is
+   * missing or about to expire
+   * @returns {Promise<string>} Access token
+   * @throws {ProviderError} If the token endpoint rejects the assertion or
+   *   cannot be reached
+   */
+  async getAccessToken() {
+    if (this.token && Date.now() < this.expiresAt - EXPIRY_MARGIN_MS) {
+      return this.token;
+    }
+
+    if (!this.pending) {
+      this.pending = this.fetchToken().finally(() => {
+        this.pending = null;
+      });
+    }
+
+    return this.pending;
+  }
+
+  /**
+   * Exchange a signed assertion for an access token
+   * @returns {Promise<string>} Access token
+   * @private
+   */
+  async fetchToken() {
+    const body = new URLSearchParams({
+      grant_type: JWT_BEARER_GRANT,
+      assertion: createJWTAssertion(this.serviceAccount, { scope: this.scope })
+    }).toString();
+
+    try {
+      const response = await this.httpClient.post(this.serviceAccount.token_uri || DEFAULT_TOKEN_URI, body, {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+
+      this.token = response.data.access_token;
+      this.expiresAt = Date.now() + (response.data.expires_in || TOKEN_LIFETIME_SECONDS) * 1000;
+      return this.token;
+    } catch (error) {
+      // Keep the HTTP failure so a rejected assertion is classified by its
+      // status and an unreachable endpoint is a network error
+      const data = error.response?.data;
+      throw createProviderError(`Google OAuth error: ${data?.error_description || data?.error || error.message}`, {
+        provider: 'google',
+        cause: error
+      });
+    }
+  }
+
+  /**
+   * Drop the cached token so the next request mints a new one
+   */
+  invalidate() {
+    this.token = null;
+    this.expiresAt = 0;
+  }
+}
+
+module.exports = {
+  GoogleServiceAccountAuth,
+  createJWTAssertion,
+  loadServiceAccount
+};
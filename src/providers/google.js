@@ -1,90 +1,404 @@
 /**
  * Google Provider Implementation
  *
- * Handles communication with Google Vertex AI
+ * Handles communication with Gemini models through the `generateContent`
+ * API, either on Vertex AI with a service-account key
+ * (`GOOGLE_APPLICATION_CREDENTIALS`) or on the Gemini API with an API key
+ * (`GEMINI_API_KEY`). Vertex AI is used when a key file is configured.
  *
  * @module providers/google
  */
 
-const axios = require('axios');
+const { createHttpClient, getRequestConfig } = require('./http');
+const { createProviderError } = require('./errors');
+const { normalizeUsage, addUsage } = require('./usage');
+const { normalizeMessages, getTextContent, getAttachments, stringifyToolContent } = require('./messages');
+const { parseSSE, readStreamError } = require('./streaming');
+const { normalizeTools, normalizeToolChoice } = require('./tools');
+const { normalizeResponseFormat, toGeminiSchema } = require('./structured');
+const { normalizeReasoning, withReasoning } = require('./reasoning');
+const { GoogleServiceAccountAuth } = require('./google-auth');
+const { prepareEmbedRequest, embedInBatches, createEmbedResult } = require('./embeddings');
+
+const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+// Texts per embedding request. Vertex AI also caps a request at 20,000
+// tokens, so its batches stay small enough for long texts.
+const GEMINI_EMBED_BATCH_SIZE = 100;
+const VERTEX_EMBED_BATCH_SIZE = 8;
+
+// Embedding task types by `inputType`
+const EMBED_TASK_TYPES = { document: 'RETRIEVAL_DOCUMENT', query: 'RETRIEVAL_QUERY' };
 
 /**
  * GoogleProvider class
- * Handles Google Vertex AI API interactions
+ * Handles Vertex AI and Gemini API interactions
  */
 class GoogleProvider {
   constructor() {
     this.name = 'google';
-    this.apiKey = process.env.GOOGLE_API_KEY;
+    this.apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY;
+    this.credentialsFile = process.env.GOOGLE_APPLICATION_CREDENTIALS;
     this.projectId = process.env.GOOGLE_PROJECT_ID;
     this.location = process.env.GOOGLE_LOCATION || 'us-central1';
-    this.baseURL = `https://${this.location}-aiplatform.googleapis.com/v1`;
+    this.defaultModel = 'gemini-1.5-pro';
+    this.defaultEmbeddingModel = 'text-embedding-004';
+    this.capabilities = ['streaming', 'tools', 'structured', 'embeddings', 'reasoning'];
+    this.auth = null;
+    this.baseURL = null;
     this.client = null;
   }
 
+  /**
+   * Whether requests go to Vertex AI rather than the Gemini API
+   * @returns {boolean} True when a service-account key file is configured
+   */
+  get useVertex() {
+    return !!this.credentialsFile;
+  }
+
   /**
    * Initialize the provider
    * @returns {Promise<boolean>} True if initialized successfully
+   * @throws {Error} If neither a service-account key nor an API key is configured
    */
   async initialize() {
-    if (!this.apiKey || !this.projectId) {
-      throw new Error('GOOGLE_API_KEY and GOOGLE_PROJECT_ID environment variables are required');
+    if (this.useVertex) {
+      this.auth = GoogleServiceAccountAuth.fromFile(this.credentialsFile);
+      this.projectId = this.projectId || this.auth.projectId;
+
+      if (!this.projectId) {
+        throw new Error('GOOGLE_PROJECT_ID environment variable is required when the credentials file has no project_id');
+      }
+
+      this.baseURL = process.env.GOOGLE_VERTEX_BASE_URL || `https://${this.location}-aiplatform.googleapis.com/v1`;
+    } else if (this.apiKey) {
+      this.baseURL = process.env.GEMINI_BASE_URL || GEMINI_API_URL;
+    } else {
+      throw new Error('GOOGLE_APPLICATION_CREDENTIALS (Vertex AI) or GEMINI_API_KEY (Gemini API) environment variable is required');
     }
 
-    this.client = axios.create({
+    this.client = createHttpClient({
       baseURL: this.baseURL,
       headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...(this.useVertex ? {} : { 'x-goog-api-key': this.apiKey })
       }
     });
 
+    if (this.useVertex) {
+      this.client.interceptors.request.use(async config => {
+        config.headers.set('Authorization', `Bearer ${await this.auth.getAccessToken()}`);
+        return config;
+      });
+
+      // A token revoked before its expiry is refreshed once
+      this.client.interceptors.response.use(null, error => {
+        const config = error.config;
+        if (error.response?.status === 401 && config && !config._retriedAuth) {
+          this.auth.invalidate();
+          config._retriedAuth = true;
+          return this.client.request(config);
+        }
+        throw error;
+      });
+    }
+
     return true;
   }
 
   /**
-   * Send a message to Google Vertex AI
-   * @param {string} message - Message to send
+   * Path of a model method for the active endpoint
+   * @param {string} modelId - Model ID
+   * @param {string} method - `generateContent`, `streamGenerateContent`, `predict` or `batchEmbedContents`
+   * @returns {string} Request path
+   */
+  getModelPath(modelId, method) {
+    if (this.useVertex) {
+      return `/projects/${this.projectId}/locations/${this.location}/publishers/google/models/${modelId}:${method}`;
+    }
+    return `/models/${modelId}:${method}`;
+  }
+
+  /**
+   * Send a conversation to Gemini
+   * @param {string|Array<Object>} messages - User message or provider-neutral message list
    * @param {Object} options - Additional options
-   * @returns {Promise<Object>} Response from Google Vertex AI
+   * @param {string} [options.system] - System prompt
+   * @param {Array<Object>} [options.tools] - Provider-neutral tool definitions
+   * @param {string|Object} [options.toolChoice] - Tool choice
+   * @param {Array<Object>} [options.safetySettings] - Gemini `{ category, threshold }` safety settings
+   * @param {Object} [options.responseFormat] - JSON reply format, see `providers/structured`
+   * @param {string|Object} [options.reasoning] - Thinking budget for thinking models, see `providers/reasoning`
+   * @returns {Promise<Object>} Response from Gemini
    */
-  async sendMessage(message, options = {}) {
+  async sendMessage(messages, options = {}) {
     if (!this.client) {
       await this.initialize();
     }
 
-    const modelId = options.model || 'gemini-pro';
-    const payload = {
-      instances: [
-        {
-          messages: [
-            {
-              role: 'user',
-              content: message
-            }
-          ]
+    const modelId = options.model || this.defaultModel;
+    const payload = this.buildPayload(messages, options);
+    let response;
+
+    try {
+      response = await this.client.post(this.getModelPath(modelId, 'generateContent'), payload, getRequestConfig(options));
+    } catch (error) {
+      throw createProviderError(`Google Gemini API error: ${error.response?.data?.error?.message || error.message}`, { provider: this.name, cause: error });
+    }
+
+    // Thought summaries arrive as text parts marked `thought`
+    const parts = this.getCandidateParts(response.data);
+    const textOf = thought => parts
+      .filter(part => part.text !== undefined && !!part.thought === thought)
+      .map(part => part.text)
+      .join('');
+    return withReasoning({
+      content: textOf(false),
+      toolCalls: this.parseToolCalls(parts),
+      usage: normalizeUsage(response.data.usageMetadata, 'gemini'),
+      model: response.data.modelVersion || modelId
+    }, textOf(true));
+  }
+
+  /**
+   * Stream a conversation from Gemini over server-sent events
+   * @param {string|Array<Object>} messages - User message or provider-neutral message list
+   * @param {Object} options - Additional options, as for `sendMessage`
+   * @returns {AsyncGenerator<Object>} Reasoning, text and tool call deltas followed by a `done` event
+   */
+  async *streamMessage(messages, options = {}) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    const modelId = options.model || this.defaultModel;
+    const payload = this.buildPayload(messages, options);
+    let response;
+
+    try {
+      response = await this.client.post(
+        `${this.getModelPath(modelId, 'streamGenerateContent')}?alt=sse`,
+        payload,
+        getRequestConfig(options, { responseType: 'stream' })
+      );
+    } catch (error) {
+      await readStreamError(error);
+      throw createProviderError(`Google Gemini API error: ${error.response?.data?.error?.message || error.message}`, { provider: this.name, cause: error });
+    }
+
+    let content = '';
+    let reasoning = '';
+    let usage;
+    let model = modelId;
+    const toolCalls = [];
+
+    for await (const { data } of parseSSE(response.data)) {
+      const chunk = JSON.parse(data);
+
+      if (chunk.error) {
+        throw createProviderError(`Google Gemini API error: ${chunk.error.message}`, { provider: this.name, type: chunk.error.status });
+      }
+
+      const parts = this.getCandidateParts(chunk, { allowEmpty: true });
+      for (const part of parts) {
+        if (part.text !== undefined && part.thought) {
+          reasoning += part.text;
+          yield { type: 'reasoning', text: part.text };
+        } else if (part.text !== undefined) {
+          content += part.text;
+          yield { type: 'text', text: part.text };
         }
-      ],
-      parameters: {
+      }
+
+      for (const toolCall of this.parseToolCalls(parts, toolCalls.length)) {
+        toolCalls.push(toolCall);
+        yield { type: 'tool_call', toolCall };
+      }
+
+      usage = chunk.usageMetadata || usage;
+      model = chunk.modelVersion || model;
+    }
+
+    yield withReasoning({ type: 'done', content, toolCalls, usage: normalizeUsage(usage, 'gemini'), model }, reasoning);
+  }
+
+  /**
+   * Read the parts of the first candidate, surfacing safety blocks as errors
+   * @param {Object} data - `generateContent` response or stream chunk
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.allowEmpty=false] - Accept chunks without candidates, as sent mid-stream
+   * @returns {Array<Object>} Content parts
+   * @throws {Error} If the prompt or the reply was blocked
+   */
+  getCandidateParts(data, options = {}) {
+    const blockReason = data.promptFeedback?.blockReason;
+    if (blockReason) {
+      throw createProviderError(`Google Gemini API error: Prompt blocked (${blockReason})`, { provider: this.name });
+    }
+
+    const candidate = data.candidates && data.candidates[0];
+    if (!candidate) {
+      if (options.allowEmpty) {
+        return [];
+      }
+      throw createProviderError('Google Gemini API error: Response contained no candidates', { provider: this.name });
+    }
+
+    const parts = candidate.content?.parts || [];
+    if (parts.length === 0 && ['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII'].includes(candidate.finishReason)) {
+      throw createProviderError(`Google Gemini API error: Response blocked (${candidate.finishReason})`, { provider: this.name });
+    }
+
+    return parts;
+  }
+
+  /**
+   * Read function calls from content parts
+   * @param {Array<Object>} parts - Content parts
+   * @param {number} [offset=0] - Number of calls already seen, used for generated IDs
+   * @returns {Array<Object>} Provider-neutral tool calls
+   */
+  parseToolCalls(parts, offset = 0) {
+    return parts
+      .filter(part => part.functionCall)
+      .map((part, index) => ({
+        id: part.functionCall.id || `call_${offset + index}`,
+        name: part.functionCall.name,
+        arguments: part.functionCall.args || {}
+      }));
+  }
+
+  /**
+   * Build a generateContent request body
+   * @param {string|Array<Object>} messages - User message or provider-neutral message list
+   * @param {Object} options - Request options
+   * @returns {Object} Request payload
+   */
+  buildPayload(messages, options = {}) {
+    const request = normalizeMessages(messages, options);
+    const payload = {
+      contents: this.formatMessages(request.messages),
+      generationConfig: {
         maxOutputTokens: options.maxTokens || 1000,
         temperature: options.temperature || 0.7
       }
     };
 
+    if (request.system) {
+      payload.systemInstruction = { parts: [{ text: request.system }] };
+    }
+
+    if (options.safetySettings) {
+      payload.safetySettings = options.safetySettings;
+    }
+
+    // Thinking tokens count against maxOutputTokens
+    const reasoning = normalizeReasoning(options.reasoning);
+    if (reasoning) {
+      payload.generationConfig.thinkingConfig = { thinkingBudget: reasoning.budgetTokens, includeThoughts: true };
+      payload.generationConfig.maxOutputTokens += reasoning.budgetTokens;
+    }
+
+    const format = normalizeResponseFormat(options.responseFormat);
+    if (format) {
+      payload.generationConfig.responseMimeType = 'application/json';
+      payload.generationConfig.responseSchema = toGeminiSchema(format.schema);
+    }
+
+    const tools = normalizeTools(options.tools);
+    if (tools.length > 0) {
+      payload.tools = [{
+        functionDeclarations: tools.map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }))
+      }];
+
+      const toolChoice = normalizeToolChoice(options.toolChoice, tools);
+      if (typeof toolChoice === 'object') {
+        payload.toolConfig = { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [toolChoice.name] } };
+      } else if (toolChoice) {
+        const modes = { auto: 'AUTO', none: 'NONE', required: 'ANY' };
+        payload.toolConfig = { functionCallingConfig: { mode: modes[toolChoice] } };
+      }
+    }
+
+    return payload;
+  }
+
+  /**
+   * Map provider-neutral messages onto Gemini contents.
+   * Tool results become `functionResponse` parts in user turns and
+   * consecutive turns with the same role are merged.
+   * @param {Array<Object>} messages - Normalized messages without system turns
+   * @returns {Array<Object>} Gemini contents
+   */
+  formatMessages(messages) {
+    const formatted = [];
+    const toolNames = new Map();
+
+    for (const message of messages) {
+      const role = message.role === 'assistant' ? 'model' : 'user';
+      const parts = [];
+
+      if (message.role === 'tool') {
+        parts.push({
+          functionResponse: {
+            name: message.name || toolNames.get(message.toolCallId),
+            response: this.formatToolResponse(message)
+          }
+        });
+      } else {
+        for (const part of getAttachments(message.content)) {
+          parts.push({ inlineData: { mimeType: part.mediaType, data: part.data } });
+        }
+
+        const text = getTextContent(message.content);
+        if (text) {
+          parts.push({ text });
+        }
+
+        for (const toolCall of message.toolCalls || []) {
+          toolNames.set(toolCall.id, toolCall.name);
+          parts.push({ functionCall: { name: toolCall.name, args: toolCall.arguments || {} } });
+        }
+      }
+
+      const previous = formatted[formatted.length - 1];
+      if (previous && previous.role === role) {
+        previous.parts.push(...parts);
+      } else {
+        formatted.push({ role, parts });
+      }
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Wrap a tool result in the object Gemini expects as a function response
+   * @param {Object} message - Tool message
+   * @returns {Object} Function response
+   */
+  formatToolResponse(message) {
+    const text = stringifyToolContent(message.content);
+
+    if (message.isError) {
+      return { error: text };
+    }
+
     try {
-      const response = await this.client.post(
-        `/projects/${this.projectId}/locations/${this.location}/publishers/google/models/${modelId}:predict`,
-        payload
-      );
-      
-      return {
-        content: response.data.predictions[0].candidates[0].content.parts[0].text,
-        usage: response.data.predictions[0].usageMetadata,
-        model: modelId
-      };
+      const parsed = JSON.parse(text);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        return parsed;
+      }
     } catch (error) {
-      throw new Error(`Google Vertex AI API error: ${error.response?.data?.error?.message || error.message}`);
+      // Plain text result
     }
+
+    return { content: text };
   }
 
   /**
@@ -92,7 +406,84 @@ class GoogleProvider {
    * @returns {boolean} True if credentials are available
    */
   isAvailable() {
-    return !!(this.apiKey && this.projectId);
+    return !!(this.credentialsFile || this.apiKey);
+  }
+
+  /**
+   * Embed texts with Vertex AI `predict` or the Gemini API `batchEmbedContents`
+   * @param {string|Array<string>} texts - Text or texts to embed
+   * @param {Object} [options] - Embed options, see `providers/embeddings`
+   * @returns {Promise<Object>} `{ embeddings, model, dimensions, usage }`
+   */
+  async embed(texts, options = {}) {
+    const request = prepareEmbedRequest(texts, options, this);
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    const taskType = options.inputType && EMBED_TASK_TYPES[options.inputType];
+    const batchSize = this.useVertex ? VERTEX_EMBED_BATCH_SIZE : GEMINI_EMBED_BATCH_SIZE;
+
+    try {
+      const { embeddings, usage } = await embedInBatches(request.texts, Math.min(request.maxBatch || batchSize, batchSize), async batch => {
+        if (this.useVertex) {
+          const response = await this.client.post(this.getModelPath(request.model, 'predict'), {
+            instances: batch.map(content => ({ content, ...(taskType ? { task_type: taskType } : {}) })),
+            parameters: { autoTruncate: true, ...(request.dimensions ? { outputDimensionality: request.dimensions } : {}) }
+          }, getRequestConfig(options));
+          const predictions = response.data.predictions || [];
+          return {
+            embeddings: predictions.map(prediction => prediction.embeddings.values),
+            usage: addUsage({
+              inputTokens: predictions.reduce((total, prediction) => total + (prediction.embeddings.statistics?.token_count || 0), 0)
+            })
+          };
+        }
+
+        const response = await this.client.post(this.getModelPath(request.model, 'batchEmbedContents'), {
+          requests: batch.map(text => ({
+            model: `models/${request.model}`,
+            content: { parts: [{ text }] },
+            ...(taskType ? { taskType } : {}),
+            ...(request.dimensions ? { outputDimensionality: request.dimensions } : {})
+          }))
+        }, getRequestConfig(options));
+        // The Gemini API does not report embedding tokens
+        return { embeddings: (response.data.embeddings || []).map(embedding => embedding.values), usage: addUsage() };
+      });
+      return createEmbedResult(embeddings, request.model, usage, request.expected);
+    } catch (error) {
+      throw createProviderError(`Google Gemini API error: ${error.response?.data?.error?.message || error.message}`, { provider: this.name, cause: error });
+    }
+  }
+
+  /**
+   * List the models the API offers. Gemini API models are filtered to those
+   * that generate content; Vertex AI lists Google's publisher models, which
+   * only the `v1beta1` API serves.
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Array<string>>} Model IDs
+   */
+  async listModels(options = {}) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    try {
+      if (this.useVertex) {
+        const url = `${this.baseURL.replace(/\/v1$/, '/v1beta1')}/publishers/google/models`;
+        const response = await this.client.get(url, { params: { pageSize: 1000 }, ...getRequestConfig(options) });
+        return (response.data.publisherModels || []).map(model => model.name.split('/').pop());
+      }
+
+      const response = await this.client.get('/models', { params: { pageSize: 1000 }, ...getRequestConfig(options) });
+      return (response.data.models || [])
+        .filter(model => (model.supportedGenerationMethods || []).includes('generateContent'))
+        .map(model => model.name.replace(/^models\//, ''));
+    } catch (error) {
+      throw createProviderError(`Google Gemini API error: ${error.response?.data?.error?.message || error.message}`, { provider: this.name, cause: error });
+    }
   }
 
   /**
@@ -101,10 +492,9 @@ class GoogleProvider {
    */
   getAvailableModels() {
     return [
-      'gemini-pro',
-      'gemini-pro-vision',
-      'text-bison',
-      'chat-bison'
+      'gemini-1.5-pro',
+      'gemini-1.5-flash',
+      'gemini-2.0-flash'
     ];
   }
 }
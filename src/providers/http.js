@@ -0,0 +1,386 @@
+/**
+ * Provider HTTP Client
+ *
+ * Shared request layer for all providers. Wraps axios with retries for
+ * transient failures: connection resets, timeouts, 5xx responses, rate
+ * limits (429) and Anthropic's overloaded status (529). Delays use
+ * exponential backoff with jitter unless the server says how long to wait
+ * through `retry-after` or the Anthropic/OpenAI rate-limit reset headers.
+ *
+ * Retry settings can be overridden per request by passing `retry` in the
+ * axios request config, and `onRetry` is called before each retry so the
+ * CLI can show progress. Requests go through the active cassette from
+ * `providers/cassette` when one is in use. A request made with an abort
+ * `signal` is cancelled when the signal aborts, including while it waits
+ * to be retried.
+ *
+ * @module providers/http
+ */
+
+const axios = require('axios');
+const { createCassetteAdapter } = require('./cassette');
+
+const DEFAULT_RETRY = {
+  maxRetries: 3,
+  baseDelay: 1000,
+  maxDelay: 30000
+};
+
+const ERROR_CATEGORIES = [
+  'rate_limit', 'overloaded', 'server', 'network', 'timeout',
+  'auth', 'permission', 'context_length', 'invalid_request', 'cancelled', 'unknown'
+];
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 529];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH'];
+
+// Reset headers, as [remaining header, reset header] pairs
+const RATE_LIMIT_HEADERS = [
+  ['anthropic-ratelimit-requests-remaining', 'anthropic-ratelimit-requests-reset'],
+  ['anthropic-ratelimit-tokens-remaining', 'anthropic-ratelimit-tokens-reset'],
+  ['anthropic-ratelimit-input-tokens-remaining', 'anthropic-ratelimit-input-tokens-reset'],
+  ['anthropic-ratelimit-output-tokens-remaining', 'anthropic-ratelimit-output-tokens-reset'],
+  ['x-ratelimit-remaining-requests', 'x-ratelimit-reset-requests'],
+  ['x-ratelimit-remaining-tokens', 'x-ratelimit-reset-tokens']
+];
+
+/**
+ * Read a response header regardless of the header object's shape
+ * @param {Object} headers - Axios response headers
+ * @param {string} name - Lower-case header name
+ * @returns {string|undefined} Header value
+ * @private
+ */
+function getHeader(headers, name) {
+  if (!headers) {
+    return undefined;
+  }
+  const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+  return value === null || value === undefined ? undefined : String(value);
+}
+
+/**
+ * Parse a rate-limit reset value into milliseconds from now. Anthropic sends
+ * RFC 3339 timestamps; OpenAI sends durations such as `1s`, `6m0s` or `20ms`.
+ * @param {string} value - Header value
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {number|undefined} Milliseconds to wait
+ */
+function parseResetHeader(value, now = Date.now()) {
+  if (!value) {
+    return undefined;
+  }
+
+  const duration = value.match(/^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m(?!s))?(?:(\d+(?:\.\d+)?)s)?(?:(\d+(?:\.\d+)?)ms)?$/);
+  if (duration) {
+    const [, hours = 0, minutes = 0, seconds = 0, millis = 0] = duration;
+    return Math.ceil(hours * 3600000 + minutes * 60000 + seconds * 1000 + Number(millis));
+  }
+
+  const timestamp = Date.parse(value);
+  return Number.isNaN(timestamp) ? undefined : Math.max(0, timestamp - now);
+}
+
+/**
+ * Work out how long the server asked the client to wait
+ * @param {Object} headers - Response headers
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {number|undefined} Milliseconds to wait, or undefined if the server did not say
+ */
+function getServerDelay(headers, now = Date.now()) {
+  const retryAfterMs = getHeader(headers, 'retry-after-ms');
+  if (retryAfterMs && !Number.isNaN(Number(retryAfterMs))) {
+    return Number(retryAfterMs);
+  }
+
+  const retryAfter = getHeader(headers, 'retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) {
+      return seconds * 1000;
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - now);
+    }
+  }
+
+  // Wait for the exhausted limit to reset; the others do not block the retry
+  const delays = RATE_LIMIT_HEADERS
+    .filter(([remaining]) => getHeader(headers, remaining) === '0')
+    .map(([, reset]) => parseResetHeader(getHeader(headers, reset), now))
+    .filter(delay => delay !== undefined);
+
+  return delays.length > 0 ? Math.max(...delays) : undefined;
+}
+
+/**
+ * Exponential backoff with jitter: half the delay is fixed and half random
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {Object} settings - Retry settings
+ * @param {Function} [random=Math.random] - Random number source
+ * @returns {number} Milliseconds to wait
+ */
+function getBackoffDelay(attempt, settings, random = Math.random) {
+  const delay = Math.min(settings.maxDelay, settings.baseDelay * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + random() * delay / 2);
+}
+
+/**
+ * Decide whether a failed request should be retried
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for transient failures
+ */
+function isRetryableError(error) {
+  const response = error.response;
+
+  if (response) {
+    // Anthropic and OpenAI tell clients directly whether a retry can succeed
+    const shouldRetry = getHeader(response.headers, 'x-should-retry');
+    if (shouldRetry === 'true' || shouldRetry === 'false') {
+      return shouldRetry === 'true';
+    }
+    return RETRYABLE_STATUSES.includes(response.status);
+  }
+
+  return RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * The error an aborted signal stands for. Node 16 signals have no `reason`,
+ * so an `AbortError` is made in its place.
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {Error} Abort reason
+ */
+function getAbortReason(signal) {
+  if (signal.reason !== undefined) {
+    return signal.reason;
+  }
+
+  const error = new Error('This operation was aborted');
+  error.name = 'AbortError';
+  error.code = 'ABORT_ERR';
+  return error;
+}
+
+/**
+ * Throw the abort reason of an aborted signal, like
+ * `AbortSignal#throwIfAborted` on the Node versions that have it
+ * @param {AbortSignal} [signal] - Abort signal
+ * @throws {Error} The signal's abort reason, if it has aborted
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw getAbortReason(signal);
+  }
+}
+
+/**
+ * Check whether an error comes from aborting a request's signal
+ * @param {Error} error - Error thrown by axios or `throwIfAborted`
+ * @returns {boolean} True for axios cancellations and `AbortError`s
+ */
+function isCancellation(error) {
+  return !!error && (error.code === 'ERR_CANCELED' || error.name === 'AbortError' || error.name === 'CanceledError');
+}
+
+/**
+ * Wait before a retry, stopping early when the request is aborted
+ * @param {number} delay - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Request abort signal
+ * @returns {Promise<void>} Resolves after the delay
+ * @throws {Error} The signal's abort reason, if it aborts first
+ * @private
+ */
+function waitForRetry(delay, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(getAbortReason(signal));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(getAbortReason(signal));
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, delay);
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Describe why a request is being retried
+ * @param {Error} error - Axios error
+ * @returns {string} Short reason, e.g. `Rate limited (429)`
+ * @private
+ */
+function describeFailure(error) {
+  const status = error.response && error.response.status;
+  if (status === 429) {
+    return 'Rate limited (429)';
+  }
+  if (status === 529) {
+    return 'Provider overloaded (529)';
+  }
+  if (status) {
+    return `Server error (${status})`;
+  }
+  return `Connection error (${error.code})`;
+}
+
+/**
+ * Classify a provider error by what went wrong. Errors from `providers/errors`
+ * carry their category; for other errors the `cause` chain is followed to
+ * find the HTTP status or connection error code.
+ *
+ * @param {Error} error - Error thrown by a provider or the HTTP client
+ * @returns {string} One of `ERROR_CATEGORIES`
+ *
+ * @example
+ * classifyError(new Error('Anthropic API error: Overloaded', { cause: axiosError })); // 'overloaded'
+ */
+function classifyError(error) {
+  let current = error;
+  while (current && !current.category && !current.response && !current.code && current.cause) {
+    current = current.cause;
+  }
+
+  if (!current) {
+    return 'unknown';
+  }
+  if (ERROR_CATEGORIES.includes(current.category)) {
+    return current.category;
+  }
+  if (isCancellation(current)) {
+    return 'cancelled';
+  }
+
+  const status = current.response && current.response.status;
+  if (status) {
+    if (status === 429) {
+      return 'rate_limit';
+    }
+    if (status === 529 || status === 503) {
+      return 'overloaded';
+    }
+    if (status === 401) {
+      return 'auth';
+    }
+    if (status === 403) {
+      return 'permission';
+    }
+    if (status === 408) {
+      return 'timeout';
+    }
+    return status >= 500 ? 'server' : 'invalid_request';
+  }
+
+  if (['ECONNABORTED', 'ETIMEDOUT'].includes(current.code)) {
+    return 'timeout';
+  }
+  if (['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH'].includes(current.code)) {
+    return 'network';
+  }
+
+  return 'unknown';
+}
+
+/**
+ * Create an axios instance that retries transient failures
+ *
+ * @param {Object} axiosConfig - Options for `axios.create`
+ * @param {Object} [retry] - Default retry settings
+ * @param {number} [retry.maxRetries=3] - Retries after the first attempt
+ * @param {number} [retry.baseDelay=1000] - Delay before the first retry in milliseconds
+ * @param {number} [retry.maxDelay=30000] - Longest delay; a server asking for longer is not retried
+ * @param {Function} [retry.onRetry] - Called with `{ attempt, maxRetries, delay, reason, error }`
+ * @returns {Object} Axios instance
+ *
+ * @example
+ * this.client = createHttpClient({ baseURL: this.baseURL, headers });
+ * await this.client.post('/messages', payload, { retry: { maxRetries: 5 }, onRetry: info => spinner.text = info.reason });
+ */
+function createHttpClient(axiosConfig, retry = {}) {
+  const client = axios.create({ ...axiosConfig, adapter: createCassetteAdapter(axiosConfig.adapter) });
+  const defaults = { ...DEFAULT_RETRY, ...retry };
+
+  client.interceptors.response.use(null, async error => {
+    const config = error.config;
+    if (!config || !isRetryableError(error)) {
+      throw error;
+    }
+
+    const settings = { ...defaults, ...(config.retry || {}) };
+    const attempt = (config.retryAttempt || 0) + 1;
+    if (attempt > settings.maxRetries) {
+      throw error;
+    }
+
+    const serverDelay = error.response ? getServerDelay(error.response.headers) : undefined;
+    if (serverDelay !== undefined && serverDelay > settings.maxDelay) {
+      throw error;
+    }
+
+    const delay = serverDelay !== undefined ? serverDelay : getBackoffDelay(attempt, settings);
+    const onRetry = config.onRetry || settings.onRetry;
+    if (onRetry) {
+      onRetry({ attempt, maxRetries: settings.maxRetries, delay, reason: describeFailure(error), error });
+    }
+
+    // Release the socket held by an unread streamed error body
+    if (error.response && error.response.data && typeof error.response.data.destroy === 'function') {
+      error.response.data.destroy();
+    }
+
+    await waitForRetry(delay, config.signal);
+    config.retryAttempt = attempt;
+    return client.request(config);
+  });
+
+  return client;
+}
+
+/**
+ * Pick the per-request HTTP settings out of provider call options
+ * @param {Object} options - Options passed to `sendMessage`/`streamMessage`
+ * @param {Object} [config] - Other axios request config, e.g. `responseType`
+ * @returns {Object|undefined} Axios request config, or undefined when empty
+ */
+function getRequestConfig(options = {}, config = {}) {
+  const requestConfig = { ...config };
+
+  if (options.retry) {
+    requestConfig.retry = options.retry;
+  }
+  if (options.onRetry) {
+    requestConfig.onRetry = options.onRetry;
+  }
+  if (options.signal) {
+    requestConfig.signal = options.signal;
+  }
+
+  return Object.keys(requestConfig).length > 0 ? requestConfig : undefined;
+}
+
+module.exports = {
+  DEFAULT_RETRY,
+  ERROR_CATEGORIES,
+  createHttpClient,
+  classifyError,
+  getRequestConfig,
+  getAbortReason,
+  throwIfAborted,
+  isCancellation,
+  isRetryableError,
+  getServerDelay,
+  getBackoffDelay,
+  parseResetHeader
+};
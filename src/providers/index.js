@@ -7,11 +7,8 @@
  * @module providers/index
  */
 
-const AnthropicProvider = require('./anthropic');
-const OpenAIProvider = require('./openai');
-const AWSProvider = require('./aws');
-const GoogleProvider = require('./google');
-const OllamaProvider = require('./ollama');
+const OpenAICompatibleProvider = require('./openai-compatible');
+const { BUILT_IN_PROVIDERS, createBuiltInProvider, discoverProviderPlugins } = require('./registry');
 
 /**
  * ProviderManager class
@@ -31,11 +28,9 @@ class ProviderManager {
    * @private
    */
   _initializeProviders() {
-    this.providers.set('anthropic', new AnthropicProvider());
-    this.providers.set('openai', new OpenAIProvider());
-    this.providers.set('aws', new AWSProvider());
-    this.providers.set('google', new GoogleProvider());
-    this.providers.set('ollama', new OllamaProvider());
+    for (const providerName of BUILT_IN_PROVIDERS) {
+      this.providers.set(providerName, createBuiltInProvider(providerName));
+    }
   }
 
   /**
@@ -63,7 +58,7 @@ class ProviderManager {
    *
    * @example
    * const providers = providerManager.listProviders();
-   * // ['anthropic', 'openai', 'aws', 'google', 'ollama']
+   * // ['anthropic', 'openai', 'azure', 'aws', 'google', 'ollama']
    */
   listProviders() {
     return Array.from(this.providers.keys());
@@ -78,6 +73,110 @@ class ProviderManager {
   hasProvider(providerName) {
     return this.providers.has(providerName.toLowerCase());
   }
+
+  /**
+   * Resolve an ordered list of provider/model pairs, as used for fallback chains.
+   * Repeated pairs are dropped so a provider is not tried twice with the same model.
+   *
+   * @param {Array<{provider: string, model: (string|undefined)}>} entries - Pairs in the order to try them
+   * @returns {Array<{providerName: string, provider: Object, model: (string|undefined)}>} Resolved chain
+   * @throws {Error} If a provider is not found
+   *
+   * @example
+   * providerManager.getProviderChain([
+   *   { provider: 'anthropic', model: 'claude-3-5-sonnet-20241022' },
+   *   { provider: 'ollama', model: 'llama3.1' }
+   * ]);
+   */
+  getProviderChain(entries) {
+    const seen = new Set();
+    const chain = [];
+
+    for (const entry of entries) {
+      const provider = this.getProvider(entry.provider);
+      const key = `${provider.name}\u0000${entry.model || ''}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        chain.push({ providerName: provider.name, provider, model: entry.model });
+      }
+    }
+
+    return chain;
+  }
+
+  /**
+   * Register a provider under a name
+   *
+   * @param {string} providerName - Name to register the provider under
+   * @param {Object} provider - Provider instance
+   * @throws {Error} If the name belongs to a built-in provider
+   */
+  registerProvider(providerName, provider) {
+    const name = providerName.toLowerCase();
+    if (BUILT_IN_PROVIDERS.includes(name)) {
+      throw new Error(`Provider '${providerName}' is built in and cannot be replaced`);
+    }
+    this.providers.set(name, provider);
+  }
+
+  /**
+   * Create a provider from a `providers` configuration entry
+   *
+   * @param {string} providerName - Name from the configuration file
+   * @param {Object} settings - Provider settings
+   * @param {string} settings.type - Provider type; only `openai-compatible` is supported
+   * @returns {Object} Provider instance
+   * @throws {Error} If the type is unknown
+   */
+  createProvider(providerName, settings) {
+    switch (settings && settings.type) {
+      case 'openai-compatible':
+        return new OpenAICompatibleProvider(providerName.toLowerCase(), settings);
+      default:
+        throw new Error(`Unknown type '${settings && settings.type}' for provider '${providerName}'. Supported types: openai-compatible`);
+    }
+  }
+
+  /**
+   * Register every provider in a `providers` configuration section.
+   * The same type can be registered several times under different names.
+   *
+   * @param {Object<string, Object>} [providers] - Provider names mapped to settings
+   * @returns {string[]} Names of the registered providers
+   *
+   * @example
+   * providerManager.registerConfiguredProviders({
+   *   lmstudio: { type: 'openai-compatible', baseURL: 'http://localhost:1234/v1' }
+   * });
+   */
+  registerConfiguredProviders(providers) {
+    return Object.entries(providers || {}).map(([providerName, settings]) => {
+      this.registerProvider(providerName, this.createProvider(providerName, settings));
+      return providerName.toLowerCase();
+    });
+  }
+
+  /**
+   * Register the provider plugins found in a project's `.sheikh/providers`
+   * directory and `sheikh-provider-*` packages. Plugins that are already
+   * registered are skipped.
+   *
+   * @param {string} [cwd=process.cwd()] - Project directory
+   * @returns {string[]} Names of the plugin providers
+   * @throws {Error} If a plugin cannot be loaded or breaks the plugin contract
+   *
+   * @example
+   * providerManager.registerPluginProviders();
+   * // ['gateway']
+   */
+  registerPluginProviders(cwd) {
+    return discoverProviderPlugins(cwd).map(({ name, provider }) => {
+      if (this.providers.get(name) !== provider) {
+        this.registerProvider(name, provider);
+      }
+      return name;
+    });
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,143 @@
+/**
+ * Provider Message Contract
+ *
+ * Defines the provider-neutral message list accepted by every provider's
+ * `sendMessage`. Providers map it onto their own wire formats.
+ *
+ * A message is `{ role, content }` where `role` is one of `system`, `user`,
+ * `assistant` or `tool` and `content` is a string or an array of parts:
+ * `{ type: 'text', text }`, or in user turns an attachment,
+ * `{ type: 'image', mediaType, data, name }` or
+ * `{ type: 'document', mediaType, data, name }` with base64 `data`
+ * (see `utils/attachments`). Assistant messages may carry `toolCalls`
+ * (`[{ id, name, arguments }]`) and tool messages carry the `toolCallId` and
+ * `name` of the call they answer. Assistant messages may also carry the
+ * `reasoningDetails` of the response they repeat (`[{ text, signature }]` or
+ * `[{ redacted }]`), which providers that sign their reasoning need back
+ * while a tool loop continues.
+ *
+ * A message with `cache: true` ends a prefix of the conversation that the
+ * provider may keep in its prompt cache, such as a long system prompt that
+ * is resent every turn. Providers with the `caching` capability turn it into
+ * a cache breakpoint; others ignore it.
+ *
+ * @module providers/messages
+ */
+
+const ROLES = ['system', 'user', 'assistant', 'tool'];
+const ATTACHMENT_TYPES = ['image', 'document'];
+
+/**
+ * Normalize provider input into a system prompt and a list of turns. The
+ * system prompt is also returned as `systemBlocks`, one `{ text, cache }`
+ * block per system message, for providers that place cache breakpoints.
+ *
+ * @param {string|Array<Object>} input - A single user message or a message list
+ * @param {Object} [options] - Request options
+ * @param {string} [options.system] - System prompt prepended to any system messages
+ * @returns {{system: (string|undefined), systemBlocks: Array<Object>, messages: Array<Object>}} Normalized request
+ * @throws {Error} If a message has an unknown role or no conversation turns remain
+ *
+ * @example
+ * normalizeMessages('Hello', { system: 'Be brief' });
+ * // { system: 'Be brief', messages: [{ role: 'user', content: 'Hello' }] }
+ */
+function normalizeMessages(input, options = {}) {
+  const list = typeof input === 'string' ? [{ role: 'user', content: input }] : input;
+
+  if (!Array.isArray(list)) {
+    throw new Error('Messages must be a string or an array of messages');
+  }
+
+  const systemBlocks = options.system ? [{ text: options.system, cache: false }] : [];
+  const messages = [];
+
+  for (const message of list) {
+    if (!message || !ROLES.includes(message.role)) {
+      throw new Error(`Invalid message role: ${message && message.role}. Must be one of: ${ROLES.join(', ')}`);
+    }
+
+    if (message.role === 'system') {
+      systemBlocks.push({ text: getTextContent(message.content), cache: !!message.cache });
+      continue;
+    }
+
+    if (message.role === 'tool' && !message.toolCallId) {
+      throw new Error('Tool messages require a toolCallId');
+    }
+
+    messages.push(message);
+  }
+
+  if (messages.length === 0) {
+    throw new Error('At least one user, assistant or tool message is required');
+  }
+
+  return {
+    system: systemBlocks.length > 0 ? systemBlocks.map(block => block.text).join('\n\n') : undefined,
+    systemBlocks,
+    messages
+  };
+}
+
+/**
+ * Flatten message content into plain text
+ *
+ * @param {string|Array<Object>} content - Message content
+ * @returns {string} Text content
+ */
+function getTextContent(content) {
+  if (content === undefined || content === null) {
+    return '';
+  }
+
+  if (typeof content === 'string') {
+    return content;
+  }
+
+  if (Array.isArray(content)) {
+    return content
+      .filter(part => part && part.type === 'text')
+      .map(part => part.text)
+      .join('');
+  }
+
+  return String(content);
+}
+
+/**
+ * List the image and document parts of message content
+ *
+ * @param {string|Array<Object>} content - Message content
+ * @returns {Array<Object>} Attachment parts, in order
+ */
+function getAttachments(content) {
+  if (!Array.isArray(content)) {
+    return [];
+  }
+
+  return content.filter(part => part && ATTACHMENT_TYPES.includes(part.type));
+}
+
+/**
+ * Serialize tool output into the string form most wire formats expect
+ *
+ * @param {*} content - Tool result content
+ * @returns {string} Serialized result
+ */
+function stringifyToolContent(content) {
+  if (typeof content === 'string' || Array.isArray(content)) {
+    return getTextContent(content);
+  }
+
+  return JSON.stringify(content === undefined ? null : content);
+}
+
+module.exports = {
+  ROLES,
+  ATTACHMENT_TYPES,
+  normalizeMessages,
+  getTextContent,
+  getAttachments,
+  stringifyToolContent
+};
@@ -0,0 +1,139 @@
+/**
+ * Model Catalog
+ *
+ * Context window and output token limits for the models each provider
+ * offers, the `attachments` (`image`, `document`) each model can read,
+ * whether it takes `reasoning` options, and `structured: false` for models
+ * of a `structured` provider that reject its native JSON mode. Used to keep
+ * conversations within a model's context window.
+ *
+ * Versioned or tagged IDs resolve to their base model: `gpt-4-turbo-2024-04-09`
+ * uses the `gpt-4-turbo` entry, Ollama's `llama3.1:8b` uses `llama3.1` and
+ * Bedrock's cross-region `us.anthropic...` IDs use the `anthropic...` entry.
+ * Models that are not listed, such as those served by OpenAI-compatible
+ * servers, can be described in the `modelLimits` configuration section.
+ *
+ * @module providers/models
+ */
+
+/**
+ * Limits used for models that are not in the catalog. Deliberately small so
+ * that an unknown model is trimmed early rather than overflowing.
+ */
+const DEFAULT_LIMITS = {
+  contextWindow: 8192,
+  maxOutput: 4096
+};
+
+const MODEL_CATALOG = {
+  // Anthropic
+  'claude-3-5-sonnet-20241022': { contextWindow: 200000, maxOutput: 8192, attachments: ['image', 'document'] },
+  'claude-3-5-haiku-20241022': { contextWindow: 200000, maxOutput: 8192, attachments: ['image', 'document'] },
+  'claude-3-opus-20240229': { contextWindow: 200000, maxOutput: 4096, attachments: ['image'] },
+  'claude-3-sonnet-20240229': { contextWindow: 200000, maxOutput: 4096, attachments: ['image'] },
+  'claude-3-haiku-20240307': { contextWindow: 200000, maxOutput: 4096, attachments: ['image'] },
+  'claude-3-7-sonnet-20250219': { contextWindow: 200000, maxOutput: 64000, attachments: ['image', 'document'], reasoning: true },
+  'claude-sonnet-4-20250514': { contextWindow: 200000, maxOutput: 64000, attachments: ['image', 'document'], reasoning: true },
+  'claude-opus-4-20250514': { contextWindow: 200000, maxOutput: 32000, attachments: ['image', 'document'], reasoning: true },
+
+  // OpenAI
+  'gpt-4': { contextWindow: 8192, maxOutput: 8192, structured: false },
+  'gpt-4-turbo': { contextWindow: 128000, maxOutput: 4096, attachments: ['image'], structured: false },
+  'gpt-4o': { contextWindow: 128000, maxOutput: 16384, attachments: ['image', 'document'] },
+  'gpt-4o-mini': { contextWindow: 128000, maxOutput: 16384, attachments: ['image', 'document'] },
+  'gpt-3.5-turbo': { contextWindow: 16385, maxOutput: 4096, structured: false },
+  'gpt-3.5-turbo-16k': { contextWindow: 16385, maxOutput: 4096, structured: false },
+  'o1': { contextWindow: 200000, maxOutput: 100000, attachments: ['image'], reasoning: true },
+  'o3-mini': { contextWindow: 200000, maxOutput: 100000, reasoning: true },
+  'o4-mini': { contextWindow: 200000, maxOutput: 100000, attachments: ['image'], reasoning: true },
+
+  // AWS Bedrock
+  'anthropic.claude-3-sonnet-20240229-v1:0': { contextWindow: 200000, maxOutput: 4096, attachments: ['image', 'document'] },
+  'anthropic.claude-3-haiku-20240307-v1:0': { contextWindow: 200000, maxOutput: 4096, attachments: ['image', 'document'] },
+  'anthropic.claude-3-opus-20240229-v1:0': { contextWindow: 200000, maxOutput: 4096, attachments: ['image', 'document'] },
+  'anthropic.claude-3-5-sonnet-20241022-v2:0': { contextWindow: 200000, maxOutput: 8192, attachments: ['image', 'document'] },
+  'anthropic.claude-3-7-sonnet-20250219-v1:0': { contextWindow: 200000, maxOutput: 64000, attachments: ['image', 'document'], reasoning: true },
+
+  // Google
+  'gemini-1.5-pro': { contextWindow: 2097152, maxOutput: 8192, attachments: ['image', 'document'] },
+  'gemini-1.5-flash': { contextWindow: 1048576, maxOutput: 8192, attachments: ['image', 'document'] },
+  'gemini-2.0-flash': { contextWindow: 1048576, maxOutput: 8192, attachments: ['image', 'document'] },
+  'gemini-2.5-pro': { contextWindow: 1048576, maxOutput: 65536, attachments: ['image', 'document'], reasoning: true },
+  'gemini-2.5-flash': { contextWindow: 1048576, maxOutput: 65536, attachments: ['image', 'document'], reasoning: true },
+  'gemini-pro-vision': { contextWindow: 12288, maxOutput: 4096, attachments: ['image'] },
+
+  // Ollama, at each model's native context length
+  'llama2': { contextWindow: 4096, maxOutput: 4096 },
+  'codellama': { contextWindow: 16384, maxOutput: 4096 },
+  'mistral': { contextWindow: 32768, maxOutput: 4096 },
+  'llama3': { contextWindow: 8192, maxOutput: 4096 },
+  'llama3.1': { contextWindow: 131072, maxOutput: 4096 },
+  'llava': { contextWindow: 4096, maxOutput: 4096, attachments: ['image'] },
+  'llama3.2-vision': { contextWindow: 131072, maxOutput: 4096, attachments: ['image'] },
+  'deepseek-r1': { contextWindow: 131072, maxOutput: 4096, reasoning: true },
+  'qwq': { contextWindow: 40960, maxOutput: 4096, reasoning: true }
+};
+
+/**
+ * Find the entry for a model ID in a table keyed by model, resolving
+ * versioned, tagged and cross-region IDs to their base model
+ * @param {string} modelId - Model ID
+ * @param {Object} table - Model IDs mapped to entries
+ * @returns {Object|undefined} Entry
+ */
+function findModelEntry(modelId, table) {
+  const candidates = [
+    modelId,
+    modelId.replace(/:latest$/, ''),
+    modelId.replace(/^[a-z]{2}\./, ''),
+    modelId.replace(/:[^:]+$/, '')
+  ];
+
+  for (const candidate of candidates) {
+    if (table[candidate]) {
+      return table[candidate];
+    }
+  }
+
+  // Dated or suffixed versions of a listed model, preferring the longest match
+  const base = Object.keys(table)
+    .filter(id => modelId.startsWith(`${id}-`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return base ? table[base] : undefined;
+}
+
+/**
+ * Look up a model's context window and output limit
+ *
+ * @param {string} [modelId] - Model ID
+ * @param {Object} [overrides] - `modelLimits` configuration section, model IDs mapped to limits
+ * @returns {{contextWindow: number, maxOutput: number, attachments: (string[]|undefined), reasoning: (boolean|undefined),
+ *   structured: (boolean|undefined), known: boolean}} Limits; `known` is false for the fallback limits, and models
+ *   without `attachments` read text only
+ *
+ * @example
+ * getModelLimits('gpt-4-turbo-2024-04-09');
+ * // { contextWindow: 128000, maxOutput: 4096, attachments: ['image'], structured: false, known: true }
+ */
+function getModelLimits(modelId, overrides = {}) {
+  if (!modelId) {
+    return { ...DEFAULT_LIMITS, known: false };
+  }
+
+  // Overrides replace single fields, so a catalog model keeps its attachments when only its window is changed
+  const override = findModelEntry(modelId, overrides || {});
+  const entry = findModelEntry(modelId, MODEL_CATALOG);
+  if (!override && !entry) {
+    return { ...DEFAULT_LIMITS, known: false };
+  }
+
+  return { ...DEFAULT_LIMITS, ...entry, ...override, known: true };
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  MODEL_CATALOG,
+  findModelEntry,
+  getModelLimits
+};
@@ -6,7 +6,15 @@
  * @module providers/ollama
  */
 
-const axios = require('axios');
+const { createHttpClient, getRequestConfig } = require('./http');
+const { createProviderError } = require('./errors');
+const { normalizeUsage, addUsage } = require('./usage');
+const { normalizeMessages, getTextContent, getAttachments, stringifyToolContent } = require('./messages');
+const { parseNDJSON, readStreamError } = require('./streaming');
+const { normalizeTools, parseToolArguments } = require('./tools');
+const { normalizeResponseFormat } = require('./structured');
+const { prepareEmbedRequest, embedInBatches, createEmbedResult } = require('./embeddings');
+const { normalizeReasoning, withReasoning } = require('./reasoning');
 
 /**
  * OllamaProvider class
@@ -16,6 +24,9 @@ class OllamaProvider {
   constructor() {
     this.name = 'ollama';
     this.baseURL = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
+    this.defaultModel = 'llama2';
+    this.defaultEmbeddingModel = 'nomic-embed-text';
+    this.capabilities = ['streaming', 'tools', 'structured', 'embeddings', 'reasoning'];
     this.client = null;
   }
 
@@ -24,7 +35,7 @@ class OllamaProvider {
    * @returns {Promise<boolean>} True if initialized successfully
    */
   async initialize() {
-    this.client = axios.create({
+    this.client = createHttpClient({
       baseURL: this.baseURL,
       headers: {
         'Content-Type': 'application/json'
@@ -36,25 +47,112 @@ class OllamaProvider {
       await this.client.get('/api/tags');
       return true;
     } catch (error) {
-      throw new Error('Ollama is not running or not accessible. Please start Ollama and ensure it\'s running on the correct port.');
+      throw createProviderError('Ollama is not running or not accessible. Please start Ollama and ensure it\'s running on the correct port.', {
+        provider: this.name,
+        cause: error
+      });
     }
   }
 
   /**
-   * Send a message to Ollama
-   * @param {string} message - Message to send
+   * Send a conversation to Ollama
+   * @param {string|Array<Object>} messages - User message or provider-neutral message list
    * @param {Object} options - Additional options
+   * @param {string} [options.system] - System prompt
+   * @param {Array<Object>} [options.tools] - Provider-neutral tool definitions
+   * @param {Object} [options.responseFormat] - JSON reply format, see `providers/structured`
+   * @param {string|Object} [options.reasoning] - Turns on thinking for thinking models, see `providers/reasoning`
    * @returns {Promise<Object>} Response from Ollama
    */
-  async sendMessage(message, options = {}) {
+  async sendMessage(messages, options = {}) {
     if (!this.client) {
       await this.initialize();
     }
 
-    const model = options.model || 'llama2';
+    const model = options.model || this.defaultModel;
+    const payload = this.buildPayload(messages, options);
+
+    try {
+      const response = await this.client.post('/api/chat', payload, getRequestConfig(options));
+      return withReasoning({
+        content: response.data.message?.content || '',
+        toolCalls: this.parseToolCalls(response.data.message),
+        usage: this.getUsage(response.data),
+        model: model
+      }, response.data.message?.thinking);
+    } catch (error) {
+      throw createProviderError(`Ollama API error: ${error.response?.data?.error || error.message}`, { provider: this.name, cause: error });
+    }
+  }
+
+  /**
+   * Stream a conversation from Ollama as newline-delimited JSON
+   * @param {string|Array<Object>} messages - User message or provider-neutral message list
+   * @param {Object} options - Additional options, as for `sendMessage`
+   * @returns {AsyncGenerator<Object>} Reasoning, text and tool call deltas followed by a `done` event
+   */
+  async *streamMessage(messages, options = {}) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    const model = options.model || this.defaultModel;
+    const payload = { ...this.buildPayload(messages, options), stream: true };
+    let response;
+
+    try {
+      response = await this.client.post('/api/chat', payload, getRequestConfig(options, { responseType: 'stream' }));
+    } catch (error) {
+      await readStreamError(error);
+      throw createProviderError(`Ollama API error: ${error.response?.data?.error || error.message}`, { provider: this.name, cause: error });
+    }
+
+    let content = '';
+    let reasoning = '';
+    let usage = normalizeUsage(null, 'ollama');
+    const toolCalls = [];
+
+    for await (const chunk of parseNDJSON(response.data)) {
+      if (chunk.error) {
+        throw createProviderError(`Ollama API error: ${chunk.error}`, { provider: this.name });
+      }
+
+      const thinking = chunk.message && chunk.message.thinking;
+      if (thinking) {
+        reasoning += thinking;
+        yield { type: 'reasoning', text: thinking };
+      }
+
+      const text = chunk.message && chunk.message.content;
+      if (text) {
+        content += text;
+        yield { type: 'text', text };
+      }
+
+      // Ollama sends each tool call complete, in a single chunk
+      for (const toolCall of this.parseToolCalls(chunk.message, toolCalls.length)) {
+        toolCalls.push(toolCall);
+        yield { type: 'tool_call', toolCall };
+      }
+
+      if (chunk.done) {
+        usage = this.getUsage(chunk);
+      }
+    }
+
+    yield withReasoning({ type: 'done', content, toolCalls, usage, model }, reasoning);
+  }
+
+  /**
+   * Build an `/api/chat` request body
+   * @param {string|Array<Object>} messages - User message or provider-neutral message list
+   * @param {Object} options - Request options
+   * @returns {Object} Request payload
+   */
+  buildPayload(messages, options = {}) {
     const payload = {
-      model: model,
-      prompt: message,
+      model: options.model || this.defaultModel,
+      messages: this.formatMessages(normalizeMessages(messages, options)),
       stream: false,
       options: {
         temperature: options.temperature || 0.7,
@@ -62,20 +160,109 @@ class OllamaProvider {
       }
     };
 
-    try {
-      const response = await this.client.post('/api/generate', payload);
-      return {
-        content: response.data.response,
-        usage: {
-          prompt_tokens: response.data.prompt_eval_count || 0,
-          completion_tokens: response.data.eval_count || 0,
-          total_tokens: (response.data.prompt_eval_count || 0) + (response.data.eval_count || 0)
-        },
-        model: model
+    // Ollama has no thinking budget; `think` turns thinking on and the budget only raises the output limit
+    const reasoning = normalizeReasoning(options.reasoning);
+    if (reasoning) {
+      payload.think = true;
+      payload.options.num_predict += reasoning.budgetTokens;
+    }
+
+    // Ollama has no tool choice; tools are offered and the model decides
+    const tools = normalizeTools(options.tools);
+    if (tools.length > 0) {
+      payload.tools = tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }
+      }));
+    }
+
+    const format = normalizeResponseFormat(options.responseFormat);
+    if (format) {
+      payload.format = format.schema;
+    }
+
+    return payload;
+  }
+
+  /**
+   * Read tool calls from an Ollama message. Ollama does not always assign
+   * call IDs, so missing ones are generated from the call's position.
+   * @param {Object} [message] - Response message
+   * @param {number} [offset] - Number of calls already received in this reply
+   * @returns {Array<Object>} Provider-neutral tool calls
+   */
+  parseToolCalls(message, offset = 0) {
+    const toolCalls = (message && message.tool_calls) || [];
+
+    return toolCalls.map((toolCall, index) => ({
+      id: toolCall.id || `call_${offset + index}`,
+      name: toolCall.function.name,
+      arguments: parseToolArguments(toolCall.function.arguments)
+    }));
+  }
+
+  /**
+   * Build a usage object from Ollama's evaluation counters
+   * @param {Object} data - Final response body
+   * @returns {Object} Provider-neutral usage
+   */
+  getUsage(data) {
+    return normalizeUsage(data, 'ollama');
+  }
+
+  /**
+   * Map a normalized request onto `/api/chat` messages
+   * @param {{system: (string|undefined), messages: Array<Object>}} request - Normalized request
+   * @returns {Array<Object>} Ollama messages
+   */
+  formatMessages(request) {
+    const formatted = [];
+
+    if (request.system) {
+      formatted.push({ role: 'system', content: request.system });
+    }
+
+    for (const message of request.messages) {
+      if (message.role === 'tool') {
+        formatted.push({
+          role: 'tool',
+          tool_name: message.name,
+          content: stringifyToolContent(message.content)
+        });
+        continue;
+      }
+
+      const entry = {
+        role: message.role,
+        content: getTextContent(message.content)
       };
-    } catch (error) {
-      throw new Error(`Ollama API error: ${error.response?.data?.error || error.message}`);
+
+      // Ollama takes images as a list of base64 strings and has no document input
+      const attachments = getAttachments(message.content);
+      if (attachments.some(part => part.type !== 'image')) {
+        throw new Error('Ollama does not accept document attachments; attach images only');
+      }
+      if (attachments.length > 0) {
+        entry.images = attachments.map(part => part.data);
+      }
+
+      if (message.role === 'assistant' && message.toolCalls && message.toolCalls.length > 0) {
+        entry.tool_calls = message.toolCalls.map(toolCall => ({
+          function: {
+            name: toolCall.name,
+            arguments: toolCall.arguments || {}
+          }
+        }));
+      }
+
+      formatted.push(entry);
     }
+
+    return formatted;
   }
 
   /**
@@ -85,12 +272,12 @@ class OllamaProvider {
   async isAvailable() {
     try {
       if (!this.client) {
-        this.client = axios.create({
+        this.client = createHttpClient({
           baseURL: this.baseURL,
           timeout: 5000
         });
       }
-      await this.client.get('/api/tags');
+      await this.client.get('/api/tags', { retry: { maxRetries: 0 } });
       return true;
     } catch (error) {
       return false;
@@ -114,6 +301,29 @@ class OllamaProvider {
     }
   }
 
+  /**
+   * Embed texts with `/api/embeddings`, one text per request
+   * @param {string|Array<string>} texts - Text or texts to embed
+   * @param {Object} [options] - Embed options, see `providers/embeddings`
+   * @returns {Promise<Object>} `{ embeddings, model, dimensions, usage }`
+   */
+  async embed(texts, options = {}) {
+    const request = prepareEmbedRequest(texts, options, this);
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    try {
+      const { embeddings, usage } = await embedInBatches(request.texts, 1, async ([prompt]) => {
+        const response = await this.client.post('/api/embeddings', { model: request.model, prompt }, getRequestConfig(options));
+        return { embeddings: [response.data.embedding], usage: addUsage() };
+      });
+      return createEmbedResult(embeddings, request.model, usage, request.expected);
+    } catch (error) {
+      throw createProviderError(`Ollama API error: ${error.response?.data?.error || error.message}`, { provider: this.name, cause: error });
+    }
+  }
+
   /**
    * Pull a model from Ollama registry
    * @param {string} modelName - Name of the model to pull
@@ -127,24 +337,26 @@ class OllamaProvider {
     try {
       await this.client.post('/api/pull', { name: modelName });
     } catch (error) {
-      throw new Error(`Failed to pull model ${modelName}: ${error.message}`);
+      throw new Error(`Failed to pull model ${modelName}: ${error.message}`, { cause: error });
     }
   }
 
   /**
    * List installed models
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request
    * @returns {Promise<Array<Object>>} List of installed models
    */
-  async listModels() {
+  async listModels(options = {}) {
     try {
       if (!this.client) {
         await this.initialize();
       }
       
-      const response = await this.client.get('/api/tags');
+      const response = await this.client.get('/api/tags', getRequestConfig(options));
       return response.data.models;
     } catch (error) {
-      throw new Error(`Failed to list models: ${error.message}`);
+      throw new Error(`Failed to list models: ${error.message}`, { cause: error });
     }
   }
 }
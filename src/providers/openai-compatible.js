@@ -0,0 +1,206 @@
+/**
+ * OpenAI-Compatible Provider Implementation
+ *
+ * Talks to any server that implements the OpenAI Chat Completions API,
+ * such as vLLM, LM Studio or OpenRouter. Each entry in the `providers`
+ * section of the configuration file becomes one provider:
+ *
+ *   "providers": {
+ *     "vllm": {
+ *       "type": "openai-compatible",
+ *       "baseURL": "http://gpu-box:8000/v1",
+ *       "apiKeyEnv": "VLLM_API_KEY",
+ *       "defaultModel": "meta-llama/Llama-3.1-8B-Instruct",
+ *       "quirks": { "toolChoice": false }
+ *     }
+ *   }
+ *
+ * @module providers/openai-compatible
+ */
+
+const { createHttpClient } = require('./http');
+const OpenAIProvider = require('./openai');
+
+/**
+ * Differences from the OpenAI API that some servers need worked around.
+ * `maxTokensParam` - Name of the output token limit field
+ * `streamUsage` - Whether `stream_options.include_usage` is accepted
+ * `toolChoice` - Whether `tool_choice` is accepted
+ * `systemRole` - Whether `system` turns are accepted; when false the system
+ *   prompt is prepended to the first user turn
+ * `responseFormat` - Whether `response_format` JSON schemas are accepted; when
+ *   false structured output is requested in the prompt instead
+ * `reasoningEffort` - Whether `reasoning_effort` is accepted; when false models
+ *   reason on their own terms and only their `reasoning_content` is read
+ * `batch` - Whether the server implements the Batch API (`/files` and
+ *   `/batches`); when false `sheikh batch` sends the requests one by one
+ */
+const DEFAULT_QUIRKS = {
+  maxTokensParam: 'max_tokens',
+  streamUsage: true,
+  toolChoice: true,
+  systemRole: true,
+  responseFormat: true,
+  reasoningEffort: true,
+  batch: false
+};
+
+/**
+ * OpenAICompatibleProvider class
+ * Handles Chat Completions APIs served from a configurable base URL
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+  /**
+   * @param {string} name - Provider name from the configuration file
+   * @param {Object} settings - Provider settings
+   * @param {string} settings.baseURL - API base URL, usually ending in `/v1`
+   * @param {string} [settings.apiKey] - API key
+   * @param {string} [settings.apiKeyEnv] - Environment variable holding the API key
+   * @param {Object} [settings.headers] - Extra headers sent with every request
+   * @param {Array<string>} [settings.models] - Models to offer without querying the server
+   * @param {string} [settings.modelsEndpoint='/models'] - Path of the model list endpoint
+   * @param {string} [settings.defaultModel] - Model used when none is selected
+   * @param {string} [settings.embeddingModel] - Model `embed()` uses when none is given
+   * @param {Object} [settings.quirks] - Overrides for `DEFAULT_QUIRKS`
+   */
+  constructor(name, settings = {}) {
+    super({
+      name,
+      displayName: name,
+      apiKey: settings.apiKey || (settings.apiKeyEnv && process.env[settings.apiKeyEnv]) || '',
+      headers: settings.headers
+    });
+
+    this.baseURL = String(settings.baseURL || '').replace(/\/+$/, '');
+    this.type = 'openai-compatible';
+    this.apiKeyEnv = settings.apiKeyEnv;
+    this.models = settings.models || [];
+    this.modelsEndpoint = settings.modelsEndpoint || '/models';
+    this.defaultModel = settings.defaultModel || this.models[0];
+    this.defaultEmbeddingModel = settings.embeddingModel;
+    this.quirks = { ...DEFAULT_QUIRKS, ...(settings.quirks || {}) };
+    if (!this.quirks.responseFormat) {
+      this.capabilities = this.capabilities.filter(capability => capability !== 'structured');
+    }
+    if (!this.quirks.batch) {
+      this.capabilities = this.capabilities.filter(capability => capability !== 'batch');
+    }
+  }
+
+  /**
+   * Initialize the provider
+   * @returns {Promise<boolean>} True if initialized successfully
+   * @throws {Error} If the base URL or a required API key is missing
+   */
+  async initialize() {
+    if (!this.baseURL) {
+      throw new Error(`Provider '${this.name}' needs a baseURL in the providers configuration`);
+    }
+
+    if (this.apiKeyEnv && !this.apiKey) {
+      throw new Error(`${this.apiKeyEnv} environment variable is required for provider '${this.name}'`);
+    }
+
+    this.client = createHttpClient({
+      baseURL: this.baseURL,
+      headers: this.getHeaders()
+    });
+
+    return true;
+  }
+
+  /**
+   * Headers sent with every request. Local servers usually run without a
+   * key, in which case no Authorization header is sent.
+   * @returns {Object} Request headers
+   */
+  getHeaders() {
+    const headers = super.getHeaders();
+    if (!this.apiKey) {
+      delete headers.Authorization;
+    }
+    return headers;
+  }
+
+  /**
+   * Build a Chat Completions request body with this server's quirks applied
+   * @param {string|Array<Object>} messages - User message or provider-neutral message list
+   * @param {Object} options - Request options
+   * @returns {Object} Request payload
+   */
+  buildPayload(messages, options = {}) {
+    const model = options.model || this.defaultModel;
+    if (!model) {
+      throw new Error(`No model selected for provider '${this.name}'. Use --model or set defaultModel`);
+    }
+
+    const payload = super.buildPayload(messages, { ...options, model });
+
+    // Requests with reasoning set max_completion_tokens; the server's own field is used either way
+    const maxTokens = payload.max_tokens !== undefined ? payload.max_tokens : payload.max_completion_tokens;
+    delete payload.max_tokens;
+    delete payload.max_completion_tokens;
+    payload[this.quirks.maxTokensParam] = maxTokens;
+
+    if (!this.quirks.toolChoice) {
+      delete payload.tool_choice;
+    }
+
+    if (!this.quirks.responseFormat) {
+      delete payload.response_format;
+    }
+
+    if (!this.quirks.reasoningEffort) {
+      delete payload.reasoning_effort;
+    }
+
+    if (!this.quirks.systemRole && payload.messages[0] && payload.messages[0].role === 'system') {
+      const [system, ...rest] = payload.messages;
+      const firstUser = rest.findIndex(message => message.role === 'user');
+      if (firstUser !== -1) {
+        // Content with attachments is a list of parts, which takes the prompt as a leading text part
+        const content = rest[firstUser].content;
+        rest[firstUser] = {
+          ...rest[firstUser],
+          content: Array.isArray(content) ? [{ type: 'text', text: system.content }, ...content] : `${system.content}\n\n${content}`
+        };
+      }
+      payload.messages = rest;
+    }
+
+    return payload;
+  }
+
+  /**
+   * Build a streaming request body, leaving out `stream_options` for
+   * servers that reject it
+   * @param {string|Array<Object>} messages - User message or provider-neutral message list
+   * @param {Object} options - Request options
+   * @returns {Object} Request payload
+   */
+  buildStreamPayload(messages, options = {}) {
+    const payload = super.buildStreamPayload(messages, options);
+    if (!this.quirks.streamUsage) {
+      delete payload.stream_options;
+    }
+    return payload;
+  }
+
+  /**
+   * Check if the provider is available
+   * @returns {boolean} True if a base URL and any required API key are set
+   */
+  isAvailable() {
+    return !!this.baseURL && (!this.apiKeyEnv || !!this.apiKey);
+  }
+
+  /**
+   * Get available models
+   * @returns {Array<string>} Models listed in the configuration; use `listModels()` to ask the server
+   */
+  getAvailableModels() {
+    return this.models;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
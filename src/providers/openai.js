@@ -6,17 +6,72 @@
  * @module providers/openai
  */
 
-const axios = require('axios');
+const crypto = require('crypto');
+const { createHttpClient, getRequestConfig } = require('./http');
+const { createProviderError } = require('./errors');
+const { normalizeUsage } = require('./usage');
+const { normalizeMessages, getTextContent, getAttachments, stringifyToolContent } = require('./messages');
+const { parseSSE, readStreamError } = require('./streaming');
+const { normalizeTools, normalizeToolChoice, parseToolArguments } = require('./tools');
+const { normalizeResponseFormat } = require('./structured');
+const { normalizeReasoning, withReasoning } = require('./reasoning');
+const { prepareEmbedRequest, embedInBatches, createEmbedResult } = require('./embeddings');
+const { prepareBatchRequests, parseJSONLines } = require('./batch');
+
+// Most inputs the embeddings endpoint accepts per request
+const EMBED_BATCH_SIZE = 2048;
+
+// Batch states as they map onto the provider-neutral ones; expired and cancelled batches keep their finished results
+const BATCH_STATUSES = {
+  validating: 'running',
+  in_progress: 'running',
+  finalizing: 'running',
+  cancelling: 'running',
+  completed: 'ended',
+  expired: 'ended',
+  cancelled: 'ended',
+  failed: 'failed'
+};
+
+/**
+ * Encode a file upload as a multipart/form-data body
+ * @param {Object} fields - Form fields
+ * @param {{name: string, content: string}} file - File sent as the `file` field
+ * @returns {{body: Buffer, contentType: string}} Request body and its content type
+ * @private
+ */
+function createMultipartBody(fields, file) {
+  const boundary = `----sheikh${crypto.randomBytes(12).toString('hex')}`;
+  const parts = Object.entries(fields).map(([name, value]) =>
+    `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`);
+  parts.push(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${file.name}"\r\n` +
+    `Content-Type: application/jsonl\r\n\r\n${file.content}\r\n--${boundary}--\r\n`);
+
+  return { body: Buffer.from(parts.join(''), 'utf8'), contentType: `multipart/form-data; boundary=${boundary}` };
+}
 
 /**
  * OpenAIProvider class
  * Handles OpenAI GPT API interactions
  */
 class OpenAIProvider {
-  constructor() {
-    this.name = 'openai';
-    this.apiKey = process.env.OPENAI_API_KEY;
-    this.baseURL = 'https://api.openai.com/v1';
+  /**
+   * @param {Object} [options] - Provider options
+   * @param {string} [options.name='openai'] - Provider name
+   * @param {string} [options.displayName='OpenAI'] - Name used in error messages
+   * @param {string} [options.apiKey] - API key, defaults to `OPENAI_API_KEY`
+   * @param {string} [options.baseURL] - API base URL, defaults to `OPENAI_BASE_URL` or api.openai.com
+   * @param {Object} [options.headers] - Extra headers sent with every request
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'openai';
+    this.displayName = options.displayName || 'OpenAI';
+    this.apiKey = options.apiKey !== undefined ? options.apiKey : process.env.OPENAI_API_KEY;
+    this.baseURL = options.baseURL || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+    this.defaultModel = 'gpt-4';
+    this.defaultEmbeddingModel = 'text-embedding-3-small';
+    this.capabilities = ['streaming', 'tools', 'structured', 'embeddings', 'reasoning', 'batch'];
+    this.headers = options.headers || {};
     this.client = null;
   }
 
@@ -29,50 +84,293 @@ class OpenAIProvider {
       throw new Error('OPENAI_API_KEY environment variable is required');
     }
 
-    this.client = axios.create({
+    this.client = createHttpClient({
       baseURL: this.baseURL,
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Content-Type': 'application/json'
-      }
+      headers: this.getHeaders()
     });
 
     return true;
   }
 
   /**
-   * Send a message to GPT
-   * @param {string} message - Message to send
+   * Headers sent with every request
+   * @returns {Object} Request headers
+   */
+  getHeaders() {
+    return {
+      'Authorization': `Bearer ${this.apiKey}`,
+      'Content-Type': 'application/json',
+      ...this.headers
+    };
+  }
+
+  /**
+   * Path of an endpoint that serves a model. OpenAI selects the model in the
+   * request body; servers that route by model in the URL override this.
+   * @param {string} modelId - Model ID
+   * @param {string} endpoint - `/chat/completions` or `/embeddings`
+   * @returns {string} Request path
+   */
+  getModelPath(modelId, endpoint) {
+    return endpoint;
+  }
+
+  /**
+   * Send a conversation to GPT
+   * @param {string|Array<Object>} messages - User message or provider-neutral message list
    * @param {Object} options - Additional options
+   * @param {string} [options.system] - System prompt
+   * @param {Array<Object>} [options.tools] - Provider-neutral tool definitions
+   * @param {string|Object} [options.toolChoice] - Tool choice
+   * @param {Object} [options.responseFormat] - JSON reply format, see `providers/structured`
+   * @param {string|Object} [options.reasoning] - Reasoning effort for reasoning models, see `providers/reasoning`
    * @returns {Promise<Object>} Response from GPT
    */
-  async sendMessage(message, options = {}) {
+  async sendMessage(messages, options = {}) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    const payload = this.buildPayload(messages, options);
+
+    try {
+      const response = await this.client.post(this.getModelPath(payload.model, '/chat/completions'), payload, getRequestConfig(options));
+      return this.parseCompletion(response.data);
+    } catch (error) {
+      throw createProviderError(`${this.displayName} API error: ${error.response?.data?.error?.message || error.message}`, { provider: this.name, cause: error });
+    }
+  }
+
+  /**
+   * Convert a chat completion into a provider response
+   * @param {Object} completion - Chat completion returned by the API
+   * @returns {Object} Response with content, tool calls, usage, model and any reasoning
+   */
+  parseCompletion(completion) {
+    const message = completion.choices[0].message;
+    // OpenAI keeps its reasoning hidden; compatible servers such as DeepSeek return it as `reasoning_content`
+    return withReasoning({
+      content: message.content || '',
+      toolCalls: (message.tool_calls || []).map(toolCall => ({
+        id: toolCall.id,
+        name: toolCall.function.name,
+        arguments: parseToolArguments(toolCall.function.arguments)
+      })),
+      usage: normalizeUsage(completion.usage, 'openai'),
+      model: completion.model
+    }, message.reasoning_content);
+  }
+
+  /**
+   * Stream a conversation to GPT over server-sent events
+   * @param {string|Array<Object>} messages - User message or provider-neutral message list
+   * @param {Object} options - Additional options, as for `sendMessage`
+   * @returns {AsyncGenerator<Object>} Reasoning, text and tool call deltas followed by a `done` event
+   */
+  async *streamMessage(messages, options = {}) {
     if (!this.client) {
       await this.initialize();
     }
 
+    const payload = this.buildStreamPayload(messages, options);
+    let response;
+
+    try {
+      response = await this.client.post(this.getModelPath(payload.model, '/chat/completions'), payload, getRequestConfig(options, { responseType: 'stream' }));
+    } catch (error) {
+      await readStreamError(error);
+      throw createProviderError(`${this.displayName} API error: ${error.response?.data?.error?.message || error.message}`, { provider: this.name, cause: error });
+    }
+
+    let content = '';
+    let reasoning = '';
+    let model = payload.model;
+    let usage;
+    const pendingTools = [];
+
+    for await (const { data } of parseSSE(response.data)) {
+      if (data === '[DONE]') {
+        break;
+      }
+
+      const chunk = JSON.parse(data);
+      if (chunk.error) {
+        throw createProviderError(`${this.displayName} API error: ${chunk.error.message}`, {
+          provider: this.name,
+          type: chunk.error.code || chunk.error.type
+        });
+      }
+
+      model = chunk.model || model;
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+
+      const delta = (chunk.choices && chunk.choices[0] && chunk.choices[0].delta) || {};
+      if (delta.reasoning_content) {
+        reasoning += delta.reasoning_content;
+        yield { type: 'reasoning', text: delta.reasoning_content };
+      }
+      if (delta.content) {
+        content += delta.content;
+        yield { type: 'text', text: delta.content };
+      }
+
+      // Tool calls arrive in fragments keyed by index; the arguments are a JSON string
+      for (const fragment of delta.tool_calls || []) {
+        const pending = pendingTools[fragment.index] || (pendingTools[fragment.index] = { id: '', name: '', json: '' });
+        pending.id = fragment.id || pending.id;
+        pending.name = (fragment.function && fragment.function.name) || pending.name;
+        pending.json += (fragment.function && fragment.function.arguments) || '';
+      }
+    }
+
+    const toolCalls = pendingTools.filter(Boolean).map(({ id, name, json }) => ({
+      id,
+      name,
+      arguments: parseToolArguments(json)
+    }));
+    for (const toolCall of toolCalls) {
+      yield { type: 'tool_call', toolCall };
+    }
+
+    yield withReasoning({ type: 'done', content, toolCalls, usage: normalizeUsage(usage, 'openai'), model }, reasoning);
+  }
+
+  /**
+   * Build a streaming Chat Completions request body
+   * @param {string|Array<Object>} messages - User message or provider-neutral message list
+   * @param {Object} options - Request options
+   * @returns {Object} Request payload
+   */
+  buildStreamPayload(messages, options = {}) {
+    return {
+      ...this.buildPayload(messages, options),
+      stream: true,
+      stream_options: { include_usage: true }
+    };
+  }
+
+  /**
+   * Build a Chat Completions request body
+   * @param {string|Array<Object>} messages - User message or provider-neutral message list
+   * @param {Object} options - Request options
+   * @returns {Object} Request payload
+   */
+  buildPayload(messages, options = {}) {
+    const request = normalizeMessages(messages, options);
     const payload = {
-      model: options.model || 'gpt-4',
-      messages: [
-        {
-          role: 'user',
-          content: message
-        }
-      ],
+      model: options.model || this.defaultModel,
+      messages: this.formatMessages(request),
       max_tokens: options.maxTokens || 1000,
       temperature: options.temperature || 0.7
     };
 
-    try {
-      const response = await this.client.post('/chat/completions', payload);
-      return {
-        content: response.data.choices[0].message.content,
-        usage: response.data.usage,
-        model: response.data.model
+    const tools = normalizeTools(options.tools);
+    if (tools.length > 0) {
+      payload.tools = tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }
+      }));
+
+      const toolChoice = normalizeToolChoice(options.toolChoice, tools);
+      if (toolChoice) {
+        payload.tool_choice = typeof toolChoice === 'object'
+          ? { type: 'function', function: { name: toolChoice.name } }
+          : toolChoice;
+      }
+    }
+
+    const format = normalizeResponseFormat(options.responseFormat);
+    if (format) {
+      payload.response_format = {
+        type: 'json_schema',
+        json_schema: { name: format.name, description: format.description, schema: format.schema }
       };
-    } catch (error) {
-      throw new Error(`OpenAI API error: ${error.response?.data?.error?.message || error.message}`);
     }
+
+    // Reasoning models take an effort, count reasoning against max_completion_tokens and reject temperature
+    const reasoning = normalizeReasoning(options.reasoning);
+    if (reasoning) {
+      payload.reasoning_effort = reasoning.effort;
+      payload.max_completion_tokens = payload.max_tokens + reasoning.budgetTokens;
+      delete payload.max_tokens;
+      delete payload.temperature;
+    }
+
+    return payload;
+  }
+
+  /**
+   * Map a normalized request onto Chat Completions messages
+   * @param {{system: (string|undefined), messages: Array<Object>}} request - Normalized request
+   * @returns {Array<Object>} OpenAI messages
+   */
+  formatMessages(request) {
+    const formatted = [];
+
+    if (request.system) {
+      formatted.push({ role: 'system', content: request.system });
+    }
+
+    for (const message of request.messages) {
+      if (message.role === 'tool') {
+        formatted.push({
+          role: 'tool',
+          tool_call_id: message.toolCallId,
+          content: stringifyToolContent(message.content)
+        });
+        continue;
+      }
+
+      const entry = {
+        role: message.role,
+        content: getAttachments(message.content).length > 0
+          ? this.formatContentParts(message.content)
+          : getTextContent(message.content)
+      };
+
+      if (message.role === 'assistant' && message.toolCalls && message.toolCalls.length > 0) {
+        entry.content = entry.content || null;
+        entry.tool_calls = message.toolCalls.map(toolCall => ({
+          id: toolCall.id,
+          type: 'function',
+          function: {
+            name: toolCall.name,
+            arguments: JSON.stringify(toolCall.arguments || {})
+          }
+        }));
+      }
+
+      formatted.push(entry);
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Map message content with attachments onto Chat Completions content
+   * parts: images as `image_url` data URLs and PDFs as `file` parts
+   * @param {Array<Object>} content - Provider-neutral content parts
+   * @returns {Array<Object>} OpenAI content parts
+   */
+  formatContentParts(content) {
+    return content
+      .filter(part => part && (part.type !== 'text' || part.text))
+      .map(part => {
+        const dataUrl = `data:${part.mediaType};base64,${part.data}`;
+        if (part.type === 'image') {
+          return { type: 'image_url', image_url: { url: dataUrl } };
+        }
+        if (part.type === 'document') {
+          return { type: 'file', file: { filename: part.name || 'document.pdf', file_data: dataUrl } };
+        }
+        return { type: 'text', text: part.text };
+      });
   }
 
   /**
@@ -83,6 +381,177 @@ class OpenAIProvider {
     return !!this.apiKey;
   }
 
+  /**
+   * List the models the server offers
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Array<string>>} Model IDs from the `/models` endpoint
+   */
+  async listModels(options = {}) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    try {
+      const response = await this.client.get(this.modelsEndpoint || '/models', getRequestConfig(options));
+      return (response.data.data || []).map(model => model.id);
+    } catch (error) {
+      throw createProviderError(`${this.displayName} API error: ${error.response?.data?.error?.message || error.message}`, { provider: this.name, cause: error });
+    }
+  }
+
+  /**
+   * Embed texts with the `/embeddings` endpoint
+   * @param {string|Array<string>} texts - Text or texts to embed
+   * @param {Object} [options] - Embed options, see `providers/embeddings`
+   * @returns {Promise<Object>} `{ embeddings, model, dimensions, usage }`
+   */
+  async embed(texts, options = {}) {
+    const request = prepareEmbedRequest(texts, options, this);
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    try {
+      const { embeddings, usage } = await embedInBatches(request.texts, Math.min(request.maxBatch || EMBED_BATCH_SIZE, EMBED_BATCH_SIZE), async batch => {
+        const response = await this.client.post(this.getModelPath(request.model, '/embeddings'), {
+          model: request.model,
+          input: batch,
+          encoding_format: 'float',
+          ...(request.dimensions ? { dimensions: request.dimensions } : {})
+        }, getRequestConfig(options));
+
+        return {
+          embeddings: [...response.data.data].sort((a, b) => a.index - b.index).map(item => item.embedding),
+          usage: normalizeUsage(response.data.usage, 'openai')
+        };
+      });
+      return createEmbedResult(embeddings, request.model, usage, request.expected);
+    } catch (error) {
+      throw createProviderError(`${this.displayName} API error: ${error.response?.data?.error?.message || error.message}`, { provider: this.name, cause: error });
+    }
+  }
+
+  /**
+   * Submit requests to the Batch API: the requests are uploaded as a JSON
+   * Lines file of chat completion requests and a batch is created from it
+   * @param {Array<Object>} requests - `{ id, messages, options }` requests, see `providers/batch`
+   * @param {Object} [options] - Defaults for every request, and `signal`, `retry` and `onRetry`
+   * @returns {Promise<Object>} The batch, `{ id, status, counts }`
+   */
+  async createBatch(requests, options = {}) {
+    const lines = prepareBatchRequests(requests).map(request => JSON.stringify({
+      custom_id: request.id,
+      method: 'POST',
+      url: '/v1/chat/completions',
+      body: this.buildPayload(request.messages, { ...options, ...request.options })
+    }));
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    try {
+      const { body, contentType } = createMultipartBody({ purpose: 'batch' }, { name: 'batch.jsonl', content: `${lines.join('\n')}\n` });
+      const file = await this.client.post('/files', body, getRequestConfig(options, { headers: { 'Content-Type': contentType } }));
+      const response = await this.client.post('/batches', {
+        input_file_id: file.data.id,
+        endpoint: '/v1/chat/completions',
+        completion_window: '24h'
+      }, getRequestConfig(options));
+      return this.parseBatch(response.data);
+    } catch (error) {
+      throw createProviderError(`${this.displayName} API error: ${error.response?.data?.error?.message || error.message}`, { provider: this.name, cause: error });
+    }
+  }
+
+  /**
+   * Get the state of a batch
+   * @param {string} batchId - Batch ID
+   * @param {Object} [options] - Request options
+   * @returns {Promise<Object>} The batch, `{ id, status, counts, error }`
+   */
+  async getBatch(batchId, options = {}) {
+    return this.parseBatch(await this.requestBatch('get', `/batches/${encodeURIComponent(batchId)}`, options));
+  }
+
+  /**
+   * Cancel a batch
+   * @param {string} batchId - Batch ID
+   * @param {Object} [options] - Request options
+   * @returns {Promise<Object>} The batch, `{ id, status, counts, error }`
+   */
+  async cancelBatch(batchId, options = {}) {
+    return this.parseBatch(await this.requestBatch('post', `/batches/${encodeURIComponent(batchId)}/cancel`, options));
+  }
+
+  /**
+   * Download the results of an ended batch from its output and error files
+   * @param {string} batchId - Batch ID
+   * @param {Object} [options] - Request options
+   * @returns {Promise<Array<Object>>} `{ id, response }` or `{ id, error }` per request
+   */
+  async getBatchResults(batchId, options = {}) {
+    const batch = await this.requestBatch('get', `/batches/${encodeURIComponent(batchId)}`, options);
+    const lines = [];
+
+    try {
+      for (const fileId of [batch.output_file_id, batch.error_file_id].filter(Boolean)) {
+        // Results are JSON Lines; a one-line file must not be parsed as a single JSON document
+        const response = await this.client.get(`/files/${encodeURIComponent(fileId)}/content`, getRequestConfig(options, { responseType: 'text' }));
+        lines.push(...parseJSONLines(response.data));
+      }
+    } catch (error) {
+      throw createProviderError(`${this.displayName} API error: ${error.response?.data?.error?.message || error.message}`, { provider: this.name, cause: error });
+    }
+
+    return lines.map(({ custom_id: id, response, error }) => {
+      if (response && response.status_code === 200) {
+        return { id, response: this.parseCompletion(response.body) };
+      }
+      return { id, error: error?.message || response?.body?.error?.message || 'Request failed' };
+    });
+  }
+
+  /**
+   * Make a batch request that returns the batch
+   * @param {string} method - `get` or `post`
+   * @param {string} url - Batch URL
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} Batch returned by the API
+   * @private
+   */
+  async requestBatch(method, url, options) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    try {
+      const response = method === 'get'
+        ? await this.client.get(url, getRequestConfig(options))
+        : await this.client.post(url, undefined, getRequestConfig(options));
+      return response.data;
+    } catch (error) {
+      throw createProviderError(`${this.displayName} API error: ${error.response?.data?.error?.message || error.message}`, { provider: this.name, cause: error });
+    }
+  }
+
+  /**
+   * Convert a batch into the provider-neutral batch state
+   * @param {Object} batch - Batch returned by the API
+   * @returns {Object} `{ id, status, counts }`, and `error` for a failed batch
+   * @private
+   */
+  parseBatch(batch) {
+    const counts = batch.request_counts || {};
+    const errors = (batch.errors && batch.errors.data) || [];
+    return {
+      id: batch.id,
+      status: BATCH_STATUSES[batch.status] || 'running',
+      counts: { total: counts.total || 0, succeeded: counts.completed || 0, failed: counts.failed || 0 },
+      ...(batch.status === 'failed' ? { error: errors.map(error => error.message).join('; ') || 'Batch failed' } : {})
+    };
+  }
+
   /**
    * Get available models
    * @returns {Array<string>} List of available models
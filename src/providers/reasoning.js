@@ -0,0 +1,171 @@
+/**
+ * Provider Reasoning Contract
+ *
+ * Providers with the `reasoning` capability accept `options.reasoning` and
+ * turn it into the API's reasoning mode: Anthropic and Bedrock Claude
+ * extended thinking, OpenAI `reasoning_effort`, Gemini `thinkingConfig` and
+ * Ollama `think`. The option is an effort name or an object:
+ *
+ *   'high'
+ *   { effort: 'medium', budgetTokens: 8000 }
+ *
+ * `effort` is `off`, `low`, `medium` or `high`, and `medium` when only a
+ * budget is given. `budgetTokens` caps the tokens spent on reasoning for APIs
+ * that take a budget and defaults to the effort's entry in `EFFORT_BUDGETS`.
+ * The budget is added to the request's output limit, so reasoning does not
+ * use up the tokens meant for the reply.
+ *
+ * Responses carry the model's reasoning text as `reasoning`, and streams
+ * yield it as `{ type: 'reasoning', text }` deltas before the reply. APIs
+ * that hide their reasoning, such as OpenAI's, return none but still report
+ * `usage.reasoningTokens`. Anthropic and Bedrock also return
+ * `reasoningDetails`, the signed thinking blocks that must be sent back on
+ * the assistant message when a tool loop continues.
+ *
+ * @module providers/reasoning
+ */
+
+const { estimateTokens } = require('../utils/tokens');
+
+const REASONING_EFFORTS = ['off', 'low', 'medium', 'high'];
+
+// Reasoning token budget for each effort
+const EFFORT_BUDGETS = {
+  low: 1024,
+  medium: 4096,
+  high: 16384
+};
+
+// Smallest budget Anthropic accepts for extended thinking
+const MIN_BUDGET_TOKENS = 1024;
+
+/**
+ * Normalize a reasoning option
+ *
+ * @param {string|Object|boolean} [reasoning] - Effort name, `{ effort, budgetTokens }`, or false for none;
+ *   other fields of the object are ignored
+ * @returns {{effort: string, budgetTokens: number}|null} Settings, or null when reasoning is off
+ * @throws {Error} If the effort is unknown or the budget is too small
+ *
+ * @example
+ * normalizeReasoning('high');                   // { effort: 'high', budgetTokens: 16384 }
+ * normalizeReasoning({ budgetTokens: 2000 });   // { effort: 'medium', budgetTokens: 2000 }
+ * normalizeReasoning('off');                    // null
+ */
+function normalizeReasoning(reasoning) {
+  if (reasoning === undefined || reasoning === null || reasoning === false) {
+    return null;
+  }
+
+  const settings = typeof reasoning === 'string' ? { effort: reasoning } : reasoning;
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error('Reasoning must be an effort name or an object with effort and budgetTokens');
+  }
+
+  const effort = settings.effort || (settings.budgetTokens !== undefined ? 'medium' : 'off');
+  if (!REASONING_EFFORTS.includes(effort)) {
+    throw new Error(`Unknown reasoning effort '${effort}'. Use one of: ${REASONING_EFFORTS.join(', ')}`);
+  }
+  if (effort === 'off') {
+    return null;
+  }
+
+  const budgetTokens = settings.budgetTokens !== undefined ? settings.budgetTokens : EFFORT_BUDGETS[effort];
+  if (!Number.isInteger(budgetTokens) || budgetTokens < MIN_BUDGET_TOKENS) {
+    throw new Error(`Reasoning budgetTokens must be an integer of at least ${MIN_BUDGET_TOKENS}`);
+  }
+
+  return { effort, budgetTokens };
+}
+
+/**
+ * Parse reasoning typed on the command line or in chat: an effort name, or a
+ * token budget at medium effort
+ *
+ * @param {string} value - `off`, `low`, `medium`, `high` or a token budget
+ * @returns {{effort: string, budgetTokens: number}|null} Settings, or null when reasoning is off
+ * @throws {Error} If the value is not an effort or a large enough budget
+ *
+ * @example
+ * parseReasoning('8000'); // { effort: 'medium', budgetTokens: 8000 }
+ */
+function parseReasoning(value) {
+  const text = String(value).trim().toLowerCase();
+  return normalizeReasoning(/^\d+$/.test(text) ? { budgetTokens: Number(text) } : text);
+}
+
+/**
+ * Check a reasoning option without throwing
+ * @param {*} reasoning - Reasoning option
+ * @returns {string|null} Error message, or null if the option is valid
+ */
+function validateReasoning(reasoning) {
+  try {
+    normalizeReasoning(reasoning);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Describe reasoning settings for display
+ * @param {{effort: string, budgetTokens: number}|null} settings - Normalized settings
+ * @returns {string} e.g. `high (16384 token budget)` or `off`
+ */
+function describeReasoning(settings) {
+  return settings ? `${settings.effort} (${settings.budgetTokens} token budget)` : 'off';
+}
+
+/**
+ * Fill in `reasoningTokens` for APIs that count reasoning only as output.
+ * The count is estimated from the reasoning text and capped at the output tokens.
+ * @param {Object} usage - Provider-neutral usage
+ * @param {string} [reasoning] - Reasoning text of the reply
+ * @returns {Object} Usage with `reasoningTokens` set
+ * @private
+ */
+function withReasoningTokens(usage, reasoning) {
+  if (!reasoning || usage.reasoningTokens > 0) {
+    return usage;
+  }
+
+  const estimate = estimateTokens(reasoning);
+  return {
+    ...usage,
+    reasoningTokens: usage.outputTokens > 0 ? Math.min(estimate, usage.outputTokens) : estimate
+  };
+}
+
+/**
+ * Add the reasoning of a reply to a response or `done` event
+ *
+ * @param {Object} response - Response with `usage`
+ * @param {string} [reasoning] - Reasoning text
+ * @param {Array<Object>} [details] - Signed reasoning blocks, `{ text, signature }` or `{ redacted }`
+ * @returns {Object} The response unchanged when there was no reasoning, otherwise with
+ *   `reasoning`, any `reasoningDetails` and `usage.reasoningTokens` filled in
+ */
+function withReasoning(response, reasoning, details = []) {
+  if (!reasoning && details.length === 0) {
+    return response;
+  }
+
+  return {
+    ...response,
+    reasoning: reasoning || '',
+    ...(details.length > 0 ? { reasoningDetails: details } : {}),
+    usage: response.usage && withReasoningTokens(response.usage, reasoning)
+  };
+}
+
+module.exports = {
+  REASONING_EFFORTS,
+  EFFORT_BUDGETS,
+  MIN_BUDGET_TOKENS,
+  normalizeReasoning,
+  parseReasoning,
+  validateReasoning,
+  describeReasoning,
+  withReasoning
+};
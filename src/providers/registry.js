@@ -0,0 +1,337 @@
+/**
+ * Provider Registry
+ *
+ * Defines the provider plugin contract and discovers plugins, so teams can
+ * add providers such as in-house gateways without changing Sheikh.
+ *
+ * A plugin is a module whose export is either a provider object or a
+ * factory function returning one. The factory is called with the helpers
+ * built-in providers use (`createHttpClient`, `createProviderError`, ...),
+ * so plugins get the same retries, cassettes and error classes. A provider has:
+ *
+ * - `name`: lowercase name selected with `--provider` or `apiProvider`
+ * - `capabilities`: features from `PROVIDER_CAPABILITIES` it supports
+ * - `models`: model IDs, or `{ id, contextWindow, maxOutput, attachments }` entries
+ * - `sendMessage(messages, options)`: resolves to `{ content, toolCalls, usage, model }`
+ * - `streamMessage(messages, options)`: async iterator of deltas, required with `streaming`
+ *
+ * With the `tools` capability, `sendMessage` and `streamMessage` accept the
+ * `options.tools` and `options.toolChoice` described in `providers/tools`
+ * and report the model's calls as `toolCalls`. With `structured`, they accept
+ * the `options.responseFormat` described in `providers/structured`. With
+ * `caching`, messages marked `cache: true` become prompt-cache breakpoints,
+ * as described in `providers/messages`. With `embeddings`, the provider
+ * implements `embed(texts, options)` as described in `providers/embeddings`.
+ * With `reasoning`, requests accept `options.reasoning` and replies carry the
+ * model's reasoning, as described in `providers/reasoning`. With `batch`, the
+ * provider runs many requests as one asynchronous job through
+ * `createBatch`, `getBatch`, `getBatchResults` and `cancelBatch`, as
+ * described in `providers/batch`.
+ *
+ * Plugins are discovered from `.sheikh/providers/*.js` in the project and
+ * from installed npm packages named `sheikh-provider-<name>` or
+ * `@scope/sheikh-provider-<name>`.
+ *
+ * @module providers/registry
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createHttpClient, getRequestConfig, classifyError } = require('./http');
+const { createProviderError } = require('./errors');
+const { normalizeUsage, addUsage } = require('./usage');
+const { normalizeMessages, getTextContent, stringifyToolContent } = require('./messages');
+const { parseSSE, parseNDJSON, readStreamError } = require('./streaming');
+const { normalizeTools, parseToolArguments } = require('./tools');
+const { prepareEmbedRequest, embedInBatches, createEmbedResult } = require('./embeddings');
+const { normalizeReasoning, withReasoning } = require('./reasoning');
+const { prepareBatchRequests, parseJSONLines } = require('./batch');
+
+// Module paths of the built-in providers, loaded when the provider manager starts
+const BUILT_IN_MODULES = {
+  anthropic: './anthropic',
+  openai: './openai',
+  azure: './azure',
+  aws: './aws',
+  google: './google',
+  ollama: './ollama'
+};
+
+const BUILT_IN_PROVIDERS = Object.keys(BUILT_IN_MODULES);
+
+const PROVIDER_CAPABILITIES = ['streaming', 'tools', 'structured', 'caching', 'embeddings', 'reasoning', 'batch'];
+
+// Methods a provider with the `batch` capability implements
+const BATCH_METHODS = ['createBatch', 'getBatch', 'getBatchResults', 'cancelBatch'];
+
+const PLUGIN_PACKAGE_PATTERN = /^(@[a-z0-9][\w.-]*\/)?sheikh-provider-[a-z0-9][\w.-]*$/;
+const PROVIDER_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+// Helpers passed to plugin factories
+const PLUGIN_HELPERS = {
+  createHttpClient,
+  getRequestConfig,
+  classifyError,
+  createProviderError,
+  normalizeUsage,
+  addUsage,
+  normalizeMessages,
+  getTextContent,
+  stringifyToolContent,
+  parseSSE,
+  parseNDJSON,
+  readStreamError,
+  normalizeTools,
+  parseToolArguments,
+  prepareEmbedRequest,
+  embedInBatches,
+  createEmbedResult,
+  normalizeReasoning,
+  withReasoning,
+  prepareBatchRequests,
+  parseJSONLines
+};
+
+// Discovered plugins by project directory, so each plugin is only created once
+const discovered = new Map();
+
+/**
+ * Create a built-in provider
+ *
+ * @param {string} providerName - One of `BUILT_IN_PROVIDERS`
+ * @returns {Object} Provider instance
+ * @throws {Error} If the name is not a built-in provider
+ */
+function createBuiltInProvider(providerName) {
+  const modulePath = BUILT_IN_MODULES[providerName];
+  if (!modulePath) {
+    throw new Error(`'${providerName}' is not a built-in provider`);
+  }
+
+  const Provider = require(modulePath);
+  return new Provider();
+}
+
+/**
+ * Check a provider against the plugin contract and fill in the optional
+ * methods: `getAvailableModels()` lists `models`, `isAvailable()` returns
+ * true and `modelLimits` holds the limits given with `models`
+ *
+ * @param {Object} provider - Provider object
+ * @param {string} [source] - Where the provider came from, for error messages
+ * @returns {Object} The same provider
+ * @throws {Error} If the provider breaks the contract
+ */
+function validateProviderPlugin(provider, source = 'Provider plugin') {
+  if (!provider || typeof provider !== 'object') {
+    throw new Error(`${source} must export a provider object or a function returning one`);
+  }
+
+  if (typeof provider.name !== 'string' || !PROVIDER_NAME_PATTERN.test(provider.name)) {
+    throw new Error(`${source} must have a lowercase name of letters, digits, dashes or underscores`);
+  }
+
+  if (BUILT_IN_PROVIDERS.includes(provider.name)) {
+    throw new Error(`${source} uses the name of the built-in provider '${provider.name}'`);
+  }
+
+  const capabilities = provider.capabilities || [];
+  if (!Array.isArray(capabilities) || capabilities.some(capability => !PROVIDER_CAPABILITIES.includes(capability))) {
+    throw new Error(`${source} capabilities must be a list of: ${PROVIDER_CAPABILITIES.join(', ')}`);
+  }
+
+  const models = provider.models || [];
+  if (!Array.isArray(models) || models.some(model => !getModelId(model))) {
+    throw new Error(`${source} models must be a list of model IDs or { id, contextWindow, maxOutput } entries`);
+  }
+
+  if (typeof provider.sendMessage !== 'function') {
+    throw new Error(`${source} must implement sendMessage(messages, options)`);
+  }
+
+  if (capabilities.includes('streaming') && typeof provider.streamMessage !== 'function') {
+    throw new Error(`${source} declares streaming but does not implement streamMessage(messages, options)`);
+  }
+
+  if (capabilities.includes('embeddings') && typeof provider.embed !== 'function') {
+    throw new Error(`${source} declares embeddings but does not implement embed(texts, options)`);
+  }
+
+  if (capabilities.includes('batch') && BATCH_METHODS.some(method => typeof provider[method] !== 'function')) {
+    throw new Error(`${source} declares batch but does not implement ${BATCH_METHODS.join(', ')}`);
+  }
+
+  provider.capabilities = capabilities;
+  provider.models = models.map(getModelId);
+  provider.modelLimits = getPluginModelLimits(models);
+  provider.defaultModel = provider.defaultModel || provider.models[0];
+
+  if (typeof provider.getAvailableModels !== 'function') {
+    provider.getAvailableModels = () => provider.models;
+  }
+  if (typeof provider.isAvailable !== 'function') {
+    provider.isAvailable = () => true;
+  }
+
+  return provider;
+}
+
+/**
+ * Read the ID of a `models` entry
+ * @param {string|Object} model - Model ID or `{ id }` entry
+ * @returns {string|undefined} Model ID
+ * @private
+ */
+function getModelId(model) {
+  const id = typeof model === 'string' ? model : model && model.id;
+  return typeof id === 'string' && id ? id : undefined;
+}
+
+/**
+ * Collect the limits given with a plugin's `models`, in the shape of the
+ * `modelLimits` configuration section
+ * @param {Array<string|Object>} models - Plugin models
+ * @returns {Object<string, Object>} Model IDs mapped to limits
+ * @private
+ */
+function getPluginModelLimits(models) {
+  const limits = {};
+
+  for (const model of models) {
+    if (model && typeof model === 'object' && Number.isInteger(model.contextWindow)) {
+      limits[model.id] = { contextWindow: model.contextWindow };
+      if (Number.isInteger(model.maxOutput)) {
+        limits[model.id].maxOutput = model.maxOutput;
+      }
+      if (Array.isArray(model.attachments)) {
+        limits[model.id].attachments = model.attachments;
+      }
+    }
+  }
+
+  return limits;
+}
+
+/**
+ * Load a provider plugin module
+ *
+ * @param {string} modulePath - Path or package directory of the plugin
+ * @returns {Object} Validated provider
+ * @throws {Error} If the module cannot be loaded or breaks the contract
+ */
+function loadProviderPlugin(modulePath) {
+  const source = `Provider plugin ${modulePath}`;
+  let exported;
+
+  try {
+    exported = require(modulePath);
+  } catch (error) {
+    throw new Error(`${source} could not be loaded: ${error.message}`);
+  }
+
+  // ES module interop: `export default`
+  if (exported && exported.__esModule && exported.default) {
+    exported = exported.default;
+  }
+
+  const provider = typeof exported === 'function' ? exported(PLUGIN_HELPERS) : exported;
+  return validateProviderPlugin(provider, source);
+}
+
+/**
+ * Find provider plugin modules for a project: `.sheikh/providers/*.js`
+ * files, then `sheikh-provider-*` packages in `node_modules`
+ *
+ * @param {string} [cwd=process.cwd()] - Project directory
+ * @returns {string[]} Absolute module paths
+ */
+function findProviderPlugins(cwd = process.cwd()) {
+  const localDir = path.join(cwd, '.sheikh', 'providers');
+  const nodeModules = path.join(cwd, 'node_modules');
+  const plugins = listDirectory(localDir)
+    .filter(entry => entry.endsWith('.js'))
+    .sort()
+    .map(entry => path.join(localDir, entry));
+
+  const packages = [];
+  for (const entry of listDirectory(nodeModules)) {
+    if (entry.startsWith('@')) {
+      packages.push(...listDirectory(path.join(nodeModules, entry)).map(name => `${entry}/${name}`));
+    } else {
+      packages.push(entry);
+    }
+  }
+
+  return plugins.concat(packages
+    .filter(name => PLUGIN_PACKAGE_PATTERN.test(name))
+    .sort()
+    .map(name => path.join(nodeModules, name)));
+}
+
+/**
+ * List a directory, treating a missing directory as empty
+ * @param {string} dir - Directory path
+ * @returns {string[]} Entry names
+ * @private
+ */
+function listDirectory(dir) {
+  try {
+    return fs.readdirSync(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Discover and load the provider plugins of a project. Results are cached
+ * per directory, so each plugin is created once.
+ *
+ * @param {string} [cwd=process.cwd()] - Project directory
+ * @returns {Array<{name: string, source: string, provider: Object}>} Loaded plugins
+ * @throws {Error} If a plugin cannot be loaded, breaks the contract or repeats another plugin's name
+ *
+ * @example
+ * discoverProviderPlugins().map(plugin => plugin.name);
+ * // ['gateway']
+ */
+function discoverProviderPlugins(cwd = process.cwd()) {
+  const key = path.resolve(cwd);
+  if (discovered.has(key)) {
+    return discovered.get(key);
+  }
+
+  const plugins = [];
+  for (const source of findProviderPlugins(key)) {
+    const provider = loadProviderPlugin(source);
+    const existing = plugins.find(plugin => plugin.name === provider.name);
+    if (existing) {
+      throw new Error(`Provider plugins ${existing.source} and ${source} are both named '${provider.name}'`);
+    }
+    plugins.push({ name: provider.name, source, provider });
+  }
+
+  discovered.set(key, plugins);
+  return plugins;
+}
+
+/**
+ * Forget discovered plugins, so the next discovery loads them again
+ */
+function clearProviderPlugins() {
+  discovered.clear();
+}
+
+module.exports = {
+  BUILT_IN_PROVIDERS,
+  PROVIDER_CAPABILITIES,
+  PLUGIN_PACKAGE_PATTERN,
+  createBuiltInProvider,
+  validateProviderPlugin,
+  loadProviderPlugin,
+  findProviderPlugins,
+  discoverProviderPlugins,
+  clearProviderPlugins
+};
@@ -0,0 +1,237 @@
+/**
+ * Streaming Response Parsers
+ *
+ * Turns the raw response streams returned by provider APIs into async
+ * iterators. Supports server-sent events (Anthropic, OpenAI, Gemini),
+ * newline-delimited JSON (Ollama) and the AWS binary event stream
+ * encoding (Bedrock).
+ *
+ * Providers expose `streamMessage(messages, options)`, an async iterator of
+ * deltas: `{ type: 'text', text }` while the reply is generated, then a
+ * single `{ type: 'done', content, usage, model }` with the complete reply.
+ *
+ * @module providers/streaming
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Split a byte stream into lines
+ * @param {AsyncIterable<Buffer|string>} stream - Readable stream
+ * @returns {AsyncGenerator<string>} Lines without trailing line breaks
+ */
+async function* readLines(stream) {
+  // One decoder for the whole stream keeps characters split across chunks intact
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+    let index;
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      yield buffer.slice(0, index).replace(/\r$/, '');
+      buffer = buffer.slice(index + 1);
+    }
+  }
+
+  buffer += decoder.end();
+  if (buffer.length > 0) {
+    yield buffer.replace(/\r$/, '');
+  }
+}
+
+/**
+ * Parse a server-sent events stream
+ * @param {AsyncIterable<Buffer|string>} stream - Readable stream
+ * @returns {AsyncGenerator<{event: (string|undefined), data: string}>} Events
+ *
+ * @example
+ * for await (const { event, data } of parseSSE(response.data)) {
+ *   console.log(event, JSON.parse(data));
+ * }
+ */
+async function* parseSSE(stream) {
+  let event;
+  let data = [];
+
+  for await (const line of readLines(stream)) {
+    if (line === '') {
+      if (data.length > 0) {
+        yield { event, data: data.join('\n') };
+      }
+      event = undefined;
+      data = [];
+      continue;
+    }
+
+    if (line.startsWith(':')) {
+      continue;
+    }
+
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+    if (field === 'event') {
+      event = value;
+    } else if (field === 'data') {
+      data.push(value);
+    }
+  }
+
+  if (data.length > 0) {
+    yield { event, data: data.join('\n') };
+  }
+}
+
+/**
+ * Parse a newline-delimited JSON stream
+ * @param {AsyncIterable<Buffer|string>} stream - Readable stream
+ * @returns {AsyncGenerator<Object>} Parsed objects
+ */
+async function* parseNDJSON(stream) {
+  for await (const line of readLines(stream)) {
+    if (line.trim()) {
+      yield JSON.parse(line);
+    }
+  }
+}
+
+/**
+ * Decode the headers section of an AWS event stream message
+ * @param {Buffer} buffer - Header bytes
+ * @returns {Object} Header names mapped to values
+ * @private
+ */
+function decodeEventStreamHeaders(buffer) {
+  const headers = {};
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const nameLength = buffer.readUInt8(offset);
+    offset += 1;
+    const name = buffer.toString('utf8', offset, offset + nameLength);
+    offset += nameLength;
+    const type = buffer.readUInt8(offset);
+    offset += 1;
+
+    switch (type) {
+      case 0:
+        headers[name] = true;
+        break;
+      case 1:
+        headers[name] = false;
+        break;
+      case 2:
+        headers[name] = buffer.readInt8(offset);
+        offset += 1;
+        break;
+      case 3:
+        headers[name] = buffer.readInt16BE(offset);
+        offset += 2;
+        break;
+      case 4:
+        headers[name] = buffer.readInt32BE(offset);
+        offset += 4;
+        break;
+      case 5:
+        headers[name] = buffer.readBigInt64BE(offset);
+        offset += 8;
+        break;
+      case 6:
+      case 7: {
+        const length = buffer.readUInt16BE(offset);
+        offset += 2;
+        const value = buffer.subarray(offset, offset + length);
+        headers[name] = type === 7 ? value.toString('utf8') : value;
+        offset += length;
+        break;
+      }
+      case 8:
+        headers[name] = new Date(Number(buffer.readBigInt64BE(offset)));
+        offset += 8;
+        break;
+      case 9:
+        headers[name] = buffer.subarray(offset, offset + 16).toString('hex');
+        offset += 16;
+        break;
+      default:
+        throw new Error(`Unknown event stream header type: ${type}`);
+    }
+  }
+
+  return headers;
+}
+
+/**
+ * Parse an AWS binary event stream (`application/vnd.amazon.eventstream`)
+ * @param {AsyncIterable<Buffer>} stream - Readable stream
+ * @returns {AsyncGenerator<{headers: Object, payload: Buffer}>} Messages
+ */
+async function* parseEventStream(stream) {
+  let buffer = Buffer.alloc(0);
+
+  for await (const chunk of stream) {
+    buffer = Buffer.concat([buffer, Buffer.from(chunk)]);
+
+    while (buffer.length >= 12) {
+      const totalLength = buffer.readUInt32BE(0);
+      if (buffer.length < totalLength) {
+        break;
+      }
+
+      const headersLength = buffer.readUInt32BE(4);
+      const headersStart = 12;
+      const payloadStart = headersStart + headersLength;
+      const payloadEnd = totalLength - 4;
+
+      yield {
+        headers: decodeEventStreamHeaders(buffer.subarray(headersStart, payloadStart)),
+        payload: buffer.subarray(payloadStart, payloadEnd)
+      };
+
+      buffer = buffer.subarray(totalLength);
+    }
+  }
+}
+
+/**
+ * Read the body of a failed streaming request so the error message can be
+ * extracted the same way as for buffered requests
+ * @param {Error} error - Axios error
+ * @returns {Promise<Error>} The same error with `response.data` parsed
+ */
+async function readStreamError(error) {
+  const data = error.response && error.response.data;
+
+  if (!data || typeof data[Symbol.asyncIterator] !== 'function') {
+    return error;
+  }
+
+  const chunks = [];
+  try {
+    for await (const chunk of data) {
+      chunks.push(Buffer.from(chunk));
+    }
+  } catch (readError) {
+    return error;
+  }
+
+  const body = Buffer.concat(chunks).toString('utf8');
+  try {
+    error.response.data = JSON.parse(body);
+  } catch (parseError) {
+    error.response.data = { message: body };
+  }
+
+  return error;
+}
+
+module.exports = {
+  readLines,
+  parseSSE,
+  parseNDJSON,
+  parseEventStream,
+  readStreamError
+};
@@ -0,0 +1,146 @@
+/**
+ * Provider Structured Output Contract
+ *
+ * `options.responseFormat` asks a provider for a reply that is a JSON object
+ * matching a JSON Schema: `{ name, description, schema }`, where `schema`
+ * has `type: 'object'`. Providers with the `structured` capability use their
+ * native mode and return the JSON text as `content`:
+ *
+ * - OpenAI and compatible servers: `response_format` with a `json_schema`
+ * - Gemini: `responseMimeType: application/json` with a `responseSchema`
+ * - Ollama: the schema as `format`
+ * - Anthropic and Bedrock: a tool named after the format that the model is
+ *   made to call; its input becomes the reply
+ *
+ * Native modes constrain the reply but do not guarantee it is valid, so
+ * callers validate it; see `core/structured-output`.
+ *
+ * @module providers/structured
+ */
+
+const FORMAT_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const DEFAULT_FORMAT_NAME = 'structured_output';
+
+// Schema keywords Gemini's `responseSchema` accepts
+const GEMINI_SCHEMA_KEYS = [
+  'description', 'format', 'enum', 'properties', 'required', 'items',
+  'minItems', 'maxItems', 'minimum', 'maximum', 'minLength', 'maxLength', 'pattern', 'anyOf', 'title'
+];
+
+/**
+ * Validate a response format and fill in its name
+ *
+ * @param {Object} [responseFormat] - `{ name, description, schema }`
+ * @returns {Object|null} Normalized format, or null when none was requested
+ * @throws {Error} If the name or schema is invalid
+ *
+ * @example
+ * normalizeResponseFormat({ schema: { type: 'object', properties: { ok: { type: 'boolean' } } } });
+ * // { name: 'structured_output', description: undefined, schema: { type: 'object', ... } }
+ */
+function normalizeResponseFormat(responseFormat) {
+  if (!responseFormat) {
+    return null;
+  }
+
+  const name = responseFormat.name || DEFAULT_FORMAT_NAME;
+  if (!FORMAT_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid response format name: ${name}. Use 1-64 letters, digits, underscores or dashes`);
+  }
+
+  const schema = responseFormat.schema;
+  if (!schema || typeof schema !== 'object' || schema.type !== 'object') {
+    throw new Error('responseFormat.schema must be a JSON Schema with type object');
+  }
+
+  return { name, description: responseFormat.description, schema };
+}
+
+/**
+ * Add the tool that carries a structured reply, for providers that get
+ * structured output through a forced tool call
+ *
+ * @param {Object} options - Request options
+ * @returns {Object} Request options with the tool added and chosen
+ */
+function withStructuredTool(options) {
+  const format = normalizeResponseFormat(options.responseFormat);
+  if (!format) {
+    return options;
+  }
+
+  const tool = {
+    name: format.name,
+    description: format.description || 'Respond with the requested JSON object',
+    parameters: format.schema
+  };
+
+  return { ...options, tools: [...(options.tools || []), tool], toolChoice: { name: format.name } };
+}
+
+/**
+ * Move the input of the structured reply tool into `content`
+ *
+ * @param {Object} response - Provider response or `done` event with `content` and `toolCalls`
+ * @param {Object} [responseFormat] - Requested response format
+ * @returns {Object} Response with the JSON reply as `content`
+ */
+function readStructuredToolCall(response, responseFormat) {
+  const format = normalizeResponseFormat(responseFormat);
+  const toolCall = format && response.toolCalls.find(call => call.name === format.name);
+  if (!toolCall) {
+    return response;
+  }
+
+  return {
+    ...response,
+    content: JSON.stringify(toolCall.arguments),
+    toolCalls: response.toolCalls.filter(call => call !== toolCall)
+  };
+}
+
+/**
+ * Convert a JSON Schema into the OpenAPI subset Gemini's `responseSchema`
+ * accepts: upper-case types, `nullable` instead of a `null` type, a string
+ * type for untyped string enums and no unsupported keywords
+ *
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} Gemini schema
+ */
+function toGeminiSchema(schema) {
+  const converted = {};
+  const stringEnum = schema.enum && schema.enum.every(option => typeof option === 'string');
+  const types = [].concat(schema.type || (stringEnum ? 'string' : []));
+
+  if (types.length > 0) {
+    const type = types.find(name => name !== 'null') || 'string';
+    converted.type = type.toUpperCase();
+    if (types.includes('null')) {
+      converted.nullable = true;
+    }
+  }
+
+  for (const key of GEMINI_SCHEMA_KEYS.filter(name => schema[name] !== undefined)) {
+    if (key === 'properties') {
+      converted.properties = Object.fromEntries(
+        Object.entries(schema.properties).map(([name, property]) => [name, toGeminiSchema(property)])
+      );
+    } else if (key === 'items') {
+      converted.items = toGeminiSchema(schema.items);
+    } else if (key === 'anyOf') {
+      converted.anyOf = schema.anyOf.map(toGeminiSchema);
+    } else {
+      converted[key] = schema[key];
+    }
+  }
+
+  return converted;
+}
+
+module.exports = {
+  DEFAULT_FORMAT_NAME,
+  normalizeResponseFormat,
+  withStructuredTool,
+  readStructuredToolCall,
+  toGeminiSchema
+};
@@ -0,0 +1,122 @@
+/**
+ * Provider Tool Contract
+ *
+ * Defines the provider-neutral tool schema passed to `sendMessage` and
+ * `streamMessage` as `options.tools`. Providers translate it into their own
+ * function-calling formats and report the model's calls as `toolCalls`.
+ *
+ * A tool is `{ name, description, parameters }` where `parameters` is a JSON
+ * Schema object describing the arguments. A tool call is
+ * `{ id, name, arguments }` with the arguments already parsed. Results are
+ * sent back as `{ role: 'tool', toolCallId, name, content }` messages.
+ *
+ * `options.toolChoice` may be `auto`, `none`, `required` or
+ * `{ name }` to force a specific tool.
+ *
+ * @module providers/tools
+ */
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const TOOL_CHOICES = ['auto', 'none', 'required'];
+
+/**
+ * Validate tool definitions and fill in defaults
+ *
+ * @param {Array<Object>} [tools] - Tool definitions
+ * @returns {Array<Object>} Normalized tool definitions
+ * @throws {Error} If a tool is malformed or a name is repeated
+ *
+ * @example
+ * normalizeTools([{ name: 'read_file', description: 'Read a file', parameters: {
+ *   type: 'object', properties: { path: { type: 'string' } }, required: ['path']
+ * } }]);
+ */
+function normalizeTools(tools) {
+  if (!tools) {
+    return [];
+  }
+
+  if (!Array.isArray(tools)) {
+    throw new Error('Tools must be an array');
+  }
+
+  const names = new Set();
+
+  return tools.map(tool => {
+    if (!tool || !TOOL_NAME_PATTERN.test(tool.name || '')) {
+      throw new Error(`Invalid tool name: ${tool && tool.name}. Use 1-64 letters, digits, underscores or dashes`);
+    }
+
+    if (names.has(tool.name)) {
+      throw new Error(`Duplicate tool name: ${tool.name}`);
+    }
+    names.add(tool.name);
+
+    const parameters = tool.parameters || { type: 'object', properties: {} };
+    if (parameters.type !== 'object') {
+      throw new Error(`Tool '${tool.name}' parameters must be a JSON Schema object`);
+    }
+
+    return {
+      name: tool.name,
+      description: tool.description || '',
+      parameters
+    };
+  });
+}
+
+/**
+ * Validate a tool choice
+ *
+ * @param {string|Object} [toolChoice] - Tool choice
+ * @param {Array<Object>} tools - Normalized tool definitions
+ * @returns {string|{name: string}|undefined} Tool choice
+ * @throws {Error} If the choice is unknown
+ */
+function normalizeToolChoice(toolChoice, tools) {
+  if (toolChoice === undefined || toolChoice === null) {
+    return undefined;
+  }
+
+  if (typeof toolChoice === 'string' && TOOL_CHOICES.includes(toolChoice)) {
+    return toolChoice;
+  }
+
+  if (toolChoice && typeof toolChoice.name === 'string') {
+    if (!tools.some(tool => tool.name === toolChoice.name)) {
+      throw new Error(`Tool choice '${toolChoice.name}' does not match any tool`);
+    }
+    return { name: toolChoice.name };
+  }
+
+  throw new Error(`Invalid tool choice. Must be one of: ${TOOL_CHOICES.join(', ')} or { name }`);
+}
+
+/**
+ * Parse JSON-encoded tool arguments, as returned by OpenAI-style APIs
+ *
+ * @param {string|Object} value - Encoded arguments
+ * @returns {Object} Parsed arguments; unparseable input is kept under `_raw`
+ */
+function parseToolArguments(value) {
+  if (value && typeof value === 'object') {
+    return value;
+  }
+
+  if (!value) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return { _raw: value };
+  }
+}
+
+module.exports = {
+  TOOL_CHOICES,
+  normalizeTools,
+  normalizeToolChoice,
+  parseToolArguments
+};
@@ -0,0 +1,115 @@
+/**
+ * Provider Usage Contract
+ *
+ * Every provider reports token usage in its own shape. They are mapped onto
+ * one provider-neutral shape so usage can be priced and totalled:
+ *
+ *   { inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens, reasoningTokens, totalTokens }
+ *
+ * `inputTokens` counts prompt tokens billed at the normal input rate, so
+ * tokens read from or written to a prompt cache are counted only in their
+ * own fields. `outputTokens` includes any reasoning tokens, which are
+ * billed as output; `reasoningTokens` says how many of them there were.
+ *
+ * @module providers/usage
+ */
+
+const USAGE_FIELDS = ['inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheWriteTokens', 'reasoningTokens', 'totalTokens'];
+
+/**
+ * Build a usage object, filling in zeros and the total
+ * @param {Object} counts - Token counts
+ * @returns {Object} Provider-neutral usage
+ * @private
+ */
+function createUsage(counts) {
+  const usage = {
+    inputTokens: counts.inputTokens || 0,
+    outputTokens: counts.outputTokens || 0,
+    cacheReadTokens: counts.cacheReadTokens || 0,
+    cacheWriteTokens: counts.cacheWriteTokens || 0,
+    reasoningTokens: counts.reasoningTokens || 0
+  };
+  usage.totalTokens = usage.inputTokens + usage.outputTokens + usage.cacheReadTokens + usage.cacheWriteTokens;
+  return usage;
+}
+
+/**
+ * Map a provider's usage report onto the provider-neutral shape
+ *
+ * @param {Object} [usage] - Usage as returned by the provider API
+ * @param {string} format - `anthropic`, `openai`, `bedrock`, `gemini` or `ollama`
+ * @returns {Object} Provider-neutral usage; all zeros when the provider sent none
+ *
+ * @example
+ * normalizeUsage({ prompt_tokens: 12, completion_tokens: 5, prompt_tokens_details: { cached_tokens: 8 } }, 'openai');
+ * // { inputTokens: 4, outputTokens: 5, cacheReadTokens: 8, cacheWriteTokens: 0, reasoningTokens: 0, totalTokens: 17 }
+ */
+function normalizeUsage(usage, format) {
+  const data = usage || {};
+
+  switch (format) {
+    case 'anthropic':
+      return createUsage({
+        inputTokens: data.input_tokens,
+        outputTokens: data.output_tokens,
+        cacheReadTokens: data.cache_read_input_tokens,
+        cacheWriteTokens: data.cache_creation_input_tokens
+      });
+    case 'openai': {
+      // Cached and reasoning tokens are included in the prompt and completion counts
+      const cached = (data.prompt_tokens_details && data.prompt_tokens_details.cached_tokens) || 0;
+      return createUsage({
+        inputTokens: (data.prompt_tokens || 0) - cached,
+        outputTokens: data.completion_tokens,
+        cacheReadTokens: cached,
+        reasoningTokens: data.completion_tokens_details && data.completion_tokens_details.reasoning_tokens
+      });
+    }
+    case 'bedrock':
+      return createUsage({
+        inputTokens: data.inputTokens,
+        outputTokens: data.outputTokens,
+        cacheReadTokens: data.cacheReadInputTokens,
+        cacheWriteTokens: data.cacheWriteInputTokens
+      });
+    case 'gemini': {
+      // Cached tokens are part of the prompt count; thinking tokens are not part of the candidates count
+      const cached = data.cachedContentTokenCount || 0;
+      return createUsage({
+        inputTokens: (data.promptTokenCount || 0) - cached,
+        outputTokens: (data.candidatesTokenCount || 0) + (data.thoughtsTokenCount || 0),
+        cacheReadTokens: cached,
+        reasoningTokens: data.thoughtsTokenCount
+      });
+    }
+    case 'ollama':
+      return createUsage({
+        inputTokens: data.prompt_eval_count,
+        outputTokens: data.eval_count
+      });
+    default:
+      throw new Error(`Unknown usage format '${format}'`);
+  }
+}
+
+/**
+ * Add up provider-neutral usage objects
+ * @param {...Object} usages - Usage objects; missing ones are skipped
+ * @returns {Object} Summed usage, with the total recomputed from its parts
+ */
+function addUsage(...usages) {
+  const counts = {};
+  for (const usage of usages.filter(Boolean)) {
+    for (const field of USAGE_FIELDS.filter(name => name !== 'totalTokens')) {
+      counts[field] = (counts[field] || 0) + (usage[field] || 0);
+    }
+  }
+  return createUsage(counts);
+}
+
+module.exports = {
+  USAGE_FIELDS,
+  normalizeUsage,
+  addUsage
+};
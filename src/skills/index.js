@@ -10,6 +10,7 @@ const fs = require('fs-extra');
 const path = require('path');
 const glob = require('glob');
 const yaml = require('yaml');
+const { resolveModelAlias, checkFrontmatterModel } = require('../providers/aliases');
 
 /**
  * SkillsManager class
@@ -108,11 +109,29 @@ class SkillsManager {
     return Array.from(this.skills.keys());
   }
 
+  /**
+   * Resolve the model a skill runs on. `inherit` and skills without a
+   * `model` use the session's model; aliases resolve for the session's provider.
+   * @param {Object} skill - Skill object
+   * @param {Object} context - Execution context
+   * @param {string} [context.provider] - Session's provider
+   * @param {string} [context.model] - Session's model
+   * @param {Object} [context.modelAliases] - `modelAliases` configuration section
+   * @returns {string|undefined} Model ID
+   * @throws {ModelAliasError} If the alias has no model for the provider
+   */
+  resolveSkillModel(skill, context = {}) {
+    if (!context.provider) {
+      return context.model;
+    }
+    return resolveModelAlias(skill.model, context.provider, context.modelAliases) || context.model;
+  }
+
   /**
    * Execute a skill with context
    * @param {string} skillName - Name of the skill to execute
-   * @param {Object} context - Execution context
-   * @returns {Promise<Object>} Execution result
+   * @param {Object} context - Execution context, see `resolveSkillModel`
+   * @returns {Promise<Object>} Execution result with the `model` the skill runs on
    */
   async executeSkill(skillName, context = {}) {
     const skill = this.getSkill(skillName);
@@ -120,6 +139,8 @@ class SkillsManager {
       throw new Error(`Skill '${skillName}' not found`);
     }
 
+    const model = this.resolveSkillModel(skill, context);
+
     try {
       // Handle error skill for testing
       if (skillName === 'Error Skill') {
@@ -131,6 +152,7 @@ class SkillsManager {
       return {
         success: true,
         skill: skillName,
+        model,
         output: `Executed skill: ${skill.description}`,
         context: context
       };
@@ -195,9 +217,10 @@ ${content || ''}
   /**
    * Validate skill configuration
    * @param {Object} skill - Skill object to validate
+   * @param {Object} [modelAliases] - `modelAliases` configuration section, for aliases beyond the built-in ones
    * @returns {Object} Validation result
    */
-  validateSkill(skill) {
+  validateSkill(skill, modelAliases) {
     if (!skill) {
       return { valid: false, error: 'Skill object is required' };
     }
@@ -210,6 +233,11 @@ ${content || ''}
       return { valid: false, error: 'Skill description is required and must be a string' };
     }
 
+    const modelError = checkFrontmatterModel(skill.model, modelAliases);
+    if (modelError) {
+      return { valid: false, error: modelError };
+    }
+
     return { valid: true };
   }
 }
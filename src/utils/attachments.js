@@ -0,0 +1,185 @@
+/**
+ * Attachments Module
+ *
+ * Loads local images and PDFs as message content parts, finds file paths
+ * pasted or dragged into a chat message, and checks that a model can read
+ * the attachments it is sent. Which attachment types a model reads comes
+ * from the `attachments` entry of its limits in `providers/models`.
+ *
+ * @module utils/attachments
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { getAttachments } = require('../providers/messages');
+
+const ATTACHMENT_MEDIA_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf'
+};
+
+// Largest file accepted; providers reject larger requests, some at lower sizes
+const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024;
+
+// Attachment part type mapped to the name used in messages
+const ATTACHMENT_LABELS = { image: 'image', document: 'PDF' };
+
+/**
+ * Raised when a file cannot be attached or the model cannot read an attachment
+ */
+class AttachmentError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - `{ file, model, type }`
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'AttachmentError';
+    this.code = 'ERR_ATTACHMENT';
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * Load a local image or PDF as a message content part
+ *
+ * @param {string} filePath - Path to the file, relative to `cwd`
+ * @param {string} [cwd=process.cwd()] - Directory relative paths start from
+ * @returns {Promise<Object>} `{ type: 'image', ... }` or `{ type: 'document', ..., pages }` part
+ * @throws {AttachmentError} If the file is missing, of an unsupported type or too large
+ *
+ * @example
+ * const image = await loadAttachment('screenshots/login-error.png');
+ * // { type: 'image', mediaType: 'image/png', data: 'iVBORw0KGgo...', name: 'login-error.png' }
+ */
+async function loadAttachment(filePath, cwd = process.cwd()) {
+  const file = path.resolve(cwd, filePath);
+  const name = path.basename(file);
+  const mediaType = ATTACHMENT_MEDIA_TYPES[path.extname(file).toLowerCase()];
+
+  if (!mediaType) {
+    throw new AttachmentError(
+      `Cannot attach ${name}: supported files are ${Object.keys(ATTACHMENT_MEDIA_TYPES).join(', ')}`,
+      { file }
+    );
+  }
+
+  let stats;
+  try {
+    stats = await fs.stat(file);
+  } catch (error) {
+    throw new AttachmentError(`Cannot attach ${filePath}: file not found`, { file });
+  }
+
+  if (!stats.isFile()) {
+    throw new AttachmentError(`Cannot attach ${filePath}: not a file`, { file });
+  }
+
+  if (stats.size > MAX_ATTACHMENT_BYTES) {
+    throw new AttachmentError(
+      `Cannot attach ${name}: ${(stats.size / 1024 / 1024).toFixed(1)} MB is over the ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB limit`,
+      { file }
+    );
+  }
+
+  const buffer = await fs.readFile(file);
+  const data = buffer.toString('base64');
+
+  if (mediaType === 'application/pdf') {
+    // Page objects are counted to estimate the document's tokens
+    const pages = (buffer.toString('latin1').match(/\/Type\s*\/Page(?!s)/g) || []).length;
+    return { type: 'document', mediaType, data, name, pages: pages || 1 };
+  }
+
+  return { type: 'image', mediaType, data, name };
+}
+
+/**
+ * Find paths of attachable files in a chat message, as left by pasting a
+ * path or dragging a file into the terminal. Paths may be quoted or have
+ * backslash-escaped spaces; only files that exist are returned.
+ *
+ * @param {string} message - Chat message
+ * @param {string} [cwd=process.cwd()] - Directory relative paths start from
+ * @returns {Promise<string[]>} Paths as written, without quotes or escapes
+ *
+ * @example
+ * await findAttachmentPaths('Why does this fail? ~/Desktop/Screen\\ Shot.png');
+ * // ['/home/me/Desktop/Screen Shot.png']
+ */
+async function findAttachmentPaths(message, cwd = process.cwd()) {
+  const extensions = Object.keys(ATTACHMENT_MEDIA_TYPES).map(extension => extension.slice(1)).join('|');
+  const pattern = new RegExp(`'([^']+\\.(?:${extensions}))'|"([^"]+\\.(?:${extensions}))"|((?:\\\\ |[^\\s'"])+\\.(?:${extensions}))(?=\\s|$|[.,;:!?)])`, 'gi');
+  const paths = [];
+
+  for (const match of String(message || '').matchAll(pattern)) {
+    const written = (match[1] || match[2] || match[3].replace(/\\ /g, ' '))
+      .replace(/^~(?=\/|$)/, process.env.HOME || '~');
+    if (!paths.includes(written) && await fs.pathExists(path.resolve(cwd, written))) {
+      paths.push(written);
+    }
+  }
+
+  return paths;
+}
+
+/**
+ * Load the attachable files a chat message refers to
+ *
+ * @param {string} message - Chat message
+ * @param {string} [cwd=process.cwd()] - Directory relative paths start from
+ * @returns {Promise<Array<Object>>} Attachment parts, see `loadAttachment`
+ * @throws {AttachmentError} If a file that was found cannot be attached
+ */
+async function loadMessageAttachments(message, cwd = process.cwd()) {
+  const paths = await findAttachmentPaths(message, cwd);
+  return Promise.all(paths.map(filePath => loadAttachment(filePath, cwd)));
+}
+
+/**
+ * Build user message content from text and attachments
+ *
+ * @param {string} text - Message text
+ * @param {Array<Object>} [attachments] - Attachment parts
+ * @returns {string|Array<Object>} The text alone, or attachment parts followed by a text part
+ */
+function buildMessageContent(text, attachments = []) {
+  return attachments.length > 0 ? [...attachments, { type: 'text', text }] : text;
+}
+
+/**
+ * Check that a model reads every attachment in a conversation
+ *
+ * @param {Array<Object>} messages - Provider-neutral messages
+ * @param {string} modelId - Model the messages are sent to
+ * @param {{attachments: (string[]|undefined)}} limits - Model limits from `getModelLimits`
+ * @throws {AttachmentError} If an attachment type is not accepted by the model
+ */
+function checkAttachments(messages, modelId, limits) {
+  const accepted = limits.attachments || [];
+
+  for (const message of messages) {
+    const part = getAttachments(message.content).find(attachment => !accepted.includes(attachment.type));
+    if (part) {
+      throw new AttachmentError(
+        `${modelId} cannot read ${ATTACHMENT_LABELS[part.type]} attachments (${part.name || 'attachment'})`,
+        { model: modelId, type: part.type }
+      );
+    }
+  }
+}
+
+module.exports = {
+  ATTACHMENT_MEDIA_TYPES,
+  MAX_ATTACHMENT_BYTES,
+  AttachmentError,
+  loadAttachment,
+  findAttachmentPaths,
+  loadMessageAttachments,
+  buildMessageContent,
+  checkAttachments
+};
@@ -0,0 +1,92 @@
+/**
+ * Batch Report Module
+ *
+ * Formats batch jobs for `sheikh batch`: the job list and the status of one job.
+ *
+ * @module utils/batch-report
+ */
+
+const chalk = require('chalk');
+const { formatTable } = require('./usage-report');
+const { countItems } = require('../core/batch-jobs');
+
+// Color of each job or input by state
+const STATUS_COLORS = {
+  running: chalk.yellow,
+  pending: chalk.gray,
+  completed: chalk.green,
+  succeeded: chalk.green,
+  failed: chalk.red,
+  cancelled: chalk.gray
+};
+
+/**
+ * Describe a job's progress
+ * @param {Object} job - Batch job
+ * @returns {string} e.g. `12/40 done, 1 failed`
+ */
+function formatProgress(job) {
+  const counts = countItems(job);
+  const failed = counts.failed > 0 ? `, ${counts.failed} failed` : '';
+  return `${counts.succeeded + counts.failed}/${counts.total} done${failed}`;
+}
+
+/**
+ * Build the job list
+ * @param {Array<Object>} jobs - Jobs from `BatchJobs#list`
+ * @returns {string} Report text
+ */
+function formatBatchList(jobs) {
+  if (jobs.length === 0) {
+    return chalk.yellow('No batch jobs yet.');
+  }
+
+  const rows = formatTable([
+    ['Job', 'Status', 'Mode', 'Provider', 'Model', 'Progress', 'Created'],
+    ...jobs.map(job => [
+      job.id,
+      job.status,
+      job.mode,
+      job.provider,
+      job.model || '-',
+      formatProgress(job),
+      new Date(job.createdAt).toLocaleString()
+    ])
+  ]);
+
+  return [chalk.blue(rows[0]), ...rows.slice(1).map((row, index) => STATUS_COLORS[jobs[index].status](row))].join('\n');
+}
+
+/**
+ * Build the status of one job, listing each input and where its result is
+ * @param {Object} job - Batch job
+ * @returns {string} Report text
+ */
+function formatBatchJob(job) {
+  const lines = [
+    `${chalk.gray('Status:')}   ${STATUS_COLORS[job.status](job.status)} (${formatProgress(job)})`,
+    `${chalk.gray('Mode:')}     ${job.mode === 'provider' ? `${job.provider} batch API${job.remoteId ? `, batch ${job.remoteId}` : ''}` : 'local queue'}`,
+    `${chalk.gray('Model:')}    ${job.provider} / ${job.model || 'default'}`,
+    `${chalk.gray('Prompt:')}   ${job.prompt}`,
+    `${chalk.gray('Results:')}  ${job.outputDir}`
+  ];
+
+  if (job.error) {
+    lines.push(chalk.red(`Error: ${job.error}`));
+  }
+
+  lines.push('');
+  for (const item of job.items) {
+    const target = item.status === 'succeeded' ? chalk.gray(` → ${item.output}`) : '';
+    const error = item.error ? chalk.red(` ${item.error}`) : '';
+    lines.push(`  ${STATUS_COLORS[item.status](item.status.padEnd(9))} ${item.input}${target}${error}`);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  formatProgress,
+  formatBatchList,
+  formatBatchJob
+};
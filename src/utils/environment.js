@@ -9,6 +9,8 @@
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
+const { resolveAWSCredentials } = require('../providers/aws-credentials');
+const { getEntraCredentials } = require('../providers/azure-auth');
 
 /**
  * Setup environment for Sheikh-CLI
@@ -45,12 +47,24 @@ function validateEnvironmentVariables() {
     // OpenAI
     OPENAI_API_KEY: process.env.OPENAI_API_KEY,
     
+    // Azure OpenAI
+    AZURE_OPENAI_ENDPOINT: process.env.AZURE_OPENAI_ENDPOINT,
+    AZURE_OPENAI_API_KEY: process.env.AZURE_OPENAI_API_KEY,
+    AZURE_OPENAI_DEPLOYMENTS: process.env.AZURE_OPENAI_DEPLOYMENTS,
+    AZURE_TENANT_ID: process.env.AZURE_TENANT_ID,
+    AZURE_CLIENT_ID: process.env.AZURE_CLIENT_ID,
+    AZURE_CLIENT_SECRET: process.env.AZURE_CLIENT_SECRET,
+    
     // AWS
     AWS_ACCESS_KEY_ID: process.env.AWS_ACCESS_KEY_ID,
     AWS_SECRET_ACCESS_KEY: process.env.AWS_SECRET_ACCESS_KEY,
+    AWS_SESSION_TOKEN: process.env.AWS_SESSION_TOKEN,
+    AWS_PROFILE: process.env.AWS_PROFILE,
     AWS_DEFAULT_REGION: process.env.AWS_DEFAULT_REGION,
     
     // Google
+    GOOGLE_APPLICATION_CREDENTIALS: process.env.GOOGLE_APPLICATION_CREDENTIALS,
+    GEMINI_API_KEY: process.env.GEMINI_API_KEY,
     GOOGLE_API_KEY: process.env.GOOGLE_API_KEY,
     GOOGLE_PROJECT_ID: process.env.GOOGLE_PROJECT_ID,
     GOOGLE_LOCATION: process.env.GOOGLE_LOCATION,
@@ -90,12 +104,23 @@ function isProviderAvailable(provider) {
       return envValidation.available.includes('ANTHROPIC_API_KEY');
     case 'openai':
       return envValidation.available.includes('OPENAI_API_KEY');
+    case 'azure':
+      // The resource endpoint with its key or a service principal for Entra ID
+      return envValidation.available.includes('AZURE_OPENAI_ENDPOINT') &&
+             (envValidation.available.includes('AZURE_OPENAI_API_KEY') || !!getEntraCredentials());
     case 'aws':
-      return envValidation.available.includes('AWS_ACCESS_KEY_ID') && 
-             envValidation.available.includes('AWS_SECRET_ACCESS_KEY');
+      // Credentials may also come from a profile in ~/.aws/credentials
+      try {
+        const { accessKeyId, secretAccessKey } = resolveAWSCredentials();
+        return !!(accessKeyId && secretAccessKey);
+      } catch (error) {
+        return false;
+      }
     case 'google':
-      return envValidation.available.includes('GOOGLE_API_KEY') && 
-             envValidation.available.includes('GOOGLE_PROJECT_ID');
+      // A service-account key file (Vertex AI) or a Gemini API key
+      return envValidation.available.includes('GOOGLE_APPLICATION_CREDENTIALS') ||
+             envValidation.available.includes('GEMINI_API_KEY') ||
+             envValidation.available.includes('GOOGLE_API_KEY');
     case 'ollama':
       return true; // Ollama doesn't require API keys
     default:
@@ -108,7 +133,7 @@ function isProviderAvailable(provider) {
  * @returns {Array<string>} List of available providers
  */
 function getAvailableProviders() {
-  const providers = ['anthropic', 'openai', 'aws', 'google', 'ollama'];
+  const providers = ['anthropic', 'openai', 'azure', 'aws', 'google', 'ollama'];
   return providers.filter(provider => isProviderAvailable(provider));
 }
 
@@ -166,15 +191,29 @@ API_KEY=your_anthropic_api_key_here
 # OpenAI (GPT)
 OPENAI_API_KEY=your_openai_api_key_here
 
+# Azure OpenAI (models without a mapping use the deployment named after them)
+AZURE_OPENAI_ENDPOINT=https://your-resource.openai.azure.com
+AZURE_OPENAI_API_KEY=your_azure_openai_key_here
+AZURE_OPENAI_DEPLOYMENTS=gpt-4o=your_gpt4o_deployment,gpt-4o-mini=your_gpt4o_mini_deployment
+# AZURE_OPENAI_API_VERSION=2024-10-21
+# Or Microsoft Entra ID with a service principal instead of the key
+# AZURE_TENANT_ID=your_tenant_id_here
+# AZURE_CLIENT_ID=your_client_id_here
+# AZURE_CLIENT_SECRET=your_client_secret_here
+
 # AWS Bedrock
 AWS_ACCESS_KEY_ID=your_aws_access_key_here
 AWS_SECRET_ACCESS_KEY=your_aws_secret_key_here
 AWS_DEFAULT_REGION=us-east-1
+# Or use a profile from ~/.aws/credentials instead of the keys above
+# AWS_PROFILE=default
 
-# Google Vertex AI
-GOOGLE_API_KEY=your_google_api_key_here
+# Google Vertex AI (service-account key; the project defaults to the key's project_id)
+GOOGLE_APPLICATION_CREDENTIALS=/path/to/service-account.json
 GOOGLE_PROJECT_ID=your_google_project_id_here
 GOOGLE_LOCATION=us-central1
+# Or the Gemini API with an API key
+# GEMINI_API_KEY=your_gemini_api_key_here
 
 # Ollama (Local)
 OLLAMA_BASE_URL=http://localhost:11434
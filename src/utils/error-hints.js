@@ -0,0 +1,115 @@
+/**
+ * Error Hints Module
+ *
+ * Suggests what the user can do about a failed provider request, based on
+ * the error class from `providers/errors`, or about a used-up budget or an
+ * attachment the model cannot read.
+ *
+ * @module utils/error-hints
+ */
+
+const {
+  AuthenticationError,
+  PermissionError,
+  RateLimitError,
+  OverloadedError,
+  ContextLengthError,
+  InvalidRequestError,
+  ServerError,
+  NetworkError,
+  TimeoutError
+} = require('../providers/errors');
+const { BudgetExceededError } = require('../core/usage-tracker');
+const { AttachmentError } = require('./attachments');
+
+// Where each built-in provider reads its credentials from
+const CREDENTIAL_HINTS = {
+  anthropic: 'Check ANTHROPIC_API_KEY',
+  openai: 'Check OPENAI_API_KEY',
+  azure: 'Check AZURE_OPENAI_API_KEY (or AZURE_TENANT_ID, AZURE_CLIENT_ID and AZURE_CLIENT_SECRET for Entra ID)',
+  aws: 'Check AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY and AWS_SESSION_TOKEN (or AWS_PROFILE)',
+  google: 'Check GEMINI_API_KEY, or the service-account key in GOOGLE_APPLICATION_CREDENTIALS'
+};
+
+/**
+ * Format a wait in milliseconds for display
+ * @param {number} delay - Milliseconds
+ * @returns {string} e.g. `30s` or `2m`
+ * @private
+ */
+function formatDelay(delay) {
+  const seconds = Math.ceil(delay / 1000);
+  return seconds >= 120 ? `${Math.ceil(seconds / 60)}m` : `${seconds}s`;
+}
+
+/**
+ * Suggest how to resolve a provider error
+ * @param {Error} error - Error thrown while sending a message
+ * @returns {string|null} Hint to show below the error, or null for errors without one
+ *
+ * @example
+ * const hint = getErrorHint(error);
+ * if (hint) console.error(chalk.yellow(hint));
+ */
+function getErrorHint(error) {
+  const provider = error.provider;
+
+  if (error instanceof AuthenticationError) {
+    const check = CREDENTIAL_HINTS[provider] || `Check the API key configured for provider '${provider}'`;
+    return `${check} in your environment or .env file.`;
+  }
+
+  if (error instanceof PermissionError) {
+    return provider === 'aws'
+      ? 'Your AWS credentials are valid but cannot invoke this model. Request model access in the Bedrock console or check the IAM policy.'
+      : 'Your key is valid but does not have access to this model. Check your plan or pick another model with --model.';
+  }
+
+  if (error instanceof RateLimitError) {
+    const wait = error.retryAfter ? ` in ${formatDelay(error.retryAfter)}` : ' shortly';
+    return `Rate limit reached. Try again${wait}, raise retry.maxRetries, or add a fallback provider to your config.`;
+  }
+
+  if (error instanceof OverloadedError) {
+    return 'The provider is over capacity. Try again shortly or add a fallback provider to your config.';
+  }
+
+  if (error instanceof ContextLengthError) {
+    return 'The conversation is too long for this model. Use /clear to start over, or pick a model with a larger context window.';
+  }
+
+  if (error instanceof InvalidRequestError) {
+    return provider === 'azure'
+      ? 'Azure OpenAI rejected the request. Check that the model has a deployment, or map it to one in AZURE_OPENAI_DEPLOYMENTS.'
+      : 'The provider rejected the request. Check the model name passed with --model or set as apiModelId.';
+  }
+
+  if (error instanceof ServerError) {
+    return 'The provider failed to handle the request. Try again; if it keeps failing, check the provider\'s status page.';
+  }
+
+  if (error instanceof NetworkError) {
+    return provider === 'ollama'
+      ? 'Start Ollama with `ollama serve`, or set OLLAMA_BASE_URL if it runs elsewhere.'
+      : 'Could not reach the provider. Check your network connection and proxy settings.';
+  }
+
+  if (error instanceof BudgetExceededError) {
+    return `Raise budget.${error.period} in .sheikh/config.json, or see where it went with \`sheikh usage\`.`;
+  }
+
+  if (error instanceof AttachmentError && error.model) {
+    return `Pick a model that reads ${error.type === 'image' ? 'images' : 'PDFs'} with --model, or list the type under ` +
+      `modelLimits.${error.model}.attachments in .sheikh/config.json if the model supports it.`;
+  }
+
+  if (error instanceof TimeoutError) {
+    return 'The request timed out. Try again, or try a smaller request or a faster model.';
+  }
+
+  return null;
+}
+
+module.exports = {
+  getErrorHint
+};
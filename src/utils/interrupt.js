@@ -0,0 +1,76 @@
+/**
+ * Interrupt Module
+ *
+ * Makes Ctrl+C in an interactive chat cancel the running turn instead of
+ * ending the process. Each turn gets an `AbortSignal`; the first Ctrl+C
+ * aborts it so the session can return to the prompt. A Ctrl+C with no turn
+ * running, or a second one before the cancelled turn has wound down, exits.
+ *
+ * @module utils/interrupt
+ */
+
+/**
+ * TurnInterrupter class
+ * Routes SIGINT to the running chat turn
+ */
+class TurnInterrupter {
+  /**
+   * Create a new TurnInterrupter instance
+   * @param {Object} options - Interrupter options
+   * @param {Function} options.onExit - Called when Ctrl+C should end the session
+   * @param {Object} [options.target=process] - Emitter of `SIGINT` events
+   */
+  constructor({ onExit, target = process }) {
+    this.onExit = onExit;
+    this.target = target;
+    this.controller = null;
+    this.handleInterrupt = this.handleInterrupt.bind(this);
+  }
+
+  /**
+   * Start handling Ctrl+C. Ora spinners and inquirer prompts both raise
+   * `SIGINT` on Ctrl+C, so one listener covers the prompt and the turn.
+   */
+  listen() {
+    this.target.on('SIGINT', this.handleInterrupt);
+  }
+
+  /**
+   * Stop handling Ctrl+C, restoring the default of ending the process
+   */
+  close() {
+    this.target.removeListener('SIGINT', this.handleInterrupt);
+  }
+
+  /**
+   * Begin a turn that Ctrl+C can cancel
+   * @returns {AbortSignal} Signal to pass to provider calls, tools and plans
+   */
+  startTurn() {
+    this.controller = new AbortController();
+    return this.controller.signal;
+  }
+
+  /**
+   * Mark the current turn as finished, cancelled or not
+   */
+  endTurn() {
+    this.controller = null;
+  }
+
+  /**
+   * Cancel the running turn, or exit when there is none to cancel
+   */
+  handleInterrupt() {
+    if (this.controller && !this.controller.signal.aborted) {
+      this.controller.abort();
+      return;
+    }
+
+    this.onExit();
+  }
+}
+
+module.exports = {
+  TurnInterrupter
+};
@@ -0,0 +1,204 @@
+/**
+ * JSON Schema Module
+ *
+ * Validates values against the subset of JSON Schema used to describe
+ * structured model output: `type` (including `integer`, `null` and lists of
+ * types), `enum`, `const`, `properties`, `required`, `additionalProperties`,
+ * `items`, `minItems`/`maxItems`, `minLength`/`maxLength`, `pattern`,
+ * `minimum`/`maximum`, `anyOf` and `oneOf`. Other keywords are ignored.
+ *
+ * @module utils/json-schema
+ */
+
+const JSON_TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+
+/**
+ * Name the JSON type of a value
+ * @param {*} value - Value
+ * @returns {string} One of `JSON_TYPES`, or `undefined` for values JSON cannot hold
+ * @private
+ */
+function getJsonType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return ['object', 'string', 'boolean'].includes(typeof value) ? typeof value : 'undefined';
+}
+
+/**
+ * Check a value's type against a schema `type`
+ * @param {*} value - Value
+ * @param {string|string[]} type - Allowed type or types
+ * @returns {boolean} True if the value has an allowed type
+ * @private
+ */
+function matchesType(value, type) {
+  const actual = getJsonType(value);
+  return [].concat(type).some(expected => expected === actual || (expected === 'number' && actual === 'integer'));
+}
+
+/**
+ * Validate a value against a JSON Schema
+ *
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON Schema
+ * @param {string} [path='$'] - Location of the value, used in messages
+ * @returns {string[]} Validation errors; empty when the value matches
+ *
+ * @example
+ * validateJsonSchema({ severity: 'urgent' }, {
+ *   type: 'object',
+ *   properties: { severity: { enum: ['low', 'high'] } },
+ *   required: ['severity', 'file']
+ * });
+ * // ['$ is missing required property "file"', '$.severity must be one of: "low", "high"']
+ */
+function validateJsonSchema(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object') {
+    return [];
+  }
+
+  if (schema.type !== undefined && !matchesType(value, schema.type)) {
+    return [`${path} must be ${[].concat(schema.type).join(' or ')}, got ${getJsonType(value)}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.some(option => isEqual(option, value))) {
+    errors.push(`${path} must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (schema.const !== undefined && !isEqual(schema.const, value)) {
+    errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(option => validateJsonSchema(value, option, path).length === 0)) {
+    errors.push(`${path} does not match any of the allowed schemas`);
+  }
+
+  if (schema.oneOf && schema.oneOf.filter(option => validateJsonSchema(value, option, path).length === 0).length !== 1) {
+    errors.push(`${path} must match exactly one of the allowed schemas`);
+  }
+
+  switch (getJsonType(value)) {
+    case 'object':
+      errors.push(...validateObject(value, schema, path));
+      break;
+    case 'array':
+      errors.push(...validateArray(value, schema, path));
+      break;
+    case 'string':
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${path} must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${path} must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+        errors.push(`${path} must match the pattern ${schema.pattern}`);
+      }
+      break;
+    case 'number':
+    case 'integer':
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path} must be at least ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path} must be at most ${schema.maximum}`);
+      }
+      break;
+    default:
+      break;
+  }
+
+  return errors;
+}
+
+/**
+ * Validate an object's properties
+ * @param {Object} value - Object
+ * @param {Object} schema - Object schema
+ * @param {string} path - Location of the object
+ * @returns {string[]} Validation errors
+ * @private
+ */
+function validateObject(value, schema, path) {
+  const errors = [];
+  const properties = schema.properties || {};
+
+  for (const name of schema.required || []) {
+    if (value[name] === undefined) {
+      errors.push(`${path} is missing required property "${name}"`);
+    }
+  }
+
+  for (const [name, propertyValue] of Object.entries(value)) {
+    const propertyPath = /^[A-Za-z_$][\w$]*$/.test(name) ? `${path}.${name}` : `${path}[${JSON.stringify(name)}]`;
+
+    if (properties[name]) {
+      errors.push(...validateJsonSchema(propertyValue, properties[name], propertyPath));
+    } else if (schema.additionalProperties === false) {
+      errors.push(`${path} has unexpected property "${name}"`);
+    } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      errors.push(...validateJsonSchema(propertyValue, schema.additionalProperties, propertyPath));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate an array's length and items
+ * @param {Array} value - Array
+ * @param {Object} schema - Array schema
+ * @param {string} path - Location of the array
+ * @returns {string[]} Validation errors
+ * @private
+ */
+function validateArray(value, schema, path) {
+  const errors = [];
+
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push(`${path} must have at least ${schema.minItems} items`);
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    errors.push(`${path} must have at most ${schema.maxItems} items`);
+  }
+
+  if (schema.items && typeof schema.items === 'object') {
+    value.forEach((item, index) => {
+      errors.push(...validateJsonSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Compare two JSON values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both serialize the same way, ignoring key order
+ * @private
+ */
+function isEqual(a, b) {
+  if (getJsonType(a) === 'object' && getJsonType(b) === 'object') {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]));
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+  }
+  return a === b;
+}
+
+module.exports = {
+  JSON_TYPES,
+  validateJsonSchema
+};
@@ -0,0 +1,62 @@
+/**
+ * Provider Report Module
+ *
+ * Formats provider check results as the table printed by `sheikh providers`.
+ *
+ * @module utils/provider-report
+ */
+
+const chalk = require('chalk');
+const { formatTable } = require('./usage-report');
+
+// Color of each row by check status
+const STATUS_COLORS = {
+  ok: chalk.green,
+  failed: chalk.red,
+  skipped: chalk.gray
+};
+
+/**
+ * Build the provider report
+ *
+ * @param {Array<Object>} results - Results from `checkProvider`
+ * @param {Object} [options] - Report options
+ * @param {boolean} [options.models=false] - List every model under the table
+ * @returns {string} Report text
+ */
+function formatProviderReport(results, options = {}) {
+  const rows = formatTable([
+    ['Provider', 'Credentials', 'Check', 'Latency', 'Models'],
+    ...results.map(result => [
+      result.provider,
+      result.credentials ? 'found' : 'missing',
+      result.status,
+      result.latency === null ? '-' : `${result.latency} ms`,
+      `${result.models.length} ${result.modelSource}`
+    ])
+  ]);
+  const lines = [chalk.blue(rows[0]), ...rows.slice(1).map((row, index) => STATUS_COLORS[results[index].status](row))];
+
+  const failures = results.filter(result => result.status === 'failed');
+  if (failures.length > 0) {
+    lines.push('', chalk.red('Failed checks'));
+    for (const result of failures) {
+      lines.push(chalk.red(`  ${result.provider} (${result.category}): ${result.error}`));
+    }
+  }
+
+  if (options.models) {
+    for (const result of results) {
+      lines.push('', chalk.blue(`${result.provider} models (${result.modelSource})`));
+      lines.push(...(result.models.length > 0
+        ? result.models.map(model => chalk.cyan(`  • ${model}`))
+        : [chalk.gray('  none')]));
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  formatProviderReport
+};
@@ -0,0 +1,203 @@
+/**
+ * Stream Printer Module
+ *
+ * Writes a model reply to the terminal as it streams in, replacing the
+ * spinner with the reply header when the first token arrives. Retries and
+ * provider fallbacks are shown in the spinner while waiting, and context
+ * window warnings are printed above it. A cancelled reply is marked as such.
+ *
+ * The model's reasoning is printed in gray under a `💭 Thinking` header while
+ * it streams. With the default `collapsed` display it is replaced by a
+ * one-line summary when the reply starts, on terminals that can erase it;
+ * `expanded` leaves it on screen and `hidden` never prints it.
+ *
+ * @module utils/stream-printer
+ */
+
+const chalk = require('chalk');
+const { estimateTokens } = require('./tokens');
+
+const REASONING_DISPLAYS = ['collapsed', 'expanded', 'hidden'];
+
+/**
+ * Count the terminal rows text takes up, wrapping long lines
+ * @param {string} text - Printed text
+ * @param {number} columns - Terminal width
+ * @returns {number} Row count
+ * @private
+ */
+function countRows(text, columns) {
+  return text
+    .split('\n')
+    .reduce((rows, line) => rows + Math.max(1, Math.ceil(line.length / columns)), 0);
+}
+
+/**
+ * One-line summary of reasoning that is not shown
+ * @param {string} reasoning - Reasoning text
+ * @returns {string} Summary
+ * @private
+ */
+function summarizeReasoning(reasoning) {
+  return chalk.gray(`💭 Thought for about ${estimateTokens(reasoning)} tokens (/thinking to show)`);
+}
+
+/**
+ * Create a printer for a streamed reply
+ * @param {Object} spinner - Active ora spinner
+ * @param {string} title - Reply header, e.g. `🤖 Sheikh:`
+ * @param {Object} [output] - Writable stream, defaults to stdout
+ * @param {Object} [options] - Printer options
+ * @param {string} [options.reasoning='collapsed'] - How reasoning is shown, one of `REASONING_DISPLAYS`
+ * @returns {{write: Function, reasoning: Function, retry: Function, fallback: Function, contextWarning: Function,
+ *   finish: Function, cancel: Function}} Printer
+ *
+ * @example
+ * const printer = createStreamPrinter(spinner, '🤖 Sheikh:');
+ * const response = await client.send(message, history, { onText: printer.write, onReasoning: printer.reasoning });
+ * printer.finish(response.content, response.reasoning);
+ */
+function createStreamPrinter(spinner, title, output = process.stdout, options = {}) {
+  const display = options.reasoning || 'collapsed';
+  let received = false;
+  let started = false;
+  let answeredBy = null;
+  let thinking = '';
+  let thinkingShown = false;
+  let thinkingClosed = false;
+
+  const receive = () => {
+    if (!received) {
+      spinner.succeed(answeredBy ? `Response received from ${answeredBy}` : 'Response received');
+      received = true;
+    }
+  };
+
+  // Ends the streamed reasoning, collapsing it into a summary when the terminal can erase it
+  const closeThinking = () => {
+    if (!thinkingShown || thinkingClosed) {
+      return;
+    }
+    thinkingClosed = true;
+
+    const rows = countRows(thinking, output.columns || 80);
+    if (display === 'collapsed' && output.isTTY && rows < (output.rows || 24)) {
+      output.write(`\r\x1b[${rows}F\x1b[J`);
+      console.log(summarizeReasoning(thinking));
+    } else {
+      output.write('\n');
+    }
+  };
+
+  const start = () => {
+    receive();
+    closeThinking();
+    console.log(chalk.blue(`\n${title}`));
+    started = true;
+  };
+
+  return {
+    /**
+     * Print a streamed text delta
+     * @param {string} text - Text delta
+     */
+    write(text) {
+      if (!started) {
+        start();
+      }
+      output.write(text);
+    },
+
+    /**
+     * Print a streamed reasoning delta, which arrives before the reply
+     * @param {string} text - Reasoning delta
+     */
+    reasoning(text) {
+      thinking += text;
+      if (display === 'hidden') {
+        spinner.text = 'Thinking...';
+        return;
+      }
+
+      if (!thinkingShown) {
+        receive();
+        console.log(chalk.gray('💭 Thinking'));
+        thinkingShown = true;
+      }
+      output.write(chalk.gray(text));
+    },
+
+    /**
+     * Show that a failed request will be retried
+     * @param {Object} info - Retry details from the provider HTTP client
+     */
+    retry(info) {
+      const seconds = Math.ceil(info.delay / 1000);
+      spinner.text = chalk.yellow(`${info.reason}, retrying in ${seconds}s (${info.attempt}/${info.maxRetries})...`);
+    },
+
+    /**
+     * Show that the provider failed and the next one in the fallback chain is tried
+     * @param {Object} info - Fallback details from the chat client
+     */
+    fallback(info) {
+      answeredBy = info.model ? `${info.to} (${info.model})` : info.to;
+      spinner.text = chalk.yellow(`${info.from} failed (${info.category}), falling back to ${answeredBy}...`);
+    },
+
+    /**
+     * Warn that the conversation was trimmed or is close to the context window
+     * @param {Object} info - Context details from the chat client
+     */
+    contextWarning(info) {
+      const percent = Math.round((info.inputTokens / info.contextWindow) * 100);
+      const message = info.trimmedTurns > 0
+        ? `Removed ${info.trimmedTurns} earlier turn${info.trimmedTurns === 1 ? '' : 's'} to fit ${info.model}'s context window`
+        : `Conversation is using ${percent}% of ${info.model}'s context window; use /clear to start fresh`;
+      const text = spinner.text;
+
+      spinner.warn(chalk.yellow(message));
+      spinner.start(text);
+    },
+
+    /**
+     * Finish the reply, printing it in full when nothing was streamed
+     * @param {string} content - Complete reply
+     * @param {string} [reasoning] - Reasoning of a reply that was not streamed
+     */
+    finish(content, reasoning) {
+      if (started) {
+        output.write('\n\n');
+        return;
+      }
+
+      if (!thinkingShown && reasoning && display !== 'hidden') {
+        receive();
+        console.log(display === 'expanded' ? chalk.gray(`💭 Thinking\n${reasoning}`) : summarizeReasoning(reasoning));
+      }
+
+      start();
+      console.log(content);
+      console.log();
+    },
+
+    /**
+     * End a reply cancelled with Ctrl+C, after any text streamed so far
+     */
+    cancel() {
+      if (started || thinkingShown) {
+        output.write('\n\n');
+        console.log(chalk.yellow('Response cancelled'));
+        console.log();
+        return;
+      }
+
+      spinner.warn(chalk.yellow('Request cancelled'));
+    }
+  };
+}
+
+module.exports = {
+  REASONING_DISPLAYS,
+  createStreamPrinter
+};
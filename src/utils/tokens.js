@@ -0,0 +1,248 @@
+/**
+ * Token Estimation Module
+ *
+ * Estimates how many tokens a conversation uses and trims the oldest turns
+ * so it fits a model's context window. Prompt context that is resent every
+ * turn, such as a repository map, is shortened to a token budget.
+ * Estimates are approximate: each provider tokenizes differently and none
+ * expose a local tokenizer, so the estimate errs on the high side.
+ *
+ * @module utils/tokens
+ */
+
+const { getTextContent, getAttachments } = require('../providers/messages');
+
+// Output tokens providers request when `maxTokens` is not set
+const DEFAULT_MAX_OUTPUT_TOKENS = 1000;
+
+// Fraction of the context window at which the user is warned
+const WARNING_RATIO = 0.8;
+
+// Tokens each message adds for its role and separators
+const MESSAGE_OVERHEAD = 4;
+
+// Longest excerpt of a dropped user turn kept in the trimming note
+const SUMMARY_EXCERPT_LENGTH = 80;
+
+// Most dropped user turns quoted in the trimming note; the most recent are kept
+const SUMMARY_MAX_EXCERPTS = 10;
+
+// Tokens counted for an attached image, about the most a provider charges for one
+const IMAGE_TOKENS = 1600;
+
+// Tokens counted for each page of an attached PDF, which is read as text and a page image
+const DOCUMENT_PAGE_TOKENS = 2000;
+
+/**
+ * Estimate the number of tokens in a piece of text. Uses the larger of
+ * four characters per token, which suits prose, and four tokens per three
+ * words, which suits short words and code with many symbols.
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ *
+ * @example
+ * estimateTokens('Hello, world!'); // 4
+ */
+function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+
+  const value = String(text);
+  const words = value.split(/\s+/).filter(Boolean).length;
+  return Math.ceil(Math.max(value.length / 4, words * 4 / 3));
+}
+
+/**
+ * Estimate the tokens used by one provider-neutral message. Attachments are
+ * counted by image and PDF page rather than by their encoded size.
+ * @param {Object} message - `{ role, content, toolCalls }`
+ * @returns {number} Estimated token count
+ */
+function estimateMessageTokens(message) {
+  const attachments = getAttachments(message.content);
+  let content = message.content;
+  if (attachments.length > 0) {
+    content = getTextContent(message.content);
+  } else if (typeof content !== 'string') {
+    content = JSON.stringify(content || '');
+  }
+  const toolCalls = message.toolCalls ? JSON.stringify(message.toolCalls) : '';
+  const attachmentTokens = attachments.reduce((total, part) => total +
+    (part.type === 'image' ? IMAGE_TOKENS : DOCUMENT_PAGE_TOKENS * (part.pages || 1)), 0);
+
+  return MESSAGE_OVERHEAD + estimateTokens(content) + estimateTokens(toolCalls) + attachmentTokens;
+}
+
+/**
+ * Estimate the tokens used by a message list
+ * @param {Array<Object>} messages - Provider-neutral messages
+ * @returns {number} Estimated token count
+ */
+function estimateMessagesTokens(messages) {
+  return messages.reduce((total, message) => total + estimateMessageTokens(message), 0);
+}
+
+/**
+ * Split the conversation after the system messages into turns, each
+ * starting with a user message and including the replies and tool results
+ * that follow it
+ * @param {Array<Object>} messages - Provider-neutral messages without system messages
+ * @returns {Array<Array<Object>>} Turns
+ * @private
+ */
+function groupTurns(messages) {
+  const turns = [];
+  for (const message of messages) {
+    if (message.role === 'user' || turns.length === 0) {
+      turns.push([message]);
+    } else {
+      turns[turns.length - 1].push(message);
+    }
+  }
+  return turns;
+}
+
+/**
+ * Describe dropped turns in a short system note, so the model knows the
+ * conversation started earlier and what it was about
+ * @param {Array<Array<Object>>} dropped - Dropped turns
+ * @returns {Object} System message
+ * @private
+ */
+function summarizeDroppedTurns(dropped) {
+  const questions = dropped
+    .map(turn => turn[0])
+    .filter(message => message.role === 'user' && getTextContent(message.content))
+    .slice(-SUMMARY_MAX_EXCERPTS)
+    .map(message => {
+      const text = getTextContent(message.content).replace(/\s+/g, ' ').trim();
+      return text.length > SUMMARY_EXCERPT_LENGTH ? `${text.slice(0, SUMMARY_EXCERPT_LENGTH - 3)}...` : text;
+    });
+
+  const summary = questions.length > 0 ? ` Earlier, the user asked: ${questions.map(q => `"${q}"`).join('; ')}.` : '';
+
+  return {
+    role: 'system',
+    content: `${dropped.length} earlier turn${dropped.length === 1 ? ' was' : 's were'} removed to fit the context window.${summary}`
+  };
+}
+
+/**
+ * Fit a conversation into a model's context window, leaving room for the
+ * reply. System messages and the latest turn are always kept; the oldest
+ * turns are dropped first and replaced with a short note listing what the
+ * user asked in them.
+ *
+ * @param {Array<Object>} messages - Provider-neutral messages
+ * @param {Object} limits - Model limits from `getModelLimits`
+ * @param {number} limits.contextWindow - Context window in tokens
+ * @param {number} limits.maxOutput - Most tokens the model can return
+ * @param {Object} [options] - Fitting options
+ * @param {number} [options.maxTokens] - Tokens requested for the reply
+ * @returns {{messages: Array<Object>, inputTokens: number, budget: number, trimmedTurns: number, fits: boolean, nearLimit: boolean}}
+ *   Messages to send, their estimated size, the input budget, the number of
+ *   dropped turns, whether the result fits, and whether it is close to the limit
+ *
+ * @example
+ * const { messages, trimmedTurns } = fitMessages(history, getModelLimits('gpt-4'));
+ */
+function fitMessages(messages, limits, options = {}) {
+  const reserve = Math.min(options.maxTokens || DEFAULT_MAX_OUTPUT_TOKENS, limits.maxOutput);
+  const budget = limits.contextWindow - reserve;
+
+  const system = messages.filter(message => message.role === 'system');
+  const turns = groupTurns(messages.filter(message => message.role !== 'system'));
+
+  const systemTokens = estimateMessagesTokens(system);
+  const turnTokens = turns.map(turn => estimateMessagesTokens(turn));
+  let inputTokens = systemTokens + turnTokens.reduce((total, tokens) => total + tokens, 0);
+  let dropped = [];
+
+  if (inputTokens > budget) {
+    let start = 0;
+    let note;
+    while (start < turns.length - 1) {
+      inputTokens -= turnTokens[start];
+      start++;
+      note = summarizeDroppedTurns(turns.slice(0, start));
+      if (inputTokens + estimateMessageTokens(note) <= budget) {
+        break;
+      }
+    }
+
+    dropped = turns.slice(0, start);
+    if (note) {
+      system.push(note);
+      inputTokens += estimateMessageTokens(note);
+    }
+  }
+
+  return {
+    messages: [...system, ...turns.slice(dropped.length).flat()],
+    inputTokens,
+    budget,
+    trimmedTurns: dropped.length,
+    fits: inputTokens <= budget,
+    nearLimit: inputTokens + reserve >= limits.contextWindow * WARNING_RATIO
+  };
+}
+
+/**
+ * Shorten prompt sections to a token budget. Sections are kept in order;
+ * the first one that does not fit is cut at a line break, ending with a
+ * note of how many lines were left out, and the sections after it are
+ * dropped. A section is dropped rather than cut to its first line.
+ *
+ * @param {Array<string>} sections - Prompt sections, most important first
+ * @param {number} budget - Most tokens the sections may use, joined by blank lines
+ * @returns {{sections: Array<string>, shortened: boolean}} Sections that fit, and whether any were cut or dropped
+ *
+ * @example
+ * // repoMap lists four files, `- src/cli.js (javascript, general)` and so on, in about 47 tokens
+ * fitSections(['Agents:\n- reviewer: review', repoMap], 40);
+ * // { sections: ['Agents:\n- reviewer: review', 'Repository files:\n- src/cli.js (javascript, general)\n' +
+ * //   '- src/config.js (javascript, general)\n- ... 2 more lines left out'], shortened: true }
+ */
+function fitSections(sections, budget) {
+  const fitted = [];
+  const fits = (candidate) => estimateTokens([...fitted, candidate].join('\n\n')) <= budget;
+
+  for (const section of sections) {
+    if (fits(section)) {
+      fitted.push(section);
+      continue;
+    }
+
+    // Keep the most lines that fit with the note, found by binary search
+    const lines = section.split('\n');
+    const cut = (kept) => [...lines.slice(0, kept), `- ... ${lines.length - kept} more lines left out`].join('\n');
+    let low = 1;
+    let high = lines.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (fits(cut(middle))) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    if (low > 1 && fits(cut(low))) {
+      fitted.push(cut(low));
+    }
+    return { sections: fitted, shortened: true };
+  }
+
+  return { sections: fitted, shortened: false };
+}
+
+module.exports = {
+  DEFAULT_MAX_OUTPUT_TOKENS,
+  WARNING_RATIO,
+  estimateTokens,
+  estimateMessageTokens,
+  estimateMessagesTokens,
+  fitMessages,
+  fitSections
+};
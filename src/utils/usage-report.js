@@ -0,0 +1,126 @@
+/**
+ * Usage Report Module
+ *
+ * Formats stored usage records as the tables printed by `sheikh usage`.
+ *
+ * @module utils/usage-report
+ */
+
+const chalk = require('chalk');
+const { summarizeUsage } = require('../core/usage-tracker');
+
+const HEADINGS = {
+  provider: 'By provider',
+  model: 'By model',
+  agent: 'By agent',
+  day: 'By day',
+  session: 'By session'
+};
+
+/**
+ * Format a dollar amount, keeping fractions of a cent visible
+ * @param {number} cost - Cost in US dollars
+ * @returns {string} e.g. `$1.24` or `$0.0031`
+ */
+function formatCost(cost) {
+  return cost > 0 && cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+}
+
+/**
+ * Format a token count with thousands separators
+ * @param {number} tokens - Token count
+ * @returns {string} e.g. `48,210`
+ * @private
+ */
+function formatTokens(tokens) {
+  return tokens.toLocaleString('en-US');
+}
+
+/**
+ * Lay out rows as left-aligned text columns
+ * @param {Array<Array<string>>} rows - Header row followed by data rows
+ * @returns {Array<string>} Lines
+ */
+function formatTable(rows) {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  return rows.map(row => `  ${row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()}`);
+}
+
+/**
+ * Build the usage report
+ *
+ * @param {Array<Object>} records - Usage records from `UsageTracker#readRecords`
+ * @param {Object} [options] - Report options
+ * @param {Array<string>} [options.groupBy] - Breakdowns to show, in order
+ * @param {Object} [options.budget] - Configured budgets in US dollars
+ * @param {Object} [options.spend] - Current spend from `UsageTracker#getSpend`
+ * @returns {string} Report text
+ */
+function formatUsageReport(records, options = {}) {
+  const groupBy = options.groupBy || ['provider', 'model', 'agent', 'day'];
+
+  if (records.length === 0) {
+    return chalk.yellow('No usage recorded yet.');
+  }
+
+  // Grouping every record under one session gives the overall total
+  const [total] = summarizeUsage(records.map(record => ({ ...record, session: 'all' })), 'session');
+  const lines = [
+    chalk.blue.bold(`Total: ${formatCost(total.cost)} over ${total.calls} call${total.calls === 1 ? '' : 's'}`),
+    chalk.gray(`  ${formatTokens(total.inputTokens)} input, ${formatTokens(total.outputTokens)} output, ` +
+      `${formatTokens(total.cacheReadTokens)} cache read, ${formatTokens(total.cacheWriteTokens)} cache write, ` +
+      `${formatTokens(total.reasoningTokens)} reasoning tokens`)
+  ];
+
+  // Share of prompt tokens served from the prompt cache
+  const promptTokens = total.inputTokens + total.cacheReadTokens + total.cacheWriteTokens;
+  if (total.cacheReadTokens > 0) {
+    lines.push(chalk.gray(`  ${Math.round(total.cacheReadTokens / promptTokens * 100)}% of prompt tokens read from cache`));
+  }
+
+  if (total.unpriced > 0) {
+    lines.push(chalk.yellow(`  ${total.unpriced} call${total.unpriced === 1 ? ' has' : 's have'} no price; add the model to .sheikh/prices.json`));
+  }
+
+  for (const dimension of groupBy) {
+    const rows = summarizeUsage(records, dimension);
+    if (dimension === 'day') {
+      rows.sort((a, b) => a.key.localeCompare(b.key));
+    }
+
+    lines.push('', chalk.blue(HEADINGS[dimension]));
+    lines.push(...formatTable([
+      ['', 'Calls', 'Input', 'Output', 'Cache read', 'Cache write', 'Reasoning', 'Cost'],
+      ...rows.map(row => [
+        row.key,
+        String(row.calls),
+        formatTokens(row.inputTokens),
+        formatTokens(row.outputTokens),
+        formatTokens(row.cacheReadTokens),
+        formatTokens(row.cacheWriteTokens),
+        formatTokens(row.reasoningTokens),
+        row.unpriced === row.calls ? '-' : formatCost(row.cost)
+      ])
+    ]));
+  }
+
+  const budget = options.budget || {};
+  const spend = options.spend || {};
+  const periods = ['daily', 'monthly'].filter(period => typeof budget[period] === 'number');
+  if (periods.length > 0) {
+    lines.push('', chalk.blue('Budgets'));
+    for (const period of periods) {
+      const used = spend[period] || 0;
+      const color = used >= budget[period] ? chalk.red : chalk.green;
+      lines.push(color(`  ${period}: ${formatCost(used)} of ${formatCost(budget[period])}`));
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  formatCost,
+  formatTable,
+  formatUsageReport
+};
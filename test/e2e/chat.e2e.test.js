@@ -0,0 +1,256 @@
+const fs = require('fs-extra');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { FakeProviderServer } = require('../fake-provider');
+
+describe('Chat flows against the fake provider server', () => {
+  const server = new FakeProviderServer();
+  const savedEnvironment = {};
+  let ChatClient;
+  let runToolLoop;
+  let UsageTracker;
+  let RateLimitError;
+  let CancelledError;
+  let BatchJobs;
+  let dir;
+
+  beforeAll(async () => {
+    await server.start();
+    for (const [name, value] of Object.entries(server.getEnvironment())) {
+      savedEnvironment[name] = process.env[name];
+      process.env[name] = value;
+    }
+
+    // The provider manager creates its providers on load, so load it after pointing them at the server
+    jest.resetModules();
+    ({ ChatClient } = require('../../src/core/chat-client'));
+    ({ runToolLoop } = require('../../src/core/tool-runner'));
+    ({ UsageTracker } = require('../../src/core/usage-tracker'));
+    ({ RateLimitError, CancelledError } = require('../../src/providers/errors'));
+    ({ BatchJobs } = require('../../src/core/batch-jobs'));
+  });
+
+  afterAll(async () => {
+    for (const [name, value] of Object.entries(savedEnvironment)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+    await server.stop();
+  });
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sheikh-e2e-'));
+  });
+
+  afterEach(async () => {
+    server.reset();
+    await fs.remove(dir);
+  });
+
+  test('should cancel a slow request without waiting for the reply', async () => {
+    const client = new ChatClient({ apiProvider: 'openai', apiModelId: 'gpt-4o-mini' }, {});
+    const controller = new AbortController();
+    const started = Date.now();
+
+    server.enqueue({ text: 'Too late', delay: 500 });
+    setTimeout(() => controller.abort(), 50);
+
+    await expect(client.send('Hi', [], { signal: controller.signal, onText: () => {} })).rejects.toThrow(CancelledError);
+    expect(Date.now() - started).toBeLessThan(400);
+  });
+
+  test('should hold a streamed multi-turn conversation', async () => {
+    const client = new ChatClient({ apiProvider: 'anthropic', apiModelId: 'claude-3-5-haiku-20241022' }, {});
+    const streamed = [];
+
+    server.enqueue({ text: 'Hello there!' });
+    const first = await client.send('Hi', [], { onText: text => streamed.push(text) });
+    const second = await client.send('And again', [{ user: 'Hi', assistant: first.content }]);
+
+    expect(first).toMatchObject({ content: 'Hello there!', provider: 'anthropic', model: 'claude-3-5-haiku-20241022' });
+    expect(streamed).toEqual(['Hello ', 'there!']);
+    expect(second.content).toBe('Echo: And again');
+    expect(server.requests[1].body.messages.map(message => message.role)).toEqual(['user', 'assistant', 'user']);
+  });
+
+  test('should fail over to the next provider when rate limited', async () => {
+    const client = new ChatClient({
+      apiProvider: 'openai',
+      apiModelId: 'gpt-4o',
+      retry: { maxRetries: 0 },
+      fallback: [{ provider: 'ollama', model: 'llama3.1' }]
+    }, {});
+    const onFallback = jest.fn();
+
+    server.enqueue({ provider: 'openai', error: 'rate_limit' }, { provider: 'ollama', text: 'Local answer' });
+    const response = await client.send('Hello', [], { onFallback });
+
+    expect(response).toMatchObject({ content: 'Local answer', provider: 'ollama' });
+    expect(response.fallbacks).toEqual([expect.objectContaining({ provider: 'openai', category: 'rate_limit' })]);
+    expect(onFallback).toHaveBeenCalledWith(expect.objectContaining({ from: 'openai', to: 'ollama' }));
+  });
+
+  test('should fail over when the Microsoft Entra ID token endpoint is unreachable', async () => {
+    const azure = require('../../src/providers').getProvider('azure');
+    const saved = { apiKey: azure.apiKey, entraCredentials: azure.entraCredentials, client: azure.client, auth: azure.auth };
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+
+    Object.assign(azure, {
+      apiKey: '',
+      entraCredentials: { tenantId: 'fake-tenant', clientId: 'fake-client', clientSecret: 'fake-client-secret', authorityHost: `http://127.0.0.1:${port}` },
+      client: null
+    });
+    try {
+      const client = new ChatClient({
+        apiProvider: 'azure',
+        apiModelId: 'gpt-4o',
+        retry: { maxRetries: 0 },
+        fallback: [{ provider: 'ollama', model: 'llama3.1' }]
+      }, {});
+
+      server.enqueue({ provider: 'ollama', text: 'Local answer' });
+      const response = await client.send('Hello');
+
+      expect(response).toMatchObject({ content: 'Local answer', provider: 'ollama' });
+      expect(response.fallbacks).toEqual([expect.objectContaining({ provider: 'azure', category: 'network' })]);
+      expect(server.requests.map(request => request.provider)).toEqual(['ollama']);
+    } finally {
+      Object.assign(azure, saved);
+    }
+  });
+
+  test('should surface provider errors when there is no fallback', async () => {
+    const client = new ChatClient({ apiProvider: 'google', retry: { maxRetries: 0 } }, {});
+
+    server.enqueue({ error: 'rate_limit' });
+    await expect(client.send('Hello')).rejects.toThrow(RateLimitError);
+  });
+
+  test('should run an agent tool loop and record its usage', async () => {
+    await fs.writeFile(path.join(dir, 'notes.md'), 'Ship on Friday');
+    const usageTracker = new UsageTracker({ dir: path.join(dir, 'usage') });
+    const provider = require('../../src/providers').getProvider('aws');
+
+    server.enqueue(
+      { toolCalls: [{ name: 'read_file', arguments: { path: 'notes.md' } }], usage: { inputTokens: 100, outputTokens: 20 } },
+      { text: 'The notes say to ship on Friday.', usage: { inputTokens: 150, outputTokens: 10 } }
+    );
+
+    const result = await runToolLoop(provider, [{ role: 'user', content: 'What do my notes say?' }], {
+      model: 'anthropic.claude-3-haiku-20240307-v1:0',
+      agent: 'notes-agent',
+      usageTracker,
+      tools: [{
+        name: 'read_file',
+        description: 'Read a file',
+        parameters: { type: 'object', properties: { path: { type: 'string' } }, required: ['path'] },
+        execute: async ({ path: file }) => fs.readFile(path.join(dir, file), 'utf8')
+      }]
+    });
+
+    expect(result.content).toBe('The notes say to ship on Friday.');
+    expect(result.turns).toBe(2);
+
+    const toolResult = server.requests[1].body.messages[2].content[0].toolResult;
+    expect(toolResult.content).toEqual([{ text: 'Ship on Friday' }]);
+
+    const records = await usageTracker.readRecords();
+    expect(records.map(record => [record.agent, record.provider, record.usage.inputTokens])).toEqual([
+      ['notes-agent', 'aws', 100],
+      ['notes-agent', 'aws', 150]
+    ]);
+    expect(records[1].cost).toBeCloseTo(150 * 0.25 / 1e6 + 10 * 1.25 / 1e6);
+  });
+
+  describe('batch jobs', () => {
+    const createJobs = (config) => new BatchJobs(config, {
+      cwd: dir,
+      usageTracker: new UsageTracker({ dir: path.join(dir, 'usage') })
+    });
+
+    beforeEach(async () => {
+      await fs.outputFile(path.join(dir, 'src', 'parser.js'), 'module.exports = parse;\n');
+      await fs.outputFile(path.join(dir, 'src', 'lexer.js'), 'module.exports = lex;\n');
+    });
+
+    test.each([
+      ['anthropic', 'claude-3-5-haiku-20241022', 0.8],
+      ['openai', 'gpt-4o-mini', 0.15]
+    ])('should run %s batches and record their usage at the batch discount', async (provider, model, inputPrice) => {
+      const jobs = createJobs({ apiProvider: provider, apiModelId: model });
+      server.enqueue({ text: 'Parses tokens.', usage: { inputTokens: 1000, outputTokens: 0 } }, { error: 'invalid_request' });
+
+      const job = await jobs.create({ prompt: 'Summarize this file', inputs: ['src/parser.js', 'src/lexer.js'], outputDir: 'summaries' });
+      await jobs.run(job, { pollInterval: 1 });
+
+      expect(job).toMatchObject({ mode: 'provider', status: 'completed' });
+      expect(job.items.map(item => [item.input, item.status, item.error])).toEqual([
+        [path.join('src', 'parser.js'), 'succeeded', undefined],
+        [path.join('src', 'lexer.js'), 'failed', 'Invalid request']
+      ]);
+      expect(await fs.readFile(path.join(dir, 'summaries', 'src', 'parser.js.md'), 'utf8')).toBe('Parses tokens.');
+      expect(await fs.readJson(path.join(dir, '.sheikh', 'batches', `${job.id}.json`))).toEqual(job);
+
+      const [record] = await jobs.usageTracker.readRecords();
+      expect(record).toMatchObject({ provider, agent: 'batch', batch: true });
+      expect(record.cost).toBeCloseTo(1000 * inputPrice / 1e6 / 2);
+    });
+
+    test('should resume a submitted provider batch after a restart', async () => {
+      server.batchPolls = 3;
+      const config = { apiProvider: 'anthropic', apiModelId: 'claude-3-5-haiku-20241022' };
+      const job = await createJobs(config).create({ prompt: 'Review this module', inputs: ['src/parser.js'] });
+
+      try {
+        await createJobs(config).run(job, { wait: false });
+        expect(job.remoteId).toBe('msgbatch_1');
+
+        const resumed = await createJobs(config).load(job.id);
+        await createJobs(config).run(resumed, { pollInterval: 1 });
+
+        expect(resumed.status).toBe('completed');
+        expect(server.requests.filter(request => request.method === 'POST')).toHaveLength(1);
+        expect(await fs.readFile(path.join(dir, resumed.items[0].output), 'utf8')).toMatch(/^Echo: Review this module/);
+      } finally {
+        server.batchPolls = 1;
+      }
+    });
+
+    test('should cancel a provider batch', async () => {
+      const jobs = createJobs({ apiProvider: 'openai', apiModelId: 'gpt-4o-mini' });
+      const job = await jobs.create({ prompt: 'Summarize this file', inputs: ['src/parser.js'] });
+
+      await jobs.run(job, { wait: false });
+      await jobs.cancel(job);
+      await jobs.refresh(job);
+
+      expect(job.status).toBe('cancelled');
+      expect(job.items[0]).toMatchObject({ status: 'failed', error: 'This request was cancelled' });
+    });
+
+    test('should send only the remaining files when an interrupted local job resumes', async () => {
+      const config = { apiProvider: 'ollama', apiModelId: 'llama3.1' };
+      const controller = new AbortController();
+      const job = await createJobs(config).create({ prompt: 'Summarize this file', inputs: ['src/parser.js', 'src/lexer.js'] });
+
+      await createJobs(config).run(job, { concurrency: 1, signal: controller.signal, onProgress: () => controller.abort() });
+      expect(job.mode).toBe('local');
+      expect(job.items.map(item => item.status)).toEqual(['succeeded', 'pending']);
+
+      const resumed = await createJobs(config).load(job.id);
+      await createJobs(config).run(resumed);
+
+      expect(resumed.status).toBe('completed');
+      expect(resumed.items.map(item => item.status)).toEqual(['succeeded', 'succeeded']);
+      expect(server.requests.filter(request => request.method === 'POST')).toHaveLength(2);
+      expect(server.requests[server.requests.length - 1].body.messages[1].content).toContain('module.exports = lex;');
+    });
+  });
+});
@@ -0,0 +1,577 @@
+/**
+ * Fake Provider Wire Formats
+ *
+ * Renders a scripted reply in the request and response format of each
+ * provider API the fake server imitates: Anthropic Messages, OpenAI Chat
+ * Completions, Bedrock Converse and InvokeModel, Gemini/Vertex
+ * generateContent and Ollama chat/generate, and the embedding endpoints.
+ *
+ * @module test/fake-provider/formats
+ */
+
+const crypto = require('crypto');
+
+// Status code and provider error type for each scripted error
+const ERRORS = {
+  auth: {
+    status: 401,
+    message: 'Invalid API key',
+    anthropic: 'authentication_error',
+    openai: 'invalid_api_key',
+    bedrock: 'UnrecognizedClientException',
+    google: 'UNAUTHENTICATED',
+    oauth: 'invalid_client'
+  },
+  permission: {
+    status: 403,
+    message: 'Access to this model is denied',
+    anthropic: 'permission_error',
+    openai: 'permission_denied',
+    bedrock: 'AccessDeniedException',
+    google: 'PERMISSION_DENIED'
+  },
+  not_found: {
+    status: 404,
+    message: 'Model not found',
+    anthropic: 'not_found_error',
+    openai: 'model_not_found',
+    bedrock: 'ResourceNotFoundException',
+    google: 'NOT_FOUND'
+  },
+  invalid_request: {
+    status: 400,
+    message: 'Invalid request',
+    anthropic: 'invalid_request_error',
+    openai: 'invalid_request_error',
+    bedrock: 'ValidationException',
+    google: 'INVALID_ARGUMENT',
+    oauth: 'invalid_request'
+  },
+  context_length: {
+    status: 400,
+    message: 'prompt is too long: 250000 tokens > 200000 maximum',
+    anthropic: 'invalid_request_error',
+    openai: 'context_length_exceeded',
+    bedrock: 'ValidationException',
+    google: 'INVALID_ARGUMENT'
+  },
+  rate_limit: {
+    status: 429,
+    message: 'Rate limit exceeded',
+    anthropic: 'rate_limit_error',
+    openai: 'rate_limit_exceeded',
+    bedrock: 'ThrottlingException',
+    google: 'RESOURCE_EXHAUSTED'
+  },
+  overloaded: {
+    status: 503,
+    message: 'Overloaded',
+    anthropic: 'overloaded_error',
+    openai: 'server_overloaded',
+    bedrock: 'ServiceUnavailableException',
+    google: 'UNAVAILABLE'
+  },
+  server: {
+    status: 500,
+    message: 'Internal server error',
+    anthropic: 'api_error',
+    openai: 'server_error',
+    bedrock: 'InternalServerException',
+    google: 'INTERNAL'
+  }
+};
+
+/**
+ * Split text into word-sized stream chunks
+ * @param {string} text - Reply text
+ * @returns {Array<string>} Chunks that join back into the text
+ */
+function splitText(text) {
+  return text ? text.match(/\S+\s*|\s+/g) : [];
+}
+
+/**
+ * Read the text of the last user turn of a request
+ * @param {string} format - Request format
+ * @param {Object} body - Request body
+ * @returns {string} Text, or an empty string
+ */
+function getLastUserText(format, body) {
+  const textOf = (content) => {
+    if (typeof content === 'string') {
+      return content;
+    }
+    return (content || [])
+      .map(part => (typeof part === 'string' ? part : part.text || ''))
+      .join('');
+  };
+  const lastUser = (messages, role = 'user') => [...(messages || [])].reverse()
+    .find(message => message.role === role && textOf(message.content || message.parts));
+
+  switch (format) {
+    case 'ollama-generate':
+      return body.prompt || '';
+    case 'google': {
+      const turn = lastUser(body.contents);
+      return turn ? textOf(turn.parts) : '';
+    }
+    default: {
+      const turn = lastUser(body.messages);
+      return turn ? textOf(turn.content) : '';
+    }
+  }
+}
+
+/**
+ * Fill in the reply fields a script may leave out
+ * @param {Object} reply - Scripted reply
+ * @param {Object} body - Request body
+ * @param {string} format - Request format
+ * @returns {Object} `{ text, reasoning, toolCalls, usage }` with tool call IDs and token counts
+ */
+function completeReply(reply, body, format) {
+  const text = reply.text !== undefined ? reply.text : `Echo: ${getLastUserText(format, body)}`;
+  const reasoning = reply.reasoning || '';
+  const reasoningTokens = Math.ceil(reasoning.length / 4);
+  const toolCalls = (reply.toolCalls || []).map((toolCall, index) => ({
+    id: toolCall.id || `call_${crypto.randomBytes(6).toString('hex')}_${index}`,
+    name: toolCall.name,
+    arguments: toolCall.arguments || {}
+  }));
+  const usage = {
+    inputTokens: Math.ceil(JSON.stringify(body).length / 4),
+    outputTokens: Math.ceil((text.length + JSON.stringify(toolCalls).length) / 4) + reasoningTokens,
+    reasoningTokens,
+    ...(reply.usage || {})
+  };
+
+  return { text, reasoning, toolCalls, usage };
+}
+
+/**
+ * Fake signature for scripted reasoning, which providers that sign their
+ * reasoning expect to get back unchanged
+ * @param {string} reasoning - Reasoning text
+ * @returns {string} Signature
+ */
+function signReasoning(reasoning) {
+  return crypto.createHash('sha256').update(reasoning).digest('base64');
+}
+
+/**
+ * Build the HTTP error response for a scripted error
+ * @param {string} provider - `anthropic`, `openai`, `bedrock`, `google`, `ollama`, or `oauth` for token endpoints
+ * @param {string|Object} error - Error kind, or `{ kind, status, message, retryAfter }`
+ * @returns {{status: number, headers: Object, body: Object}} Response
+ * @throws {Error} If the error kind is unknown
+ */
+function renderError(provider, error) {
+  const options = typeof error === 'string' ? { kind: error } : error;
+  const kind = ERRORS[options.kind];
+  if (!kind) {
+    throw new Error(`Unknown fake error '${options.kind}'. Use one of: ${Object.keys(ERRORS).join(', ')}`);
+  }
+
+  const status = options.status || (provider === 'anthropic' && options.kind === 'overloaded' ? 529 : kind.status);
+  const message = options.message || kind.message;
+  const headers = { 'content-type': 'application/json' };
+
+  if (options.kind === 'rate_limit') {
+    headers['retry-after'] = String(options.retryAfter || 0);
+  }
+
+  switch (provider) {
+    case 'anthropic':
+      return { status, headers, body: { type: 'error', error: { type: kind.anthropic, message } } };
+    case 'openai':
+    case 'azure':
+      return { status, headers, body: { error: { message, type: kind.openai, code: kind.openai } } };
+    case 'bedrock':
+      return { status, headers: { ...headers, 'x-amzn-errortype': `${kind.bedrock}:http://internal.amazon.com/coral/com.amazon.bedrock/` }, body: { message } };
+    case 'google':
+      return { status, headers, body: { error: { code: status, message, status: kind.google } } };
+    case 'oauth':
+      return { status, headers, body: { error: kind.oauth || 'server_error', error_description: message } };
+    default:
+      return { status, headers, body: { error: message } };
+  }
+}
+
+/**
+ * Anthropic Messages API response and stream events
+ */
+const anthropic = {
+  reply(reply, model) {
+    return {
+      id: `msg_${crypto.randomBytes(8).toString('hex')}`,
+      type: 'message',
+      role: 'assistant',
+      model,
+      content: [
+        ...(reply.reasoning ? [{ type: 'thinking', thinking: reply.reasoning, signature: signReasoning(reply.reasoning) }] : []),
+        ...(reply.text ? [{ type: 'text', text: reply.text }] : []),
+        ...reply.toolCalls.map(toolCall => ({ type: 'tool_use', id: toolCall.id, name: toolCall.name, input: toolCall.arguments }))
+      ],
+      stop_reason: reply.toolCalls.length > 0 ? 'tool_use' : 'end_turn',
+      usage: { input_tokens: reply.usage.inputTokens, output_tokens: reply.usage.outputTokens }
+    };
+  },
+
+  events(reply, model) {
+    const message = anthropic.reply(reply, model);
+    const events = [
+      { type: 'message_start', message: { ...message, content: [], stop_reason: null, usage: { input_tokens: reply.usage.inputTokens, output_tokens: 0 } } }
+    ];
+
+    message.content.forEach((block, index) => {
+      if (block.type === 'thinking') {
+        events.push({ type: 'content_block_start', index, content_block: { type: 'thinking', thinking: '' } });
+        for (const thinking of splitText(block.thinking)) {
+          events.push({ type: 'content_block_delta', index, delta: { type: 'thinking_delta', thinking } });
+        }
+        events.push({ type: 'content_block_delta', index, delta: { type: 'signature_delta', signature: block.signature } });
+      } else if (block.type === 'text') {
+        events.push({ type: 'content_block_start', index, content_block: { type: 'text', text: '' } });
+        for (const text of splitText(block.text)) {
+          events.push({ type: 'content_block_delta', index, delta: { type: 'text_delta', text } });
+        }
+      } else {
+        events.push({ type: 'content_block_start', index, content_block: { ...block, input: {} } });
+        events.push({ type: 'content_block_delta', index, delta: { type: 'input_json_delta', partial_json: JSON.stringify(block.input) } });
+      }
+      events.push({ type: 'content_block_stop', index });
+    });
+
+    events.push({ type: 'message_delta', delta: { stop_reason: message.stop_reason }, usage: { output_tokens: reply.usage.outputTokens } });
+    events.push({ type: 'message_stop' });
+    return events;
+  }
+};
+
+/**
+ * OpenAI Chat Completions response and stream chunks
+ */
+const openai = {
+  reply(reply, model) {
+    return {
+      id: `chatcmpl-${crypto.randomBytes(8).toString('hex')}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model,
+      choices: [{
+        index: 0,
+        message: {
+          role: 'assistant',
+          content: reply.text || null,
+          ...(reply.reasoning ? { reasoning_content: reply.reasoning } : {}),
+          ...(reply.toolCalls.length > 0 ? { tool_calls: reply.toolCalls.map(openai.toolCall) } : {})
+        },
+        finish_reason: reply.toolCalls.length > 0 ? 'tool_calls' : 'stop'
+      }],
+      usage: openai.usage(reply)
+    };
+  },
+
+  toolCall(toolCall) {
+    return { id: toolCall.id, type: 'function', function: { name: toolCall.name, arguments: JSON.stringify(toolCall.arguments) } };
+  },
+
+  usage(reply) {
+    return {
+      prompt_tokens: reply.usage.inputTokens,
+      completion_tokens: reply.usage.outputTokens,
+      total_tokens: reply.usage.inputTokens + reply.usage.outputTokens,
+      ...(reply.usage.reasoningTokens ? { completion_tokens_details: { reasoning_tokens: reply.usage.reasoningTokens } } : {})
+    };
+  },
+
+  chunks(reply, model, body) {
+    const chunk = (delta, finishReason = null) => ({
+      object: 'chat.completion.chunk',
+      model,
+      choices: [{ index: 0, delta, finish_reason: finishReason }]
+    });
+
+    const chunks = [chunk({ role: 'assistant', content: '' })];
+    for (const text of splitText(reply.reasoning)) {
+      chunks.push(chunk({ reasoning_content: text }));
+    }
+    for (const text of splitText(reply.text)) {
+      chunks.push(chunk({ content: text }));
+    }
+    reply.toolCalls.forEach((toolCall, index) => {
+      const { id, type, function: fn } = openai.toolCall(toolCall);
+      chunks.push(chunk({ tool_calls: [{ index, id, type, function: { name: fn.name, arguments: '' } }] }));
+      chunks.push(chunk({ tool_calls: [{ index, function: { arguments: fn.arguments } }] }));
+    });
+    chunks.push(chunk({}, reply.toolCalls.length > 0 ? 'tool_calls' : 'stop'));
+
+    if (body.stream_options && body.stream_options.include_usage) {
+      chunks.push({ object: 'chat.completion.chunk', model, choices: [], usage: openai.usage(reply) });
+    }
+    return chunks;
+  }
+};
+
+/**
+ * Bedrock Converse response and ConverseStream events
+ */
+const bedrock = {
+  reply(reply) {
+    return {
+      output: {
+        message: {
+          role: 'assistant',
+          content: [
+            ...(reply.reasoning
+              ? [{ reasoningContent: { reasoningText: { text: reply.reasoning, signature: signReasoning(reply.reasoning) } } }]
+              : []),
+            ...(reply.text ? [{ text: reply.text }] : []),
+            ...reply.toolCalls.map(toolCall => ({ toolUse: { toolUseId: toolCall.id, name: toolCall.name, input: toolCall.arguments } }))
+          ]
+        }
+      },
+      stopReason: reply.toolCalls.length > 0 ? 'tool_use' : 'end_turn',
+      usage: bedrock.usage(reply),
+      metrics: { latencyMs: 1 }
+    };
+  },
+
+  usage(reply) {
+    return {
+      inputTokens: reply.usage.inputTokens,
+      outputTokens: reply.usage.outputTokens,
+      totalTokens: reply.usage.inputTokens + reply.usage.outputTokens
+    };
+  },
+
+  events(reply) {
+    const events = [['messageStart', { role: 'assistant' }]];
+    let index = 0;
+
+    if (reply.reasoning) {
+      for (const text of splitText(reply.reasoning)) {
+        events.push(['contentBlockDelta', { contentBlockIndex: index, delta: { reasoningContent: { text } } }]);
+      }
+      events.push(['contentBlockDelta', { contentBlockIndex: index, delta: { reasoningContent: { signature: signReasoning(reply.reasoning) } } }]);
+      events.push(['contentBlockStop', { contentBlockIndex: index }]);
+      index++;
+    }
+
+    if (reply.text) {
+      for (const text of splitText(reply.text)) {
+        events.push(['contentBlockDelta', { contentBlockIndex: index, delta: { text } }]);
+      }
+      events.push(['contentBlockStop', { contentBlockIndex: index }]);
+      index++;
+    }
+
+    for (const toolCall of reply.toolCalls) {
+      events.push(['contentBlockStart', { contentBlockIndex: index, start: { toolUse: { toolUseId: toolCall.id, name: toolCall.name } } }]);
+      events.push(['contentBlockDelta', { contentBlockIndex: index, delta: { toolUse: { input: JSON.stringify(toolCall.arguments) } } }]);
+      events.push(['contentBlockStop', { contentBlockIndex: index }]);
+      index++;
+    }
+
+    events.push(['messageStop', { stopReason: reply.toolCalls.length > 0 ? 'tool_use' : 'end_turn' }]);
+    events.push(['metadata', { usage: bedrock.usage(reply), metrics: { latencyMs: 1 } }]);
+    return events;
+  }
+};
+
+/**
+ * Gemini and Vertex AI generateContent responses
+ */
+const google = {
+  reply(reply, model) {
+    return google.chunk(reply, model, [
+      ...(reply.reasoning ? [{ text: reply.reasoning, thought: true }] : []),
+      ...(reply.text ? [{ text: reply.text }] : []),
+      ...google.functionCalls(reply)
+    ], true);
+  },
+
+  functionCalls(reply) {
+    return reply.toolCalls.map(toolCall => ({ functionCall: { name: toolCall.name, args: toolCall.arguments } }));
+  },
+
+  chunk(reply, model, parts, last) {
+    return {
+      candidates: [{
+        content: { role: 'model', parts },
+        index: 0,
+        ...(last ? { finishReason: 'STOP' } : {})
+      }],
+      ...(last ? {
+        usageMetadata: {
+          promptTokenCount: reply.usage.inputTokens,
+          candidatesTokenCount: reply.usage.outputTokens - reply.usage.reasoningTokens,
+          totalTokenCount: reply.usage.inputTokens + reply.usage.outputTokens,
+          ...(reply.usage.reasoningTokens ? { thoughtsTokenCount: reply.usage.reasoningTokens } : {})
+        }
+      } : {}),
+      modelVersion: model
+    };
+  },
+
+  chunks(reply, model) {
+    const texts = splitText(reply.text);
+    const chunks = [
+      ...splitText(reply.reasoning).map(text => google.chunk(reply, model, [{ text, thought: true }], false)),
+      ...texts.map((text, index) =>
+        google.chunk(reply, model, [{ text }], index === texts.length - 1 && reply.toolCalls.length === 0))
+    ];
+
+    if (reply.toolCalls.length > 0 || texts.length === 0) {
+      chunks.push(google.chunk(reply, model, google.functionCalls(reply), true));
+    }
+    return chunks;
+  }
+};
+
+/**
+ * Ollama `/api/chat` and `/api/generate` responses
+ */
+const ollama = {
+  counts(reply) {
+    return { prompt_eval_count: reply.usage.inputTokens, eval_count: reply.usage.outputTokens };
+  },
+
+  chatReply(reply, model) {
+    return {
+      model,
+      created_at: new Date().toISOString(),
+      message: {
+        role: 'assistant',
+        content: reply.text,
+        ...(reply.reasoning ? { thinking: reply.reasoning } : {}),
+        ...(reply.toolCalls.length > 0
+          ? { tool_calls: reply.toolCalls.map(toolCall => ({ function: { name: toolCall.name, arguments: toolCall.arguments } })) }
+          : {})
+      },
+      done: true,
+      done_reason: 'stop',
+      ...ollama.counts(reply)
+    };
+  },
+
+  chatChunks(reply, model) {
+    const final = ollama.chatReply(reply, model);
+    const chunk = message => ({ model, created_at: final.created_at, message: { role: 'assistant', content: '', ...message }, done: false });
+    const chunks = [
+      ...splitText(reply.reasoning).map(thinking => chunk({ thinking })),
+      ...splitText(reply.text).map(text => chunk({ content: text }))
+    ];
+
+    const { thinking, ...message } = final.message;
+    chunks.push({ ...final, message: { ...message, content: '' } });
+    return chunks;
+  },
+
+  generateReply(reply, model) {
+    return { model, created_at: new Date().toISOString(), response: reply.text, done: true, ...ollama.counts(reply) };
+  },
+
+  generateChunks(reply, model) {
+    const final = ollama.generateReply(reply, model);
+    return [
+      ...splitText(reply.text).map(text => ({ model, created_at: final.created_at, response: text, done: false })),
+      { ...final, response: '' }
+    ];
+  }
+};
+
+// Vector size of fake embeddings by model, when the request does not ask for one
+const EMBEDDING_DIMENSIONS = {
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+  'amazon.titan-embed-text-v2:0': 1024,
+  'cohere.embed-english-v3': 1024,
+  'text-embedding-004': 768,
+  'nomic-embed-text': 768
+};
+
+/**
+ * Fake embedding: each word of the text is hashed into one dimension, so
+ * texts that share words have similar vectors. Normalized to unit length.
+ * @param {string} text - Text to embed
+ * @param {string} model - Model ID; sets the size when `dimensions` is not given
+ * @param {number} [dimensions] - Requested vector size
+ * @returns {number[]} Vector
+ */
+function embedText(text, model, dimensions) {
+  const vector = new Array(dimensions || EMBEDDING_DIMENSIONS[model.replace(/:latest$/, '')] || 768).fill(0);
+  for (const word of String(text).toLowerCase().match(/[a-z0-9]+/g) || []) {
+    vector[crypto.createHash('md5').update(word).digest().readUInt32BE(0) % vector.length] += 1;
+  }
+  const norm = Math.sqrt(vector.reduce((total, value) => total + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+}
+
+/**
+ * Encode one AWS event stream message
+ * @param {Object} headers - Header names mapped to string values
+ * @param {Object} body - JSON payload
+ * @returns {Buffer} Message bytes
+ */
+function encodeEventStreamMessage(headers, body) {
+  const headerBytes = Buffer.concat(Object.entries(headers).map(([name, value]) => {
+    const nameBytes = Buffer.from(name);
+    const valueBytes = Buffer.from(value);
+    const header = Buffer.alloc(1 + nameBytes.length + 3 + valueBytes.length);
+    header.writeUInt8(nameBytes.length, 0);
+    nameBytes.copy(header, 1);
+    header.writeUInt8(7, 1 + nameBytes.length);
+    header.writeUInt16BE(valueBytes.length, 2 + nameBytes.length);
+    valueBytes.copy(header, 4 + nameBytes.length);
+    return header;
+  }));
+  const payload = Buffer.from(JSON.stringify(body));
+  const message = Buffer.alloc(12 + headerBytes.length + payload.length + 4);
+
+  message.writeUInt32BE(message.length, 0);
+  message.writeUInt32BE(headerBytes.length, 4);
+  message.writeUInt32BE(crc32(message.subarray(0, 8)), 8);
+  headerBytes.copy(message, 12);
+  payload.copy(message, 12 + headerBytes.length);
+  message.writeUInt32BE(crc32(message.subarray(0, message.length - 4)), message.length - 4);
+  return message;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let value = index;
+  for (let bit = 0; bit < 8; bit++) {
+    value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+  }
+  return value >>> 0;
+});
+
+/**
+ * CRC-32 checksum, as used by the event stream prelude and trailer
+ * @param {Buffer} bytes - Data
+ * @returns {number} Checksum
+ * @private
+ */
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+module.exports = {
+  ERRORS,
+  splitText,
+  getLastUserText,
+  completeReply,
+  signReasoning,
+  renderError,
+  embedText,
+  encodeEventStreamMessage,
+  anthropic,
+  openai,
+  bedrock,
+  google,
+  ollama
+};